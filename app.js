@@ -8,18 +8,42 @@ import errorHandler from './middlewares/errorHandler.js'
 import userRouter from './routes/users/userRoutes.js'
 import courseRouter from './routes/course/courseRoutes.js'
 import fileUploadRouter from './routes/fileUploadRoutes.js'
+import placementRouter from './routes/placement/placementRoutes.js'
+import batchRouter from './routes/course/batchRoutes.js'
+import attendanceRouter from './routes/attendance/attendanceRoutes.js'
+import assignmentRouter from './routes/assignment/assignmentRoutes.js'
+import feeRouter from './routes/fee/feeRoutes.js'
+import paymentRouter from './routes/fee/paymentRoutes.js'
+import certificateRouter from './routes/certificate/certificateRoutes.js'
+import calendarRouter from './routes/calendar/calendarRoutes.js'
+import notificationRouter from './routes/notification/notificationRoutes.js'
+import forumRouter from './routes/forum/forumRoutes.js'
 import swaggerDocs from './swagger.js'
 import FileUploadService from './services/FileUploadService.js'
+import NotificationService from './services/notification/NotificationService.js'
+import InboxService from './services/notification/InboxService.js'
 
 dotenv.config()  // configure env variables
 
 const app = express(); 
 const port = process.env.PORT || 8000; 
 
-app.use(express.json()); // Enable parsing of JSON request bodies
+// Reverse proxies in front of the API, so req.ip is the client address the login throttle
+// keys on; defaults to Vercel's single edge proxy there and to none elsewhere
+const trustProxyHops = process.env.TRUST_PROXY_HOPS !== undefined
+  ? parseInt(process.env.TRUST_PROXY_HOPS) || 0
+  : (process.env.VERCEL ? 1 : 0);
+app.set('trust proxy', trustProxyHops);
+
+// Enable parsing of JSON request bodies; the raw bytes are kept for payment webhook signatures
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf } }));
 
 connectDB()
-  .then(() => logger.info('✅ MongoDB connected'))
+  .then(() => {
+    logger.info('✅ MongoDB connected')
+    new NotificationService().startWorker() // delivers queued emails and retries failed ones
+    new InboxService().startPresenceSweep() // takes students offline whose server process went away
+  })
   .catch(err => logger.error('❌ MongoDB connection error: ' + err));
 
 app.use(express.urlencoded({ extended: true })); // Enable parsing of URL-encoded request bodies
@@ -53,6 +77,12 @@ app.use(cors({
   optionsSuccessStatus: 200
 }));
 
+// Fee receipts and invoices are only served through the access-checked /api/v1/fees endpoints
+app.use('/uploads/fee-documents', (req, res) => res.status(404).json({ status: 'fail', message: 'Not found' }));
+
+// Certificates likewise, so revoked ones cannot be fetched through an old link
+app.use('/uploads/certificates', (req, res) => res.status(404).json({ status: 'fail', message: 'Not found' }));
+
 // Serve static files from uploads directory
 app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
 
@@ -75,8 +105,28 @@ app.use('/api/v1/user', userRouter)
 
 app.use('/api/v1/course', courseRouter)
 
+app.use('/api/v1/batch', batchRouter)
+
+app.use('/api/v1/attendance', attendanceRouter)
+
+app.use('/api/v1/assignments', assignmentRouter)
+
+app.use('/api/v1/fees', feeRouter)
+
+app.use('/api/v1/payments', paymentRouter)
+
+app.use('/api/v1/certificates', certificateRouter)
+
+app.use('/api/v1/calendar', calendarRouter)
+
+app.use('/api/v1/notifications', notificationRouter)
+
+app.use('/api/v1/forums', forumRouter)
+
 app.use('/api/v1/upload', fileUploadRouter)
 
+app.use('/api/v1/placement', placementRouter)
+
 // Initialize file upload service and create upload directories
 const initializeFileUpload = async () => {
   try {
@@ -88,7 +138,8 @@ const initializeFileUpload = async () => {
       'trainer',
       'course',
       'document',
-      'assignment'
+      'assignment',
+      'attachments'
     ]);
     logger.info('✅ File upload directories created');
   } catch (error) {
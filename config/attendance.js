@@ -0,0 +1,13 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const attendanceConfig = {
+  // Parents and admins are emailed when a student's attendance drops below this percentage
+  alertThreshold: parseFloat(process.env.ATTENDANCE_ALERT_THRESHOLD) || 75,
+
+  // No alert until this many sessions have been marked, so one early absence does not trigger it
+  alertMinSessions: parseInt(process.env.ATTENDANCE_ALERT_MIN_SESSIONS) || 5
+};
+
+export default attendanceConfig;
@@ -0,0 +1,44 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const authConfig = {
+  // Access token (JWT) settings
+  accessToken: {
+    secret: process.env.JWT_SECRET,
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || process.env.JWT_EXPIRES_IN || '15m'
+  },
+
+  // Refresh token / session settings
+  refreshToken: {
+    ttlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    byteLength: 48
+  },
+
+  // Password rules and reset flow
+  password: {
+    minLength: 6,
+    saltRounds: 10,
+    resetExpiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30
+  },
+
+  // Brute-force protection for /auth/login
+  lockout: {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,          // failures before the account locks
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+    ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,    // failures per IP within the window
+    ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+    baseDelayMs: parseInt(process.env.LOGIN_BASE_DELAY_MS) || 1000,      // doubled after every failure
+    maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 30000
+  },
+
+  // TOTP two-factor authentication
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'Maitexa LMS',
+    allowedRoles: (process.env.MFA_ALLOWED_ROLES || 'admin,hr').split(',').map(role => role.trim()),
+    pendingTokenExpiresIn: process.env.MFA_PENDING_TOKEN_EXPIRES_IN || '5m',
+    recoveryCodeCount: 10
+  }
+};
+
+export default authConfig;
@@ -0,0 +1,22 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 8000}`;
+
+const calendarConfig = {
+  // Time zone the HH:mm times of class sessions are in
+  timezone: process.env.CALENDAR_TIMEZONE || 'Asia/Kolkata',
+
+  // Feeds hold events from this many days back (so cancellations still reach clients) to this many days ahead
+  feedPastDays: parseInt(process.env.CALENDAR_FEED_PAST_DAYS) || 30,
+  feedFutureDays: parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS) || 180,
+
+  // Base of the feed urls handed out to users; the token is appended
+  feedUrl: `${baseUrl.replace(/\/$/, '')}/api/v1/calendar/feeds`,
+
+  // Right-hand side of event UIDs, so they stay unique across calendars
+  uidDomain: process.env.CALENDAR_UID_DOMAIN || new URL(baseUrl).hostname
+};
+
+export default calendarConfig;
@@ -0,0 +1,25 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Institute name, logo and brand color come from config/fee.js
+const certificateConfig = {
+  title: process.env.CERTIFICATE_TITLE || 'Certificate of Completion',
+
+  // Optional full-page background (PNG or JPEG, A4 landscape) the text is printed on
+  templatePath: process.env.CERTIFICATE_TEMPLATE_PATH || '',
+
+  signatory: {
+    name: process.env.CERTIFICATE_SIGNATORY_NAME || '',
+    title: process.env.CERTIFICATE_SIGNATORY_TITLE || 'Director'
+  },
+
+  // Page the QR code links to; the certificate number is appended.
+  // Defaults to the public API endpoint, point it at a frontend page if there is one
+  verifyUrl: process.env.CERTIFICATE_VERIFY_URL
+    || `${process.env.BASE_URL || `http://localhost:${process.env.PORT || 8000}`}/api/v1/certificates/verify`,
+
+  numberPrefix: process.env.CERTIFICATE_NUMBER_PREFIX || 'CERT'
+};
+
+export default certificateConfig;
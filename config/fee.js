@@ -0,0 +1,34 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// "CGST:9,SGST:9" -> [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }]
+const parseTaxes = (value = '') => value
+  .split(',')
+  .map(entry => entry.split(':').map(part => part.trim()))
+  .filter(([name, rate]) => name && parseFloat(rate) > 0)
+  .map(([name, rate]) => ({ name, rate: parseFloat(rate) }));
+
+const feeConfig = {
+  currency: process.env.FEE_CURRENCY || 'INR',
+
+  // Printed on receipts and invoices
+  institute: {
+    name: process.env.INSTITUTE_NAME || 'Maitexa',
+    address: process.env.INSTITUTE_ADDRESS || '',
+    phone: process.env.INSTITUTE_PHONE || '',
+    email: process.env.INSTITUTE_EMAIL || '',
+    taxId: process.env.INSTITUTE_TAX_ID || '',             // e.g. GSTIN
+    logoPath: process.env.INSTITUTE_LOGO_PATH || '',       // PNG or JPEG
+    brandColor: process.env.INSTITUTE_BRAND_COLOR || '#1f4e79'
+  },
+
+  // Taxes included in the fee amounts, broken out on receipts and invoices;
+  // leave empty when no tax is charged
+  taxes: parseTaxes(process.env.FEE_TAXES),
+
+  // Invoices without an instalment or explicit due date fall due after this many days
+  invoiceDueDays: parseInt(process.env.FEE_INVOICE_DUE_DAYS) || 15
+};
+
+export default feeConfig;
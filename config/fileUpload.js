@@ -84,7 +84,8 @@ const fileUploadConfig = {
         profile: { maxCount: 1, allowedTypes: ['image'] },
         resume: { maxCount: 1, allowedTypes: ['document'] },
         certificate: { maxCount: 5, allowedTypes: ['image', 'document'] },
-        assignment: { maxCount: 10, allowedTypes: ['document', 'archive'] }
+        assignment: { maxCount: 10, allowedTypes: ['document', 'archive'] },
+        attachments: { maxCount: 5, allowedTypes: ['image', 'document', 'archive'] }
       }
     }
   },
@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const mailConfig = {
+  // Transport used for outgoing mail: 'console', 'file', 'memory' or 'smtp'
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'Maitexa LMS <no-reply@maitexa.com>',
+
+  // File transport writes one .json file per message into this directory
+  file: {
+    outputPath: process.env.MAIL_FILE_PATH || './mail-outbox'
+  },
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for port 465, STARTTLS otherwise
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+
+  // Queued notification emails: attempts before giving up, delay before the first
+  // retry (doubled after each failure) and how often the queue is polled
+  queue: {
+    maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5,
+    retryBaseSeconds: parseInt(process.env.MAIL_RETRY_BASE_SECONDS) || 60,
+    pollSeconds: parseInt(process.env.MAIL_QUEUE_POLL_SECONDS) || 30,
+    batchSize: 20
+  },
+
+  // Frontend base URL used to build links inside emails
+  appUrl: process.env.APP_URL || 'http://localhost:3000'
+};
+
+export default mailConfig;
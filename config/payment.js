@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const paymentConfig = {
+  // Provider used for online fee payments: 'fake' or 'razorpay'; online payments are off when unset
+  provider: process.env.PAYMENT_PROVIDER,
+  currency: process.env.FEE_CURRENCY || 'INR',
+
+  // Orders left unpaid for longer than this are treated as expired
+  orderExpiresMinutes: parseInt(process.env.PAYMENT_ORDER_EXPIRES_MINUTES) || 30,
+
+  // Local provider for development and tests; only enabled when it is the configured
+  // provider and has a webhook secret, and never in production
+  fake: {
+    webhookSecret: process.env.PAYMENT_FAKE_WEBHOOK_SECRET
+  },
+
+  razorpay: {
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    apiUrl: process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1'
+  }
+};
+
+export default paymentConfig;
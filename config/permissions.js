@@ -0,0 +1,27 @@
+// Catalogue of admin privileges checked by authorize.can()
+// Only admins carry privileges; super admins and "full_access" pass every check
+export const PERMISSIONS = {
+  FULL_ACCESS: 'full_access',
+  MANAGE_COURSES: 'manage_courses',
+  MANAGE_BATCHES: 'manage_batches',
+  MANAGE_PAYMENTS: 'manage_payments',
+  MANAGE_USERS: 'manage_users',
+  MANAGE_PLACEMENTS: 'manage_placements',
+  MANAGE_CERTIFICATES: 'manage_certificates',
+  MANAGE_ADMINS: 'manage_admins'
+};
+
+export const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.FULL_ACCESS]: 'Every permission, including ones added later',
+  [PERMISSIONS.MANAGE_COURSES]: 'Create and edit courses and their content',
+  [PERMISSIONS.MANAGE_BATCHES]: 'Create batches and enrol or move students between them',
+  [PERMISSIONS.MANAGE_PAYMENTS]: 'Record fees, payments and refunds',
+  [PERMISSIONS.MANAGE_USERS]: 'Create and manage students, trainers and parents, unlock accounts and reset MFA',
+  [PERMISSIONS.MANAGE_PLACEMENTS]: 'Manage HR staff, job openings, shortlists and interviews',
+  [PERMISSIONS.MANAGE_CERTIFICATES]: 'Issue and revoke completion certificates',
+  [PERMISSIONS.MANAGE_ADMINS]: 'Create admins, change their privileges and the security policy'
+};
+
+export const isValidPermission = (permission) => Object.values(PERMISSIONS).includes(permission);
+
+export default PERMISSIONS;
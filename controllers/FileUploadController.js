@@ -2,6 +2,7 @@ import FileUploadService from '../services/FileUploadService.js';
 import catchAsync from '../utils/catchAsync.js';
 import AppError from '../utils/appError.js';
 import logger from '../utils/logger.js';
+import CurriculumService from '../services/course/CurriculumService.js';
 
 /**
  * File upload controller
@@ -10,6 +11,7 @@ import logger from '../utils/logger.js';
 class FileUploadController {
   constructor() {
     this.fileUploadService = new FileUploadService();
+    this.curriculumService = new CurriculumService();
   }
 
   /**
@@ -309,6 +311,7 @@ class FileUploadController {
     const {
       storageType,
       courseId,
+      lessonId,
       materialType = 'general',
       optimizeImage = true,
       generateThumbnail = true
@@ -319,21 +322,32 @@ class FileUploadController {
       return next(new AppError('Course ID is required', 400));
     }
 
+    // Check the lesson (and the right to edit its course) before storing anything
+    const lesson = lessonId
+      ? await this.curriculumService.getLessonForUpload(courseId, lessonId, req.user)
+      : null;
+
     const results = await this.fileUploadService.uploadMultipleFiles(req.files, {
       storageType,
       uploadType: 'course',
       optimizeImage,
       generateThumbnail,
-      metadata: { courseId, materialType }
+      metadata: { courseId, lessonId, materialType }
     });
 
     const successfulUploads = results.filter(result => result.success);
 
+    // Successful uploads become lesson attachments
+    if (lesson && successfulUploads.length) {
+      await this.curriculumService.attachUploads(lesson, successfulUploads, req.user);
+    }
+
     res.status(200).json({
       status: 'success',
       message: `Uploaded ${successfulUploads.length} course materials successfully`,
       data: {
         courseId,
+        lessonId: lesson ? lesson._id : null,
         materialType,
         results,
         summary: {
@@ -0,0 +1,211 @@
+import mongoose from "mongoose";
+import AssignmentRepository from "../../repositories/assignment/assignmentRepository.js";
+import SubmissionRepository from "../../repositories/assignment/submissionRepository.js";
+import CourseRepository from "../../repositories/course/courseRepository.js";
+import StudentRepository from "../../repositories/user/studentRepository.js";
+import AssignmentService from "../../services/assignment/AssignmentService.js";
+import BatchService from "../../services/course/BatchService.js";
+import AccessControl from "../../utils/accessControl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const assignmentService = new AssignmentService();
+const batchService = new BatchService();
+
+// Course or batch named in the query, for lists and the matrix
+const loadScope = async ({ courseId, batchId }) => {
+  if (batchId) {
+    const batch = await batchService.getBatch(batchId);
+    return { course: batch.course, batch };
+  }
+
+  const course = mongoose.isValidObjectId(courseId) ? await CourseRepository.findById(courseId) : null;
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+  return { course, batch: null };
+};
+
+// Load an assignment and check the caller may manage it
+const loadManagedAssignment = async (assignmentId, user) => {
+  const assignment = await assignmentService.getAssignment(assignmentId);
+  await assignmentService.assertCanManage(user, assignment);
+  return assignment;
+};
+
+const assignmentControllers = {}
+
+// Create an assignment for a course or batch
+assignmentControllers.createAssignment = catchAsync(async (req, res, next) => {
+  const assignment = await assignmentService.createAssignment(req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Assignment created successfully',
+    data: {
+      assignment
+    }
+  });
+});
+
+// List assignments; students get theirs, trainers those they can manage
+assignmentControllers.fetchAssignments = catchAsync(async (req, res, next) => {
+  const { courseId, batchId } = req.query;
+  let assignments;
+
+  if (req.user.role === 'student') {
+    const student = await StudentRepository.findById(req.user._id);
+    assignments = await AssignmentRepository.findForStudent(student);
+  } else {
+    const filter = {};
+
+    if (courseId || batchId) {
+      const { course, batch } = await loadScope({ courseId, batchId });
+      filter.course = course._id || course;
+      if (batch) filter.batch = batch._id;
+    }
+
+    assignments = await AssignmentRepository.findAllAssignments(req.user.role === 'trainer'
+      ? { $and: [filter, await assignmentService.trainerScopeFilter(req.user)] }
+      : filter);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: assignments.length,
+    data: {
+      assignments
+    }
+  });
+});
+
+// Submission matrix of a batch (or of the course-wide assignments of a course)
+assignmentControllers.getMatrix = catchAsync(async (req, res, next) => {
+  const { courseId, batchId } = req.query;
+
+  if (!courseId && !batchId) {
+    return next(new AppError('Please provide a courseId or batchId', 400));
+  }
+
+  const scope = await loadScope({ courseId, batchId });
+  await assignmentService.assertCanManage(req.user, scope);
+
+  const matrix = await assignmentService.getMatrix(scope);
+
+  res.status(200).json({
+    status: 'success',
+    data: matrix
+  });
+});
+
+// Get an assignment; students also get their own submission
+assignmentControllers.getAssignment = catchAsync(async (req, res, next) => {
+  const assignment = await assignmentService.getAssignment(req.params.assignmentId);
+  let submission;
+
+  if (req.user.role === 'student') {
+    const student = await StudentRepository.findById(req.user._id);
+    if (!assignmentService.isAssignedTo(student, assignment)) {
+      return next(new AppError('Assignment not found', 404));
+    }
+    submission = await SubmissionRepository.findForStudent(assignment._id, student._id);
+  } else {
+    await assignmentService.assertCanManage(req.user, assignment);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      assignment,
+      ...(req.user.role === 'student' && { submission })
+    }
+  });
+});
+
+// Update an assignment
+assignmentControllers.updateAssignment = catchAsync(async (req, res, next) => {
+  const assignment = await loadManagedAssignment(req.params.assignmentId, req.user);
+  const updatedAssignment = await assignmentService.updateAssignment(assignment, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Assignment updated successfully',
+    data: {
+      assignment: updatedAssignment
+    }
+  });
+});
+
+// Submit or resubmit files (multipart, field `assignment`)
+assignmentControllers.submitAssignment = catchAsync(async (req, res, next) => {
+  const assignment = await assignmentService.getAssignment(req.params.assignmentId);
+  const student = await StudentRepository.findById(req.user._id);
+
+  const submission = await assignmentService.submit(assignment, student, req.files?.assignment, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: submission.isLate ? 'Submitted after the due date' : 'Submitted successfully',
+    data: {
+      submission
+    }
+  });
+});
+
+// Submissions of an assignment and the students who have not submitted
+assignmentControllers.fetchSubmissions = catchAsync(async (req, res, next) => {
+  const assignment = await loadManagedAssignment(req.params.assignmentId, req.user);
+
+  const [submissions, students] = await Promise.all([
+    SubmissionRepository.findByAssignment(assignment._id),
+    assignmentService.getAssignedStudents(assignment)
+  ]);
+
+  const notSubmitted = students
+    .filter(student => !submissions.some(submission => AccessControl.sameId(submission.student, student._id)))
+    .map(student => ({ _id: student._id, name: student.name, studentId: student.studentId }));
+
+  res.status(200).json({
+    status: 'success',
+    results: submissions.length,
+    data: {
+      assignment,
+      submissions,
+      notSubmitted
+    }
+  });
+});
+
+// Grade a submission with feedback
+assignmentControllers.gradeSubmission = catchAsync(async (req, res, next) => {
+  const { submissionId } = req.params;
+  const submission = mongoose.isValidObjectId(submissionId) ? await SubmissionRepository.findById(submissionId) : null;
+
+  if (!submission) {
+    return next(new AppError('Submission not found', 404));
+  }
+
+  const assignment = await loadManagedAssignment(submission.assignment, req.user);
+  const gradedSubmission = await assignmentService.grade(submission, assignment, req.body, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Submission graded successfully',
+    data: {
+      submission: gradedSubmission
+    }
+  });
+});
+
+// Assignments and grades of a student (access-checked by authorizeStudentAccess)
+assignmentControllers.getStudentGrades = catchAsync(async (req, res, next) => {
+  const grades = await assignmentService.getStudentGrades(req.student);
+
+  res.status(200).json({
+    status: 'success',
+    results: grades.assignments.length,
+    data: grades
+  });
+});
+
+export default assignmentControllers
@@ -0,0 +1,262 @@
+import mongoose from "mongoose";
+import ClassSessionRepository from "../../repositories/attendance/classSessionRepository.js";
+import AttendanceRepository from "../../repositories/attendance/attendanceRepository.js";
+import StudentRepository from "../../repositories/user/studentRepository.js";
+import TrainerRepository from "../../repositories/user/trainerRepository.js";
+import AttendanceService from "../../services/attendance/AttendanceService.js";
+import ScheduleService from "../../services/attendance/ScheduleService.js";
+import BatchService from "../../services/course/BatchService.js";
+import attendanceConfig from "../../config/attendance.js";
+import AccessControl from "../../utils/accessControl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const attendanceService = new AttendanceService();
+const scheduleService = new ScheduleService();
+const batchService = new BatchService();
+
+// Load the batch of a session and check the caller teaches it
+const loadSessionBatch = async (session, user) => {
+  const batch = await batchService.getBatch(session.batch);
+  attendanceService.assertCanMark(user, batch);
+  return batch;
+};
+
+const attendanceControllers = {}
+
+// Schedule a session for a batch, or only check it for clashes with ?dryRun=true
+attendanceControllers.createSession = catchAsync(async (req, res, next) => {
+  if (!req.body.batchId) {
+    return next(new AppError('Please provide the batchId', 400));
+  }
+
+  const batch = await batchService.getBatch(req.body.batchId);
+  attendanceService.assertCanMark(req.user, batch);
+
+  const dryRun = req.query.dryRun === 'true';
+  const { session, conflicts } = await attendanceService.createSession(batch, req.body, req.user, { dryRun });
+
+  if (dryRun) {
+    return res.status(200).json({
+      status: 'success',
+      message: conflicts.length ? `The session would clash ${conflicts.length} time(s)` : 'The session can be scheduled',
+      data: {
+        conflicts
+      }
+    });
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: conflicts.length ? `Session created with ${conflicts.length} clash(es)` : 'Session created successfully',
+    data: {
+      session,
+      conflicts
+    }
+  });
+});
+
+// Sessions of a batch, newest first, optionally between two dates
+attendanceControllers.fetchBatchSessions = catchAsync(async (req, res, next) => {
+  const batch = await batchService.getBatch(req.params.batchId);
+  attendanceService.assertCanMark(req.user, batch);
+
+  const { from, to } = req.query;
+  const filter = {};
+
+  if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+    return next(new AppError('from and to must be valid dates', 400));
+  }
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = new Date(from);
+    if (to) filter.date.$lte = new Date(to);
+  }
+
+  const sessions = await ClassSessionRepository.findByBatch(batch._id, filter);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions
+    }
+  });
+});
+
+// A session with its attendance records and the students not marked yet
+attendanceControllers.getSession = catchAsync(async (req, res, next) => {
+  const session = await attendanceService.getSession(req.params.sessionId);
+  await loadSessionBatch(session, req.user);
+
+  const [records, roster] = await Promise.all([
+    AttendanceRepository.findBySession(session._id),
+    StudentRepository.findByBatch(session.batch)
+  ]);
+
+  const unmarked = roster
+    .filter(student => !records.some(record => record.student?._id.equals(student._id)))
+    .map(student => ({ _id: student._id, name: student.name, studentId: student.studentId }));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      session,
+      records,
+      unmarked
+    }
+  });
+});
+
+// Reschedule a session or change its details
+attendanceControllers.updateSession = catchAsync(async (req, res, next) => {
+  const session = await attendanceService.getSession(req.params.sessionId);
+  await loadSessionBatch(session, req.user);
+
+  const { session: updatedSession, conflicts } = await attendanceService.updateSession(session, req.body, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: conflicts.length ? `Session updated with ${conflicts.length} clash(es)` : 'Session updated successfully',
+    data: {
+      session: updatedSession,
+      conflicts
+    }
+  });
+});
+
+// Cancel a session
+attendanceControllers.cancelSession = catchAsync(async (req, res, next) => {
+  const session = await attendanceService.getSession(req.params.sessionId);
+  await loadSessionBatch(session, req.user);
+
+  const cancelledSession = await attendanceService.cancelSession(session, req.body.reason, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session cancelled',
+    data: {
+      session: cancelledSession
+    }
+  });
+});
+
+// Mark attendance for the whole batch
+attendanceControllers.markSession = catchAsync(async (req, res, next) => {
+  const session = await attendanceService.getSession(req.params.sessionId);
+  await loadSessionBatch(session, req.user);
+
+  const { marked, skipped } = await attendanceService.markSession(session, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: `Attendance marked for ${marked.length} student(s)`,
+    results: marked.length,
+    data: {
+      records: marked,
+      skipped
+    }
+  });
+});
+
+// Correct a single attendance record
+attendanceControllers.correctRecord = catchAsync(async (req, res, next) => {
+  const { recordId } = req.params;
+  const record = mongoose.isValidObjectId(recordId) ? await AttendanceRepository.findById(recordId) : null;
+
+  if (!record) {
+    return next(new AppError('Attendance record not found', 404));
+  }
+
+  await loadSessionBatch({ batch: record.batch }, req.user);
+  const updatedRecord = await attendanceService.correctRecord(record, req.body, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Attendance corrected successfully',
+    data: {
+      record: updatedRecord
+    }
+  });
+});
+
+// Timetable of a trainer; trainers only see their own
+attendanceControllers.getTrainerTimetable = catchAsync(async (req, res, next) => {
+  const { trainerId } = req.params;
+
+  if (req.user.role === 'trainer' && !AccessControl.sameId(trainerId, req.user._id)) {
+    return next(new AppError('You can only view your own timetable', 403));
+  }
+
+  const trainer = mongoose.isValidObjectId(trainerId) ? await TrainerRepository.findById(trainerId) : null;
+  if (!trainer) {
+    return next(new AppError('Trainer not found', 404));
+  }
+
+  const { from, to, sessions } = await scheduleService.getTimetable({ trainer: trainer._id }, req.query);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      from,
+      to,
+      sessions
+    }
+  });
+});
+
+// Timetable of a batch; trainers only see the batches they teach
+attendanceControllers.getBatchTimetable = catchAsync(async (req, res, next) => {
+  const batch = await batchService.getBatch(req.params.batchId);
+  attendanceService.assertCanMark(req.user, batch);
+
+  const { from, to, sessions } = await scheduleService.getTimetable({ batch: batch._id }, req.query);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      from,
+      to,
+      sessions
+    }
+  });
+});
+
+// Timetable of a student's batch (access-checked by authorizeStudentAccess); empty without a batch
+attendanceControllers.getStudentTimetable = catchAsync(async (req, res, next) => {
+  const { from, to, sessions } = await scheduleService.getTimetable({ batch: req.student.batch }, req.query);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      from,
+      to,
+      sessions
+    }
+  });
+});
+
+// Attendance history and percentage of a student (access-checked by authorizeStudentAccess)
+attendanceControllers.getStudentAttendance = catchAsync(async (req, res, next) => {
+  const [records, summary] = await Promise.all([
+    AttendanceRepository.findByStudent(req.student._id),
+    attendanceService.getSummary(req.student._id)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: records.length,
+    data: {
+      summary: {
+        ...summary,
+        threshold: attendanceConfig.alertThreshold
+      },
+      records
+    }
+  });
+});
+
+export default attendanceControllers
@@ -0,0 +1,58 @@
+import CalendarService from "../../services/calendar/CalendarService.js";
+import catchAsync from "../../utils/catchAsync.js";
+
+const calendarService = new CalendarService();
+
+// Send an iCalendar file; inline for subscribed feeds, as a download otherwise
+const sendCalendar = (res, content, filename = null) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.status(200).send(content);
+};
+
+const calendarControllers = {}
+
+// Create the caller's feed url, replacing the previous one
+calendarControllers.createFeed = catchAsync(async (req, res, next) => {
+  const url = await calendarService.createFeedToken(req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Calendar feed created; any previous feed url no longer works',
+    data: {
+      url
+    }
+  });
+});
+
+// Turn off the caller's feed url
+calendarControllers.deleteFeed = catchAsync(async (req, res, next) => {
+  await calendarService.revokeFeedToken(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Calendar feed turned off'
+  });
+});
+
+// Feed of the user the token in the url belongs to (no authentication, polled by calendar clients)
+calendarControllers.getFeed = catchAsync(async (req, res, next) => {
+  const content = await calendarService.getFeed(req.params.token);
+  sendCalendar(res, content);
+});
+
+// Download a session as a single event
+calendarControllers.downloadSession = catchAsync(async (req, res, next) => {
+  const { filename, content } = await calendarService.getSessionFile(req.params.sessionId, req.user);
+  sendCalendar(res, content, filename);
+});
+
+// Download an assignment's due date as a single event
+calendarControllers.downloadAssignment = catchAsync(async (req, res, next) => {
+  const { filename, content } = await calendarService.getAssignmentFile(req.params.assignmentId, req.user);
+  sendCalendar(res, content, filename);
+});
+
+export default calendarControllers
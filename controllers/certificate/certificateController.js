@@ -0,0 +1,136 @@
+import mongoose from "mongoose";
+import CertificateRepository from "../../repositories/certificate/certificateRepository.js";
+import StudentRepository from "../../repositories/user/studentRepository.js";
+import CertificateService from "../../services/certificate/CertificateService.js";
+import StoredPdfService from "../../services/StoredPdfService.js";
+import { CERTIFICATE_STATUSES } from "../../models/certificate/Certificate.js";
+import AccessControl from "../../utils/accessControl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+import Pagination from "../../utils/pagination.js";
+
+const certificateService = new CertificateService();
+
+// Trainers, parents and students may only fetch certificates of students they can access
+// (admins are already checked for manage_certificates by the route)
+const assertCanAccessStudent = async (user, studentId) => {
+  if (user.role === 'admin') return;
+
+  const student = await StudentRepository.findById(studentId);
+  if (!student || !AccessControl.canAccessStudent(user, student)) {
+    throw new AppError('You do not have access to this student', 403);
+  }
+};
+
+const certificateControllers = {}
+
+// Public check of a certificate number, for employers (no authentication)
+certificateControllers.verifyCertificate = catchAsync(async (req, res, next) => {
+  const certificate = await certificateService.verify(req.params.certificateNumber);
+
+  res.status(200).json({
+    status: 'success',
+    message: certificate.valid ? 'This certificate is valid' : 'This certificate has been revoked',
+    data: {
+      certificate
+    }
+  });
+});
+
+// List certificates with filters and pagination
+certificateControllers.fetchCertificates = catchAsync(async (req, res, next) => {
+  const { status, courseId, search } = req.query;
+  const filter = {};
+
+  if (status) {
+    if (!CERTIFICATE_STATUSES.includes(status)) {
+      return next(new AppError(`status must be one of: ${CERTIFICATE_STATUSES.join(', ')}`, 400));
+    }
+    filter.status = status;
+  }
+
+  if (courseId) {
+    if (!mongoose.isValidObjectId(courseId)) {
+      return next(new AppError('Invalid courseId', 400));
+    }
+    filter.course = courseId;
+  }
+
+  if (search) {
+    const pattern = { $regex: Pagination.escapeRegex(search), $options: 'i' };
+    filter.$or = [{ certificateNumber: pattern }, { studentName: pattern }, { studentId: pattern }];
+  }
+
+  const pagination = Pagination.fromQuery(req.query);
+  const { certificates, total } = await CertificateRepository.findPaginated(filter, pagination);
+
+  res.status(200).json({
+    status: 'success',
+    results: certificates.length,
+    pagination: Pagination.meta(total, pagination),
+    data: {
+      certificates
+    }
+  });
+});
+
+// Issue a student's certificate by hand (access-checked by authorizeStudentAccess)
+certificateControllers.issueCertificate = catchAsync(async (req, res, next) => {
+  const { completedAt } = req.body;
+  const date = completedAt ? new Date(completedAt) : new Date();
+
+  if (isNaN(date.getTime())) {
+    return next(new AppError('completedAt must be a valid date', 400));
+  }
+
+  const certificate = await certificateService.issue(req.student, { issuedBy: req.user, completedAt: date });
+
+  res.status(201).json({
+    status: 'success',
+    message: `Certificate ${certificate.certificateNumber} issued`,
+    data: {
+      certificate
+    }
+  });
+});
+
+// Certificates of a student (access-checked by authorizeStudentAccess)
+certificateControllers.fetchStudentCertificates = catchAsync(async (req, res, next) => {
+  const certificates = await CertificateRepository.findByStudent(req.student._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: certificates.length,
+    data: {
+      certificates
+    }
+  });
+});
+
+// Download the PDF of a certificate; revoked certificates only for admins
+certificateControllers.downloadCertificate = catchAsync(async (req, res, next) => {
+  const certificate = await certificateService.getCertificate(req.params.certificateId);
+  await assertCanAccessStudent(req.user, certificate.student);
+
+  if (certificate.status === 'revoked' && req.user.role !== 'admin') {
+    return next(new AppError('This certificate has been revoked', 400));
+  }
+
+  StoredPdfService.send(res, await certificateService.getDocument(certificate));
+});
+
+// Revoke a certificate
+certificateControllers.revokeCertificate = catchAsync(async (req, res, next) => {
+  const certificate = await certificateService.getCertificate(req.params.certificateId);
+  const revokedCertificate = await certificateService.revoke(certificate, req.user, req.body.reason);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Certificate ${revokedCertificate.certificateNumber} revoked`,
+    data: {
+      certificate: revokedCertificate
+    }
+  });
+});
+
+export default certificateControllers
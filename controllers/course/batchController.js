@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+import BatchRepository from "../../repositories/course/batchRepository.js";
+import StudentRepository from "../../repositories/user/studentRepository.js";
+import BatchService from "../../services/course/BatchService.js";
+import { BATCH_STATUSES } from "../../models/course/Batch.js";
+import AccessControl from "../../utils/accessControl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const batchService = new BatchService();
+
+// Trainers only see the batches they teach
+const assertCanViewBatch = (user, batch) => {
+  if (user.role === 'trainer' && !batch.trainers.some(trainer => AccessControl.sameId(trainer, user._id))) {
+    throw new AppError('You do not teach this batch', 403);
+  }
+};
+
+const batchControllers = {}
+
+// Create a batch
+batchControllers.createBatch = catchAsync(async (req, res, next) => {
+  const batch = await batchService.createBatch(req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Batch created successfully',
+    data: {
+      batch
+    }
+  });
+});
+
+// List batches, filtered by course, status or trainer
+batchControllers.fetchBatches = catchAsync(async (req, res, next) => {
+  const { course, status, trainer } = req.query;
+  const filter = {};
+
+  if ([course, trainer].some(id => id && !mongoose.isValidObjectId(id))) {
+    return next(new AppError('course and trainer must be valid ids', 400));
+  }
+
+  if (course) filter.course = course;
+  if (trainer) filter.trainers = trainer;
+
+  if (status) {
+    if (!BATCH_STATUSES.includes(status)) {
+      return next(new AppError(`status must be one of: ${BATCH_STATUSES.join(', ')}`, 400));
+    }
+    filter.status = status;
+  }
+
+  if (req.user.role === 'trainer') {
+    filter.trainers = req.user._id;
+  }
+
+  const batches = await BatchRepository.findAllBatches(filter);
+
+  res.status(200).json({
+    status: 'success',
+    results: batches.length,
+    data: {
+      batches
+    }
+  });
+});
+
+// Get a batch with its seat count
+batchControllers.getBatch = catchAsync(async (req, res, next) => {
+  const batch = await batchService.getBatch(req.params.batchId);
+  assertCanViewBatch(req.user, batch);
+
+  const [details, enrolled] = await Promise.all([
+    BatchRepository.findWithDetails(batch._id),
+    StudentRepository.countByBatch(batch._id)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      batch: details,
+      enrolled,
+      seatsLeft: Math.max(batch.capacity - enrolled, 0)
+    }
+  });
+});
+
+// Update a batch; students follow code, course and lead trainer changes
+batchControllers.updateBatch = catchAsync(async (req, res, next) => {
+  const batch = await batchService.getBatch(req.params.batchId);
+  const updatedBatch = await batchService.updateBatch(batch, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Batch updated successfully',
+    data: {
+      batch: updatedBatch
+    }
+  });
+});
+
+// Students enrolled in a batch
+batchControllers.fetchRoster = catchAsync(async (req, res, next) => {
+  const batch = await batchService.getBatch(req.params.batchId);
+  assertCanViewBatch(req.user, batch);
+
+  const students = await StudentRepository.findByBatch(batch._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: students.length,
+    data: {
+      batch: {
+        _id: batch._id,
+        code: batch.code,
+        name: batch.name,
+        capacity: batch.capacity
+      },
+      students
+    }
+  });
+});
+
+// Enrol students in a batch
+batchControllers.enrolStudents = catchAsync(async (req, res, next) => {
+  const { studentIds } = req.body;
+
+  if (!Array.isArray(studentIds) || !studentIds.length) {
+    return next(new AppError('Please provide a non-empty studentIds array', 400));
+  }
+
+  const batch = await batchService.getBatch(req.params.batchId);
+  const { enrolled, skipped } = await batchService.enrolStudents(batch, studentIds);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${enrolled.length} student(s) enrolled in ${batch.code}`,
+    results: enrolled.length,
+    data: {
+      enrolled,
+      skipped
+    }
+  });
+});
+
+// Move students to another batch
+batchControllers.moveStudents = catchAsync(async (req, res, next) => {
+  const { studentIds, targetBatchId } = req.body;
+
+  if (!Array.isArray(studentIds) || !studentIds.length || !targetBatchId) {
+    return next(new AppError('Please provide a non-empty studentIds array and the targetBatchId', 400));
+  }
+
+  const fromBatch = await batchService.getBatch(req.params.batchId);
+  const toBatch = await batchService.getBatch(targetBatchId);
+  const { moved, skipped } = await batchService.moveStudents(fromBatch, toBatch, studentIds);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${moved.length} student(s) moved to ${toBatch.code}`,
+    results: moved.length,
+    data: {
+      moved,
+      skipped
+    }
+  });
+});
+
+// Take a student out of a batch
+batchControllers.removeStudent = catchAsync(async (req, res, next) => {
+  const batch = await batchService.getBatch(req.params.batchId);
+  await batchService.removeStudent(batch, req.params.studentId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Student removed from the batch'
+  });
+});
+
+export default batchControllers
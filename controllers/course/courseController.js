@@ -1,14 +1,35 @@
 
 
+import mongoose from "mongoose";
 import CourseRepository from "../../repositories/course/courseRepository.js";
 import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+import Pagination from "../../utils/pagination.js";
 
+const COURSE_TYPES = ['internship', 'course_project'];
+const COURSE_LEVELS = ['short-term', 'beginner', 'intermediate', 'expert'];
+const COURSE_STATUSES = ['active', 'inactive'];
+const UPDATABLE_FIELDS = ['title', 'type', 'duration', 'fees', 'level', 'courseHead'];
+
+// Deleted courses are only visible to admins
+const findVisibleCourse = async (courseId, user) => {
+  if (!mongoose.isValidObjectId(courseId)) {
+    return null;
+  }
+
+  const course = await CourseRepository.findWithDetails(courseId);
+  if (!course || (course.isDeleted && user.role !== 'admin')) {
+    return null;
+  }
+
+  return course;
+};
 
 const courseControllers = {}
 
 courseControllers.createCourse = catchAsync(async (req, res, next) => {
-  
-  const data = req.body
+
+  const data = { ...req.body, createdBy: req.body.createdBy || req.user._id }
   const course = await CourseRepository.create(data);
 
   if (!course) {
@@ -17,10 +38,156 @@ courseControllers.createCourse = catchAsync(async (req, res, next) => {
 
   res.status(200).json({
     status: 'success',
-    message: 'course created successfully'
+    message: 'course created successfully',
+    data: {
+      course
+    }
+  });
+});
+
+// List courses with filters, title search and pagination
+courseControllers.fetchCourses = catchAsync(async (req, res, next) => {
+  const { type, level, status, search, includeDeleted } = req.query;
+  const filter = {};
+
+  if (type) {
+    if (!COURSE_TYPES.includes(type)) {
+      return next(new AppError(`type must be one of: ${COURSE_TYPES.join(', ')}`, 400));
+    }
+    filter.type = type;
+  }
+
+  if (level) {
+    if (!COURSE_LEVELS.includes(level)) {
+      return next(new AppError(`level must be one of: ${COURSE_LEVELS.join(', ')}`, 400));
+    }
+    filter.level = level;
+  }
+
+  if (status) {
+    if (!COURSE_STATUSES.includes(status)) {
+      return next(new AppError(`status must be one of: ${COURSE_STATUSES.join(', ')}`, 400));
+    }
+    filter.status = status;
+  }
+
+  if (search) {
+    filter.title = { $regex: Pagination.escapeRegex(search), $options: 'i' };
+  }
+
+  // includeDeleted is ignored for anyone but admins
+  if (!(req.user.role === 'admin' && includeDeleted === 'true')) {
+    filter.isDeleted = false;
+  }
+
+  const pagination = Pagination.fromQuery(req.query);
+  const { courses, total } = await CourseRepository.findPaginated(filter, pagination);
+
+  res.status(200).json({
+    status: 'success',
+    results: courses.length,
+    pagination: Pagination.meta(total, pagination),
+    data: {
+      courses
+    }
+  });
+});
+
+// Get a single course
+courseControllers.getCourse = catchAsync(async (req, res, next) => {
+  const course = await findVisibleCourse(req.params.courseId, req.user);
+
+  if (!course) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      course
+    }
+  });
+});
+
+// Update course details
+courseControllers.updateCourse = catchAsync(async (req, res, next) => {
+  const { courseId } = req.params;
+
+  const data = {};
+  UPDATABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  if (!Object.keys(data).length) {
+    return next(new AppError(`Provide at least one of: ${UPDATABLE_FIELDS.join(', ')}`, 400));
+  }
+
+  if (data.type && !COURSE_TYPES.includes(data.type)) {
+    return next(new AppError(`type must be one of: ${COURSE_TYPES.join(', ')}`, 400));
+  }
+
+  if (data.level && !COURSE_LEVELS.includes(data.level)) {
+    return next(new AppError(`level must be one of: ${COURSE_LEVELS.join(', ')}`, 400));
+  }
+
+  const course = await findVisibleCourse(courseId, req.user);
+  if (!course || course.isDeleted) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  const updatedCourse = await CourseRepository.update(courseId, data);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Course updated successfully',
+    data: {
+      course: updatedCourse
+    }
+  });
+});
+
+// Activate or deactivate a course
+courseControllers.updateCourseStatus = catchAsync(async (req, res, next) => {
+  const { courseId } = req.params;
+  const { status } = req.body;
+
+  if (!COURSE_STATUSES.includes(status)) {
+    return next(new AppError(`status must be one of: ${COURSE_STATUSES.join(', ')}`, 400));
+  }
+
+  const course = await findVisibleCourse(courseId, req.user);
+  if (!course || course.isDeleted) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  const updatedCourse = await CourseRepository.updateStatus(courseId, status);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Course marked as ${status}`,
+    data: {
+      course: updatedCourse
+    }
+  });
+});
+
+// Soft-delete a course
+courseControllers.deleteCourse = catchAsync(async (req, res, next) => {
+  const { courseId } = req.params;
+
+  const course = await findVisibleCourse(courseId, req.user);
+  if (!course || course.isDeleted) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  await CourseRepository.softDelete(courseId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Course deleted successfully'
   });
 });
 
 
 
-export default courseControllers
\ No newline at end of file
+export default courseControllers
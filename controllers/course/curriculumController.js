@@ -0,0 +1,190 @@
+import mongoose from "mongoose";
+import CourseRepository from "../../repositories/course/courseRepository.js";
+import CurriculumService from "../../services/course/CurriculumService.js";
+import ProgressService from "../../services/course/ProgressService.js";
+import FileUploadService from "../../services/FileUploadService.js";
+import { hasPermissions } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import AccessControl from "../../utils/accessControl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+import logger from "../../utils/logger.js";
+
+const curriculumService = new CurriculumService();
+const progressService = new ProgressService();
+
+const curriculumControllers = {}
+
+// Curriculum of a course; drafts are only included for people who can edit it
+curriculumControllers.getCurriculum = catchAsync(async (req, res, next) => {
+  const { courseId } = req.params;
+  const course = mongoose.isValidObjectId(courseId) ? await CourseRepository.findById(courseId) : null;
+
+  if (!course || (course.isDeleted && req.user.role !== 'admin')) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  const includeUnpublished = AccessControl.canEditCourse(req.user, course)
+    && (req.user.role !== 'admin' || hasPermissions(req.user, [PERMISSIONS.MANAGE_COURSES]));
+
+  const modules = await curriculumService.getCurriculum(course, { includeUnpublished });
+
+  res.status(200).json({
+    status: 'success',
+    results: modules.length,
+    data: {
+      courseId: course._id,
+      modules
+    }
+  });
+});
+
+// Add a module at the end of the course
+curriculumControllers.addModule = catchAsync(async (req, res, next) => {
+  const module = await curriculumService.addModule(req.course, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Module added successfully',
+    data: {
+      module
+    }
+  });
+});
+
+// Update a module's title or description
+curriculumControllers.updateModule = catchAsync(async (req, res, next) => {
+  const module = await curriculumService.getModule(req.course, req.params.moduleId);
+  const updatedModule = await curriculumService.updateModule(module, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Module updated successfully',
+    data: {
+      module: updatedModule
+    }
+  });
+});
+
+// Reorder the modules of a course
+curriculumControllers.reorderModules = catchAsync(async (req, res, next) => {
+  const modules = await curriculumService.reorderModules(req.course, req.body.moduleIds);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Modules reordered successfully',
+    data: {
+      modules
+    }
+  });
+});
+
+// Publish or unpublish a module
+curriculumControllers.setModulePublished = catchAsync(async (req, res, next) => {
+  const { isPublished } = req.body;
+
+  if (typeof isPublished !== 'boolean') {
+    return next(new AppError('isPublished must be a boolean', 400));
+  }
+
+  const module = await curriculumService.getModule(req.course, req.params.moduleId);
+  const updatedModule = await curriculumService.setModulePublished(module, isPublished);
+
+  // The set of lessons counted in Student.progress changed
+  await progressService.recomputeCourseProgress(req.course._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Module ${isPublished ? 'published' : 'unpublished'} successfully`,
+    data: {
+      module: updatedModule
+    }
+  });
+});
+
+// Add a lesson at the end of a module
+curriculumControllers.addLesson = catchAsync(async (req, res, next) => {
+  const module = await curriculumService.getModule(req.course, req.params.moduleId);
+  const lesson = await curriculumService.addLesson(module, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Lesson added successfully',
+    data: {
+      lesson
+    }
+  });
+});
+
+// Update a lesson, optionally moving it to another module
+curriculumControllers.updateLesson = catchAsync(async (req, res, next) => {
+  const lesson = await curriculumService.getLesson(req.course, req.params.lessonId);
+  const updatedLesson = await curriculumService.updateLesson(lesson, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Lesson updated successfully',
+    data: {
+      lesson: updatedLesson
+    }
+  });
+});
+
+// Reorder the lessons of a module
+curriculumControllers.reorderLessons = catchAsync(async (req, res, next) => {
+  const module = await curriculumService.getModule(req.course, req.params.moduleId);
+  const lessons = await curriculumService.reorderLessons(module, req.body.lessonIds);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Lessons reordered successfully',
+    data: {
+      lessons
+    }
+  });
+});
+
+// Publish or unpublish a lesson
+curriculumControllers.setLessonPublished = catchAsync(async (req, res, next) => {
+  const { isPublished } = req.body;
+
+  if (typeof isPublished !== 'boolean') {
+    return next(new AppError('isPublished must be a boolean', 400));
+  }
+
+  const lesson = await curriculumService.getLesson(req.course, req.params.lessonId);
+  const updatedLesson = await curriculumService.setLessonPublished(lesson, isPublished);
+
+  await progressService.recomputeCourseProgress(req.course._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Lesson ${isPublished ? 'published' : 'unpublished'} successfully`,
+    data: {
+      lesson: updatedLesson
+    }
+  });
+});
+
+// Remove an attachment from a lesson and delete the stored file
+curriculumControllers.removeAttachment = catchAsync(async (req, res, next) => {
+  const lesson = await curriculumService.getLesson(req.course, req.params.lessonId);
+  const attachment = await curriculumService.removeAttachment(lesson, req.params.attachmentId);
+
+  try {
+    const fileUploadService = new FileUploadService();
+    await fileUploadService.deleteFile(attachment.url, { storageType: attachment.storageType });
+  } catch (error) {
+    logger.warn(`Could not delete lesson attachment ${attachment.url}: ${error.message}`);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Attachment removed successfully',
+    data: {
+      lesson
+    }
+  });
+});
+
+export default curriculumControllers
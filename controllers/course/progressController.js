@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import CurriculumService from "../../services/course/CurriculumService.js";
+import ProgressService, { DEFAULT_STALLED_DAYS } from "../../services/course/ProgressService.js";
+import AccessControl from "../../utils/accessControl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const curriculumService = new CurriculumService();
+const progressService = new ProgressService();
+
+const progressControllers = {}
+
+// Record a student's time, video position or completion on a lesson
+progressControllers.recordLessonProgress = catchAsync(async (req, res, next) => {
+  const { courseId, lessonId } = req.params;
+
+  if (!mongoose.isValidObjectId(courseId)) {
+    return next(new AppError('Lesson not found', 404));
+  }
+
+  const lesson = await curriculumService.getLesson({ _id: courseId }, lessonId);
+  const { progress, courseProgress } = await progressService.recordProgress(req.user, lesson, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      progress,
+      courseProgress
+    }
+  });
+});
+
+// Lesson-by-lesson progress of a student (access-checked by authorizeStudentAccess)
+progressControllers.getStudentProgress = catchAsync(async (req, res, next) => {
+  const progress = await progressService.getStudentProgress(req.student);
+
+  res.status(200).json({
+    status: 'success',
+    data: progress
+  });
+});
+
+// Where the student left off; resume is null once every lesson is completed
+progressControllers.getResumePoint = catchAsync(async (req, res, next) => {
+  const resume = await progressService.getResumePoint(req.student);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      resume
+    }
+  });
+});
+
+// Students who have not touched a lesson for a number of days; trainers only see their own students
+progressControllers.fetchStalledStudents = catchAsync(async (req, res, next) => {
+  const filter = AccessControl.studentScopeFilter(req.user);
+  if (!filter) {
+    return next(new AppError('You do not have permission', 403));
+  }
+
+  const days = req.query.days !== undefined ? Number(req.query.days) : DEFAULT_STALLED_DAYS;
+  if (!Number.isInteger(days) || days < 1) {
+    return next(new AppError('days must be a positive integer', 400));
+  }
+
+  if (req.query.courseId) {
+    if (!mongoose.isValidObjectId(req.query.courseId)) {
+      return next(new AppError('Invalid courseId', 400));
+    }
+    filter.course = req.query.courseId;
+  }
+
+  const students = await progressService.findStalledStudents(filter, days);
+
+  res.status(200).json({
+    status: 'success',
+    results: students.length,
+    data: {
+      days,
+      students
+    }
+  });
+});
+
+export default progressControllers
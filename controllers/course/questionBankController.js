@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import CourseRepository from "../../repositories/course/courseRepository.js";
+import BankQuestionRepository from "../../repositories/course/bankQuestionRepository.js";
+import QuestionBankService from "../../services/course/QuestionBankService.js";
+import QuizService from "../../services/course/QuizService.js";
+import Pagination from "../../utils/pagination.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const questionBankService = new QuestionBankService();
+const quizService = new QuizService();
+
+// Course of the route for read-only endpoints; the course head, its batch trainers and admins may read the bank
+const loadReviewedCourse = async (courseId, user) => {
+  const course = mongoose.isValidObjectId(courseId) ? await CourseRepository.findById(courseId) : null;
+  if (!course || course.isDeleted) {
+    throw new AppError('Course not found', 404);
+  }
+  await quizService.assertCanReview(user, course);
+  return course;
+};
+
+const questionBankControllers = {}
+
+// List bank questions with filters and pagination
+questionBankControllers.fetchQuestions = catchAsync(async (req, res, next) => {
+  const course = await loadReviewedCourse(req.params.courseId, req.user);
+  const filter = questionBankService.buildFilter(course, req.query);
+
+  const pagination = Pagination.fromQuery(req.query);
+  const { questions, total } = await BankQuestionRepository.findPaginated(filter, pagination);
+
+  res.status(200).json({
+    status: 'success',
+    results: questions.length,
+    pagination: Pagination.meta(total, pagination),
+    data: {
+      questions
+    }
+  });
+});
+
+// Question counts per topic and difficulty
+questionBankControllers.getSummary = catchAsync(async (req, res, next) => {
+  const course = await loadReviewedCourse(req.params.courseId, req.user);
+  const topics = await questionBankService.getSummary(course);
+
+  res.status(200).json({
+    status: 'success',
+    results: topics.length,
+    data: {
+      topics
+    }
+  });
+});
+
+// Download bank questions as CSV or JSON
+questionBankControllers.exportQuestions = catchAsync(async (req, res, next) => {
+  const course = await loadReviewedCourse(req.params.courseId, req.user);
+  const filter = questionBankService.buildFilter(course, req.query);
+
+  const file = await questionBankService.exportQuestions(course, filter, req.query.format || 'json');
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.status(200).send(file.content);
+});
+
+// Add a question to the bank
+questionBankControllers.createQuestion = catchAsync(async (req, res, next) => {
+  const question = await questionBankService.createQuestion(req.course, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Question added to the bank',
+    data: {
+      question
+    }
+  });
+});
+
+// Import questions from a CSV/JSON file or a JSON body
+questionBankControllers.importQuestions = catchAsync(async (req, res, next) => {
+  const questions = questionBankService.readImport(req.file, req.body);
+  const dryRun = req.query.dryRun === 'true';
+
+  const { imported, skipped } = await questionBankService.importQuestions(req.course, questions, req.user, { dryRun });
+
+  res.status(dryRun ? 200 : 201).json({
+    status: 'success',
+    message: dryRun
+      ? `${imported} question(s) would be imported, ${skipped.length} skipped`
+      : `${imported} question(s) imported, ${skipped.length} skipped`,
+    data: {
+      imported,
+      skipped
+    }
+  });
+});
+
+// Update a bank question
+questionBankControllers.updateQuestion = catchAsync(async (req, res, next) => {
+  const question = await questionBankService.getQuestion(req.course, req.params.questionId);
+  const updatedQuestion = await questionBankService.updateQuestion(question, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Question updated successfully',
+    data: {
+      question: updatedQuestion
+    }
+  });
+});
+
+// Delete a bank question; attempts that used it keep their copy
+questionBankControllers.deleteQuestion = catchAsync(async (req, res, next) => {
+  const question = await questionBankService.getQuestion(req.course, req.params.questionId);
+  await BankQuestionRepository.delete(question._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Question deleted successfully'
+  });
+});
+
+export default questionBankControllers
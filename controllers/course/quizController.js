@@ -0,0 +1,225 @@
+import mongoose from "mongoose";
+import CourseRepository from "../../repositories/course/courseRepository.js";
+import QuizAttemptRepository from "../../repositories/course/quizAttemptRepository.js";
+import StudentRepository from "../../repositories/user/studentRepository.js";
+import CurriculumService from "../../services/course/CurriculumService.js";
+import ProgressService from "../../services/course/ProgressService.js";
+import QuizService from "../../services/course/QuizService.js";
+import AccessControl from "../../utils/accessControl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const curriculumService = new CurriculumService();
+const progressService = new ProgressService();
+const quizService = new QuizService();
+
+// Course of the route, for endpoints not behind authorizeCourseEditor
+const loadCourse = async (courseId) => {
+  const course = mongoose.isValidObjectId(courseId) ? await CourseRepository.findById(courseId) : null;
+  if (!course || course.isDeleted) {
+    throw new AppError('Course not found', 404);
+  }
+  return course;
+};
+
+// Quiz and attempt of the route; students may only open their own attempts
+const loadAttempt = async (req) => {
+  const course = await loadCourse(req.params.courseId);
+  const quiz = await quizService.getQuiz(course, req.params.quizId);
+  const attempt = await quizService.getAttempt(quiz, req.params.attemptId);
+
+  if (req.user.role === 'student') {
+    if (!AccessControl.sameId(attempt.student, req.user._id)) {
+      throw new AppError('Attempt not found', 404);
+    }
+  } else {
+    await quizService.assertCanReview(req.user, course);
+  }
+
+  return { course, quiz, attempt };
+};
+
+const quizControllers = {}
+
+// Add a quiz to a module
+quizControllers.createQuiz = catchAsync(async (req, res, next) => {
+  const module = await curriculumService.getModule(req.course, req.params.moduleId);
+  const quiz = await quizService.createQuiz(module, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Quiz created successfully',
+    data: {
+      quiz
+    }
+  });
+});
+
+// Get a quiz; reviewers get the questions and answer keys, students a summary and their attempts
+quizControllers.getQuiz = catchAsync(async (req, res, next) => {
+  const course = await loadCourse(req.params.courseId);
+  const quiz = await quizService.getQuiz(course, req.params.quizId);
+
+  if (req.user.role === 'student') {
+    const student = await StudentRepository.findById(req.user._id);
+    await quizService.assertCanTake(student, quiz);
+    const attempts = await QuizAttemptRepository.findByStudent(quiz._id, student._id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        quiz: quizService.presentQuiz(quiz),
+        attempts: attempts.map(attempt => quizService.presentAttempt(attempt, quiz))
+      }
+    });
+  }
+
+  await quizService.assertCanReview(req.user, course);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quiz
+    }
+  });
+});
+
+// Update quiz settings or replace its questions
+quizControllers.updateQuiz = catchAsync(async (req, res, next) => {
+  const quiz = await quizService.getQuiz(req.course, req.params.quizId);
+  const updatedQuiz = await quizService.updateQuiz(quiz, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Quiz updated successfully',
+    data: {
+      quiz: updatedQuiz
+    }
+  });
+});
+
+// Publish or unpublish a quiz
+quizControllers.setQuizPublished = catchAsync(async (req, res, next) => {
+  const { isPublished } = req.body;
+
+  if (typeof isPublished !== 'boolean') {
+    return next(new AppError('isPublished must be a boolean', 400));
+  }
+
+  const quiz = await quizService.getQuiz(req.course, req.params.quizId);
+  const updatedQuiz = await quizService.setPublished(quiz, isPublished);
+
+  // Published quizzes count towards Student.progress
+  await progressService.recomputeCourseProgress(req.course._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Quiz ${isPublished ? 'published' : 'unpublished'} successfully`,
+    data: {
+      quiz: updatedQuiz
+    }
+  });
+});
+
+// Start an attempt, or resume the one in progress
+quizControllers.startAttempt = catchAsync(async (req, res, next) => {
+  const course = await loadCourse(req.params.courseId);
+  const quiz = await quizService.getQuiz(course, req.params.quizId);
+  const student = await StudentRepository.findById(req.user._id);
+
+  const { attempt, resumed } = await quizService.startAttempt(quiz, student);
+
+  res.status(resumed ? 200 : 201).json({
+    status: 'success',
+    message: resumed ? 'Attempt resumed' : 'Attempt started',
+    data: {
+      attempt: quizService.presentAttempt(attempt, quiz)
+    }
+  });
+});
+
+// Attempts of a quiz; students get their own, reviewers everyone's
+quizControllers.fetchAttempts = catchAsync(async (req, res, next) => {
+  const course = await loadCourse(req.params.courseId);
+  const quiz = await quizService.getQuiz(course, req.params.quizId);
+  let attempts;
+
+  if (req.user.role === 'student') {
+    attempts = (await QuizAttemptRepository.findByStudent(quiz._id, req.user._id))
+      .map(attempt => quizService.presentAttempt(attempt, quiz));
+  } else {
+    await quizService.assertCanReview(req.user, course);
+    const filter = req.query.studentId && mongoose.isValidObjectId(req.query.studentId) ? { student: req.query.studentId } : {};
+    attempts = (await QuizAttemptRepository.findByQuiz(quiz._id, filter))
+      .map(attempt => quizService.presentAttempt(attempt, quiz, { reviewer: true }));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: attempts.length,
+    data: {
+      attempts
+    }
+  });
+});
+
+// Get one attempt
+quizControllers.getAttempt = catchAsync(async (req, res, next) => {
+  const { quiz, attempt } = await loadAttempt(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      attempt: quizService.presentAttempt(attempt, quiz, { reviewer: req.user.role !== 'student' })
+    }
+  });
+});
+
+// Save answers of an attempt in progress
+quizControllers.saveResponses = catchAsync(async (req, res, next) => {
+  const { quiz, attempt } = await loadAttempt(req);
+  const updatedAttempt = await quizService.saveResponses(attempt, quiz, req.body.responses);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Answers saved',
+    data: {
+      attempt: quizService.presentAttempt(updatedAttempt, quiz)
+    }
+  });
+});
+
+// Submit an attempt; it is graded straight away
+quizControllers.submitAttempt = catchAsync(async (req, res, next) => {
+  const { quiz, attempt } = await loadAttempt(req);
+  const gradedAttempt = await quizService.submitAttempt(attempt, quiz, req.body.responses);
+
+  res.status(200).json({
+    status: 'success',
+    message: gradedAttempt.timedOut
+      ? 'The time limit had passed; only answers saved in time were graded'
+      : 'Attempt submitted and graded',
+    data: {
+      attempt: quizService.presentAttempt(gradedAttempt, quiz)
+    }
+  });
+});
+
+// Scores and per-question analytics of a quiz
+quizControllers.getAnalytics = catchAsync(async (req, res, next) => {
+  const course = await loadCourse(req.params.courseId);
+  const quiz = await quizService.getQuiz(course, req.params.quizId);
+  await quizService.assertCanReview(req.user, course);
+
+  const analytics = await quizService.getAnalytics(quiz);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quiz: { _id: quiz._id, title: quiz.title, passingScore: quiz.passingScore },
+      ...analytics
+    }
+  });
+});
+
+export default quizControllers
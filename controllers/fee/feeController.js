@@ -0,0 +1,209 @@
+import mongoose from "mongoose";
+import FeeTransactionRepository from "../../repositories/fee/feeTransactionRepository.js";
+import InvoiceRepository from "../../repositories/fee/invoiceRepository.js";
+import StudentRepository from "../../repositories/user/studentRepository.js";
+import FeeService from "../../services/fee/FeeService.js";
+import StoredPdfService from "../../services/StoredPdfService.js";
+import { TRANSACTION_TYPES, PAYMENT_MODES } from "../../models/fee/FeeTransaction.js";
+import AccessControl from "../../utils/accessControl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+import Pagination from "../../utils/pagination.js";
+
+const feeService = new FeeService();
+
+// Load a ledger entry or fail with 404
+const loadTransaction = async (transactionId) => {
+  const transaction = mongoose.isValidObjectId(transactionId) ? await FeeTransactionRepository.findById(transactionId) : null;
+
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+
+  return transaction;
+};
+
+// Parents and students may only fetch documents of students they can access
+// (admins are already checked for manage_payments by the route)
+const assertCanAccessStudent = async (user, studentId) => {
+  if (user.role === 'admin') return;
+
+  const student = await StudentRepository.findById(studentId);
+  if (!student || !AccessControl.canAccessStudent(user, student)) {
+    throw new AppError('You do not have access to this student', 403);
+  }
+};
+
+const feeControllers = {}
+
+// Fee totals, instalments and ledger of a student (access-checked by authorizeStudentAccess)
+feeControllers.getStatement = catchAsync(async (req, res, next) => {
+  const statement = await feeService.getStatement(req.student);
+
+  res.status(200).json({
+    status: 'success',
+    data: statement
+  });
+});
+
+// Record a payment
+feeControllers.recordPayment = catchAsync(async (req, res, next) => {
+  const payment = await feeService.recordPayment(req.student, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: `Payment recorded with receipt ${payment.receiptNumber}`,
+    data: {
+      payment
+    }
+  });
+});
+
+// Grant a discount or scholarship
+feeControllers.addConcession = catchAsync(async (req, res, next) => {
+  const concession = await feeService.addConcession(req.student, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: `${concession.type === 'discount' ? 'Discount' : 'Scholarship'} recorded successfully`,
+    data: {
+      concession
+    }
+  });
+});
+
+// Check the student's fee totals against the ledger and correct any drift
+feeControllers.reconcileFee = catchAsync(async (req, res, next) => {
+  const result = await feeService.reconcileStudentFee(req.student, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: result.corrected ? 'Fee totals corrected from the ledger' : 'Fee totals match the ledger',
+    data: result
+  });
+});
+
+// Set or replace the instalment plan
+feeControllers.setPlan = catchAsync(async (req, res, next) => {
+  const plan = await feeService.setPlan(req.student, req.body, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Instalment plan saved successfully',
+    data: {
+      plan,
+      instalments: feeService.allocateInstalments(plan, req.student)
+    }
+  });
+});
+
+// Refund (part of) a payment
+feeControllers.refundPayment = catchAsync(async (req, res, next) => {
+  const payment = await loadTransaction(req.params.transactionId);
+  const refund = await feeService.recordRefund(payment, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: `Refund recorded against ${payment.receiptNumber}`,
+    data: {
+      refund
+    }
+  });
+});
+
+// Download the PDF receipt of a payment
+feeControllers.downloadReceipt = catchAsync(async (req, res, next) => {
+  const payment = await loadTransaction(req.params.transactionId);
+  await assertCanAccessStudent(req.user, payment.student);
+
+  StoredPdfService.send(res, await feeService.getReceiptDocument(payment._id));
+});
+
+// Issue an invoice (access-checked by authorizeStudentAccess)
+feeControllers.issueInvoice = catchAsync(async (req, res, next) => {
+  const invoice = await feeService.issueInvoice(req.student, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: `Invoice ${invoice.invoiceNumber} issued`,
+    data: {
+      invoice
+    }
+  });
+});
+
+// Invoices of a student (access-checked by authorizeStudentAccess)
+feeControllers.fetchStudentInvoices = catchAsync(async (req, res, next) => {
+  const invoices = await InvoiceRepository.findByStudent(req.student._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: invoices.length,
+    data: {
+      invoices
+    }
+  });
+});
+
+// Download the PDF of an invoice
+feeControllers.downloadInvoice = catchAsync(async (req, res, next) => {
+  const { invoiceId } = req.params;
+  const invoice = mongoose.isValidObjectId(invoiceId) ? await InvoiceRepository.findById(invoiceId) : null;
+
+  if (!invoice) {
+    return next(new AppError('Invoice not found', 404));
+  }
+  await assertCanAccessStudent(req.user, invoice.student);
+
+  StoredPdfService.send(res, await feeService.getInvoiceDocument(invoice._id));
+});
+
+// Ledger across all students, for the accounts team
+feeControllers.fetchTransactions = catchAsync(async (req, res, next) => {
+  const { type, mode, studentId, from, to } = req.query;
+  const filter = {};
+
+  if (type) {
+    if (!TRANSACTION_TYPES.includes(type)) {
+      return next(new AppError(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`, 400));
+    }
+    filter.type = type;
+  }
+
+  if (mode) {
+    if (!PAYMENT_MODES.includes(mode)) {
+      return next(new AppError(`mode must be one of: ${PAYMENT_MODES.join(', ')}`, 400));
+    }
+    filter.mode = mode;
+  }
+
+  if (studentId) {
+    if (!mongoose.isValidObjectId(studentId)) {
+      return next(new AppError('Invalid studentId', 400));
+    }
+    filter.student = studentId;
+  }
+
+  if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+    return next(new AppError('from and to must be valid dates', 400));
+  }
+  if (from || to) {
+    filter.paidAt = {};
+    if (from) filter.paidAt.$gte = new Date(from);
+    if (to) filter.paidAt.$lte = new Date(to);
+  }
+
+  const pagination = Pagination.fromQuery(req.query);
+  const { transactions, total } = await FeeTransactionRepository.findPaginated(filter, pagination);
+
+  res.status(200).json({
+    status: 'success',
+    results: transactions.length,
+    pagination: Pagination.meta(total, pagination),
+    data: {
+      transactions
+    }
+  });
+});
+
+export default feeControllers
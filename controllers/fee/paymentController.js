@@ -0,0 +1,101 @@
+import PaymentOrderRepository from "../../repositories/fee/paymentOrderRepository.js";
+import StudentRepository from "../../repositories/user/studentRepository.js";
+import PaymentService from "../../services/payment/PaymentService.js";
+import { hasPermissions } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import AccessControl from "../../utils/accessControl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const paymentService = new PaymentService();
+
+// Load an order the caller may see: admins with manage_payments, or whoever can access the student
+const loadOrder = async (orderId, user) => {
+  const order = await paymentService.getOrder(orderId);
+
+  if (user.role === 'admin') {
+    if (!hasPermissions(user, [PERMISSIONS.MANAGE_PAYMENTS])) {
+      throw new AppError(`You need the ${PERMISSIONS.MANAGE_PAYMENTS} permission to do this`, 403);
+    }
+    return order;
+  }
+
+  const student = await StudentRepository.findById(order.student);
+  if (!student || !AccessControl.canAccessStudent(user, student)) {
+    throw new AppError('Payment order not found', 404);
+  }
+
+  return order;
+};
+
+const paymentControllers = {}
+
+// Start an online payment for a student (access-checked by authorizeStudentAccess)
+paymentControllers.createOrder = catchAsync(async (req, res, next) => {
+  const { order, checkout } = await paymentService.createOrder(req.student, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Payment order created',
+    data: {
+      order,
+      checkout
+    }
+  });
+});
+
+// Online payment orders of a student (access-checked by authorizeStudentAccess)
+paymentControllers.fetchStudentOrders = catchAsync(async (req, res, next) => {
+  const orders = await PaymentOrderRepository.findByStudent(req.student._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: orders.length,
+    data: {
+      orders
+    }
+  });
+});
+
+// Status of a payment order, polled by the client after checkout
+paymentControllers.getOrder = catchAsync(async (req, res, next) => {
+  const order = await loadOrder(req.params.orderId, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      order
+    }
+  });
+});
+
+// Gateway webhook; answered with 200 once handled (or already handled) so it is not redelivered
+paymentControllers.handleWebhook = catchAsync(async (req, res, next) => {
+  const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+// Pay or fail a fake-provider order without a gateway (development and tests)
+paymentControllers.simulatePayment = catchAsync(async (req, res, next) => {
+  const { outcome = 'captured' } = req.body;
+
+  if (!['captured', 'failed'].includes(outcome)) {
+    return next(new AppError('outcome must be one of: captured, failed', 400));
+  }
+
+  const order = await loadOrder(req.params.orderId, req.user);
+  await paymentService.simulate(order, outcome);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      order: await PaymentOrderRepository.findById(order._id)
+    }
+  });
+});
+
+export default paymentControllers
@@ -0,0 +1,120 @@
+import ForumService from "../../services/forum/ForumService.js";
+import catchAsync from "../../utils/catchAsync.js";
+import Pagination from "../../utils/pagination.js";
+
+const forumService = new ForumService();
+
+const forumControllers = {}
+
+// Threads of a course or batch, or every thread the caller can see
+forumControllers.fetchThreads = catchAsync(async (req, res, next) => {
+  const { threads, total, pagination } = await forumService.listThreads(req.query, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    results: threads.length,
+    pagination: Pagination.meta(total, pagination),
+    data: {
+      threads
+    }
+  });
+});
+
+// Start a thread, with optional attachments in the `attachments` field
+forumControllers.createThread = catchAsync(async (req, res, next) => {
+  const thread = await forumService.createThread(req.body || {}, req.files?.attachments, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Thread created',
+    data: {
+      thread
+    }
+  });
+});
+
+// Students and trainers of a course or batch forum, for @mentions
+forumControllers.fetchMembers = catchAsync(async (req, res, next) => {
+  const members = await forumService.getMembers(req.query, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    results: members.length,
+    data: {
+      members
+    }
+  });
+});
+
+// A thread with a page of its replies
+forumControllers.getThread = catchAsync(async (req, res, next) => {
+  const thread = await forumService.getThread(req.params.threadId, req.user);
+  const { replies, total, pagination } = await forumService.listReplies(thread, req.query, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    results: replies.length,
+    pagination: Pagination.meta(total, pagination),
+    data: {
+      thread,
+      replies
+    }
+  });
+});
+
+// Reply to a thread, with optional attachments in the `attachments` field
+forumControllers.createReply = catchAsync(async (req, res, next) => {
+  const thread = await forumService.getThread(req.params.threadId, req.user);
+  const reply = await forumService.reply(thread, req.body || {}, req.files?.attachments, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Reply posted',
+    data: {
+      reply
+    }
+  });
+});
+
+// Mark the accepted answer of a thread, or clear it with replyId null
+forumControllers.acceptAnswer = catchAsync(async (req, res, next) => {
+  const thread = await forumService.getThread(req.params.threadId, req.user);
+  const updatedThread = await forumService.acceptAnswer(thread, req.body?.replyId, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: updatedThread.acceptedAnswer ? 'Answer accepted' : 'Accepted answer cleared',
+    data: {
+      thread: updatedThread
+    }
+  });
+});
+
+// Pin, lock or hide a thread
+forumControllers.moderateThread = catchAsync(async (req, res, next) => {
+  const thread = await forumService.getThread(req.params.threadId, req.user);
+  const updatedThread = await forumService.moderateThread(thread, req.body || {}, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Thread updated',
+    data: {
+      thread: updatedThread
+    }
+  });
+});
+
+// Hide a reply or show it again
+forumControllers.moderateReply = catchAsync(async (req, res, next) => {
+  const reply = await forumService.moderateReply(req.params.replyId, req.body || {}, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: reply.isHidden ? 'Reply hidden' : 'Reply shown',
+    data: {
+      reply
+    }
+  });
+});
+
+export default forumControllers
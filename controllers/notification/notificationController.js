@@ -0,0 +1,166 @@
+import mongoose from "mongoose";
+import EmailNotificationRepository from "../../repositories/notification/emailNotificationRepository.js";
+import NotificationService from "../../services/notification/NotificationService.js";
+import InboxService from "../../services/notification/InboxService.js";
+import { EMAIL_STATUSES } from "../../models/notification/EmailNotification.js";
+import { EMAIL_TEMPLATES } from "../../services/notification/emailTemplates.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+import Pagination from "../../utils/pagination.js";
+
+const notificationService = new NotificationService();
+const inboxService = new InboxService();
+
+const findEmail = async (notificationId) => {
+  const notification = mongoose.isValidObjectId(notificationId)
+    ? await EmailNotificationRepository.findById(notificationId)
+    : null;
+
+  if (!notification) {
+    throw new AppError('Email not found', 404);
+  }
+  return notification;
+};
+
+const notificationControllers = {}
+
+// The caller's in-app notifications, newest first, with their unread count
+notificationControllers.fetchInbox = catchAsync(async (req, res, next) => {
+  const { notifications, total, unreadCount, pagination } = await inboxService.list(req.user, req.query);
+
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    pagination: Pagination.meta(total, pagination),
+    data: {
+      unreadCount,
+      notifications
+    }
+  });
+});
+
+// Live stream of the caller's notifications (Server-Sent Events); stays open
+notificationControllers.streamInbox = catchAsync(async (req, res, next) => {
+  await inboxService.openStream(req, res);
+});
+
+// Mark one of the caller's notifications read
+notificationControllers.markRead = catchAsync(async (req, res, next) => {
+  const { notification, unreadCount } = await inboxService.markRead(req.user, req.params.notificationId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      unreadCount,
+      notification
+    }
+  });
+});
+
+// Mark all of the caller's notifications read
+notificationControllers.markAllRead = catchAsync(async (req, res, next) => {
+  const count = await inboxService.markAllRead(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${count} notification(s) marked read`,
+    data: {
+      unreadCount: 0
+    }
+  });
+});
+
+// Email delivery log with filters and pagination, newest first
+notificationControllers.fetchEmails = catchAsync(async (req, res, next) => {
+  const { status, template, to } = req.query;
+  const filter = {};
+
+  if (status) {
+    if (!EMAIL_STATUSES.includes(status)) {
+      return next(new AppError(`status must be one of: ${EMAIL_STATUSES.join(', ')}`, 400));
+    }
+    filter.status = status;
+  }
+
+  if (template) {
+    if (!EMAIL_TEMPLATES[template]) {
+      return next(new AppError(`template must be one of: ${Object.keys(EMAIL_TEMPLATES).join(', ')}`, 400));
+    }
+    filter.template = template;
+  }
+
+  if (to) {
+    filter.to = { $regex: Pagination.escapeRegex(to), $options: 'i' };
+  }
+
+  const pagination = Pagination.fromQuery(req.query);
+  const [{ notifications, total }, statusCounts] = await Promise.all([
+    EmailNotificationRepository.findPaginated(filter, pagination),
+    EmailNotificationRepository.countByStatus()
+  ]);
+
+  const counts = Object.fromEntries(EMAIL_STATUSES.map(key => [key, 0]));
+  statusCounts.forEach(({ _id, count }) => { counts[_id] = count });
+
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    pagination: Pagination.meta(total, pagination),
+    data: {
+      counts,
+      emails: notifications
+    }
+  });
+});
+
+// A logged email with its content and delivery attempts
+notificationControllers.getEmail = catchAsync(async (req, res, next) => {
+  const email = await findEmail(req.params.notificationId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      email
+    }
+  });
+});
+
+// Queue a failed email again
+notificationControllers.retryEmail = catchAsync(async (req, res, next) => {
+  const notification = await findEmail(req.params.notificationId);
+  const email = await notificationService.retry(notification);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Email to ${email.to} queued again`,
+    data: {
+      email
+    }
+  });
+});
+
+// Remind students and parents of overdue fees and fees falling due within `days`
+notificationControllers.sendFeeReminders = catchAsync(async (req, res, next) => {
+  const { days } = req.body || {};
+  const result = await notificationService.sendFeeReminders({ days: days === undefined ? undefined : Number(days) }, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${result.queued} fee reminder(s) queued`,
+    data: result
+  });
+});
+
+// Remind students of assignments due within `hours` that they have not submitted
+notificationControllers.sendAssignmentReminders = catchAsync(async (req, res, next) => {
+  const { hours } = req.body || {};
+  const result = await notificationService.sendAssignmentReminders({ hours: hours === undefined ? undefined : Number(hours) }, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${result.queued} assignment reminder(s) queued`,
+    data: result
+  });
+});
+
+export default notificationControllers
@@ -0,0 +1,268 @@
+import mongoose from "mongoose";
+import JobOpeningRepository from "../../repositories/placement/jobOpeningRepository.js";
+import ApplicationRepository from "../../repositories/placement/applicationRepository.js";
+import PlacementService from "../../services/placement/PlacementService.js";
+import { APPLICATION_STATUSES } from "../../models/placement/Application.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+import Pagination from "../../utils/pagination.js";
+
+const placementService = new PlacementService();
+
+const JOB_FIELDS = ['title', 'company', 'description', 'location', 'employmentType', 'salary', 'skills', 'openings', 'eligibleCourses', 'deadline', 'status'];
+const JOB_STATUSES = ['open', 'closed', 'filled'];
+
+// Pick the editable job fields and check the ones mongoose would only reject with a 500
+const buildJobData = (body) => {
+  const data = {};
+  JOB_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  if (data.status && !JOB_STATUSES.includes(data.status)) {
+    return { error: `status must be one of: ${JOB_STATUSES.join(', ')}` };
+  }
+  if (data.openings !== undefined && (!Number.isInteger(data.openings) || data.openings < 1)) {
+    return { error: 'openings must be a positive integer' };
+  }
+  if (data.salary?.min !== undefined && data.salary?.max !== undefined && data.salary.min > data.salary.max) {
+    return { error: 'salary.min cannot be greater than salary.max' };
+  }
+
+  return { data };
+};
+
+// Load an application or fail with 404
+const loadApplication = async (applicationId) => {
+  if (!mongoose.isValidObjectId(applicationId)) {
+    throw new AppError('Application not found', 404);
+  }
+
+  const application = await ApplicationRepository.findById(applicationId);
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  return application;
+};
+
+const placementControllers = {}
+
+// Create a job opening
+placementControllers.createJob = catchAsync(async (req, res, next) => {
+  const { data, error } = buildJobData(req.body);
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  if (!data.title || !data.company) {
+    return next(new AppError('Please provide the job title and company', 400));
+  }
+
+  const job = await JobOpeningRepository.create({ ...data, createdBy: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Job opening created successfully',
+    data: {
+      job
+    }
+  });
+});
+
+// List job openings; students only see open ones
+placementControllers.fetchJobs = catchAsync(async (req, res, next) => {
+  const filter = {};
+
+  if (req.user.role === 'student') {
+    filter.status = 'open';
+  } else if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  if (req.query.company) {
+    filter.company = { $regex: Pagination.escapeRegex(req.query.company), $options: 'i' };
+  }
+
+  const jobs = await JobOpeningRepository.findAllJobs(filter);
+
+  res.status(200).json({
+    status: 'success',
+    results: jobs.length,
+    data: {
+      jobs
+    }
+  });
+});
+
+// Get a single job opening
+placementControllers.getJob = catchAsync(async (req, res, next) => {
+  const job = await JobOpeningRepository.findById(req.params.jobId);
+
+  if (!job || (req.user.role === 'student' && job.status !== 'open')) {
+    return next(new AppError('Job opening not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      job
+    }
+  });
+});
+
+// Update a job opening
+placementControllers.updateJob = catchAsync(async (req, res, next) => {
+  const { data, error } = buildJobData(req.body);
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  const job = await JobOpeningRepository.update(req.params.jobId, data);
+  if (!job) {
+    return next(new AppError('Job opening not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Job opening updated successfully',
+    data: {
+      job
+    }
+  });
+});
+
+// Shortlist students for a job opening
+placementControllers.shortlistStudents = catchAsync(async (req, res, next) => {
+  const { studentIds } = req.body;
+
+  if (!Array.isArray(studentIds) || !studentIds.length) {
+    return next(new AppError('Please provide a non-empty studentIds array', 400));
+  }
+
+  const job = await JobOpeningRepository.findById(req.params.jobId);
+  if (!job) {
+    return next(new AppError('Job opening not found', 404));
+  }
+
+  const { applications, skipped } = await placementService.shortlist(job, studentIds, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: `${applications.length} student(s) shortlisted`,
+    results: applications.length,
+    data: {
+      applications,
+      skipped
+    }
+  });
+});
+
+// List the applications of a job opening
+placementControllers.fetchJobApplications = catchAsync(async (req, res, next) => {
+  const job = await JobOpeningRepository.findById(req.params.jobId);
+  if (!job) {
+    return next(new AppError('Job opening not found', 404));
+  }
+
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const applications = await ApplicationRepository.findByJob(job._id, filter);
+
+  res.status(200).json({
+    status: 'success',
+    results: applications.length,
+    data: {
+      job,
+      applications
+    }
+  });
+});
+
+// Schedule an interview round
+placementControllers.addRound = catchAsync(async (req, res, next) => {
+  const application = await loadApplication(req.params.applicationId);
+  const updatedApplication = await placementService.addRound(application, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Interview round added successfully',
+    data: {
+      application: updatedApplication
+    }
+  });
+});
+
+// Record the outcome of an interview round
+placementControllers.recordRoundOutcome = catchAsync(async (req, res, next) => {
+  const { outcome, feedback } = req.body || {};
+
+  const application = await loadApplication(req.params.applicationId);
+  const updatedApplication = await placementService.recordOutcome(application, req.params.roundId, { outcome, feedback }, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Interview outcome recorded successfully',
+    data: {
+      application: updatedApplication
+    }
+  });
+});
+
+// Select, reject or withdraw an application
+placementControllers.updateApplicationStatus = catchAsync(async (req, res, next) => {
+  const { status, offer, remarks } = req.body;
+
+  if (!APPLICATION_STATUSES.includes(status)) {
+    return next(new AppError(`status must be one of: ${APPLICATION_STATUSES.join(', ')}`, 400));
+  }
+
+  const application = await loadApplication(req.params.applicationId);
+  const updatedApplication = await placementService.updateStatus(application, { status, offer, remarks });
+
+  res.status(200).json({
+    status: 'success',
+    message: `Application marked as ${status}`,
+    data: {
+      application: updatedApplication
+    }
+  });
+});
+
+// Applications and placement status of a student (access-checked by authorizeStudentAccess)
+placementControllers.fetchStudentApplications = catchAsync(async (req, res, next) => {
+  const applications = await ApplicationRepository.findByStudent(req.student._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: applications.length,
+    data: {
+      placementStatus: req.student.placementStatus,
+      applications
+    }
+  });
+});
+
+// Opt a student out of placements, or back in
+placementControllers.updateOptOut = catchAsync(async (req, res, next) => {
+  const { optedOut } = req.body;
+
+  if (typeof optedOut !== 'boolean') {
+    return next(new AppError('optedOut must be a boolean', 400));
+  }
+
+  const placementStatus = await placementService.setOptOut(req.student, optedOut);
+
+  res.status(200).json({
+    status: 'success',
+    message: optedOut ? 'Student opted out of placements' : 'Student opted back into placements',
+    data: {
+      placementStatus
+    }
+  });
+});
+
+export default placementControllers
@@ -1,8 +1,39 @@
 
+import bcrypt from "bcryptjs";
 import AdminRepository from "../../repositories/user/AdminRepository.js";
 import catchAsync from "../../utils/catchAsync.js";
 import FileUploadService from "../../services/FileUploadService.js";
 import AppError from "../../utils/appError.js";
+import LoginThrottleService from "../../services/auth/LoginThrottleService.js";
+import MfaService from "../../services/auth/MfaService.js";
+import MfaPolicyRepository from "../../repositories/auth/mfaPolicyRepository.js";
+import UserRepository from "../../repositories/user/userRepository.js";
+import logger from "../../utils/logger.js";
+import authConfig from "../../config/auth.js";
+import { PERMISSIONS, PERMISSION_DESCRIPTIONS, isValidPermission } from "../../config/permissions.js";
+
+const loginThrottle = new LoginThrottleService();
+const mfaService = new MfaService();
+
+const MFA_POLICY_ROLES = ['admin', 'hr', 'trainer', 'student', 'parent'];
+
+// Reject unknown privileges and escalations only a super admin may grant
+const validatePrivileges = (privileges, actor) => {
+  if (!Array.isArray(privileges)) {
+    return 'privileges must be an array';
+  }
+
+  const unknown = privileges.filter(privilege => !isValidPermission(privilege));
+  if (unknown.length) {
+    return `Unknown privileges: ${unknown.join(', ')}`;
+  }
+
+  if (privileges.includes(PERMISSIONS.FULL_ACCESS) && !actor.isSuperAdmin) {
+    return 'Only a super admin can grant full_access';
+  }
+
+  return null;
+};
 
 const adminControllers = {}
 
@@ -22,8 +53,24 @@ adminControllers.fetchAllAdmins = catchAsync(async (req, res, next) => {
 
 // Create a new admin
 adminControllers.createAdmin = catchAsync(async (req, res, next) => {
-  const data = req.body;
-  
+  const data = { ...req.body };
+
+  if (data.privileges !== undefined) {
+    const privilegeError = validatePrivileges(data.privileges, req.user);
+    if (privilegeError) {
+      return next(new AppError(privilegeError, 400));
+    }
+    data.privileges = [...new Set(data.privileges)];
+  }
+
+  if (data.isSuperAdmin && !req.user.isSuperAdmin) {
+    return next(new AppError('Only a super admin can create another super admin', 403));
+  }
+
+  if (data.password) {
+    data.password = await bcrypt.hash(data.password, authConfig.password.saltRounds);
+  }
+
   const admin = await AdminRepository.create(data);
   
   if (!admin) {
@@ -39,6 +86,132 @@ adminControllers.createAdmin = catchAsync(async (req, res, next) => {
   });
 });
 
+// List the privileges that can be granted to admins
+adminControllers.getPermissions = catchAsync(async (req, res, next) => {
+  const permissions = Object.values(PERMISSIONS).map(key => ({
+    key,
+    description: PERMISSION_DESCRIPTIONS[key]
+  }));
+
+  res.status(200).json({
+    status: 'success',
+    results: permissions.length,
+    data: {
+      permissions
+    }
+  });
+});
+
+// Replace the privileges of an admin
+adminControllers.updatePrivileges = catchAsync(async (req, res, next) => {
+  const { adminId } = req.params;
+  const { privileges } = req.body;
+
+  const privilegeError = validatePrivileges(privileges, req.user);
+  if (privilegeError) {
+    return next(new AppError(privilegeError, 400));
+  }
+
+  const admin = await AdminRepository.findById(adminId);
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  if (admin.isSuperAdmin && !req.user.isSuperAdmin) {
+    return next(new AppError('Only a super admin can change the privileges of a super admin', 403));
+  }
+
+  if (admin._id.equals(req.user._id) && !req.user.isSuperAdmin) {
+    return next(new AppError('You cannot change your own privileges', 403));
+  }
+
+  const updatedAdmin = await AdminRepository.updatePrivileges(adminId, [...new Set(privileges)]);
+  logger.info(`Privileges of ${admin.email} set to [${updatedAdmin.privileges.join(', ')}] by ${req.user.email}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Admin privileges updated successfully',
+    data: {
+      admin: updatedAdmin
+    }
+  });
+});
+
+// Unlock a user account locked by repeated failed logins
+adminControllers.unlockUser = catchAsync(async (req, res, next) => {
+  const { userId } = req.params;
+
+  const user = await loginThrottle.unlock(userId, req.user);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User account unlocked successfully',
+    data: {
+      user
+    }
+  });
+});
+
+// List the MFA enforcement policy for every role
+adminControllers.getMfaPolicies = catchAsync(async (req, res, next) => {
+  const policies = await MfaPolicyRepository.findAll();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      policies: MFA_POLICY_ROLES.map(role => ({
+        role,
+        enforced: !!policies.find(policy => policy.role === role)?.enforced
+      }))
+    }
+  });
+});
+
+// Enforce or relax MFA for a role
+adminControllers.updateMfaPolicy = catchAsync(async (req, res, next) => {
+  const { role, enforced } = req.body;
+
+  if (!MFA_POLICY_ROLES.includes(role)) {
+    return next(new AppError(`Role must be one of: ${MFA_POLICY_ROLES.join(', ')}`, 400));
+  }
+
+  if (typeof enforced !== 'boolean') {
+    return next(new AppError('enforced must be a boolean', 400));
+  }
+
+  const policy = await MfaPolicyRepository.setPolicy(role, enforced, req.user._id);
+  logger.info(`MFA ${enforced ? 'enforced' : 'no longer enforced'} for role '${role}' by ${req.user.email}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: `MFA ${enforced ? 'enforced' : 'made optional'} for ${role}`,
+    data: {
+      policy
+    }
+  });
+});
+
+// Reset MFA for a user who lost their authenticator device
+adminControllers.resetUserMfa = catchAsync(async (req, res, next) => {
+  const { userId } = req.params;
+
+  const user = await UserRepository.findById(userId);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  await mfaService.disable(userId);
+  logger.warn(`MFA reset for ${user.email} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication reset, the user will be asked to enrol again if it is enforced'
+  });
+});
+
 // Upload profile image for admin
 adminControllers.uploadProfileImage = catchAsync(async (req, res, next) => {
   const { adminId } = req.params;
@@ -1,15 +1,75 @@
 // authController.js
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import bcrypt from "bcryptjs";
 import catchAsync from "../../utils/catchAsync.js";
 
 
 import AppError from "../../utils/appError.js";
 import User from "../../models/user/index.js";
+import SessionRepository from "../../repositories/auth/sessionRepository.js";
+import UserRepository from "../../repositories/user/userRepository.js";
+import TokenService from "../../services/auth/TokenService.js";
+import LoginThrottleService from "../../services/auth/LoginThrottleService.js";
+import MfaService from "../../services/auth/MfaService.js";
+import MailService from "../../services/mail/MailService.js";
+import authConfig from "../../config/auth.js";
+import mailConfig from "../../config/mail.js";
+import logger from "../../utils/logger.js";
 
-const signToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+const tokenService = new TokenService();
+const loginThrottle = new LoginThrottleService();
+const mfaService = new MfaService();
+const mailService = new MailService();
+
+const validatePassword = (password) => {
+  if (!password || password.length < authConfig.password.minLength) {
+    return `Password must be at least ${authConfig.password.minLength} characters`;
+  }
+  return null;
+};
+
+// Accounts that exist but may not sign in (deactivated, or parents without portal access)
+const getLoginBlockReason = (user) => {
+  if (user.isActive === false) {
+    return "Your account has been deactivated";
+  }
+  if (user.role === "parent" && !user.canLogin) {
+    return "Login is not enabled for this parent account, please contact the institute";
+  }
+  return null;
+};
+
+// Strip credentials and security bookkeeping before a user is sent to the client
+const toPublicUser = (user) => {
+  const data = user.toObject();
+
+  delete data.password;
+  delete data.passwordResetToken;
+  delete data.passwordResetExpires;
+  delete data.failedLoginAttempts;
+  delete data.lastFailedLoginAt;
+  delete data.lockUntil;
+
+  if (data.mfa) {
+    data.mfa = { enabled: data.mfa.enabled, enabledAt: data.mfa.enabledAt };
+  }
+
+  return data;
+};
+
+// Open a session and send the token pair
+const sendAuthResponse = async (user, req, res, extra = {}) => {
+  const { accessToken, refreshToken, expiresIn } = await tokenService.issueTokens(user, req);
+
+  res.status(200).json({
+    status: "success",
+    token: accessToken,
+    refreshToken,
+    expiresIn,
+    ...extra,
+    data: {
+      user: toPublicUser(user),
+    },
   });
 };
 
@@ -28,23 +88,329 @@ authController.login = catchAsync(async (req, res, next) => {
     query.role = role;
   }
 
-  const user = await User.findOne(query).select("+password");
+  const user = await UserRepository.findForLogin(query);
 
-  if (!user || !(await bcrypt.compare(password, user.password))) {
+  await loginThrottle.assertCanAttempt(req.ip, user);
+
+  if (!user || !user.password || !(await bcrypt.compare(password, user.password))) {
+    await loginThrottle.recordFailure(req.ip, user, email);
     return next(new AppError("Incorrect email, password or role", 401));
   }
 
-  const token = signToken(user._id, user.role);
+  await loginThrottle.recordSuccess(user);
+
+  const blockReason = getLoginBlockReason(user);
+  if (blockReason) {
+    return next(new AppError(blockReason, 403));
+  }
+
+  // Second step: a code is required, or enrolment first if MFA is enforced for the role
+  const enrollmentRequired = !user.mfa?.enabled && (await mfaService.isEnforced(user.role));
+
+  if (user.mfa?.enabled || enrollmentRequired) {
+    return res.status(200).json({
+      status: "success",
+      mfaRequired: true,
+      enrollmentRequired,
+      mfaToken: tokenService.signMfaToken(user, enrollmentRequired ? "mfa_enroll" : "mfa"),
+    });
+  }
+
+  await sendAuthResponse(user, req, res);
+});
+
+authController.verifyMfa = catchAsync(async (req, res, next) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return next(new AppError("Please provide the MFA token and an authentication or recovery code", 400));
+  }
+
+  const decoded = tokenService.verifyMfaToken(mfaToken, "mfa");
+  const user = await UserRepository.findWithMfaSecrets(decoded.id);
+
+  if (!user) {
+    return next(new AppError("The user no longer exists", 401));
+  }
+
+  // The account may have been locked or deactivated since the password step
+  await loginThrottle.assertCanAttempt(req.ip, user);
+
+  const blockReason = getLoginBlockReason(user);
+  if (blockReason) {
+    return next(new AppError(blockReason, 403));
+  }
+
+  if (!(await mfaService.verifyCredentials(user, { code, recoveryCode }))) {
+    await loginThrottle.recordFailure(req.ip, user, user.email);
+    return next(new AppError("Invalid authentication code", 401));
+  }
+
+  await loginThrottle.recordSuccess(user);
+  await sendAuthResponse(user, req, res);
+});
+
+authController.setupMfa = catchAsync(async (req, res, next) => {
+  const { secret, otpauthUrl } = await mfaService.startEnrollment(req.user);
 
   res.status(200).json({
     status: "success",
-    token,
+    message: "Scan the QR code with your authenticator app, then confirm with a code",
     data: {
-      user,
+      secret,
+      otpauthUrl,
     },
   });
 });
 
+authController.enableMfa = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new AppError("Please provide the code from your authenticator app", 400));
+  }
+
+  // Enrolment forced during login finishes the login as well, unless the account was
+  // locked or deactivated since the password step
+  if (req.mfaEnrollment) {
+    const user = await UserRepository.findWithLockState(req.user._id);
+    await loginThrottle.assertCanAttempt(req.ip, user);
+
+    const blockReason = getLoginBlockReason(user);
+    if (blockReason) {
+      return next(new AppError(blockReason, 403));
+    }
+  }
+
+  const recoveryCodes = await mfaService.confirmEnrollment(req.user._id, code);
+
+  if (req.mfaEnrollment) {
+    const user = await UserRepository.findById(req.user._id);
+    return sendAuthResponse(user, req, res, { recoveryCodes });
+  }
+
+  res.status(200).json({
+    status: "success",
+    message: "Two-factor authentication enabled. Store the recovery codes somewhere safe, they are shown only once",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+authController.disableMfa = catchAsync(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return next(new AppError("Please provide your password and an authentication or recovery code", 400));
+  }
+
+  if (await mfaService.isEnforced(req.user.role)) {
+    return next(new AppError("Two-factor authentication is mandatory for your role", 403));
+  }
+
+  const user = await UserRepository.findWithMfaSecrets(req.user._id);
+
+  if (!user.mfa?.enabled) {
+    return next(new AppError("Two-factor authentication is not enabled", 400));
+  }
+
+  if (!(await bcrypt.compare(password, user.password)) || !(await mfaService.verifyCredentials(user, { code, recoveryCode }))) {
+    return next(new AppError("Incorrect password or authentication code", 401));
+  }
+
+  await mfaService.disable(user._id);
+
+  res.status(200).json({
+    status: "success",
+    message: "Two-factor authentication disabled",
+  });
+});
+
+authController.regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new AppError("Please provide the code from your authenticator app", 400));
+  }
+
+  const user = await UserRepository.findWithMfaSecrets(req.user._id);
+
+  if (!user.mfa?.enabled) {
+    return next(new AppError("Two-factor authentication is not enabled", 400));
+  }
+
+  if (!(await mfaService.verifyCredentials(user, { code }))) {
+    return next(new AppError("Invalid authentication code", 401));
+  }
+
+  const recoveryCodes = await mfaService.regenerateRecoveryCodes(user);
+
+  res.status(200).json({
+    status: "success",
+    message: "New recovery codes generated, previous codes no longer work",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+authController.refresh = catchAsync(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return next(new AppError("Please provide a refresh token", 400));
+  }
+
+  const result = await tokenService.rotateRefreshToken(refreshToken, (userId) => User.findById(userId));
+
+  const blockReason = getLoginBlockReason(result.user);
+  if (blockReason) {
+    await SessionRepository.revoke(result.session._id, result.user.isActive === false ? "user_deactivated" : "login_disabled");
+    return next(new AppError(blockReason, 403));
+  }
+
+  res.status(200).json({
+    status: "success",
+    token: result.accessToken,
+    refreshToken: result.refreshToken,
+    expiresIn: result.expiresIn,
+  });
+});
+
+authController.logout = catchAsync(async (req, res, next) => {
+  await SessionRepository.revoke(req.session._id, "logout");
+
+  res.status(200).json({
+    status: "success",
+    message: "Logged out successfully",
+  });
+});
+
+authController.logoutAll = catchAsync(async (req, res, next) => {
+  const result = await SessionRepository.revokeAllForUser(req.user._id, "logout_all");
+
+  res.status(200).json({
+    status: "success",
+    message: "Logged out from all devices",
+    data: {
+      revokedSessions: result.modifiedCount,
+    },
+  });
+});
+
+authController.forgotPassword = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new AppError("Please provide your email", 400));
+  }
+
+  // Same response whether or not the account exists, so emails cannot be probed
+  const response = {
+    status: "success",
+    message: "If an account exists for this email, a reset link has been sent",
+  };
+
+  const user = await User.findOne({ email });
+
+  if (!user || !user.password) {
+    return res.status(200).json(response);
+  }
+
+  const resetToken = user.createPasswordResetToken(authConfig.password.resetExpiresMinutes);
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = `${mailConfig.appUrl}/reset-password?token=${resetToken}`;
+
+  try {
+    await mailService.send({
+      to: user.email,
+      subject: "Reset your Maitexa LMS password",
+      text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in ${authConfig.password.resetExpiresMinutes} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+    });
+  } catch (error) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.error(`Failed to send password reset email to ${user.email}: ${error.message}`);
+    return next(new AppError("There was an error sending the email, please try again later", 500));
+  }
+
+  res.status(200).json(response);
+});
+
+authController.resetPassword = catchAsync(async (req, res, next) => {
+  const { token, password } = req.body;
+
+  if (!token) {
+    return next(new AppError("Reset token is required", 400));
+  }
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return next(new AppError(passwordError, 400));
+  }
+
+  const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+
+  const user = await User.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    return next(new AppError("Reset token is invalid or has expired", 400));
+  }
+
+  user.password = await bcrypt.hash(password, authConfig.password.saltRounds);
+  user.passwordChangedAt = new Date();
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.failedLoginAttempts = 0;
+  user.lockUntil = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await SessionRepository.revokeAllForUser(user._id, "password_reset");
+
+  res.status(200).json({
+    status: "success",
+    message: "Password has been reset, please log in with your new password",
+  });
+});
+
+authController.changePassword = catchAsync(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword) {
+    return next(new AppError("Please provide your current password", 400));
+  }
+
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return next(new AppError(passwordError, 400));
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (!user.password || !(await bcrypt.compare(currentPassword, user.password))) {
+    return next(new AppError("Your current password is incorrect", 401));
+  }
+
+  user.password = await bcrypt.hash(newPassword, authConfig.password.saltRounds);
+  user.passwordChangedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  // Keep the current session, sign out everywhere else
+  await SessionRepository.revokeAllForUser(user._id, "password_changed", req.session._id);
+
+  res.status(200).json({
+    status: "success",
+    message: "Password changed successfully",
+  });
+});
+
 authController.getMe = catchAsync(async (req, res, next) => {
   const user = await User.findById(req.user.id).select("-password");
   res.status(200).json({
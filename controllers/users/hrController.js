@@ -0,0 +1,67 @@
+import bcrypt from "bcryptjs";
+import HRRepository from "../../repositories/user/hrRepository.js";
+import UserRepository from "../../repositories/user/userRepository.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+import authConfig from "../../config/auth.js";
+
+const hrControllers = {}
+
+// Create an HR user
+hrControllers.createHr = catchAsync(async (req, res, next) => {
+  const { name, email, password, phone, gender, department, accessToEvaluation, notes } = req.body;
+
+  if (!name || !email || !password) {
+    return next(new AppError('Please provide name, email and password', 400));
+  }
+
+  if (password.length < authConfig.password.minLength) {
+    return next(new AppError(`Password must be at least ${authConfig.password.minLength} characters`, 400));
+  }
+
+  if (await UserRepository.findOne({ email })) {
+    return next(new AppError('Email already exists', 409));
+  }
+
+  const hr = await HRRepository.create({
+    name,
+    email,
+    phone,
+    gender,
+    department,
+    accessToEvaluation,
+    notes,
+    password: await bcrypt.hash(password, authConfig.password.saltRounds)
+  });
+
+  const data = hr.toObject();
+  delete data.password;
+
+  res.status(201).json({
+    status: 'success',
+    message: 'HR user created successfully',
+    data: {
+      hr: data
+    }
+  });
+});
+
+// Fetch all HR users, optionally by department
+hrControllers.fetchAllHrs = catchAsync(async (req, res, next) => {
+  const filter = {};
+  if (req.query.department) {
+    filter.department = req.query.department;
+  }
+
+  const hrs = await HRRepository.findAllHrs(filter);
+
+  res.status(200).json({
+    status: 'success',
+    results: hrs.length,
+    data: {
+      hrs
+    }
+  });
+});
+
+export default hrControllers
@@ -0,0 +1,154 @@
+import bcrypt from "bcryptjs";
+import ParentRepository from "../../repositories/user/parentRepository.js";
+import StudentRepository from "../../repositories/user/studentRepository.js";
+import SessionRepository from "../../repositories/auth/sessionRepository.js";
+import ParentService from "../../services/user/ParentService.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+import authConfig from "../../config/auth.js";
+
+const parentService = new ParentService();
+
+const parentControllers = {}
+
+// Dashboard: every linked child with progress, attendance, fees and trainer
+parentControllers.getMyChildren = catchAsync(async (req, res, next) => {
+  const children = await parentService.getChildrenOverview(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    results: children.length,
+    data: {
+      children
+    }
+  });
+});
+
+// A single child, access-checked by authorizeStudentAccess
+parentControllers.getChild = catchAsync(async (req, res, next) => {
+  await req.student.populate([
+    { path: 'assignedTrainer', select: 'name email phone profileImage' },
+    { path: 'course', select: 'title' }
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      child: parentService.toChildSummary(req.student)
+    }
+  });
+});
+
+// Fetch all parents (admin)
+parentControllers.fetchAllParents = catchAsync(async (req, res, next) => {
+  const parents = await ParentRepository.findAllParents();
+
+  res.status(200).json({
+    status: 'success',
+    results: parents.length,
+    data: {
+      parents
+    }
+  });
+});
+
+// Link a parent to a student
+parentControllers.linkStudent = catchAsync(async (req, res, next) => {
+  const { parentId, studentId } = req.params;
+
+  const parent = await ParentRepository.findById(parentId);
+  if (!parent) {
+    return next(new AppError('Parent not found', 404));
+  }
+
+  const student = await StudentRepository.findById(studentId);
+  if (!student) {
+    return next(new AppError('Student not found', 404));
+  }
+
+  const updatedParent = await parentService.link(parent, student);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Parent linked to student successfully',
+    data: {
+      parent: updatedParent
+    }
+  });
+});
+
+// Unlink a parent from a student
+parentControllers.unlinkStudent = catchAsync(async (req, res, next) => {
+  const { parentId, studentId } = req.params;
+
+  const parent = await ParentRepository.findById(parentId);
+  if (!parent) {
+    return next(new AppError('Parent not found', 404));
+  }
+
+  const student = await StudentRepository.findById(studentId);
+  if (!student) {
+    return next(new AppError('Student not found', 404));
+  }
+
+  const updatedParent = await parentService.unlink(parent, student);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Parent unlinked from student successfully',
+    data: {
+      parent: updatedParent
+    }
+  });
+});
+
+// Grant or revoke portal access for a parent, optionally setting a password
+parentControllers.updateLoginAccess = catchAsync(async (req, res, next) => {
+  const { parentId } = req.params;
+  const { canLogin, password } = req.body;
+
+  if (typeof canLogin !== 'boolean') {
+    return next(new AppError('canLogin must be a boolean', 400));
+  }
+
+  const parent = await ParentRepository.findById(parentId);
+  if (!parent) {
+    return next(new AppError('Parent not found', 404));
+  }
+
+  if (canLogin && !parent.email) {
+    return next(new AppError('The parent needs an email address to log in', 400));
+  }
+
+  if (password !== undefined) {
+    if (!password || password.length < authConfig.password.minLength) {
+      return next(new AppError(`Password must be at least ${authConfig.password.minLength} characters`, 400));
+    }
+    parent.password = await bcrypt.hash(password, authConfig.password.saltRounds);
+    parent.passwordChangedAt = new Date();
+  }
+
+  if (canLogin && !parent.password) {
+    return next(new AppError('Set a password to enable login for this parent', 400));
+  }
+
+  parent.canLogin = canLogin;
+  await parent.save({ validateBeforeSave: false });
+
+  if (!canLogin) {
+    await SessionRepository.revokeAllForUser(parent._id, 'login_disabled');
+  }
+
+  const data = parent.toObject();
+  delete data.password;
+
+  res.status(200).json({
+    status: 'success',
+    message: `Parent login ${canLogin ? 'enabled' : 'disabled'} successfully`,
+    data: {
+      parent: data
+    }
+  });
+});
+
+export default parentControllers
@@ -1,15 +1,34 @@
+import bcrypt from "bcryptjs";
 import ParentRepository from "../../repositories/user/parentRepository.js";
 import StudentRepository from "../../repositories/user/studentRepository.js";
 import catchAsync from "../../utils/catchAsync.js";
 import FileUploadService from "../../services/FileUploadService.js";
 import AppError from "../../utils/appError.js";
+import AccessControl from "../../utils/accessControl.js";
+import ParentService from "../../services/user/ParentService.js";
+import BatchService from "../../services/course/BatchService.js";
+import CertificateService from "../../services/certificate/CertificateService.js";
+import NotificationService from "../../services/notification/NotificationService.js";
+import { STUDENT_STATUSES } from "../../models/user/Student.js";
+import authConfig from "../../config/auth.js";
+
+const parentService = new ParentService();
+const batchService = new BatchService();
+const certificateService = new CertificateService();
+const notificationService = new NotificationService();
 
 const studentControllers = {}
 
 // fetch all students
 studentControllers.fetchAllStudents = catchAsync(async (req, res, next) => {
   
-  const students = await StudentRepository.findAllStudents();
+  // Trainers only see the students assigned to them
+  const filter = AccessControl.studentScopeFilter(req.user);
+  if (!filter) {
+    return next(new AppError('You do not have permission', 403));
+  }
+
+  const students = await StudentRepository.findAllStudents(filter);
 
   res.status(200).json({
     status: 'success',
@@ -23,20 +42,67 @@ studentControllers.fetchAllStudents = catchAsync(async (req, res, next) => {
 // create a new student entry
 studentControllers.createStudent = catchAsync(async (req, res, next) => {
   
-  const data = req.body
-  const studentData = data
+  const studentData = { ...req.body }
 
-   if (false) {
-    const parent = await ParentRepository.create(data.parent)
-    studentData.parent = parent._id
+  if (studentData.password) {
+    studentData.password = await bcrypt.hash(studentData.password, authConfig.password.saltRounds)
   }
-  
-  const student = await StudentRepository.create(studentData);
- 
+
+  // fee.paid and fee.concession are derived from the fee ledger
+  if (studentData.fee) {
+    studentData.fee = { total: studentData.fee.total }
+  }
+
+  // A batch (id or code) decides the course and trainer; free-form values are ignored
+  delete studentData.batch
+  delete studentData.batchCode
+  let batch = null
+  if (req.body.batch || req.body.batchCode) {
+    batch = await batchService.resolveBatch(req.body)
+    Object.assign(studentData, batchService.studentFields(batch))
+  }
+
+  // "parent" is either an existing parent id or the details of a new (or sibling's) parent
+  let parentResult = null
+  if (studentData.parent) {
+    parentResult = await parentService.resolveParent(studentData.parent)
+    studentData.parent = parentResult.parent._id
+  }
+
+  let student
+  let seatReserved = false
+  try {
+    if (batch) {
+      await batchService.reserveSeats(batch, 1)
+      seatReserved = true
+    }
+    student = await StudentRepository.create(studentData);
+  } catch (error) {
+    if (parentResult?.created) {
+      await ParentRepository.delete(parentResult.parent._id)
+    }
+    if (seatReserved) {
+      await batchService.releaseSeats(batch, 1)
+    }
+    throw error
+  }
+
+  if (parentResult) {
+    await ParentRepository.addStudent(parentResult.parent._id, student._id)
+  }
+
+  // Welcome email with the sign-in details, queued so a mail outage does not fail the request
+  await notificationService.sendWelcome(student, req.body.password, req.user)
+
+  const data = student.toObject()
+  delete data.password
 
   res.status(200).json({
     status: 'success',
-    message: 'user created successfully'
+    message: 'user created successfully',
+    data: {
+      student: data
+    }
   });
 });
 
@@ -178,17 +244,41 @@ studentControllers.deleteProfileImage = catchAsync(async (req, res, next) => {
 
 // Get student profile with image
 studentControllers.getStudentProfile = catchAsync(async (req, res, next) => {
-  const { studentId } = req.params;
+  // Loaded and access-checked by authorizeStudentAccess
+  const student = req.student;
 
-  const student = await StudentRepository.findById(studentId);
-  if (!student) {
-    return next(new AppError('Student not found', 404));
+  res.status(200).json({
+    status: 'success',
+    data: {
+      student
+    }
+  });
+});
+
+// Change a student's status; marking them completed issues their course certificate
+studentControllers.updateStudentStatus = catchAsync(async (req, res, next) => {
+  const { currentStatus } = req.body;
+
+  if (!STUDENT_STATUSES.includes(currentStatus)) {
+    return next(new AppError(`currentStatus must be one of: ${STUDENT_STATUSES.join(', ')}`, 400));
   }
 
+  // Loaded and access-checked by authorizeStudentAccess
+  const completedNow = currentStatus === 'completed' && req.student.currentStatus !== 'completed';
+  const student = await StudentRepository.update(req.student._id, { currentStatus });
+  const certificate = completedNow ? await certificateService.issueOnCompletion(student, req.user) : null;
+
+  const data = student.toObject()
+  delete data.password
+
   res.status(200).json({
     status: 'success',
+    message: certificate
+      ? `Student marked as completed and certificate ${certificate.certificateNumber} issued`
+      : `Student marked as ${currentStatus}`,
     data: {
-      student
+      student: data,
+      ...(completedNow && { certificate })
     }
   });
 });
@@ -1,4 +1,5 @@
 import TrainerRepository from "../../repositories/user/trainerRepository.js";
+import SessionRepository from "../../repositories/auth/sessionRepository.js";
 import catchAsync from "../../utils/catchAsync.js";
 import FileUploadService from "../../services/FileUploadService.js";
 import AppError from "../../utils/appError.js";
@@ -35,6 +36,34 @@ trainerController.fetchAllTrainers = catchAsync(async (req, res, next) => {
   });
 });
 
+// activate or deactivate a trainer
+trainerController.updateTrainerStatus = catchAsync(async (req, res, next) => {
+  const { trainerId } = req.params;
+  const { isActive } = req.body;
+
+  if (typeof isActive !== 'boolean') {
+    return next(new AppError('isActive must be a boolean', 400));
+  }
+
+  const trainer = await TrainerRepository.update(trainerId, { isActive });
+  if (!trainer) {
+    return next(new AppError('Trainer not found', 404));
+  }
+
+  // Deactivated trainers are signed out everywhere straight away
+  if (!isActive) {
+    await SessionRepository.revokeAllForUser(trainer._id, 'user_deactivated');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `Trainer ${isActive ? 'activated' : 'deactivated'} successfully`,
+    data: {
+      trainer
+    }
+  });
+});
+
 // Upload profile image for trainer
 trainerController.uploadProfileImage = catchAsync(async (req, res, next) => {
   const { trainerId } = req.params;
@@ -1,8 +1,31 @@
-import jwt from "jsonwebtoken";
-
 import catchAsync from "../utils/catchAsync.js";
 import UserModel from "../models/user/index.js";
 import AppError from "../utils/appError.js";
+import SessionRepository from "../repositories/auth/sessionRepository.js";
+import TokenService from "../services/auth/TokenService.js";
+
+const tokenService = new TokenService();
+
+// Sets req.user and req.session from an access token
+const authenticateToken = async (req, token) => {
+  const decoded = tokenService.verifyAccessToken(token);
+
+  // Every access token is bound to a session so it can be revoked server-side
+  const session = decoded.sid ? await SessionRepository.findActiveById(decoded.sid) : null;
+
+  if (!session || session.user.toString() !== decoded.id) {
+    throw new AppError("Your session has ended, please log in again", 401);
+  }
+
+  const user = await UserModel.findById(decoded.id);
+
+  if (!user) {
+    throw new AppError("The user no longer exists", 401);
+  }
+
+  req.user = user;
+  req.session = session;
+};
 
 export const authenticate = catchAsync(async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -11,8 +34,31 @@ export const authenticate = catchAsync(async (req, res, next) => {
     return next(new AppError("You are not logged in", 401));
   }
 
-  const token = authHeader.split(" ")[1];
-  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  await authenticateToken(req, authHeader.split(" ")[1]);
+  next();
+});
+
+// Event streams: browsers' EventSource cannot send headers, so the same access token
+// is also accepted as ?access_token
+export const authenticateStream = catchAsync(async (req, res, next) => {
+  if (req.headers.authorization?.startsWith("Bearer") || !req.query.access_token) {
+    return authenticate(req, res, next);
+  }
+
+  await authenticateToken(req, String(req.query.access_token));
+  next();
+});
+
+// MFA setup endpoints also accept the "mfa_enroll" token handed out by login when
+// the role enforces MFA but the user has not enrolled yet
+export const authenticateMfaEnrollment = catchAsync(async (req, res, next) => {
+  const mfaToken = req.body?.mfaToken;
+
+  if (!mfaToken) {
+    return authenticate(req, res, next);
+  }
+
+  const decoded = tokenService.verifyMfaToken(mfaToken, "mfa_enroll");
   const user = await UserModel.findById(decoded.id);
 
   if (!user) {
@@ -20,5 +66,6 @@ export const authenticate = catchAsync(async (req, res, next) => {
   }
 
   req.user = user;
+  req.mfaEnrollment = true;
   next();
 });
@@ -1,4 +1,5 @@
 import AppError from "../utils/appError.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 
 export const authorize = (...roles) => {
@@ -9,3 +10,36 @@ export const authorize = (...roles) => {
     next();
   };
 };
+
+// True if the admin holds every one of the given privileges
+export const hasPermissions = (user, permissions) => {
+  if (user.isSuperAdmin) return true;
+
+  const privileges = user.privileges || [];
+  if (privileges.includes(PERMISSIONS.FULL_ACCESS)) return true;
+
+  return permissions.every(permission => privileges.includes(permission));
+};
+
+// Privilege check for admins, used after authorize(); other roles are limited by
+// authorize() alone, so they pass through
+authorize.can = (...permissions) => {
+  return (req, res, next) => {
+    if (req.user.role !== "admin" || hasPermissions(req.user, permissions)) {
+      return next();
+    }
+    next(new AppError(`You need the ${permissions.join(", ")} permission to do this`, 403));
+  };
+};
+
+// Same as authorize.can(), but an admin may always act on their own record
+authorize.canOrSelf = (param, ...permissions) => {
+  const check = authorize.can(...permissions);
+
+  return (req, res, next) => {
+    if (req.params[param] === req.user._id.toString()) {
+      return next();
+    }
+    check(req, res, next);
+  };
+};
@@ -1,7 +1,9 @@
 import logger from '../utils/logger.js'
 
 const errorHandler = (err, req, res, next) => {
-  logger.error(`${err.statusCode || 500} - ${err.message} - ${req.originalUrl}`);
+  // event streams may carry the access token in the query string
+  const url = req.originalUrl.replace(/([?&]access_token=)[^&]*/, '$1[redacted]');
+  logger.error(`${err.statusCode || 500} - ${err.message} - ${url}`);
 
   const statusCode = err.statusCode || 500;
   const message =
@@ -9,6 +11,10 @@ const errorHandler = (err, req, res, next) => {
       ? 'Something went wrong'
       : err.message;
 
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   res.status(statusCode).json({
     status: err.status || 'error',
     message,
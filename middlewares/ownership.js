@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import catchAsync from "../utils/catchAsync.js";
+import AppError from "../utils/appError.js";
+import AccessControl from "../utils/accessControl.js";
+import StudentRepository from "../repositories/user/studentRepository.js";
+import CourseRepository from "../repositories/course/courseRepository.js";
+
+// Load the student named in the route and make sure the user owns it
+// (see utils/accessControl.js); the record, without its password hash, is exposed as req.student
+export const authorizeStudentAccess = (param = "studentId") => {
+  return catchAsync(async (req, res, next) => {
+    const student = await StudentRepository.findProfile(req.params[param]);
+
+    if (!student) {
+      return next(new AppError("Student not found", 404));
+    }
+
+    if (!AccessControl.canAccessStudent(req.user, student)) {
+      return next(new AppError("You do not have access to this student", 403));
+    }
+
+    req.student = student;
+    next();
+  });
+};
+
+// Load the (non-deleted) course named in the route and make sure the user may
+// edit its curriculum; the record is exposed as req.course
+export const authorizeCourseEditor = (param = "courseId") => {
+  return catchAsync(async (req, res, next) => {
+    const courseId = req.params[param];
+    const course = mongoose.isValidObjectId(courseId) ? await CourseRepository.findById(courseId) : null;
+
+    if (!course || course.isDeleted) {
+      return next(new AppError("Course not found", 404));
+    }
+
+    if (!AccessControl.canEditCourse(req.user, course)) {
+      return next(new AppError("Only the course head can edit this course", 403));
+    }
+
+    req.course = course;
+    next();
+  });
+};
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+// Extensions a submission may use; limited to what the `assignment` upload field accepts
+export const SUBMISSION_FILE_TYPES = ['pdf', 'doc', 'docx', 'xls', 'zip', 'rar'];
+
+// Assignment for a whole course, or for one batch of it
+const assignmentSchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', default: null }, // null: every student of the course
+  title: { type: String, required: true, trim: true },
+  description: { type: String },
+  dueDate: { type: Date, required: true },
+  maxMarks: { type: Number, required: true, min: 1 },
+  allowedFileTypes: { type: [{ type: String, enum: SUBMISSION_FILE_TYPES }], default: ['pdf', 'doc', 'docx', 'zip'] },
+  allowLateSubmissions: { type: Boolean, default: true },
+  sequence: { type: Number, default: 0 }, // iCalendar SEQUENCE of the due date event, bumped on every change
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+assignmentSchema.index({ course: 1, dueDate: -1 });
+assignmentSchema.index({ batch: 1, dueDate: -1 });
+
+export default mongoose.model('Assignment', assignmentSchema);
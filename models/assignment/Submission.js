@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const SUBMISSION_STATUSES = ['submitted', 'graded'];
+
+const submissionFileSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  filename: { type: String },
+  originalName: { type: String },
+  mimeType: { type: String },
+  size: { type: Number },
+  storageType: { type: String }
+}, { _id: false });
+
+// A student's submission for an assignment. Resubmitting replaces the files
+// until it is graded; isLate is kept in line with the assignment's due date.
+const submissionSchema = new mongoose.Schema({
+  assignment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  files: [submissionFileSchema],
+  comment: { type: String },
+  submittedAt: { type: Date, default: Date.now },
+  isLate: { type: Boolean, default: false },
+  attempts: { type: Number, default: 1 },
+  status: { type: String, enum: SUBMISSION_STATUSES, default: 'submitted' },
+  marks: { type: Number, min: 0 },
+  feedback: { type: String },
+  gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  gradedAt: { type: Date }
+}, options);
+
+submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
+submissionSchema.index({ student: 1 });
+
+export default mongoose.model('Submission', submissionSchema);
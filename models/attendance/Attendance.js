@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+// Previous value of a record, kept every time it is corrected
+const correctionSchema = new mongoose.Schema({
+  status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+  remarks: { type: String },
+  reason: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const attendanceSchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassSession', required: true },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+  remarks: { type: String },
+  markedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  markedAt: { type: Date, default: Date.now },
+  history: [correctionSchema]
+}, options);
+
+attendanceSchema.index({ session: 1, student: 1 }, { unique: true });
+attendanceSchema.index({ student: 1 });
+
+export default mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const SESSION_STATUSES = ['scheduled', 'completed', 'cancelled'];
+
+export const SESSION_TYPES = ['class', 'exam'];
+
+// A single class of a batch; attendance is taken per session.
+// date is the calendar day (UTC midnight), startTime/endTime the local times of the class
+const classSessionSchema = new mongoose.Schema({
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', required: true },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  date: { type: Date, required: true },
+  startTime: { type: String },   // HH:mm
+  endTime: { type: String },
+  type: { type: String, enum: SESSION_TYPES, default: 'class' },
+  topic: { type: String, trim: true },
+  meetingLink: { type: String, trim: true },  // online classes
+  room: { type: String, trim: true },         // classroom classes
+  status: { type: String, enum: SESSION_STATUSES, default: 'scheduled' },
+  cancellationReason: { type: String, trim: true },
+  sequence: { type: Number, default: 0 }, // iCalendar SEQUENCE, bumped on every change so calendar clients update the event
+  attendanceMarkedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+classSessionSchema.index({ batch: 1, date: -1 });
+classSessionSchema.index({ trainer: 1, date: 1 });
+
+export default mongoose.model('ClassSession', classSessionSchema);
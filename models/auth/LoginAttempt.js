@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+// Failed login attempts per client IP
+const LoginAttemptSchema = new mongoose.Schema({
+  ip: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  windowStartedAt: { type: Date, default: Date.now },
+  lastFailureAt: { type: Date },
+  lockUntil: { type: Date, default: null },
+  expiresAt: { type: Date, required: true }
+}, options);
+
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginAttempt', LoginAttemptSchema);
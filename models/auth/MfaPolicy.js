@@ -0,0 +1,12 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+// Per-role switch that makes two-factor authentication mandatory
+const MfaPolicySchema = new mongoose.Schema({
+  role: { type: String, enum: ['admin', 'hr', 'trainer', 'student', 'parent'], required: true, unique: true },
+  enforced: { type: Boolean, default: false },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+export default mongoose.model('MfaPolicy', MfaPolicySchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+const SessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true, select: false }, // sha256 of the current refresh token
+  userAgent: { type: String },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null } // e.g. logout, logout_all, token_reuse, user_deactivated
+}, options);
+
+// Let MongoDB purge sessions once they have expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Session', SessionSchema);
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Counter from '../Counter.js';
+import { storedDocumentSchema } from '../fee/FeeTransaction.js';
+import certificateConfig from '../../config/certificate.js';
+
+const options = { timestamps: true };
+
+export const CERTIFICATE_STATUSES = ['issued', 'revoked'];
+
+// No 0/O or 1/I, so numbers read back correctly from paper
+const SUFFIX_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Completion certificate of a student's course. Name, course and duration are copied
+// at issue time so the certificate keeps saying what was printed on it.
+const certificateSchema = new mongoose.Schema({
+  certificateNumber: { type: String, unique: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  studentName: { type: String, required: true },
+  studentId: { type: String, required: true },
+  courseTitle: { type: String, required: true },
+  duration: { type: String },                // e.g. "6 months"
+  completedAt: { type: Date, required: true },
+  issuedAt: { type: Date, default: Date.now },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  status: { type: String, enum: CERTIFICATE_STATUSES, default: 'issued' },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  revocationReason: { type: String, default: null },
+  file: { type: storedDocumentSchema, default: null }
+}, options);
+
+certificateSchema.index({ student: 1, course: 1, status: 1 });
+
+// Number every certificate (CERT-2025-00042-K7QD); the random suffix keeps
+// numbers from being guessed on the public verification endpoint
+certificateSchema.pre('save', async function (next) {
+  if (this.isNew && !this.certificateNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { model: 'certificate' },
+        { $inc: { count: 1 } },
+        { new: true, upsert: true }
+      );
+      const suffix = Array.from(crypto.randomBytes(4), byte => SUFFIX_ALPHABET[byte % SUFFIX_ALPHABET.length]).join('');
+      this.certificateNumber = `${certificateConfig.numberPrefix.toUpperCase()}-${this.issuedAt.getFullYear()}-${String(counter.count).padStart(5, '0')}-${suffix}`;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  } else {
+    next();
+  }
+});
+
+export default mongoose.model('Certificate', certificateSchema);
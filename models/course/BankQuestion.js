@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+import { questionFields, DIFFICULTIES } from './Quiz.js';
+
+const options = { timestamps: true };
+
+// Reusable question of a course's question bank; quizzes draw from it through questionRules
+const bankQuestionSchema = new mongoose.Schema({
+  ...questionFields,
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  topic: { type: String, trim: true, lowercase: true, default: 'general' },
+  difficulty: { type: String, enum: DIFFICULTIES, default: 'medium' },
+  tags: [{ type: String, trim: true, lowercase: true }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+bankQuestionSchema.index({ course: 1, topic: 1, difficulty: 1 });
+bankQuestionSchema.index({ course: 1, tags: 1 });
+
+export default mongoose.model('BankQuestion', bankQuestionSchema);
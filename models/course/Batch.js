@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import Counter from '../Counter.js';
+
+const options = { timestamps: true };
+
+export const BATCH_STATUSES = ['upcoming', 'active', 'completed', 'cancelled'];
+
+// Batches that can still take students
+export const OPEN_BATCH_STATUSES = ['upcoming', 'active'];
+
+// A cohort of students taking a course together. Enrolled students carry the
+// batch id, its code, the course and the lead trainer (trainers[0]).
+const batchSchema = new mongoose.Schema({
+  code: { type: String, unique: true, uppercase: true, trim: true },
+  name: { type: String, trim: true },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  trainers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  startDate: { type: Date, required: true },
+  endDate: { type: Date },
+  capacity: { type: Number, required: true, min: 1 },
+  enrolled: { type: Number },                        // seats taken, kept by BatchService
+  schedule: [{
+    day: { type: String, enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'] },
+    startTime: String,
+    endTime: String
+  }],
+  status: { type: String, enum: BATCH_STATUSES, default: 'upcoming' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+batchSchema.index({ course: 1, status: 1 });
+batchSchema.index({ trainers: 1 });
+
+// Auto-generate the batch code when none is given
+batchSchema.pre('save', async function (next) {
+  if (this.isNew && !this.code) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { model: 'batch' },
+        { $inc: { count: 1 } },
+        { new: true, upsert: true }
+      );
+      this.code = `BATCH${counter.count}`;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  } else {
+    next();
+  }
+});
+
+export default mongoose.model('Batch', batchSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const LESSON_TYPES = ['video', 'document', 'text', 'link'];
+
+// File uploaded through /api/v1/upload/course with a lessonId
+const attachmentSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  thumbnailUrl: { type: String, default: null },
+  filename: { type: String },
+  originalName: { type: String },
+  mimeType: { type: String },
+  size: { type: Number },
+  storageType: { type: String },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+const lessonSchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  module: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseModule', required: true },
+  title: { type: String, required: true, trim: true },
+  type: { type: String, enum: LESSON_TYPES, required: true },
+  content: { type: String },          // body of text lessons, notes for the others
+  url: { type: String },              // video or external link
+  durationMinutes: { type: Number, default: 0 },
+  attachments: [attachmentSchema],
+  order: { type: Number, required: true },
+  isPublished: { type: Boolean, default: false },
+  publishedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+lessonSchema.index({ module: 1, order: 1 });
+lessonSchema.index({ course: 1 });
+
+export default mongoose.model('Lesson', lessonSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const PROGRESS_STATUSES = ['in_progress', 'completed'];
+
+// One record per student and lesson; Student.progress is derived from these
+const lessonProgressSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  module: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseModule', required: true },
+  lesson: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson', required: true },
+  status: { type: String, enum: PROGRESS_STATUSES, default: 'in_progress' },
+  startedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null },
+  lastAccessedAt: { type: Date, default: Date.now },
+  timeSpentSeconds: { type: Number, default: 0 },
+  videoPosition: { type: Number, default: 0 } // seconds into the video
+}, options);
+
+lessonProgressSchema.index({ student: 1, lesson: 1 }, { unique: true });
+lessonProgressSchema.index({ student: 1, course: 1, lastAccessedAt: -1 });
+
+export default mongoose.model('LessonProgress', lessonProgressSchema);
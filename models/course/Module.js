@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+// A chapter of a course; lessons hang off it in their own collection
+const moduleSchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  title: { type: String, required: true, trim: true },
+  description: { type: String },
+  order: { type: Number, required: true },
+  isPublished: { type: Boolean, default: false },
+  publishedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+moduleSchema.index({ course: 1, order: 1 });
+
+export default mongoose.model('CourseModule', moduleSchema);
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const QUESTION_TYPES = ['mcq_single', 'mcq_multi', 'true_false', 'numeric', 'short_text'];
+
+const optionSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true },
+  isCorrect: { type: Boolean, default: false }
+});
+
+// The answer key depends on the type: options[].isCorrect for MCQs,
+// correctAnswer for true/false, numericAnswer (+/- tolerance) for numeric
+// and acceptedAnswers for short text. Shared with the question bank.
+export const questionFields = {
+  type: { type: String, enum: QUESTION_TYPES, required: true },
+  text: { type: String, required: true, trim: true },
+  points: { type: Number, default: 1, min: 0 },
+  options: [optionSchema],
+  correctAnswer: { type: Boolean },
+  numericAnswer: { type: Number },
+  tolerance: { type: Number, default: 0, min: 0 },
+  acceptedAnswers: [{ type: String, trim: true }],
+  caseSensitive: { type: Boolean, default: false },
+  explanation: { type: String }      // shown with the answers when revealAnswers is on
+};
+
+const questionSchema = new mongoose.Schema(questionFields);
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// "Draw `count` random questions from the course's question bank matching these filters";
+// each attempt draws its own paper
+const questionRuleSchema = new mongoose.Schema({
+  count: { type: Number, required: true, min: 1 },
+  topic: { type: String, trim: true, lowercase: true },
+  difficulty: { type: String, enum: DIFFICULTIES },
+  tags: [{ type: String, trim: true, lowercase: true }],   // questions must have all of them
+  points: { type: Number, min: 0 }                          // overrides the bank question's points
+});
+
+// Quiz at the end of a course module; a passed quiz counts towards Student.progress
+// like a completed lesson once the quiz and its module are published
+const quizSchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  module: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseModule', required: true },
+  title: { type: String, required: true, trim: true },
+  description: { type: String },
+  questions: [questionSchema],
+  questionRules: [questionRuleSchema],
+  timeLimitMinutes: { type: Number, default: null, min: 1 },   // null: untimed
+  maxAttempts: { type: Number, default: null, min: 1 },        // null: unlimited
+  passingScore: { type: Number, default: 50, min: 0, max: 100 }, // percentage
+  shuffleQuestions: { type: Boolean, default: false },
+  shuffleOptions: { type: Boolean, default: false },
+  revealAnswers: { type: Boolean, default: false },            // show the key after each attempt
+  isPublished: { type: Boolean, default: false },
+  publishedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+quizSchema.index({ course: 1, module: 1 });
+
+export default mongoose.model('Quiz', quizSchema);
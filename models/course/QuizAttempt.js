@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const ATTEMPT_STATUSES = ['in_progress', 'submitted'];
+
+// A question as it was put to the student: order, option order and answer key
+// are copied when the attempt starts, so later edits to the quiz do not change it
+const attemptItemSchema = new mongoose.Schema({
+  question: { type: mongoose.Schema.Types.ObjectId, required: true }, // Quiz or bank question id
+  source: { type: String, enum: ['quiz', 'bank'], default: 'quiz' },   // bank: drawn by a question rule
+  type: { type: String, required: true },
+  text: { type: String, required: true },
+  points: { type: Number, required: true },
+  options: [{ _id: mongoose.Schema.Types.ObjectId, text: String }],
+  key: {
+    optionIds: [{ type: mongoose.Schema.Types.ObjectId }],
+    correctAnswer: Boolean,
+    numericAnswer: Number,
+    tolerance: Number,
+    acceptedAnswers: [String],
+    caseSensitive: Boolean,
+    explanation: String
+  },
+  answer: { type: mongoose.Schema.Types.Mixed, default: null }, // option id(s), boolean, number or text
+  answeredAt: { type: Date, default: null },
+  isCorrect: { type: Boolean, default: null },
+  pointsAwarded: { type: Number, default: 0 }
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+  quiz: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  attemptNumber: { type: Number, required: true },
+  status: { type: String, enum: ATTEMPT_STATUSES, default: 'in_progress' },
+  items: [attemptItemSchema],
+  startedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, default: null },  // startedAt + time limit
+  submittedAt: { type: Date, default: null },
+  timedOut: { type: Boolean, default: false },  // closed at the time limit; only saved answers were graded
+  score: { type: Number, default: 0 },
+  maxScore: { type: Number, default: 0 },
+  percentage: { type: Number, default: 0 },
+  passed: { type: Boolean, default: false }
+}, options);
+
+quizAttemptSchema.index({ quiz: 1, student: 1, attemptNumber: 1 }, { unique: true });
+quizAttemptSchema.index({ student: 1, course: 1 });
+
+export default mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+const instalmentSchema = new mongoose.Schema({
+  label: { type: String, trim: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  dueDate: { type: Date, required: true }
+});
+
+// Instalment schedule of a student's fee; the amounts add up to Student.fee.total.
+// How much of each instalment is paid is worked out from the ledger, not stored.
+const feePlanSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  instalments: [instalmentSchema],
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+export default mongoose.model('FeePlan', feePlanSchema);
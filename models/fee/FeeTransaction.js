@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import Counter from '../Counter.js';
+
+const options = { timestamps: true };
+
+export const TRANSACTION_TYPES = ['payment', 'refund', 'discount', 'scholarship'];
+export const CONCESSION_TYPES = ['discount', 'scholarship'];
+export const PAYMENT_MODES = ['cash', 'upi', 'card', 'bank_transfer', 'cheque', 'online'];
+
+// Generated PDF kept in file storage (see FeeDocumentService)
+export const storedDocumentSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  storageType: { type: String },
+  filename: { type: String },
+  size: { type: Number },
+  generatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Fee ledger entry. Student.fee.paid is payments minus refunds and
+// Student.fee.concession is discounts plus scholarships.
+const feeTransactionSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: TRANSACTION_TYPES, required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  mode: { type: String, enum: PAYMENT_MODES },        // payments and refunds
+  reference: { type: String, trim: true },            // UPI/bank/cheque reference
+  paidAt: { type: Date, default: Date.now },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  instalment: { type: mongoose.Schema.Types.ObjectId }, // FeePlan instalment the payment is meant for
+  refundOf: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeTransaction' },
+  refundedAmount: { type: Number },                   // payments: total of their refunds, kept by FeeService
+  reason: { type: String },                           // refunds and concessions
+  notes: { type: String },
+  receiptNumber: { type: String, unique: true, sparse: true },
+  paymentOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentOrder' }, // online payments
+  receiptFile: { type: storedDocumentSchema, default: null }, // PDF receipt, regenerated after a refund
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+feeTransactionSchema.index({ student: 1, paidAt: -1 });
+feeTransactionSchema.index({ refundOf: 1 });
+// One ledger entry per online order, however often the gateway reports it
+feeTransactionSchema.index({ paymentOrder: 1 }, { unique: true, sparse: true });
+
+// Number every payment (RCPT1001, RCPT1002, ...)
+feeTransactionSchema.pre('save', async function (next) {
+  if (this.isNew && this.type === 'payment' && !this.receiptNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { model: 'receipt' },
+        { $inc: { count: 1 } },
+        { new: true, upsert: true }
+      );
+      this.receiptNumber = `RCPT${counter.count}`;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  } else {
+    next();
+  }
+});
+
+export default mongoose.model('FeeTransaction', feeTransactionSchema);
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import Counter from '../Counter.js';
+import { storedDocumentSchema } from './FeeTransaction.js';
+
+const options = { timestamps: true };
+
+const invoiceItemSchema = new mongoose.Schema({
+  description: { type: String, required: true, trim: true },
+  amount: { type: Number, required: true, min: 0.01 }
+}, { _id: false });
+
+const taxLineSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  rate: { type: Number, required: true },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+// Fee invoice issued to a student. Amounts include tax; taxableAmount plus the
+// tax lines add up to amount. Invoices do not touch the ledger or Student.fee.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, unique: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  instalment: { type: mongoose.Schema.Types.ObjectId }, // FeePlan instalment being billed
+  items: [invoiceItemSchema],
+  amount: { type: Number, required: true, min: 0.01 },
+  taxableAmount: { type: Number, required: true },
+  taxes: [taxLineSchema],
+  currency: { type: String, required: true },
+  issuedAt: { type: Date, default: Date.now },
+  dueDate: { type: Date, required: true },
+  notes: { type: String },
+  file: { type: storedDocumentSchema, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+invoiceSchema.index({ student: 1, issuedAt: -1 });
+
+// Number every invoice (INV1001, INV1002, ...)
+invoiceSchema.pre('save', async function (next) {
+  if (this.isNew && !this.invoiceNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { model: 'invoice' },
+        { $inc: { count: 1 } },
+        { new: true, upsert: true }
+      );
+      this.invoiceNumber = `INV${counter.count}`;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  } else {
+    next();
+  }
+});
+
+export default mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const ORDER_STATUSES = ['created', 'paid', 'failed', 'expired'];
+
+// Online payment started by a student or parent; a captured payment turns into
+// exactly one FeeTransaction (FeeTransaction.paymentOrder is unique)
+const paymentOrderSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  currency: { type: String, required: true },
+  provider: { type: String, required: true },
+  providerOrderId: { type: String, required: true },
+  providerPaymentId: { type: String, default: null },
+  instalment: { type: mongoose.Schema.Types.ObjectId },
+  status: { type: String, enum: ORDER_STATUSES, default: 'created' },
+  failureReason: { type: String, default: null },
+  feeTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeTransaction', default: null },
+  paidAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, options);
+
+paymentOrderSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true });
+paymentOrderSchema.index({ student: 1, createdAt: -1 });
+
+export default mongoose.model('PaymentOrder', paymentOrderSchema);
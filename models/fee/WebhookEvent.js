@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const WEBHOOK_STATUSES = ['processing', 'processed', 'ignored', 'failed'];
+
+// Every webhook delivery we accepted, keyed by the provider's event id so
+// redeliveries are recognised; failed events are processed again on redelivery
+const webhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  type: { type: String },
+  providerOrderId: { type: String },
+  status: { type: String, enum: WEBHOOK_STATUSES, default: 'processing' },
+  error: { type: String, default: null },
+  attempts: { type: Number, default: 1 },
+  payload: { type: mongoose.Schema.Types.Mixed },
+  processedAt: { type: Date, default: null }
+}, options);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+import { attachmentSchema } from './ForumThread.js';
+
+const options = { timestamps: true };
+
+// A reply in a thread, optionally answering an earlier reply (replyTo)
+const forumReplySchema = new mongoose.Schema({
+  thread: { type: mongoose.Schema.Types.ObjectId, ref: 'ForumThread', required: true },
+  replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'ForumReply', default: null },
+  body: { type: String, required: true, maxlength: 10000 },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  attachments: [attachmentSchema],
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  isHidden: { type: Boolean, default: false },
+  hiddenReason: { type: String, default: null },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, options);
+
+forumReplySchema.index({ thread: 1, createdAt: 1 });
+
+export default mongoose.model('ForumReply', forumReplySchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+// A file attached to a thread or reply, stored through the upload pipeline
+export const attachmentSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  filename: { type: String },
+  originalName: { type: String },
+  mimeType: { type: String },
+  size: { type: Number },
+  storageType: { type: String }
+}, { _id: false });
+
+// A discussion of a whole course (batch: null) or of one batch. Only its
+// members, their trainers and admins can see it; trainers and admins moderate.
+const forumThreadSchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', default: null },
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  body: { type: String, required: true, maxlength: 10000 },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  attachments: [attachmentSchema],
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  acceptedAnswer: { type: mongoose.Schema.Types.ObjectId, ref: 'ForumReply', default: null },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  isPinned: { type: Boolean, default: false },
+  isLocked: { type: Boolean, default: false },   // no new replies except from moderators
+  isHidden: { type: Boolean, default: false },   // only moderators still see it
+  hiddenReason: { type: String, default: null },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  replyCount: { type: Number, default: 0 },
+  lastActivityAt: { type: Date, default: Date.now }
+}, options);
+
+forumThreadSchema.index({ course: 1, batch: 1, isPinned: -1, lastActivityAt: -1 });
+forumThreadSchema.index({ batch: 1, isPinned: -1, lastActivityAt: -1 });
+
+export default mongoose.model('ForumThread', forumThreadSchema);
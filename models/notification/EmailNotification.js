@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// One delivery attempt
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  transport: { type: String },
+  messageId: { type: String },
+  error: { type: String }
+}, { _id: false });
+
+// A templated email in the delivery queue; kept afterwards as the delivery log
+const emailNotificationSchema = new mongoose.Schema({
+  template: { type: String, required: true },
+  to: { type: String, required: true, lowercase: true, trim: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // recipient, when known
+  subject: { type: String, required: true },
+  text: { type: String },
+  html: { type: String },
+  encrypted: { type: Boolean, default: false }, // text and html are encrypted (utils/secretBox.js)
+  status: { type: String, enum: EMAIL_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },   // set while a worker sends it
+  sentAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  log: [attemptSchema],
+  dedupeKey: { type: String },               // the same reminder is only queued once
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, options);
+
+emailNotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+emailNotificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+emailNotificationSchema.index({ to: 1, createdAt: -1 });
+
+export default mongoose.model('EmailNotification', emailNotificationSchema);
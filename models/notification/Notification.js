@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const NOTIFICATION_TYPES = [
+  'assignment_created',
+  'assignment_due',
+  'submission_received',
+  'submission_graded',
+  'session_rescheduled',
+  'session_cancelled',
+  'fee_reminder',
+  'forum_reply',
+  'forum_mention',
+  'forum_answer_accepted'
+];
+
+// An in-app notification of one user, shown in their notification centre
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  title: { type: String, required: true, trim: true },
+  message: { type: String, trim: true },
+  data: { type: mongoose.Schema.Types.Mixed }, // ids of the records it is about
+  readAt: { type: Date, default: null }
+}, options);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+export default mongoose.model('Notification', notificationSchema);
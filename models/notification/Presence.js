@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Entries not refreshed for this long belong to a process that stopped without cleaning up
+export const PRESENCE_TTL_SECONDS = 90;
+
+// A user's open notification streams on one server process. The process refreshes
+// seenAt on every stream heartbeat, so a user is online while any process has a
+// fresh entry for them.
+const presenceSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  instance: { type: String, required: true },
+  seenAt: { type: Date, default: Date.now }
+});
+
+presenceSchema.index({ user: 1, instance: 1 }, { unique: true });
+presenceSchema.index({ seenAt: 1 }, { expireAfterSeconds: PRESENCE_TTL_SECONDS });
+
+export default mongoose.model('Presence', presenceSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+export const APPLICATION_STATUSES = ['shortlisted', 'in_process', 'selected', 'rejected', 'withdrawn'];
+export const ROUND_OUTCOMES = ['pending', 'passed', 'failed', 'no_show'];
+
+const interviewRoundSchema = new mongoose.Schema({
+  name: { type: String, required: true },  // e.g. "Technical round 1"
+  mode: { type: String, enum: ['online', 'onsite', 'phone'], default: 'online' },
+  scheduledAt: { type: Date },
+  interviewer: { type: String },           // person or panel on the company side
+  outcome: { type: String, enum: ROUND_OUTCOMES, default: 'pending' },
+  feedback: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  recordedAt: { type: Date }
+}, { timestamps: true });
+
+const applicationSchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'JobOpening', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  resumeUrl: { type: String, default: null }, // copied from Student.resumeUrl when shortlisted
+  status: { type: String, enum: APPLICATION_STATUSES, default: 'shortlisted' },
+  rounds: [interviewRoundSchema],
+  offer: {
+    salary: { type: Number },
+    joiningDate: { type: Date },
+    notes: { type: String }
+  },
+  shortlistedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  remarks: { type: String }
+}, options);
+
+// A student is shortlisted at most once per opening
+applicationSchema.index({ job: 1, student: 1 }, { unique: true });
+applicationSchema.index({ student: 1, status: 1 });
+
+export default mongoose.model('Application', applicationSchema);
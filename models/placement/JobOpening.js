@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const options = { timestamps: true };
+
+const jobOpeningSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  company: { type: String, required: true, trim: true },
+  description: { type: String },
+  location: { type: String },
+  employmentType: {
+    type: String,
+    enum: ['full_time', 'part_time', 'internship', 'contract'],
+    default: 'full_time'
+  },
+  salary: {
+    min: { type: Number },
+    max: { type: Number },
+    currency: { type: String, default: 'INR' }
+  },
+  skills: [{ type: String, trim: true }],
+  openings: { type: Number, default: 1, min: 1 },
+  // Only students of these courses can be shortlisted (empty = any course)
+  eligibleCourses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }],
+  deadline: { type: Date },
+  status: { type: String, enum: ['open', 'closed', 'filled'], default: 'open' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, options);
+
+jobOpeningSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('JobOpening', jobOpeningSchema);
@@ -1,8 +1,9 @@
+import mongoose from 'mongoose';
 import User from './index.js';
 
 const HRSchema = new mongoose.Schema({
   department: { type: String, default: 'Placement' },
-  accessToEvaluation: { type: Boolean, default: true },
+  accessToEvaluation: { type: Boolean, default: true }, // may record interview outcomes
   notes: { type: String }
 });
 
@@ -2,6 +2,8 @@ import mongoose from 'mongoose';
 import User from './index.js'; // Base user schema
 import Counter from '../Counter.js';
 
+export const STUDENT_STATUSES = ['enrolled', 'paused', 'completed'];
+
 const StudentSchema = new mongoose.Schema({
   studentId: { type: String, unique: true },
   isOnline: { type: Boolean, default: false },
@@ -10,14 +12,16 @@ const StudentSchema = new mongoose.Schema({
   course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
   currentStatus: {
     type: String,
-    enum: ['enrolled', 'paused', 'completed'],
+    enum: STUDENT_STATUSES,
     default: 'enrolled',
   },
-  progress: { type: Number, default: 0 },
-  attendance: { type: Number, default: 0 },
+  progress: { type: Number, default: 0 }, // % of published lessons completed, kept by ProgressService
+  attendance: { type: Number, default: 0 }, // % of marked sessions attended, kept by AttendanceService
+  attendanceAlertedAt: { type: Date, default: null }, // set while below the alert threshold
   fee: {
     total: { type: Number, default: 0 },
-    paid: { type: Number, default: 0 },
+    paid: { type: Number, default: 0 },        // payments minus refunds, kept by FeeService
+    concession: { type: Number, default: 0 },  // discounts and scholarships, kept by FeeService
   },
   joinDate: { type: Date, default: new Date() },
   resumeUrl: { type: String, default: null },
@@ -26,12 +30,18 @@ const StudentSchema = new mongoose.Schema({
     pin: { type: Number },
   },
   lastLogin: { type: Date, default: null },
-  batchCode: { type: String, default: null },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', default: null },
+  batchCode: { type: String, default: null }, // copy of Batch.code, kept by BatchService
+  placementStatus: {
+    type: String,
+    enum: ['not_placed', 'in_process', 'placed', 'opted_out'],
+    default: 'not_placed',
+  },
 });
 
 // Add virtual for fee.pending
 StudentSchema.virtual('fee.pending').get(function () {
-  return this.fee.total - this.fee.paid;
+  return this.fee.total - (this.fee.concession || 0) - this.fee.paid;
 });
 StudentSchema.set('toJSON', { virtuals: true });
 StudentSchema.set('toObject', { virtuals: true });
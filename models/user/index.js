@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 
 const options = { discriminatorKey: 'role', timestamps: true };
@@ -9,7 +10,41 @@ const UserSchema = new mongoose.Schema({
   phone: { type: String },
   profileImage: { type: String },
   gender: { type: String, enum: ['male', 'female', 'other'], default: 'other' },
-  position: { type: String, default: null}
+  position: { type: String, default: null},
+  passwordChangedAt: { type: Date },
+  passwordResetToken: { type: String, select: false }, // sha256 of the emailed reset token
+  passwordResetExpires: { type: Date, select: false },
+  failedLoginAttempts: { type: Number, default: 0, select: false },
+  lastFailedLoginAt: { type: Date, select: false },
+  lockUntil: { type: Date, select: false },
+  calendarToken: { type: String, select: false }, // sha256 of the token in the calendar feed url
+  mfa: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },          // encrypted TOTP secret
+    pendingSecret: { type: String, select: false },   // encrypted, awaiting first code during enrolment
+    recoveryCodes: { type: [String], select: false }, // sha256 hashes, removed once used
+    lastUsedStep: { type: Number, select: false },    // rejects replay of an already used code
+    enabledAt: { type: Date }
+  }
 }, options);
 
+// Issue a single-use reset token; only its hash is stored
+UserSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Issue the token of the user's calendar feed url, replacing any previous one; only its hash is stored
+UserSchema.methods.createCalendarToken = function () {
+  const calendarToken = crypto.randomBytes(24).toString('hex');
+
+  this.calendarToken = crypto.createHash('sha256').update(calendarToken).digest('hex');
+
+  return calendarToken;
+};
+
 export default mongoose.model('User', UserSchema);
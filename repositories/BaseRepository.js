@@ -11,6 +11,22 @@ export default class BaseRepository {
     return await this.model.findById(id);
   }
 
+  // Insert documents, skipping those that collide with a unique index (e.g. written by a
+  // concurrent request) instead of failing the whole batch
+  async insertUnique(docs) {
+    try {
+      return { created: await this.model.insertMany(docs, { ordered: false }), duplicates: [] };
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (!writeErrors.length || writeErrors.some(writeError => (writeError.code ?? writeError.err?.code) !== 11000)) {
+        throw error;
+      }
+
+      const failed = new Set(writeErrors.map(writeError => writeError.index));
+      return { created: error.insertedDocs || [], duplicates: docs.filter((doc, index) => failed.has(index)) };
+    }
+  }
+
   async findAll(filter = {}, projection = {}) {
     return await this.model.find(filter, projection);
   }
@@ -0,0 +1,30 @@
+import Assignment from "../../models/assignment/Assignment.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class AssignmentRepository extends BaseRepository {
+  constructor() {
+    super(Assignment);
+  }
+
+  async findAllAssignments(filter = {}) {
+    return this.model
+      .find(filter)
+      .populate('course', 'title')
+      .populate('batch', 'code name')
+      .sort({ dueDate: -1 });
+  }
+
+  // Assignments a student has to do: course-wide ones and those of their batch
+  async findForStudent(student, filter = {}) {
+    if (!student.course) return [];
+
+    return this.findAllAssignments({
+      ...filter,
+      course: student.course,
+      $or: [{ batch: null }, ...(student.batch ? [{ batch: student.batch }] : [])]
+    });
+  }
+}
+
+export default new AssignmentRepository();
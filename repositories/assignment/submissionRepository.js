@@ -0,0 +1,42 @@
+import Submission from "../../models/assignment/Submission.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class SubmissionRepository extends BaseRepository {
+  constructor() {
+    super(Submission);
+  }
+
+  async findByAssignment(assignmentId) {
+    return this.model
+      .find({ assignment: assignmentId })
+      .populate('student', 'name studentId email batchCode')
+      .sort({ submittedAt: 1 });
+  }
+
+  async findForStudent(assignmentId, studentId) {
+    return this.model.findOne({ assignment: assignmentId, student: studentId });
+  }
+
+  async findByStudent(studentId, assignmentIds) {
+    return this.model.find({ student: studentId, assignment: { $in: assignmentIds } });
+  }
+
+  async findByAssignments(assignmentIds) {
+    return this.model.find({ assignment: { $in: assignmentIds } });
+  }
+
+  async updateMany(filter, data) {
+    return this.model.updateMany(filter, data);
+  }
+
+  async maxMarks(assignmentId) {
+    const [result] = await this.model.aggregate([
+      { $match: { assignment: assignmentId, status: 'graded' } },
+      { $group: { _id: null, marks: { $max: '$marks' } } }
+    ]);
+    return result?.marks ?? null;
+  }
+}
+
+export default new SubmissionRepository();
@@ -0,0 +1,34 @@
+import Attendance from "../../models/attendance/Attendance.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class AttendanceRepository extends BaseRepository {
+  constructor() {
+    super(Attendance);
+  }
+
+  async findBySession(sessionId) {
+    return this.model.find({ session: sessionId }).populate('student', 'name studentId email');
+  }
+
+  async findByStudent(studentId) {
+    return this.model
+      .find({ student: studentId })
+      .populate('session', 'date startTime endTime topic batch')
+      .sort({ markedAt: -1 });
+  }
+
+  async findMarkedStudentIds(sessionId) {
+    return this.model.distinct('student', { session: sessionId });
+  }
+
+  // Number of records per status for a student
+  async countByStatus(studentId) {
+    return this.model.aggregate([
+      { $match: { student: studentId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+  }
+}
+
+export default new AttendanceRepository();
@@ -0,0 +1,47 @@
+import ClassSession from "../../models/attendance/ClassSession.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class ClassSessionRepository extends BaseRepository {
+  constructor() {
+    super(ClassSession);
+  }
+
+  async findByBatch(batchId, filter = {}) {
+    return this.model.find({ batch: batchId, ...filter }).sort({ date: -1, startTime: -1 });
+  }
+
+  // Sessions of the trainer or the batch on a day whose times overlap startTime-endTime
+  async findOverlapping({ batch, trainer, date, startTime, endTime, excludeId = null }) {
+    return this.model
+      .find({
+        date,
+        status: { $ne: 'cancelled' },
+        $or: [{ trainer }, { batch }],
+        startTime: { $lt: endTime },
+        endTime: { $gt: startTime },
+        ...(excludeId && { _id: { $ne: excludeId } })
+      })
+      .populate('batch', 'code name')
+      .sort({ startTime: 1 });
+  }
+
+  async findWithDetails(id) {
+    return this.model
+      .findById(id)
+      .populate('batch', 'code name')
+      .populate('course', 'title')
+      .populate('trainer', 'name email');
+  }
+
+  async findTimetable(filter, from, to) {
+    return this.model
+      .find({ ...filter, date: { $gte: from, $lte: to } })
+      .populate('batch', 'code name')
+      .populate('course', 'title')
+      .populate('trainer', 'name email')
+      .sort({ date: 1, startTime: 1 });
+  }
+}
+
+export default new ClassSessionRepository();
@@ -0,0 +1,40 @@
+import LoginAttempt from "../../models/auth/LoginAttempt.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class LoginAttemptRepository extends BaseRepository {
+  constructor() {
+    super(LoginAttempt);
+  }
+
+  async findByIp(ip) {
+    return this.model.findOne({ ip });
+  }
+
+  // Count a failure atomically, creating the record on the first one; a window that has
+  // run out starts over first
+  async recordFailure(ip, windowMs, expiresAt) {
+    const now = new Date();
+
+    await this.model.updateOne(
+      { ip, windowStartedAt: { $lte: new Date(now.getTime() - windowMs) } },
+      { failures: 0, windowStartedAt: now, lockUntil: null }
+    );
+
+    return this.model.findOneAndUpdate(
+      { ip },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt }, $setOnInsert: { windowStartedAt: now, lockUntil: null } },
+      { upsert: true, new: true }
+    );
+  }
+
+  async lock(ip, lockUntil) {
+    return this.model.updateOne({ ip }, { lockUntil });
+  }
+
+  async clearForIp(ip) {
+    return this.model.deleteOne({ ip });
+  }
+}
+
+export default new LoginAttemptRepository();
@@ -0,0 +1,24 @@
+import MfaPolicy from "../../models/auth/MfaPolicy.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class MfaPolicyRepository extends BaseRepository {
+  constructor() {
+    super(MfaPolicy);
+  }
+
+  async isEnforced(role) {
+    const policy = await this.model.findOne({ role });
+    return !!policy?.enforced;
+  }
+
+  async setPolicy(role, enforced, updatedBy) {
+    return this.model.findOneAndUpdate(
+      { role },
+      { enforced, updatedBy },
+      { new: true, upsert: true, runValidators: true }
+    );
+  }
+}
+
+export default new MfaPolicyRepository();
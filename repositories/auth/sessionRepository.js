@@ -0,0 +1,51 @@
+import Session from "../../models/auth/Session.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class SessionRepository extends BaseRepository {
+  constructor() {
+    super(Session);
+  }
+
+  async findWithTokenHash(sessionId) {
+    return this.model.findById(sessionId).select('+refreshTokenHash');
+  }
+
+  // Swap the refresh token hash only if the presented one is still current, so one
+  // token can be rotated once however many requests present it at the same time
+  async rotateTokenHash(sessionId, currentHash, newHash) {
+    return this.model.findOneAndUpdate(
+      { _id: sessionId, refreshTokenHash: currentHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { refreshTokenHash: newHash, lastUsedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  async findActiveById(sessionId) {
+    return this.model.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  }
+
+  async findActiveByUser(userId) {
+    return this.model.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+  }
+
+  async revoke(sessionId, reason) {
+    return this.model.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+  }
+
+  async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    return this.model.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  }
+}
+
+export default new SessionRepository();
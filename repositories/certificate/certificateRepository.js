@@ -0,0 +1,37 @@
+import Certificate from "../../models/certificate/Certificate.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class CertificateRepository extends BaseRepository {
+  constructor() {
+    super(Certificate);
+  }
+
+  async findByNumber(certificateNumber) {
+    return this.model.findOne({ certificateNumber });
+  }
+
+  async findByStudent(studentId) {
+    return this.model.find({ student: studentId }).sort({ issuedAt: -1 });
+  }
+
+  async findIssued(studentId, courseId) {
+    return this.model.findOne({ student: studentId, course: courseId, status: 'issued' });
+  }
+
+  async findPaginated(filter, { skip, limit }) {
+    const [certificates, total] = await Promise.all([
+      this.model
+        .find(filter)
+        .populate('issuedBy', 'name')
+        .sort({ issuedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      this.model.countDocuments(filter)
+    ]);
+
+    return { certificates, total };
+  }
+}
+
+export default new CertificateRepository();
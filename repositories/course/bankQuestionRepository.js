@@ -0,0 +1,54 @@
+import BankQuestion from "../../models/course/BankQuestion.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class BankQuestionRepository extends BaseRepository {
+  constructor() {
+    super(BankQuestion);
+  }
+
+  async findPaginated(filter, { skip, limit }) {
+    const [questions, total] = await Promise.all([
+      this.model
+        .find(filter)
+        .sort({ topic: 1, difficulty: 1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      this.model.countDocuments(filter)
+    ]);
+
+    return { questions, total };
+  }
+
+  async findInCourse(courseId, questionId) {
+    return this.model.findOne({ _id: questionId, course: courseId });
+  }
+
+  async countMatching(filter) {
+    return this.model.countDocuments(filter);
+  }
+
+  // Random questions for a generated quiz paper; the filter must use ObjectIds (no casting in aggregate)
+  async sample(filter, size) {
+    return this.model.aggregate([{ $match: filter }, { $sample: { size } }]);
+  }
+
+  // Question counts per topic and difficulty, for writing quiz rules
+  async summarize(courseId) {
+    return this.model.aggregate([
+      { $match: { course: courseId } },
+      { $group: { _id: { topic: '$topic', difficulty: '$difficulty' }, count: { $sum: 1 } } },
+      { $sort: { '_id.topic': 1, '_id.difficulty': 1 } }
+    ]);
+  }
+
+  async findDuplicates(courseId, texts) {
+    return this.model.find({ course: courseId, text: { $in: texts } }).select('text type');
+  }
+
+  async insertMany(questions) {
+    return this.model.insertMany(questions);
+  }
+}
+
+export default new BankQuestionRepository();
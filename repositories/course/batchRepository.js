@@ -0,0 +1,53 @@
+import Batch, { OPEN_BATCH_STATUSES } from "../../models/course/Batch.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class BatchRepository extends BaseRepository {
+  constructor() {
+    super(Batch);
+  }
+
+  async findAllBatches(filter = {}) {
+    return this.model
+      .find(filter)
+      .populate('course', 'title')
+      .populate('trainers', 'name email')
+      .sort({ startDate: -1 });
+  }
+
+  async findWithDetails(id) {
+    return this.model
+      .findById(id)
+      .populate('course', 'title type')
+      .populate('trainers', 'name email phone');
+  }
+
+  async findByCode(code) {
+    return this.model.findOne({ code: code.toUpperCase() });
+  }
+
+  // Start the seat count of a batch created before seats were counted
+  async initSeats(batchId, enrolled) {
+    return this.model.updateOne({ _id: batchId, enrolled: { $exists: false } }, { enrolled });
+  }
+
+  // Take seats in an open batch only while they fit its capacity (null otherwise), so
+  // concurrent enrolments cannot overfill it
+  async reserveSeats(batchId, count) {
+    return this.model.findOneAndUpdate(
+      {
+        _id: batchId,
+        status: { $in: OPEN_BATCH_STATUSES },
+        $expr: { $lte: [{ $add: ['$enrolled', count] }, '$capacity'] }
+      },
+      { $inc: { enrolled: count } },
+      { new: true }
+    );
+  }
+
+  async releaseSeats(batchId, count) {
+    return this.model.updateOne({ _id: batchId, enrolled: { $exists: true } }, { $inc: { enrolled: -count } });
+  }
+}
+
+export default new BatchRepository();
@@ -27,6 +27,24 @@ class CourseRepository extends BaseRepository {
   async getByLevel(level) {
     return this.model.find({ level, isDeleted: false });
   }
+
+  async findPaginated(filter, { skip, limit }) {
+    const [courses, total] = await Promise.all([
+      this.model
+        .find(filter)
+        .populate('courseHead', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      this.model.countDocuments(filter)
+    ]);
+
+    return { courses, total };
+  }
+
+  async findWithDetails(id) {
+    return this.model.findById(id).populate('courseHead', 'name email phone').populate('createdBy', 'name email');
+  }
 }
 
 export default new CourseRepository();
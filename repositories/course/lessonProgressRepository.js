@@ -0,0 +1,44 @@
+import LessonProgress from "../../models/course/LessonProgress.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class LessonProgressRepository extends BaseRepository {
+  constructor() {
+    super(LessonProgress);
+  }
+
+  async findByStudent(studentId, courseId) {
+    return this.model.find({ student: studentId, course: courseId });
+  }
+
+  async findForLesson(studentId, lessonId) {
+    return this.model.findOne({ student: studentId, lesson: lessonId });
+  }
+
+  // Upsert keeps two concurrent first updates from tripping the unique index
+  async findOrCreate(studentId, lesson) {
+    return this.model.findOneAndUpdate(
+      { student: studentId, lesson: lesson._id },
+      { $setOnInsert: { course: lesson.course, module: lesson.module, startedAt: new Date() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  async findLastAccessed(studentId, courseId, filter = {}) {
+    return this.model.findOne({ student: studentId, course: courseId, ...filter }).sort({ lastAccessedAt: -1 });
+  }
+
+  async countCompleted(studentId, lessonIds) {
+    return this.model.countDocuments({ student: studentId, lesson: { $in: lessonIds }, status: 'completed' });
+  }
+
+  // Most recent activity per student, for the given students
+  async findLastActivity(studentIds) {
+    return this.model.aggregate([
+      { $match: { student: { $in: studentIds } } },
+      { $group: { _id: '$student', lastAccessedAt: { $max: '$lastAccessedAt' } } }
+    ]);
+  }
+}
+
+export default new LessonProgressRepository();
@@ -0,0 +1,34 @@
+import Lesson from "../../models/course/Lesson.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class LessonRepository extends BaseRepository {
+  constructor() {
+    super(Lesson);
+  }
+
+  async findByCourse(courseId, filter = {}) {
+    return this.model.find({ course: courseId, ...filter }).sort({ order: 1 });
+  }
+
+  async findByModule(moduleId, filter = {}) {
+    return this.model.find({ module: moduleId, ...filter }).sort({ order: 1 });
+  }
+
+  async findInCourse(courseId, lessonId) {
+    return this.model.findOne({ _id: lessonId, course: courseId });
+  }
+
+  async getNextOrder(moduleId) {
+    const last = await this.model.findOne({ module: moduleId }).sort({ order: -1 }).select('order');
+    return last ? last.order + 1 : 1;
+  }
+
+  async setOrder(orderedIds) {
+    return this.model.bulkWrite(orderedIds.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { order: index + 1 } }
+    })));
+  }
+}
+
+export default new LessonRepository();
@@ -0,0 +1,30 @@
+import CourseModule from "../../models/course/Module.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class ModuleRepository extends BaseRepository {
+  constructor() {
+    super(CourseModule);
+  }
+
+  async findByCourse(courseId, filter = {}) {
+    return this.model.find({ course: courseId, ...filter }).sort({ order: 1 });
+  }
+
+  async findInCourse(courseId, moduleId) {
+    return this.model.findOne({ _id: moduleId, course: courseId });
+  }
+
+  async getNextOrder(courseId) {
+    const last = await this.model.findOne({ course: courseId }).sort({ order: -1 }).select('order');
+    return last ? last.order + 1 : 1;
+  }
+
+  async setOrder(orderedIds) {
+    return this.model.bulkWrite(orderedIds.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { order: index + 1 } }
+    })));
+  }
+}
+
+export default new ModuleRepository();
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import QuizAttempt from "../../models/course/QuizAttempt.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class QuizAttemptRepository extends BaseRepository {
+  constructor() {
+    super(QuizAttempt);
+  }
+
+  async findByStudent(quizId, studentId) {
+    return this.model.find({ quiz: quizId, student: studentId }).sort({ attemptNumber: 1 });
+  }
+
+  async findByQuiz(quizId, filter = {}) {
+    return this.model
+      .find({ quiz: quizId, ...filter })
+      .populate('student', 'name studentId')
+      .sort({ submittedAt: -1, startedAt: -1 });
+  }
+
+  async findInProgress(quizId, studentId) {
+    return this.model.findOne({ quiz: quizId, student: studentId, status: 'in_progress' });
+  }
+
+  async countByStudent(quizId, studentId) {
+    return this.model.countDocuments({ quiz: quizId, student: studentId });
+  }
+
+  async countPassed(studentId, quizIds) {
+    const passed = await this.model.distinct('quiz', { student: studentId, quiz: { $in: quizIds }, passed: true });
+    return passed.length;
+  }
+
+  // Best result per quiz of a student, for the progress view
+  async findBestByStudent(studentId, quizIds) {
+    return this.model.aggregate([
+      { $match: { student: new mongoose.Types.ObjectId(String(studentId)), quiz: { $in: quizIds }, status: 'submitted' } },
+      {
+        $group: {
+          _id: '$quiz',
+          attempts: { $sum: 1 },
+          bestPercentage: { $max: '$percentage' },
+          passed: { $max: '$passed' }
+        }
+      }
+    ]);
+  }
+}
+
+export default new QuizAttemptRepository();
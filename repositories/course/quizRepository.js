@@ -0,0 +1,23 @@
+import Quiz from "../../models/course/Quiz.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class QuizRepository extends BaseRepository {
+  constructor() {
+    super(Quiz);
+  }
+
+  // Quiz summaries of a course, without the questions and their answer keys
+  async findByCourse(courseId, filter = {}) {
+    return this.model
+      .find({ course: courseId, ...filter })
+      .select('-questions')
+      .sort({ createdAt: 1 });
+  }
+
+  async findInCourse(courseId, quizId) {
+    return this.model.findOne({ _id: quizId, course: courseId });
+  }
+}
+
+export default new QuizRepository();
@@ -0,0 +1,23 @@
+import FeePlan from "../../models/fee/FeePlan.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class FeePlanRepository extends BaseRepository {
+  constructor() {
+    super(FeePlan);
+  }
+
+  async findByStudent(studentId) {
+    return this.model.findOne({ student: studentId });
+  }
+
+  async upsertForStudent(studentId, data) {
+    return this.model.findOneAndUpdate(
+      { student: studentId },
+      { ...data, student: studentId },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+}
+
+export default new FeePlanRepository();
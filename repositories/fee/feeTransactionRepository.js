@@ -0,0 +1,80 @@
+import FeeTransaction from "../../models/fee/FeeTransaction.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class FeeTransactionRepository extends BaseRepository {
+  constructor() {
+    super(FeeTransaction);
+  }
+
+  async findByStudent(studentId) {
+    return this.model
+      .find({ student: studentId })
+      .populate('receivedBy', 'name email')
+      .sort({ paidAt: -1, createdAt: -1 });
+  }
+
+  async findWithDetails(id) {
+    return this.model
+      .findById(id)
+      .populate('student', 'name email phone studentId course batchCode')
+      .populate('receivedBy', 'name email');
+  }
+
+  async findByPaymentOrder(paymentOrderId) {
+    return this.model.findOne({ paymentOrder: paymentOrderId });
+  }
+
+  async findPaginated(filter, { skip, limit }) {
+    const [transactions, total] = await Promise.all([
+      this.model
+        .find(filter)
+        .populate('student', 'name studentId')
+        .populate('receivedBy', 'name')
+        .sort({ paidAt: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      this.model.countDocuments(filter)
+    ]);
+
+    return { transactions, total };
+  }
+
+  // Sum of the ledger per transaction type for a student
+  async sumByType(studentId) {
+    return this.model.aggregate([
+      { $match: { student: studentId } },
+      { $group: { _id: '$type', amount: { $sum: '$amount' } } }
+    ]);
+  }
+
+  async sumRefunds(paymentId) {
+    const [result] = await this.model.aggregate([
+      { $match: { refundOf: paymentId } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]);
+    return result ? result.amount : 0;
+  }
+
+  // Add to a payment's refunded total only while it stays within the payment (null
+  // otherwise), so concurrent refunds cannot return more than was paid. Payments
+  // refunded before the total was kept start from the sum of their refunds.
+  async reserveRefund(paymentId, amount) {
+    await this.model.updateOne(
+      { _id: paymentId, refundedAmount: { $exists: false } },
+      { refundedAmount: await this.sumRefunds(paymentId) }
+    );
+
+    return this.model.findOneAndUpdate(
+      { _id: paymentId, $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, { $add: ['$amount', 0.005] }] } },
+      { $inc: { refundedAmount: amount } },
+      { new: true }
+    );
+  }
+
+  async releaseRefund(paymentId, amount) {
+    return this.model.updateOne({ _id: paymentId }, { $inc: { refundedAmount: -amount } });
+  }
+}
+
+export default new FeeTransactionRepository();
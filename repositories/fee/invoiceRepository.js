@@ -0,0 +1,24 @@
+import Invoice from "../../models/fee/Invoice.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class InvoiceRepository extends BaseRepository {
+  constructor() {
+    super(Invoice);
+  }
+
+  async findByStudent(studentId) {
+    return this.model
+      .find({ student: studentId })
+      .populate('createdBy', 'name')
+      .sort({ issuedAt: -1 });
+  }
+
+  async findWithDetails(id) {
+    return this.model
+      .findById(id)
+      .populate('student', 'name email phone studentId course batchCode');
+  }
+}
+
+export default new InvoiceRepository();
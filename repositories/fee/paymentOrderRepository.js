@@ -0,0 +1,28 @@
+import PaymentOrder from "../../models/fee/PaymentOrder.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class PaymentOrderRepository extends BaseRepository {
+  constructor() {
+    super(PaymentOrder);
+  }
+
+  async findByProviderOrderId(provider, providerOrderId) {
+    return this.model.findOne({ provider, providerOrderId });
+  }
+
+  async findByStudent(studentId) {
+    return this.model.find({ student: studentId }).sort({ createdAt: -1 });
+  }
+
+  // Only orders that are not paid yet can change state
+  async markFailed(id, { providerPaymentId, failureReason }) {
+    return this.model.findOneAndUpdate(
+      { _id: id, status: { $ne: 'paid' } },
+      { status: 'failed', providerPaymentId, failureReason },
+      { new: true }
+    );
+  }
+}
+
+export default new PaymentOrderRepository();
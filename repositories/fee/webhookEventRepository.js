@@ -0,0 +1,24 @@
+import WebhookEvent from "../../models/fee/WebhookEvent.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class WebhookEventRepository extends BaseRepository {
+  constructor() {
+    super(WebhookEvent);
+  }
+
+  async findByEventId(provider, eventId) {
+    return this.model.findOne({ provider, eventId });
+  }
+
+  // Take a failed event back for another attempt; null if someone else already did
+  async claimForRetry(id) {
+    return this.model.findOneAndUpdate(
+      { _id: id, status: 'failed' },
+      { status: 'processing', error: null, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+}
+
+export default new WebhookEventRepository();
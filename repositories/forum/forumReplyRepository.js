@@ -0,0 +1,28 @@
+import ForumReply from "../../models/forum/ForumReply.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class ForumReplyRepository extends BaseRepository {
+  constructor() {
+    super(ForumReply);
+  }
+
+  // Replies of a thread in the order they were written
+  async findByThread(threadId, { skip, limit }) {
+    const filter = { thread: threadId };
+    const [replies, total] = await Promise.all([
+      this.model
+        .find(filter)
+        .populate('author', 'name role profileImage')
+        .populate('mentions', 'name role')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      this.model.countDocuments(filter)
+    ]);
+
+    return { replies, total };
+  }
+}
+
+export default new ForumReplyRepository();
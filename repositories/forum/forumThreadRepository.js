@@ -0,0 +1,43 @@
+import ForumThread from "../../models/forum/ForumThread.js";
+import BaseRepository from "../BaseRepository.js";
+
+const AUTHOR_FIELDS = 'name role profileImage';
+
+
+class ForumThreadRepository extends BaseRepository {
+  constructor() {
+    super(ForumThread);
+  }
+
+  // Pinned threads first, then the most recently active
+  async findPaginated(filter, { skip, limit }) {
+    const [threads, total] = await Promise.all([
+      this.model
+        .find(filter)
+        .select('-body -attachments -mentions')
+        .populate('author', AUTHOR_FIELDS)
+        .populate('batch', 'code name')
+        .sort({ isPinned: -1, lastActivityAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      this.model.countDocuments(filter)
+    ]);
+
+    return { threads, total };
+  }
+
+  async findWithDetails(threadId) {
+    return this.model
+      .findById(threadId)
+      .populate('author', AUTHOR_FIELDS)
+      .populate('mentions', 'name role')
+      .populate('course', 'title')
+      .populate('batch', 'code name');
+  }
+
+  async recordReply(threadId, at) {
+    return this.model.findByIdAndUpdate(threadId, { $inc: { replyCount: 1 }, lastActivityAt: at });
+  }
+}
+
+export default new ForumThreadRepository();
@@ -0,0 +1,45 @@
+import EmailNotification from "../../models/notification/EmailNotification.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class EmailNotificationRepository extends BaseRepository {
+  constructor() {
+    super(EmailNotification);
+  }
+
+  // Take the next due email for sending; emails left 'sending' by a crashed worker are taken again
+  async claimNext(now, staleBefore) {
+    return this.model.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: staleBefore } }
+        ]
+      },
+      { status: 'sending', lockedAt: now },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  async findPaginated(filter, { skip, limit }) {
+    const [notifications, total] = await Promise.all([
+      this.model
+        .find(filter)
+        .select('-text -html')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      this.model.countDocuments(filter)
+    ]);
+
+    return { notifications, total };
+  }
+
+  async countByStatus() {
+    return this.model.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+  }
+}
+
+export default new EmailNotificationRepository();
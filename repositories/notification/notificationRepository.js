@@ -0,0 +1,41 @@
+import Notification from "../../models/notification/Notification.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class NotificationRepository extends BaseRepository {
+  constructor() {
+    super(Notification);
+  }
+
+  async createMany(notifications) {
+    return this.model.insertMany(notifications);
+  }
+
+  async findPaginated(filter, { skip, limit }) {
+    const [notifications, total] = await Promise.all([
+      this.model
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      this.model.countDocuments(filter)
+    ]);
+
+    return { notifications, total };
+  }
+
+  // Notifications created after the one with this id, oldest first (ObjectIds grow over time)
+  async findSince(userId, notificationId, limit) {
+    return this.model.find({ user: userId, _id: { $gt: notificationId } }).sort({ _id: 1 }).limit(limit);
+  }
+
+  async countUnread(userId) {
+    return this.model.countDocuments({ user: userId, readAt: null });
+  }
+
+  async markAllRead(userId) {
+    return this.model.updateMany({ user: userId, readAt: null }, { readAt: new Date() });
+  }
+}
+
+export default new NotificationRepository();
@@ -0,0 +1,29 @@
+import Presence, { PRESENCE_TTL_SECONDS } from "../../models/notification/Presence.js";
+import BaseRepository from "../BaseRepository.js";
+
+// Entries older than this no longer count, even before the TTL index removes them
+const freshSince = () => new Date(Date.now() - PRESENCE_TTL_SECONDS * 1000);
+
+class PresenceRepository extends BaseRepository {
+  constructor() {
+    super(Presence);
+  }
+
+  async touch(userId, instance) {
+    return this.model.updateOne({ user: userId, instance }, { seenAt: new Date() }, { upsert: true });
+  }
+
+  async remove(userId, instance) {
+    return this.model.deleteOne({ user: userId, instance });
+  }
+
+  async isPresent(userId) {
+    return Boolean(await this.model.exists({ user: userId, seenAt: { $gt: freshSince() } }));
+  }
+
+  async findPresentUsers() {
+    return this.model.distinct('user', { seenAt: { $gt: freshSince() } });
+  }
+}
+
+export default new PresenceRepository();
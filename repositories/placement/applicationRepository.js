@@ -0,0 +1,33 @@
+import Application from "../../models/placement/Application.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class ApplicationRepository extends BaseRepository {
+  constructor() {
+    super(Application);
+  }
+
+  async findByJob(jobId, filter = {}) {
+    return this.model
+      .find({ job: jobId, ...filter })
+      .populate('student', 'name email phone studentId batchCode placementStatus')
+      .sort({ createdAt: 1 });
+  }
+
+  async findByStudent(studentId) {
+    return this.model
+      .find({ student: studentId })
+      .populate('job', 'title company location employmentType status')
+      .sort({ createdAt: -1 });
+  }
+
+  async findExistingStudentIds(jobId, studentIds) {
+    return this.model.find({ job: jobId, student: { $in: studentIds } }).distinct('student');
+  }
+
+  async countByStatus(jobId, status) {
+    return this.model.countDocuments({ job: jobId, status });
+  }
+}
+
+export default new ApplicationRepository();
@@ -0,0 +1,19 @@
+import JobOpening from "../../models/placement/JobOpening.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class JobOpeningRepository extends BaseRepository {
+  constructor() {
+    super(JobOpening);
+  }
+
+  async findAllJobs(filter = {}) {
+    return this.model.find(filter).populate('eligibleCourses', 'title').sort({ createdAt: -1 });
+  }
+
+  async findOpenJobs() {
+    return this.model.find({ status: 'open' }).sort({ deadline: 1 });
+  }
+}
+
+export default new JobOpeningRepository();
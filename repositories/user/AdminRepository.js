@@ -1,4 +1,5 @@
 import Admin from "../../models/user/Admin.js";
+import { PERMISSIONS } from "../../config/permissions.js";
 import BaseRepository from "../BaseRepository.js";
 
 
@@ -11,14 +12,27 @@ class AdminRepository extends BaseRepository {
     return this.model.find({ isSuperAdmin: true });
   }
 
+  // Admins who pass authorize.can(privilege)
+  async findWithPrivilege(privilege) {
+    return this.model.find({
+      $or: [
+        { isSuperAdmin: true },
+        { privileges: { $in: [privilege, PERMISSIONS.FULL_ACCESS] } }
+      ]
+    });
+  }
+
   async hasPrivilege(adminId, privilege) {
     const admin = await this.model.findById(adminId);
     return admin?.privileges.includes(privilege);
   }
 
   async findAllAdmins() {
-    const admin = await this.model.findById(adminId);
-    return admin?.privileges.includes(privilege);
+    return this.model.find().select('-password').sort({ createdAt: -1 });
+  }
+
+  async updatePrivileges(adminId, privileges) {
+    return this.model.findByIdAndUpdate(adminId, { privileges }, { new: true, runValidators: true });
   }
 }
 
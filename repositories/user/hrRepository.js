@@ -1,5 +1,5 @@
-import Hr from "../../models/user/Hr";
-import BaseRepository from "../BaseRepository";
+import Hr from "../../models/user/Hr.js";
+import BaseRepository from "../BaseRepository.js";
 
 
 class HRRepository extends BaseRepository {
@@ -7,6 +7,10 @@ class HRRepository extends BaseRepository {
     super(Hr);
   }
 
+  async findAllHrs(filter = {}) {
+    return this.model.find(filter).select('-password').sort({ createdAt: -1 });
+  }
+
   async getAllHRs() {
     return this.model.find({ department: 'Placement' });
   }
@@ -1,7 +1,6 @@
 import Parent from "../../models/user/Parent.js";
 import BaseRepository from "../BaseRepository.js";
 
-;
 
 class ParentRepository extends BaseRepository {
   constructor() {
@@ -15,6 +14,18 @@ class ParentRepository extends BaseRepository {
   async findByEmail(email) {
     return this.model.findOne({ email });
   }
+
+  async findAllParents(filter = {}) {
+    return this.model.find(filter).select('-password').sort({ createdAt: -1 });
+  }
+
+  async addStudent(parentId, studentId) {
+    return this.model.findByIdAndUpdate(parentId, { $addToSet: { studentIds: studentId } }, { new: true });
+  }
+
+  async removeStudent(parentId, studentId) {
+    return this.model.findByIdAndUpdate(parentId, { $pull: { studentIds: studentId } }, { new: true });
+  }
 }
 
 export default new ParentRepository();
@@ -8,8 +8,12 @@ class StudentRepository extends BaseRepository {
     super(Student);
   }
 
-  async findAllStudents() {
-    return this.model.find({ });
+  async findAllStudents(filter = {}) {
+    return this.model.find(filter).select('-password');
+  }
+
+  async findProfile(studentId) {
+    return this.model.findById(studentId).select('-password');
   }
 
   async findByTrainer(trainerId) {
@@ -17,7 +21,67 @@ class StudentRepository extends BaseRepository {
   }
 
   async findByCourse(courseId) {
-    return this.model.find({ courseIds: courseId });
+    return this.model.find({ course: courseId });
+  }
+
+  async findByBatch(batchId) {
+    return this.model.find({ batch: batchId }).sort({ name: 1 });
+  }
+
+  // Set a student's batch fields only if they are still in fromBatchId (null: in no batch)
+  async assignBatch(studentId, fromBatchId, fields) {
+    return this.model.findOneAndUpdate({ _id: studentId, batch: fromBatchId }, fields, { new: true });
+  }
+
+  async countByBatch(batchId) {
+    return this.model.countDocuments({ batch: batchId });
+  }
+
+  // Add to fee.paid and fee.concession in one update. With withinPending, the update only
+  // applies while the pending amount still covers it (null otherwise), so concurrent
+  // payments and concessions cannot take a student past the fee total
+  async incrementFee(studentId, { paid = 0, concession = 0 }, { withinPending = false } = {}) {
+    const filter = { _id: studentId };
+
+    if (withinPending) {
+      const credited = { $add: [{ $ifNull: ['$fee.paid', 0] }, { $ifNull: ['$fee.concession', 0] }] };
+      filter.$expr = { $gte: [{ $subtract: ['$fee.total', credited] }, paid + concession - 0.005] };
+    }
+
+    return this.model.findOneAndUpdate(filter, { $inc: { 'fee.paid': paid, 'fee.concession': concession } }, { new: true });
+  }
+
+  // Overwrite fee.paid and fee.concession only if they still hold the values the caller read
+  async replaceFeeCredits(studentId, expected, credits) {
+    return this.model.findOneAndUpdate(
+      {
+        _id: studentId,
+        $expr: {
+          $and: [
+            { $eq: [{ $ifNull: ['$fee.paid', 0] }, expected.paid] },
+            { $eq: [{ $ifNull: ['$fee.concession', 0] }, expected.concession] }
+          ]
+        }
+      },
+      { 'fee.paid': credits.paid, 'fee.concession': credits.concession },
+      { new: true }
+    );
+  }
+
+  // Change fee.total only if it still covers what is paid and waived
+  async setFeeTotal(studentId, total) {
+    return this.model.findOneAndUpdate(
+      {
+        _id: studentId,
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$fee.paid', 0] }, { $ifNull: ['$fee.concession', 0] }] }, total + 0.005] }
+      },
+      { 'fee.total': total },
+      { new: true }
+    );
+  }
+
+  async updateMany(filter, data) {
+    return this.model.updateMany(filter, data);
   }
 
   async findWithGuardian(studentId) {
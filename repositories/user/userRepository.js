@@ -0,0 +1,70 @@
+import User from "../../models/user/index.js";
+import BaseRepository from "../BaseRepository.js";
+
+
+class UserRepository extends BaseRepository {
+  constructor() {
+    super(User);
+  }
+
+  async findForLogin(query) {
+    return this.model.findOne(query).select('+password +failedLoginAttempts +lastFailedLoginAt +lockUntil');
+  }
+
+  async findWithLockState(userId) {
+    return this.model.findById(userId).select('+failedLoginAttempts +lastFailedLoginAt +lockUntil');
+  }
+
+  async findWithMfaSecrets(userId) {
+    return this.model.findById(userId)
+      .select('+password +mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep +failedLoginAttempts +lastFailedLoginAt +lockUntil');
+  }
+
+  // Count a failed login atomically; a lock that has run out starts a fresh count
+  async recordLoginFailure(userId) {
+    const now = new Date();
+
+    await this.model.updateOne(
+      { _id: userId, lockUntil: { $lte: now } },
+      { failedLoginAttempts: 0, $unset: { lockUntil: 1 } }
+    );
+
+    return this.model.findByIdAndUpdate(
+      userId,
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+      { new: true }
+    ).select('+failedLoginAttempts +lastFailedLoginAt +lockUntil');
+  }
+
+  async lockLogin(userId, lockUntil) {
+    return this.model.updateOne({ _id: userId }, { lockUntil });
+  }
+
+  // Record a used TOTP step only if it is newer than the last one; null when the code was already used
+  async claimMfaStep(userId, step) {
+    return this.model.findOneAndUpdate(
+      { _id: userId, $or: [{ 'mfa.lastUsedStep': { $lt: step } }, { 'mfa.lastUsedStep': null }] },
+      { $set: { 'mfa.lastUsedStep': step } },
+      { new: true }
+    );
+  }
+
+  // Remove a recovery code only if it is still unused; null when another request consumed it first
+  async consumeRecoveryCode(userId, hash) {
+    return this.model.findOneAndUpdate(
+      { _id: userId, 'mfa.recoveryCodes': hash },
+      { $pull: { 'mfa.recoveryCodes': hash } },
+      { new: true }
+    ).select('+mfa.recoveryCodes');
+  }
+
+  async resetLoginFailures(userId) {
+    return this.model.findByIdAndUpdate(
+      userId,
+      { failedLoginAttempts: 0, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } },
+      { new: true }
+    );
+  }
+}
+
+export default new UserRepository();
@@ -0,0 +1,703 @@
+import { Router } from "express";
+import assignmentControllers from "../../controllers/assignment/assignmentController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeStudentAccess } from "../../middlewares/ownership.js";
+import { namedFilesUpload, handleMulterError } from "../../middlewares/fileUpload.js";
+import fileUploadConfig from "../../config/fileUpload.js";
+
+const assignmentRouter = Router()
+
+// Submissions come in through the named `assignment` upload field
+const submissionUpload = namedFilesUpload({
+  storageType: 'memory',
+  fields: { assignment: fileUploadConfig.uploadTypes.named.fields.assignment }
+})
+
+/**
+ * @swagger
+ * /api/v1/assignments:
+ *   post:
+ *     summary: Create an assignment
+ *     description: Create an assignment for every student of a course (courseId) or for one batch (batchId). Trainers can set assignments for the courses they head and the batches they teach. Admins need the `manage_courses` permission.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - dueDate
+ *               - maxMarks
+ *             properties:
+ *               courseId:
+ *                 type: string
+ *               batchId:
+ *                 type: string
+ *                 description: Takes precedence over courseId
+ *               title:
+ *                 type: string
+ *                 example: REST API design
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               maxMarks:
+ *                 type: number
+ *                 example: 20
+ *               allowedFileTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [pdf, doc, docx, xls, zip, rar]
+ *                 default: [pdf, doc, docx, zip]
+ *               allowLateSubmissions:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Assignment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assignment:
+ *                       $ref: '#/components/schemas/Assignment'
+ *       400:
+ *         description: Bad request - Missing or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+assignmentRouter.post('/', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), assignmentControllers.createAssignment)
+
+/**
+ * @swagger
+ * /api/v1/assignments:
+ *   get:
+ *     summary: List assignments
+ *     description: Students get the assignments set for their course and batch. Trainers get the ones they can manage, and admins all of them, optionally for one course or batch. Admins need the `manage_courses` permission.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         description: Only assignments of this course
+ *       - in: query
+ *         name: batchId
+ *         schema:
+ *           type: string
+ *         description: Only assignments of this batch
+ *     responses:
+ *       200:
+ *         description: Assignments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assignments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Assignment'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+assignmentRouter.get('/', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), assignmentControllers.fetchAssignments)
+
+/**
+ * @swagger
+ * /api/v1/assignments/matrix:
+ *   get:
+ *     summary: Submission matrix
+ *     description: One row per student and one cell per assignment, oldest assignment first. For a batch it covers the batch's assignments and the course-wide ones. For a course it covers the course-wide assignments and every student of the course. Cells are graded, submitted, late, missing (past due without a submission) or pending. Admins need the `manage_courses` permission.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         description: Course (course-wide assignments)
+ *       - in: query
+ *         name: batchId
+ *         schema:
+ *           type: string
+ *         description: Batch
+ *     responses:
+ *       200:
+ *         description: Matrix retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assignments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           dueDate:
+ *                             type: string
+ *                             format: date-time
+ *                           maxMarks:
+ *                             type: number
+ *                     students:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           studentId:
+ *                             type: string
+ *                           cells:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 assignment:
+ *                                   type: string
+ *                                 status:
+ *                                   type: string
+ *                                   enum: [graded, submitted, late, missing, pending]
+ *                                 submission:
+ *                                   type: string
+ *                                   nullable: true
+ *                                 marks:
+ *                                   type: number
+ *                                   nullable: true
+ *       400:
+ *         description: Bad request - courseId or batchId missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+assignmentRouter.get('/matrix', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), assignmentControllers.getMatrix)
+
+/**
+ * @swagger
+ * /api/v1/assignments/students/{studentId}:
+ *   get:
+ *     summary: Get a student's assignments and grades
+ *     description: Every assignment set for the student with its status, the submission, and the marks and feedback once graded, plus totals over the graded ones. Ownership rules apply. Admins need the `manage_users` permission.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Grades retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assignments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           assignment:
+ *                             $ref: '#/components/schemas/Assignment'
+ *                           status:
+ *                             type: string
+ *                             enum: [graded, submitted, late, missing, pending]
+ *                           submission:
+ *                             $ref: '#/components/schemas/Submission'
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         assigned:
+ *                           type: integer
+ *                         submitted:
+ *                           type: integer
+ *                         graded:
+ *                           type: integer
+ *                         marks:
+ *                           type: number
+ *                         maxMarks:
+ *                           type: number
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+assignmentRouter.get('/students/:studentId', authenticate, authorize('admin', 'trainer', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_USERS), authorizeStudentAccess(), assignmentControllers.getStudentGrades)
+
+/**
+ * @swagger
+ * /api/v1/assignments/submissions/{submissionId}/grade:
+ *   patch:
+ *     summary: Grade a submission
+ *     description: Give marks (0 to the assignment's maxMarks) and feedback. A graded submission can be graded again but no longer resubmitted. Admins need the `manage_courses` permission.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Submission ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - marks
+ *             properties:
+ *               marks:
+ *                 type: number
+ *                 example: 17
+ *               feedback:
+ *                 type: string
+ *                 example: Good structure, add input validation
+ *     responses:
+ *       200:
+ *         description: Submission graded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     submission:
+ *                       $ref: '#/components/schemas/Submission'
+ *       400:
+ *         description: Bad request - Invalid marks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Submission not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+assignmentRouter.patch('/submissions/:submissionId/grade', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), assignmentControllers.gradeSubmission)
+
+/**
+ * @swagger
+ * /api/v1/assignments/{assignmentId}:
+ *   get:
+ *     summary: Get an assignment
+ *     description: Students can only see assignments set for them and also get their own submission. Admins need the `manage_courses` permission.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     responses:
+ *       200:
+ *         description: Assignment retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assignment:
+ *                       $ref: '#/components/schemas/Assignment'
+ *                     submission:
+ *                       $ref: '#/components/schemas/Submission'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Assignment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+assignmentRouter.get('/:assignmentId', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), assignmentControllers.getAssignment)
+
+/**
+ * @swagger
+ * /api/v1/assignments/{assignmentId}:
+ *   patch:
+ *     summary: Update an assignment
+ *     description: Change the details, due date, marks or accepted file types. maxMarks cannot drop below marks already given. Moving the due date updates the late flag of existing submissions. Admins need the `manage_courses` permission.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               maxMarks:
+ *                 type: number
+ *               allowedFileTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [pdf, doc, docx, xls, zip, rar]
+ *               allowLateSubmissions:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Assignment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assignment:
+ *                       $ref: '#/components/schemas/Assignment'
+ *       400:
+ *         description: Bad request - Invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Assignment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+assignmentRouter.patch('/:assignmentId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), assignmentControllers.updateAssignment)
+
+/**
+ * @swagger
+ * /api/v1/assignments/{assignmentId}/submissions:
+ *   post:
+ *     summary: Submit an assignment
+ *     description: Upload the files of a submission in the `assignment` field. Only the assignment's allowedFileTypes are accepted. Submitting again replaces the files until the submission is graded. Submissions after the due date are flagged as late, or refused when the assignment does not allow late submissions.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assignment
+ *             properties:
+ *               assignment:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     submission:
+ *                       $ref: '#/components/schemas/Submission'
+ *       400:
+ *         description: Bad request - No files, file type not accepted, already graded or deadline passed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Assignment not set for this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Assignment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+assignmentRouter.post('/:assignmentId/submissions', authenticate, authorize('student'), submissionUpload, handleMulterError, assignmentControllers.submitAssignment)
+
+/**
+ * @swagger
+ * /api/v1/assignments/{assignmentId}/submissions:
+ *   get:
+ *     summary: List submissions of an assignment
+ *     description: Submissions with their files, late flag and grade, and the students who have not submitted yet. Admins need the `manage_courses` permission.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     responses:
+ *       200:
+ *         description: Submissions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assignment:
+ *                       $ref: '#/components/schemas/Assignment'
+ *                     submissions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Submission'
+ *                     notSubmitted:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           studentId:
+ *                             type: string
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Assignment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+assignmentRouter.get('/:assignmentId/submissions', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), assignmentControllers.fetchSubmissions)
+
+export default assignmentRouter
@@ -0,0 +1,934 @@
+import { Router } from "express";
+import attendanceControllers from "../../controllers/attendance/attendanceController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeStudentAccess } from "../../middlewares/ownership.js";
+
+const attendanceRouter = Router()
+
+/**
+ * @swagger
+ * /api/v1/attendance/sessions:
+ *   post:
+ *     summary: Schedule a class session
+ *     description: Schedule a session of a batch. It is checked against the trainer's availability and against the other sessions of the trainer and of the batch that day. Clashes are refused with 409 unless `allowConflicts` is true; with `dryRun=true` they are only reported and nothing is created. Trainers can only add sessions to batches they teach and run them themselves. Admins can pick any trainer of the batch and need the `manage_batches` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only check the session for clashes
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - batchId
+ *               - date
+ *               - startTime
+ *               - endTime
+ *             properties:
+ *               batchId:
+ *                 type: string
+ *                 example: "64c3af23e897ad238cabc150"
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-01-13"
+ *               startTime:
+ *                 type: string
+ *                 example: "10:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "12:00"
+ *               type:
+ *                 type: string
+ *                 enum: [class, exam]
+ *                 description: Defaults to class
+ *               topic:
+ *                 type: string
+ *                 example: "Promises and async/await"
+ *               trainer:
+ *                 type: string
+ *                 description: Trainer running the session (admins only, defaults to the lead trainer)
+ *               meetingLink:
+ *                 type: string
+ *                 example: "https://meet.example.com/abc-defg-hij"
+ *               room:
+ *                 type: string
+ *                 example: "Lab 2"
+ *               allowConflicts:
+ *                 type: boolean
+ *                 description: Schedule the session even though it clashes
+ *     responses:
+ *       200:
+ *         description: Dry run - the clashes the session would have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conflicts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ScheduleConflict'
+ *       201:
+ *         description: Session created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session:
+ *                       $ref: '#/components/schemas/ClassSession'
+ *                     conflicts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ScheduleConflict'
+ *       400:
+ *         description: Bad request - Invalid date, times or meeting link, or batch closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this batch or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflict - The session clashes and allowConflicts is not set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.post('/sessions', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), attendanceControllers.createSession)
+
+/**
+ * @swagger
+ * /api/v1/attendance/batches/{batchId}/sessions:
+ *   get:
+ *     summary: List the sessions of a batch
+ *     description: Sessions of a batch, newest first. Trainers can only list batches they teach. Admins need the `manage_batches` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Only sessions on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Only sessions on or before this date
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ClassSession'
+ *       400:
+ *         description: Bad request - Invalid dates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this batch or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.get('/batches/:batchId/sessions', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), attendanceControllers.fetchBatchSessions)
+
+/**
+ * @swagger
+ * /api/v1/attendance/sessions/{sessionId}:
+ *   get:
+ *     summary: Get a session register
+ *     description: The session with its attendance records and the roster students who are not marked yet. Admins need the `manage_batches` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session:
+ *                       $ref: '#/components/schemas/ClassSession'
+ *                     records:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AttendanceRecord'
+ *                     unmarked:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           studentId:
+ *                             type: string
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this batch or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.get('/sessions/:sessionId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), attendanceControllers.getSession)
+
+/**
+ * @swagger
+ * /api/v1/attendance/sessions/{sessionId}:
+ *   patch:
+ *     summary: Reschedule a session
+ *     description: Move a scheduled session to another day or time, or change its type, topic, meeting link or room. A new day or time is checked for clashes like a new session and refused with 409 unless `allowConflicts` is true. Each change bumps the session's `sequence`, so calendar feeds update the event. Trainers can only change sessions of batches they teach. Admins need the `manage_batches` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-01-15"
+ *               startTime:
+ *                 type: string
+ *                 example: "14:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "16:00"
+ *               type:
+ *                 type: string
+ *                 enum: [class, exam]
+ *               topic:
+ *                 type: string
+ *               meetingLink:
+ *                 type: string
+ *               room:
+ *                 type: string
+ *               allowConflicts:
+ *                 type: boolean
+ *                 description: Move the session even though it clashes
+ *     responses:
+ *       200:
+ *         description: Session updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session:
+ *                       $ref: '#/components/schemas/ClassSession'
+ *                     conflicts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ScheduleConflict'
+ *       400:
+ *         description: Bad request - Nothing to change, invalid values, or session not scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this batch or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflict - The new time clashes and allowConflicts is not set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.patch('/sessions/:sessionId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), attendanceControllers.updateSession)
+
+/**
+ * @swagger
+ * /api/v1/attendance/sessions/{sessionId}/cancel:
+ *   patch:
+ *     summary: Cancel a session
+ *     description: Cancel a scheduled session. It stays in timetables and calendar feeds, marked as cancelled, so subscribed calendars show the cancellation. Trainers can only cancel sessions of batches they teach. Admins need the `manage_batches` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Trainer unwell
+ *     responses:
+ *       200:
+ *         description: Session cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session:
+ *                       $ref: '#/components/schemas/ClassSession'
+ *       400:
+ *         description: Bad request - Session not scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this batch or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.patch('/sessions/:sessionId/cancel', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), attendanceControllers.cancelSession)
+
+/**
+ * @swagger
+ * /api/v1/attendance/sessions/{sessionId}/mark:
+ *   post:
+ *     summary: Mark attendance for a batch
+ *     description: Mark the whole batch in one request. Every student on the roster gets defaultStatus unless listed in records. Students who are already marked are skipped; use a correction to change them. Student attendance percentages are recomputed and low-attendance alerts are sent. Admins need the `manage_batches` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               defaultStatus:
+ *                 type: string
+ *                 enum: [present, absent, late, excused]
+ *                 example: present
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     studentId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [present, absent, late, excused]
+ *                     remarks:
+ *                       type: string
+ *                 example: [{ "studentId": "64c3af23e897ad238cabc127", "status": "absent" }]
+ *     responses:
+ *       201:
+ *         description: Attendance marked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     records:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AttendanceRecord'
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           studentId:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *                             enum: [not_in_batch, already_marked]
+ *       400:
+ *         description: Bad request - Invalid status or cancelled session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this batch or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.post('/sessions/:sessionId/mark', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), attendanceControllers.markSession)
+
+/**
+ * @swagger
+ * /api/v1/attendance/records/{recordId}:
+ *   patch:
+ *     summary: Correct an attendance record
+ *     description: Change the status of a record. A reason is required, and the previous value is kept in the record history. Admins need the `manage_batches` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attendance record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *               - reason
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [present, absent, late, excused]
+ *                 example: excused
+ *               remarks:
+ *                 type: string
+ *                 example: "Medical certificate submitted"
+ *               reason:
+ *                 type: string
+ *                 example: "Marked absent by mistake"
+ *     responses:
+ *       200:
+ *         description: Attendance corrected successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     record:
+ *                       $ref: '#/components/schemas/AttendanceRecord'
+ *       400:
+ *         description: Bad request - Invalid status or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this batch or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Attendance record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.patch('/records/:recordId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), attendanceControllers.correctRecord)
+
+/**
+ * @swagger
+ * /api/v1/attendance/students/{studentId}:
+ *   get:
+ *     summary: Get a student's attendance
+ *     description: Attendance records of the student with totals per status and the attendance percentage. Late counts as attended and excused sessions are left out. Ownership rules apply. Admins need the `manage_users` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Attendance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       $ref: '#/components/schemas/AttendanceSummary'
+ *                     records:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AttendanceRecord'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.get('/students/:studentId', authenticate, authorize('admin', 'trainer', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_USERS), authorizeStudentAccess(), attendanceControllers.getStudentAttendance)
+
+/**
+ * @swagger
+ * /api/v1/attendance/timetable/trainers/{trainerId}:
+ *   get:
+ *     summary: Timetable of a trainer
+ *     description: Sessions of a trainer across their batches between two dates, in time order. Trainers can only see their own timetable. Admins need the `manage_batches` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: trainerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trainer ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: First day (default today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Last day (default six days after from, at most 92 days in all)
+ *       - in: query
+ *         name: includeCancelled
+ *         schema:
+ *           type: boolean
+ *         description: Include cancelled sessions
+ *     responses:
+ *       200:
+ *         description: Timetable retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ClassSession'
+ *       400:
+ *         description: Bad request - Invalid date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Another trainer's timetable or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Trainer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.get('/timetable/trainers/:trainerId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), attendanceControllers.getTrainerTimetable)
+
+/**
+ * @swagger
+ * /api/v1/attendance/timetable/batches/{batchId}:
+ *   get:
+ *     summary: Timetable of a batch
+ *     description: Sessions of a batch between two dates, in time order. Trainers can only see batches they teach. Admins need the `manage_batches` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: First day (default today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Last day (default six days after from, at most 92 days in all)
+ *       - in: query
+ *         name: includeCancelled
+ *         schema:
+ *           type: boolean
+ *         description: Include cancelled sessions
+ *     responses:
+ *       200:
+ *         description: Timetable retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ClassSession'
+ *       400:
+ *         description: Bad request - Invalid date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this batch or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.get('/timetable/batches/:batchId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), attendanceControllers.getBatchTimetable)
+
+/**
+ * @swagger
+ * /api/v1/attendance/timetable/students/{studentId}:
+ *   get:
+ *     summary: Timetable of a student
+ *     description: Sessions of the student's batch between two dates, in time order, with meeting links and rooms. Empty for students without a batch. Ownership rules apply. Admins need the `manage_users` permission.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: First day (default today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Last day (default six days after from, at most 92 days in all)
+ *       - in: query
+ *         name: includeCancelled
+ *         schema:
+ *           type: boolean
+ *         description: Include cancelled sessions
+ *     responses:
+ *       200:
+ *         description: Timetable retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ClassSession'
+ *       400:
+ *         description: Bad request - Invalid date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+attendanceRouter.get('/timetable/students/:studentId', authenticate, authorize('admin', 'trainer', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_USERS), authorizeStudentAccess(), attendanceControllers.getStudentTimetable)
+
+export default attendanceRouter
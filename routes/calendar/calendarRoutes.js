@@ -0,0 +1,205 @@
+import { Router } from "express";
+import calendarControllers from "../../controllers/calendar/calendarController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+
+const calendarRouter = Router()
+
+/**
+ * @swagger
+ * /api/v1/calendar/feed:
+ *   post:
+ *     summary: Create a calendar feed url
+ *     description: Create the caller's personal iCalendar feed url, to subscribe to in Google Calendar, Outlook or Apple Calendar. Trainers get the sessions they run; students get their batch's sessions and exams and their assignment due dates, and parents those of their children. The token in the url is the only credential, so a new url replaces the previous one.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Calendar feed created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                       example: "https://lms.example.com/api/v1/calendar/feeds/3f9c0d2a7b.ics"
+ *       400:
+ *         description: Bad request - Role without a calendar feed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Role not allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+calendarRouter.post('/feed', authenticate, authorize('trainer', 'student', 'parent'), calendarControllers.createFeed)
+
+/**
+ * @swagger
+ * /api/v1/calendar/feed:
+ *   delete:
+ *     summary: Turn off the calendar feed
+ *     description: Disable the caller's feed url; subscribed calendars stop receiving updates.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar feed turned off
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Role not allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+calendarRouter.delete('/feed', authenticate, authorize('trainer', 'student', 'parent'), calendarControllers.deleteFeed)
+
+/**
+ * @swagger
+ * /api/v1/calendar/feeds/{token}:
+ *   get:
+ *     summary: Calendar feed
+ *     description: iCalendar feed for subscription, authenticated by the token in the url. Holds the events of the last 30 days and the next 180 days (`CALENDAR_FEED_PAST_DAYS`, `CALENDAR_FEED_FUTURE_DAYS`). Rescheduled events keep their UID with a higher SEQUENCE and cancelled sessions are kept with STATUS CANCELLED, so clients update events instead of duplicating them.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feed token, optionally followed by .ics
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Calendar feed not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+calendarRouter.get('/feeds/:token', calendarControllers.getFeed)
+
+/**
+ * @swagger
+ * /api/v1/calendar/sessions/{sessionId}:
+ *   get:
+ *     summary: Download a session as an event
+ *     description: A class or exam session as a single-event .ics file. Available to the batch's trainers, students and their parents. Admins need the `manage_batches` permission.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+calendarRouter.get('/sessions/:sessionId', authenticate, authorize('admin', 'trainer', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_BATCHES), calendarControllers.downloadSession)
+
+/**
+ * @swagger
+ * /api/v1/calendar/assignments/{assignmentId}:
+ *   get:
+ *     summary: Download an assignment due date as an event
+ *     description: The due date of an assignment as a single-event .ics file. Students only get assignments set for them, trainers those they can manage. Admins need the `manage_courses` permission.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this course or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Assignment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+calendarRouter.get('/assignments/:assignmentId', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), calendarControllers.downloadAssignment)
+
+export default calendarRouter
@@ -0,0 +1,419 @@
+import { Router } from "express";
+import certificateControllers from "../../controllers/certificate/certificateController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeStudentAccess } from "../../middlewares/ownership.js";
+
+const certificateRouter = Router()
+
+/**
+ * @swagger
+ * /api/v1/certificates/verify/{certificateNumber}:
+ *   get:
+ *     summary: Verify a certificate
+ *     description: Public endpoint for employers, linked from the QR code on every certificate. Returns who the certificate was issued to and for which course, and whether it is still valid or was revoked. The number is not case sensitive. No authentication is needed.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: certificateNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Certificate number as printed
+ *     responses:
+ *       200:
+ *         description: Certificate found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     certificate:
+ *                       type: object
+ *                       properties:
+ *                         valid:
+ *                           type: boolean
+ *                           example: true
+ *                         certificateNumber:
+ *                           type: string
+ *                           example: CERT-2026-00042-K7QD
+ *                         status:
+ *                           type: string
+ *                           enum: [issued, revoked]
+ *                         studentName:
+ *                           type: string
+ *                           example: Asha Menon
+ *                         studentId:
+ *                           type: string
+ *                           example: STD42
+ *                         courseTitle:
+ *                           type: string
+ *                           example: Full Stack Development
+ *                         duration:
+ *                           type: string
+ *                           example: 6 months
+ *                         completedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         issuedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         issuer:
+ *                           type: string
+ *                           example: Maitexa
+ *                         revokedAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *       404:
+ *         description: No certificate with this number exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+certificateRouter.get('/verify/:certificateNumber', certificateControllers.verifyCertificate)
+
+/**
+ * @swagger
+ * /api/v1/certificates:
+ *   get:
+ *     summary: List certificates
+ *     description: Issued and revoked certificates, newest first. Admins need the `manage_certificates` permission.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: issued or revoked
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Certificate number, student name or student ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number (default 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Page size (default 20, max 100)
+ *     responses:
+ *       200:
+ *         description: Certificates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     certificates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         description: Bad request - Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+certificateRouter.get('/', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_CERTIFICATES), certificateControllers.fetchCertificates)
+
+/**
+ * @swagger
+ * /api/v1/certificates/students/{studentId}:
+ *   post:
+ *     summary: Issue a certificate
+ *     description: Issue the completion certificate of a student's course by hand, for example after revoking a wrong one. The student must be marked completed and may hold only one valid certificate per course. The PDF is generated with a verification QR code and stored. Admins need the `manage_certificates` permission.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               completedAt:
+ *                 type: string
+ *                 format: date
+ *                 description: Completion date printed on the certificate (default today)
+ *     responses:
+ *       201:
+ *         description: Certificate issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     certificate:
+ *                       $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         description: Bad request - Student not completed or without a course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflict - The student already has a valid certificate for the course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+certificateRouter.post('/students/:studentId', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_CERTIFICATES), authorizeStudentAccess(), certificateControllers.issueCertificate)
+
+/**
+ * @swagger
+ * /api/v1/certificates/students/{studentId}:
+ *   get:
+ *     summary: Certificates of a student
+ *     description: Certificates issued to a student, including revoked ones. Trainers see their own students, parents their children and students themselves. Admins need the `manage_certificates` permission.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Certificates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     certificates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Certificate'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+certificateRouter.get('/students/:studentId', authenticate, authorize('admin', 'trainer', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_CERTIFICATES), authorizeStudentAccess(), certificateControllers.fetchStudentCertificates)
+
+/**
+ * @swagger
+ * /api/v1/certificates/{certificateId}/pdf:
+ *   get:
+ *     summary: Download a certificate
+ *     description: The certificate PDF, generated again if the stored file is missing. Revoked certificates can only be downloaded by admins. Cloud-stored files are served through a redirect to a short-lived url. Admins need the `manage_certificates` permission.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Certificate ID
+ *     responses:
+ *       200:
+ *         description: Certificate PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       302:
+ *         description: Redirect to the stored file
+ *       400:
+ *         description: Bad request - The certificate has been revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Certificate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+certificateRouter.get('/:certificateId/pdf', authenticate, authorize('admin', 'trainer', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_CERTIFICATES), certificateControllers.downloadCertificate)
+
+/**
+ * @swagger
+ * /api/v1/certificates/{certificateId}/revoke:
+ *   patch:
+ *     summary: Revoke a certificate
+ *     description: Mark a certificate as revoked with a reason. Verification then reports it as no longer valid, and a new certificate can be issued to the student. Admins need the `manage_certificates` permission.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Certificate ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Issued with a misspelt name
+ *     responses:
+ *       200:
+ *         description: Certificate revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     certificate:
+ *                       $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         description: Bad request - Reason missing or already revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Certificate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+certificateRouter.patch('/:certificateId/revoke', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_CERTIFICATES), certificateControllers.revokeCertificate)
+
+export default certificateRouter
@@ -0,0 +1,563 @@
+import { Router } from "express";
+import batchControllers from "../../controllers/course/batchController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+
+const batchRouter = Router()
+
+/**
+ * @swagger
+ * /api/v1/batch:
+ *   post:
+ *     summary: Create a batch
+ *     description: Create a batch of a course. The first trainer is the lead trainer and becomes the assigned trainer of every student in the batch. A code like BATCH1001 is generated when none is given. Admins need the `manage_batches` permission.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchInput'
+ *     responses:
+ *       201:
+ *         description: Batch created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     batch:
+ *                       $ref: '#/components/schemas/Batch'
+ *       400:
+ *         description: Bad request - Missing or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or trainer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Batch code already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+batchRouter.post('/', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_BATCHES), batchControllers.createBatch)
+
+/**
+ * @swagger
+ * /api/v1/batch:
+ *   get:
+ *     summary: List batches
+ *     description: List batches, newest first. Trainers only see the batches they teach. Admins need the `manage_batches` permission.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: course
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: query
+ *         name: trainer
+ *         schema:
+ *           type: string
+ *         description: Trainer ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, active, completed, cancelled]
+ *     responses:
+ *       200:
+ *         description: Batches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     batches:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Batch'
+ *       400:
+ *         description: Bad request - Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+batchRouter.get('/', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), batchControllers.fetchBatches)
+
+/**
+ * @swagger
+ * /api/v1/batch/{batchId}:
+ *   get:
+ *     summary: Get a batch
+ *     description: Batch details with the number of enrolled students and seats left. Trainers can only open batches they teach. Admins need the `manage_batches` permission.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Batch retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     batch:
+ *                       $ref: '#/components/schemas/Batch'
+ *                     enrolled:
+ *                       type: integer
+ *                       example: 18
+ *                     seatsLeft:
+ *                       type: integer
+ *                       example: 12
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+batchRouter.get('/:batchId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), batchControllers.getBatch)
+
+/**
+ * @swagger
+ * /api/v1/batch/{batchId}:
+ *   patch:
+ *     summary: Update a batch
+ *     description: Update batch fields. Enrolled students follow changes of the code, course and lead trainer. Capacity cannot go below the number of enrolled students. Admins need the `manage_batches` permission.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchInput'
+ *     responses:
+ *       200:
+ *         description: Batch updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     batch:
+ *                       $ref: '#/components/schemas/Batch'
+ *       400:
+ *         description: Bad request - Invalid fields or capacity below enrolment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Batch, course or trainer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Batch code already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+batchRouter.patch('/:batchId', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_BATCHES), batchControllers.updateBatch)
+
+/**
+ * @swagger
+ * /api/v1/batch/{batchId}/students:
+ *   get:
+ *     summary: Get the batch roster
+ *     description: Students enrolled in the batch, by name. Trainers can only open batches they teach. Admins need the `manage_batches` permission.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Roster retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     batch:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         code:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                         capacity:
+ *                           type: integer
+ *                     students:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Student'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a trainer of this batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+batchRouter.get('/:batchId/students', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_BATCHES), batchControllers.fetchRoster)
+
+/**
+ * @swagger
+ * /api/v1/batch/{batchId}/students:
+ *   post:
+ *     summary: Enrol students in a batch
+ *     description: Enrol students and set their course, assigned trainer and batch code from the batch. Students already in this batch or in another one are skipped with a reason; use the move endpoint for the latter. The whole request fails when the batch does not have enough seats or is completed or cancelled. Admins need the `manage_batches` permission.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentIds
+ *             properties:
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["64c3af23e897ad238cabc127"]
+ *     responses:
+ *       200:
+ *         description: Students enrolled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enrolled:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           studentId:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *       400:
+ *         description: Bad request - Invalid ids, batch full or closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+batchRouter.post('/:batchId/students', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_BATCHES), batchControllers.enrolStudents)
+
+/**
+ * @swagger
+ * /api/v1/batch/{batchId}/students/move:
+ *   post:
+ *     summary: Move students to another batch
+ *     description: Move students of this batch to the target batch, taking over its course, lead trainer and code. Students not in this batch are skipped. Fails when the target batch does not have enough seats. Admins need the `manage_batches` permission.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentIds
+ *               - targetBatchId
+ *             properties:
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["64c3af23e897ad238cabc127"]
+ *               targetBatchId:
+ *                 type: string
+ *                 example: "64c3af23e897ad238cabc150"
+ *     responses:
+ *       200:
+ *         description: Students moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     moved:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           studentId:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *       400:
+ *         description: Bad request - Same batch, target full or closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+batchRouter.post('/:batchId/students/move', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_BATCHES), batchControllers.moveStudents)
+
+/**
+ * @swagger
+ * /api/v1/batch/{batchId}/students/{studentId}:
+ *   delete:
+ *     summary: Remove a student from a batch
+ *     description: Clear the student's batch and batch code. Their course and assigned trainer are kept. Admins need the `manage_batches` permission.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Student removed from the batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Batch not found or student not in it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+batchRouter.delete('/:batchId/students/:studentId', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_BATCHES), batchControllers.removeStudent)
+
+export default batchRouter
@@ -2,6 +2,10 @@ import { Router } from "express";
 import courseControllers from "../../controllers/course/courseController.js";
 import { authenticate } from "../../middlewares/authenticate.js";
 import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import curriculumRouter from "./curriculumRoutes.js";
+import quizRouter from "./quizRoutes.js";
+import questionBankRouter from "./questionBankRoutes.js";
 
 const courseRouter = Router()
 
@@ -10,7 +14,7 @@ const courseRouter = Router()
  * /api/v1/course/add:
  *   post:
  *     summary: Create a new course
- *     description: Create a new course with the provided information. This endpoint requires admin authentication.
+ *     description: Create a new course with the provided information. This endpoint requires admin authentication. Admins need the `manage_courses` permission.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -122,6 +126,341 @@ const courseRouter = Router()
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-courseRouter.post('/add', authenticate, authorize('admin'), courseControllers.createCourse)
+courseRouter.post('/add', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_COURSES), courseControllers.createCourse)
+
+/**
+ * @swagger
+ * /api/v1/course/list:
+ *   get:
+ *     summary: List courses
+ *     description: List courses, newest first, with optional filters, a case-insensitive title search and pagination. Soft-deleted courses are hidden unless an admin passes includeDeleted=true.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [internship, course_project]
+ *         description: Filter by course type
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [short-term, beginner, intermediate, expert]
+ *         description: Filter by level
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *         description: Filter by status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in course titles
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *         description: Include soft-deleted courses (admins only)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number (default 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Courses per page (default 20, max 100)
+ *     responses:
+ *       200:
+ *         description: Courses retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   example: 20
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     courses:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Course'
+ *       400:
+ *         description: Bad request - Invalid filter value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+courseRouter.get('/list', authenticate, courseControllers.fetchCourses)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}:
+ *   get:
+ *     summary: Get a course
+ *     description: Retrieve a course with its course head and creator. Soft-deleted courses are only visible to admins.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: Course retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     course:
+ *                       $ref: '#/components/schemas/Course'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update a course
+ *     description: Update the title, type, duration, fees, level or course head of a course. Status has its own endpoint and deleted courses cannot be edited. Admins need the `manage_courses` permission.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Full Stack Web Development"
+ *               type:
+ *                 type: string
+ *                 enum: [internship, course_project]
+ *               duration:
+ *                 type: object
+ *                 properties:
+ *                   years:
+ *                     type: number
+ *                   months:
+ *                     type: number
+ *                   days:
+ *                     type: number
+ *               fees:
+ *                 type: number
+ *                 example: 5000
+ *               level:
+ *                 type: string
+ *                 enum: [short-term, beginner, intermediate, expert]
+ *               courseHead:
+ *                 type: string
+ *                 example: "64c3af23e897ad238cabc125"
+ *     responses:
+ *       200:
+ *         description: Course updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     course:
+ *                       $ref: '#/components/schemas/Course'
+ *       400:
+ *         description: Bad request - Nothing to update or invalid value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a course
+ *     description: Soft-delete a course. It disappears from listings but stays in the database and remains visible to admins with includeDeleted. Admins need the `manage_courses` permission.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: Course deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+courseRouter.get('/:courseId', authenticate, courseControllers.getCourse)
+
+courseRouter.patch('/:courseId', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_COURSES), courseControllers.updateCourse)
+
+courseRouter.delete('/:courseId', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_COURSES), courseControllers.deleteCourse)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/status:
+ *   patch:
+ *     summary: Activate or deactivate a course
+ *     description: Toggle a course between active and inactive. Admins need the `manage_courses` permission.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, inactive]
+ *                 example: inactive
+ *     responses:
+ *       200:
+ *         description: Course status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     course:
+ *                       $ref: '#/components/schemas/Course'
+ *       400:
+ *         description: Bad request - Invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+courseRouter.patch('/:courseId/status', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_COURSES), courseControllers.updateCourseStatus)
+
+courseRouter.use('/:courseId', curriculumRouter)
+courseRouter.use('/:courseId', quizRouter)
+courseRouter.use('/:courseId', questionBankRouter)
 
 export default courseRouter;
\ No newline at end of file
@@ -0,0 +1,857 @@
+import { Router } from "express";
+import curriculumControllers from "../../controllers/course/curriculumController.js";
+import progressControllers from "../../controllers/course/progressController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeCourseEditor } from "../../middlewares/ownership.js";
+
+// Mounted on /api/v1/course/:courseId
+const curriculumRouter = Router({ mergeParams: true })
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/curriculum:
+ *   get:
+ *     summary: Get the curriculum of a course
+ *     description: Modules in order, each with its lessons in order. Only published modules and lessons are returned, except to the course head and admins with `manage_courses`, who also see drafts.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: Curriculum retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     modules:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CourseModule'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.get('/curriculum', authenticate, curriculumControllers.getCurriculum)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/modules:
+ *   post:
+ *     summary: Add a module
+ *     description: Add a module at the end of the course. New modules are unpublished. Allowed for the course head and for admins with the `manage_courses` permission.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "JavaScript Basics"
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Module added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     module:
+ *                       $ref: '#/components/schemas/CourseModule'
+ *       400:
+ *         description: Bad request - Title missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.post('/modules', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), curriculumControllers.addModule)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/modules/order:
+ *   put:
+ *     summary: Reorder modules
+ *     description: Set the order of all modules of the course. The list must contain every module exactly once. Allowed for the course head and for admins with the `manage_courses` permission.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - moduleIds
+ *             properties:
+ *               moduleIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["64c3af23e897ad238cabc131", "64c3af23e897ad238cabc130"]
+ *     responses:
+ *       200:
+ *         description: Modules reordered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     modules:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CourseModule'
+ *       400:
+ *         description: Bad request - List does not match the course modules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.put('/modules/order', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), curriculumControllers.reorderModules)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/modules/{moduleId}:
+ *   patch:
+ *     summary: Update a module
+ *     description: Change the title or description of a module. Allowed for the course head and for admins with the `manage_courses` permission.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Module ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Module updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     module:
+ *                       $ref: '#/components/schemas/CourseModule'
+ *       400:
+ *         description: Bad request - Nothing to update
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or module not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.patch('/modules/:moduleId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), curriculumControllers.updateModule)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/modules/{moduleId}/publish:
+ *   patch:
+ *     summary: Publish or unpublish a module
+ *     description: Students only see published modules, and only the published lessons inside them. Allowed for the course head and for admins with the `manage_courses` permission.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Module ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isPublished
+ *             properties:
+ *               isPublished:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Module publish state updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     module:
+ *                       $ref: '#/components/schemas/CourseModule'
+ *       400:
+ *         description: Bad request - isPublished must be a boolean
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or module not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.patch('/modules/:moduleId/publish', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), curriculumControllers.setModulePublished)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/modules/{moduleId}/lessons:
+ *   post:
+ *     summary: Add a lesson
+ *     description: Add a lesson at the end of a module. Video and link lessons need a url and text lessons need content. Files for document lessons are attached via POST /api/v1/upload/course with a lessonId. New lessons are unpublished. Allowed for the course head and for admins with the `manage_courses` permission.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Module ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - type
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Setting up Node.js"
+ *               type:
+ *                 type: string
+ *                 enum: [video, document, text, link]
+ *               content:
+ *                 type: string
+ *                 description: Body of a text lesson, notes for other types
+ *               url:
+ *                 type: string
+ *                 example: "https://videos.example.com/node-setup"
+ *                 description: Required for video and link lessons
+ *               durationMinutes:
+ *                 type: number
+ *                 example: 15
+ *     responses:
+ *       201:
+ *         description: Lesson added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lesson:
+ *                       $ref: '#/components/schemas/Lesson'
+ *       400:
+ *         description: Bad request - Missing or invalid fields for the lesson type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or module not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.post('/modules/:moduleId/lessons', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), curriculumControllers.addLesson)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/modules/{moduleId}/lessons/order:
+ *   put:
+ *     summary: Reorder lessons
+ *     description: Set the order of all lessons of a module. The list must contain every lesson of the module exactly once. Allowed for the course head and for admins with the `manage_courses` permission.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Module ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lessonIds
+ *             properties:
+ *               lessonIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["64c3af23e897ad238cabc141", "64c3af23e897ad238cabc140"]
+ *     responses:
+ *       200:
+ *         description: Lessons reordered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lessons:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Lesson'
+ *       400:
+ *         description: Bad request - List does not match the module lessons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or module not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.put('/modules/:moduleId/lessons/order', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), curriculumControllers.reorderLessons)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/lessons/{lessonId}:
+ *   patch:
+ *     summary: Update a lesson
+ *     description: Update lesson fields. Passing moduleId moves the lesson to the end of another module of the same course. Allowed for the course head and for admins with the `manage_courses` permission.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: lessonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lesson ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Setting up Node.js"
+ *               type:
+ *                 type: string
+ *                 enum: [video, document, text, link]
+ *               content:
+ *                 type: string
+ *                 description: Body of a text lesson, notes for other types
+ *               url:
+ *                 type: string
+ *                 example: "https://videos.example.com/node-setup"
+ *                 description: Required for video and link lessons
+ *               durationMinutes:
+ *                 type: number
+ *                 example: 15
+ *               moduleId:
+ *                 type: string
+ *                 description: Move the lesson to this module
+ *     responses:
+ *       200:
+ *         description: Lesson updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lesson:
+ *                       $ref: '#/components/schemas/Lesson'
+ *       400:
+ *         description: Bad request - Invalid fields for the lesson type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course, lesson or target module not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.patch('/lessons/:lessonId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), curriculumControllers.updateLesson)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/lessons/{lessonId}/publish:
+ *   patch:
+ *     summary: Publish or unpublish a lesson
+ *     description: A document lesson needs an attachment or url before it can be published. Allowed for the course head and for admins with the `manage_courses` permission.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: lessonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lesson ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isPublished
+ *             properties:
+ *               isPublished:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Lesson publish state updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lesson:
+ *                       $ref: '#/components/schemas/Lesson'
+ *       400:
+ *         description: Bad request - Document lesson without a file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or lesson not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.patch('/lessons/:lessonId/publish', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), curriculumControllers.setLessonPublished)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/lessons/{lessonId}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Remove a lesson attachment
+ *     description: Remove an attachment from a lesson and delete the stored file. Allowed for the course head and for admins with the `manage_courses` permission.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: lessonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lesson ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: Attachment removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lesson:
+ *                       $ref: '#/components/schemas/Lesson'
+ *       400:
+ *         description: Bad request - Only file of a published document lesson
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head or missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course, lesson or attachment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.delete('/lessons/:lessonId/attachments/:attachmentId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), curriculumControllers.removeAttachment)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/lessons/{lessonId}/progress:
+ *   post:
+ *     summary: Record lesson progress
+ *     description: Record the caller's activity on a published lesson of their own course. timeSpentSeconds is added to the stored total, videoPosition replaces the saved position and completed marks the lesson done (or not done). The student's course progress is recomputed.
+ *     tags: [Curriculum]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: lessonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lesson ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timeSpentSeconds:
+ *                 type: number
+ *                 example: 120
+ *               videoPosition:
+ *                 type: number
+ *                 example: 312
+ *               completed:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Progress recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     progress:
+ *                       $ref: '#/components/schemas/LessonProgress'
+ *                     courseProgress:
+ *                       type: number
+ *                       example: 40
+ *       400:
+ *         description: Bad request - Invalid values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not enrolled in this course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Lesson not found or not published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+curriculumRouter.post('/lessons/:lessonId/progress', authenticate, authorize('student'), progressControllers.recordLessonProgress)
+
+export default curriculumRouter
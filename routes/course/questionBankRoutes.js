@@ -0,0 +1,554 @@
+import { Router } from "express";
+import questionBankControllers from "../../controllers/course/questionBankController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeCourseEditor } from "../../middlewares/ownership.js";
+import { singleFileUpload, handleMulterError } from "../../middlewares/fileUpload.js";
+
+// Mounted on /api/v1/course/:courseId
+const questionBankRouter = Router({ mergeParams: true })
+
+// CSV imports arrive as a multipart `file`; JSON bodies pass through untouched
+const importUpload = singleFileUpload({ fieldName: 'file' })
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/question-bank:
+ *   get:
+ *     summary: List bank questions
+ *     description: Questions of the course's question bank with their answer keys, filtered and paginated. For the course head, trainers of the course's batches and admins. Admins need the `manage_courses` permission.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: query
+ *         name: topic
+ *         schema:
+ *           type: string
+ *         description: Topic
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *         description: easy, medium or hard
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Question type
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Questions with this tag
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text search
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number (default 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Page size (default 20, max 100)
+ *     responses:
+ *       200:
+ *         description: Questions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BankQuestion'
+ *       400:
+ *         description: Bad request - Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not teaching this course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionBankRouter.get('/question-bank', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), questionBankControllers.fetchQuestions)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/question-bank/summary:
+ *   get:
+ *     summary: Question bank summary
+ *     description: Number of questions per topic and difficulty, to help write quiz question rules. For the course head, trainers of the course's batches and admins. Admins need the `manage_courses` permission.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: Summary retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     topics:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           topic:
+ *                             type: string
+ *                             example: arrays
+ *                           total:
+ *                             type: integer
+ *                             example: 24
+ *                           easy:
+ *                             type: integer
+ *                             example: 10
+ *                           medium:
+ *                             type: integer
+ *                             example: 9
+ *                           hard:
+ *                             type: integer
+ *                             example: 5
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not teaching this course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionBankRouter.get('/question-bank/summary', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), questionBankControllers.getSummary)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/question-bank/export:
+ *   get:
+ *     summary: Export bank questions
+ *     description: Download the course's bank questions (optionally filtered) as a JSON or CSV file. The JSON file can be posted back to the import endpoint as is. For the course head, trainers of the course's batches and admins. Admins need the `manage_courses` permission.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *         description: json (default) or csv
+ *       - in: query
+ *         name: topic
+ *         schema:
+ *           type: string
+ *         description: Topic
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *         description: easy, medium or hard
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Question type
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Questions with this tag
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 questions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuizQuestion'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad request - Invalid format or filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not teaching this course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionBankRouter.get('/question-bank/export', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), questionBankControllers.exportQuestions)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/question-bank:
+ *   post:
+ *     summary: Add a question to the bank
+ *     description: Add a reusable question to the course's question bank, tagged by topic (default general), difficulty (default medium) and free tags. Only the course head and admins can change the bank. Admins need the `manage_courses` permission.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BankQuestion'
+ *     responses:
+ *       201:
+ *         description: Question added to the bank
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     question:
+ *                       $ref: '#/components/schemas/BankQuestion'
+ *       400:
+ *         description: Bad request - Invalid question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionBankRouter.post('/question-bank', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), questionBankControllers.createQuestion)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/question-bank/import:
+ *   post:
+ *     summary: Import questions
+ *     description: Import questions from a CSV file (multipart field `file`) or from a JSON body with a questions array, as produced by the export. CSV columns are type, text, options, answer, tolerance, points, topic, difficulty, tags, caseSensitive and explanation. Options, tags and accepted answers are separated by a bar (a literal bar is written with a backslash before it). For MCQs answer holds the numbers of the correct options starting at 1. Invalid rows and questions already in the bank (same type and text) are skipped and reported. With dryRun nothing is saved. At most 1000 questions per import. Admins need the `manage_courses` permission.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only validate
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BankQuestion'
+ *     responses:
+ *       201:
+ *         description: Questions imported (200 on a dry run)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     imported:
+ *                       type: integer
+ *                       example: 48
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: integer
+ *                             example: 7
+ *                           reason:
+ *                             type: string
+ *                             enum: [invalid, duplicate]
+ *                           message:
+ *                             type: string
+ *                             example: "Row 7: needs exactly one correct option"
+ *       400:
+ *         description: Bad request - No questions, invalid file or too many questions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionBankRouter.post('/question-bank/import', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), importUpload, handleMulterError, questionBankControllers.importQuestions)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/question-bank/{questionId}:
+ *   patch:
+ *     summary: Update a bank question
+ *     description: Change a bank question. The fields sent replace the stored ones and the question is validated again as a whole. Attempts that already used it keep their copy. Admins need the `manage_courses` permission.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bank question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BankQuestion'
+ *     responses:
+ *       200:
+ *         description: Question updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     question:
+ *                       $ref: '#/components/schemas/BankQuestion'
+ *       400:
+ *         description: Bad request - Invalid question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or question not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionBankRouter.patch('/question-bank/:questionId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), questionBankControllers.updateQuestion)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/question-bank/{questionId}:
+ *   delete:
+ *     summary: Delete a bank question
+ *     description: Remove a question from the bank. Attempts that used it keep their copy; quizzes whose rules can no longer be filled fail to start new attempts until more questions are added. Admins need the `manage_courses` permission.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bank question ID
+ *     responses:
+ *       200:
+ *         description: Question deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or question not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionBankRouter.delete('/question-bank/:questionId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), questionBankControllers.deleteQuestion)
+
+export default questionBankRouter
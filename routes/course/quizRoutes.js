@@ -0,0 +1,843 @@
+import { Router } from "express";
+import quizControllers from "../../controllers/course/quizController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeCourseEditor } from "../../middlewares/ownership.js";
+
+// Mounted on /api/v1/course/:courseId
+const quizRouter = Router({ mergeParams: true })
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/modules/{moduleId}/quizzes:
+ *   post:
+ *     summary: Add a quiz to a module
+ *     description: Create a quiz in a module of the course, unpublished. Questions can be sent now or later with an update. questionRules draw random questions from the course's question bank for every attempt (for example 10 easy and 5 medium from one topic), so each student gets a different but equivalent paper. MCQ questions need at least two options (exactly one correct for mcq_single), true_false needs correctAnswer, numeric needs numericAnswer (with an optional tolerance) and short_text needs acceptedAnswers. Only the course head and admins can add quizzes. Admins need the `manage_courses` permission.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Module ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: JavaScript Basics Check
+ *               description:
+ *                 type: string
+ *               timeLimitMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 20
+ *               maxAttempts:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 3
+ *               passingScore:
+ *                 type: number
+ *                 example: 60
+ *               shuffleQuestions:
+ *                 type: boolean
+ *                 example: true
+ *               shuffleOptions:
+ *                 type: boolean
+ *                 example: true
+ *               revealAnswers:
+ *                 type: boolean
+ *                 example: true
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuizQuestion'
+ *               questionRules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuizQuestionRule'
+ *     responses:
+ *       201:
+ *         description: Quiz created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz:
+ *                       $ref: '#/components/schemas/Quiz'
+ *       400:
+ *         description: Bad request - Missing title or invalid questions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or module not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+quizRouter.post('/modules/:moduleId/quizzes', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), quizControllers.createQuiz)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/quizzes/{quizId}:
+ *   get:
+ *     summary: Get a quiz
+ *     description: The course head, trainers of the course's batches and admins get the quiz with its questions and answer keys. Enrolled students get the settings of a published quiz with questionCount and totalPoints, plus their own attempts. Admins need the `manage_courses` permission.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     responses:
+ *       200:
+ *         description: Quiz retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz:
+ *                       $ref: '#/components/schemas/Quiz'
+ *                     attempts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/QuizAttempt'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not enrolled in or not teaching this course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or quiz not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+quizRouter.get('/quizzes/:quizId', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), quizControllers.getQuiz)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/quizzes/{quizId}:
+ *   patch:
+ *     summary: Update a quiz
+ *     description: Change quiz settings or replace its questions. Attempts already started keep the questions they were given. Send back the _id of questions being kept so analytics follow them. Only the course head and admins can update quizzes. Admins need the `manage_courses` permission.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: JavaScript Basics Check
+ *               description:
+ *                 type: string
+ *               timeLimitMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 20
+ *               maxAttempts:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 3
+ *               passingScore:
+ *                 type: number
+ *                 example: 60
+ *               shuffleQuestions:
+ *                 type: boolean
+ *                 example: true
+ *               shuffleOptions:
+ *                 type: boolean
+ *                 example: true
+ *               revealAnswers:
+ *                 type: boolean
+ *                 example: true
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuizQuestion'
+ *               questionRules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuizQuestionRule'
+ *     responses:
+ *       200:
+ *         description: Quiz updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz:
+ *                       $ref: '#/components/schemas/Quiz'
+ *       400:
+ *         description: Bad request - Invalid settings or questions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or quiz not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+quizRouter.patch('/quizzes/:quizId', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), quizControllers.updateQuiz)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/quizzes/{quizId}/publish:
+ *   patch:
+ *     summary: Publish or unpublish a quiz
+ *     description: Students only see published quizzes of published modules. A quiz needs questions or question rules to be published, and the question bank must have enough questions for each rule. Published quizzes count towards course progress once passed, so the progress of enrolled students is recomputed. Admins need the `manage_courses` permission.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isPublished
+ *             properties:
+ *               isPublished:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Quiz published or unpublished successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz:
+ *                       $ref: '#/components/schemas/Quiz'
+ *       400:
+ *         description: Bad request - isPublished missing or the quiz has no questions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not the course head
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or quiz not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+quizRouter.patch('/quizzes/:quizId/publish', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), authorizeCourseEditor(), quizControllers.setQuizPublished)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/quizzes/{quizId}/attempts:
+ *   post:
+ *     summary: Start a quiz attempt
+ *     description: Start an attempt on a published quiz of the student's course, or resume the attempt in progress (200). The questions are copied to the attempt, shuffled when the quiz asks for it, and the answer key is hidden. Timed attempts expire timeLimitMinutes after the start; an expired attempt is graded with its saved answers before a new one starts. Fails once maxAttempts is used up.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     responses:
+ *       201:
+ *         description: Attempt started (200 when resuming)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attempt:
+ *                       $ref: '#/components/schemas/QuizAttempt'
+ *       400:
+ *         description: Bad request - No attempts left
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not enrolled in this course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or quiz not found or not published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflict - The question bank no longer has enough questions for the quiz rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+quizRouter.post('/quizzes/:quizId/attempts', authenticate, authorize('student'), quizControllers.startAttempt)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/quizzes/{quizId}/attempts:
+ *   get:
+ *     summary: List attempts of a quiz
+ *     description: Students get their own attempts. The course head, trainers of the course's batches and admins get every attempt, with answer keys, optionally for one student. Admins need the `manage_courses` permission.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         description: Only this student's attempts (reviewers)
+ *     responses:
+ *       200:
+ *         description: Attempts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attempts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/QuizAttempt'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not teaching this course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or quiz not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+quizRouter.get('/quizzes/:quizId/attempts', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), quizControllers.fetchAttempts)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/quizzes/{quizId}/attempts/{attemptId}:
+ *   get:
+ *     summary: Get a quiz attempt
+ *     description: Students can open their own attempts. While in progress the attempt has no scores and shows remainingSeconds. After submission the answer key is included when the quiz reveals answers. Reviewers always see the key. Admins need the `manage_courses` permission.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attempt ID
+ *     responses:
+ *       200:
+ *         description: Attempt retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attempt:
+ *                       $ref: '#/components/schemas/QuizAttempt'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not teaching this course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course, quiz or attempt not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+quizRouter.get('/quizzes/:quizId/attempts/:attemptId', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), quizControllers.getAttempt)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/quizzes/{quizId}/attempts/{attemptId}/responses:
+ *   put:
+ *     summary: Save answers
+ *     description: Save answers of the caller's attempt in progress, for example on every change. Answers are merged with those saved before. After the time limit the attempt is graded with the answers saved in time and the request fails.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attempt ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - responses
+ *             properties:
+ *               responses:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     questionId:
+ *                       type: string
+ *                     answer:
+ *                       description: Option id (mcq_single), array of option ids (mcq_multi), boolean, number or text; null clears the answer
+ *     responses:
+ *       200:
+ *         description: Answers saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attempt:
+ *                       $ref: '#/components/schemas/QuizAttempt'
+ *       400:
+ *         description: Bad request - Invalid answer, attempt already submitted or time is up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course, quiz or attempt not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+quizRouter.put('/quizzes/:quizId/attempts/:attemptId/responses', authenticate, authorize('student'), quizControllers.saveResponses)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/quizzes/{quizId}/attempts/{attemptId}/submit:
+ *   post:
+ *     summary: Submit a quiz attempt
+ *     description: Submit the caller's attempt with any final answers; it is graded straight away. MCQ answers must match the correct options exactly, numeric answers must be within the tolerance and text answers must match an accepted answer after trimming and collapsing spaces (ignoring case unless the question is case sensitive). After the time limit (with a 30 second grace) only answers saved in time count and timedOut is set. Passing a quiz updates the student's course progress.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attempt ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               responses:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     questionId:
+ *                       type: string
+ *                     answer:
+ *                       description: Option id (mcq_single), array of option ids (mcq_multi), boolean, number or text; null clears the answer
+ *     responses:
+ *       200:
+ *         description: Attempt submitted and graded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attempt:
+ *                       $ref: '#/components/schemas/QuizAttempt'
+ *       400:
+ *         description: Bad request - Invalid answer or attempt already submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course, quiz or attempt not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+quizRouter.post('/quizzes/:quizId/attempts/:attemptId/submit', authenticate, authorize('student'), quizControllers.submitAttempt)
+
+/**
+ * @swagger
+ * /api/v1/course/{courseId}/quizzes/{quizId}/analytics:
+ *   get:
+ *     summary: Quiz analytics
+ *     description: Scores over all submitted attempts and, per question, how often it was answered correctly, incorrectly or not at all, with how often each MCQ option was picked. Questions come hardest first. Questions removed from the quiz since are kept with inQuiz false. For the course head, trainers of the course's batches and admins. Admins need the `manage_courses` permission.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     responses:
+ *       200:
+ *         description: Analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz:
+ *                       type: object
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         attempts:
+ *                           type: integer
+ *                           example: 42
+ *                         students:
+ *                           type: integer
+ *                           example: 30
+ *                         averagePercentage:
+ *                           type: number
+ *                           example: 71.5
+ *                         passRate:
+ *                           type: number
+ *                           example: 83.33
+ *                         timedOut:
+ *                           type: integer
+ *                           example: 2
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           question:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                           text:
+ *                             type: string
+ *                           inQuiz:
+ *                             type: boolean
+ *                           attempts:
+ *                             type: integer
+ *                           correct:
+ *                             type: integer
+ *                           incorrect:
+ *                             type: integer
+ *                           unanswered:
+ *                             type: integer
+ *                           correctRate:
+ *                             type: number
+ *                             example: 35.71
+ *                           options:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 text:
+ *                                   type: string
+ *                                 isCorrect:
+ *                                   type: boolean
+ *                                 picked:
+ *                                   type: integer
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not teaching this course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or quiz not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+quizRouter.get('/quizzes/:quizId/analytics', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), quizControllers.getAnalytics)
+
+export default quizRouter
@@ -0,0 +1,816 @@
+import { Router } from "express";
+import feeControllers from "../../controllers/fee/feeController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeStudentAccess } from "../../middlewares/ownership.js";
+
+const feeRouter = Router()
+
+/**
+ * @swagger
+ * /api/v1/fees/transactions:
+ *   get:
+ *     summary: List fee transactions
+ *     description: Ledger across all students, newest first. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: payment, refund, discount or scholarship
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *         description: Payment mode
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         description: Only this student
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Paid on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Paid on or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Transactions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transactions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FeeTransaction'
+ *       400:
+ *         description: Bad request - Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.get('/transactions', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), feeControllers.fetchTransactions)
+
+/**
+ * @swagger
+ * /api/v1/fees/students/{studentId}:
+ *   get:
+ *     summary: Get a student's fee statement
+ *     description: Fee total, paid, concession and pending amounts, the instalment plan with what is paid on each instalment, and the ledger. Payments and concessions are applied to the earliest instalments first. Ownership rules apply. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Statement retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     fee:
+ *                       $ref: '#/components/schemas/FeeSummary'
+ *                     instalments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Instalment'
+ *                     transactions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FeeTransaction'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.get('/students/:studentId', authenticate, authorize('admin', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), authorizeStudentAccess(), feeControllers.getStatement)
+
+/**
+ * @swagger
+ * /api/v1/fees/students/{studentId}/payments:
+ *   post:
+ *     summary: Record a payment
+ *     description: Record a fee payment and issue a receipt number. A reference is required for every mode except cash, and a payment cannot exceed the pending amount. fee.paid is updated with it. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - mode
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 2500
+ *               mode:
+ *                 type: string
+ *                 enum: [cash, upi, card, bank_transfer, cheque, online]
+ *               reference:
+ *                 type: string
+ *                 example: "UPI-4521887733"
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               receivedBy:
+ *                 type: string
+ *                 description: User who received the money, defaults to the caller
+ *               instalmentId:
+ *                 type: string
+ *                 description: Instalment the payment is meant for
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payment:
+ *                       $ref: '#/components/schemas/FeeTransaction'
+ *       400:
+ *         description: Bad request - Invalid amount, mode or overpayment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student or instalment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.post('/students/:studentId/payments', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), authorizeStudentAccess(), feeControllers.recordPayment)
+
+/**
+ * @swagger
+ * /api/v1/fees/students/{studentId}/concessions:
+ *   post:
+ *     summary: Grant a discount or scholarship
+ *     description: Lower the amount the student owes. A concession cannot exceed the pending amount. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - amount
+ *               - reason
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [discount, scholarship]
+ *               amount:
+ *                 type: number
+ *                 example: 1000
+ *               reason:
+ *                 type: string
+ *                 example: "Merit scholarship"
+ *     responses:
+ *       201:
+ *         description: Concession recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     concession:
+ *                       $ref: '#/components/schemas/FeeTransaction'
+ *       400:
+ *         description: Bad request - Invalid type or amount, or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.post('/students/:studentId/concessions', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), authorizeStudentAccess(), feeControllers.addConcession)
+
+/**
+ * @swagger
+ * /api/v1/fees/students/{studentId}/plan:
+ *   put:
+ *     summary: Set the instalment plan
+ *     description: Replace the student's instalment schedule. The instalments must add up to the fee total; pass total to change it at the same time. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - instalments
+ *             properties:
+ *               total:
+ *                 type: number
+ *                 example: 5000
+ *               instalments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     label:
+ *                       type: string
+ *                       example: "First instalment"
+ *                     amount:
+ *                       type: number
+ *                       example: 2500
+ *                     dueDate:
+ *                       type: string
+ *                       format: date
+ *                       example: "2025-02-01"
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Instalment plan saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     plan:
+ *                       type: object
+ *                     instalments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Instalment'
+ *       400:
+ *         description: Bad request - Instalments do not add up to the total
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.put('/students/:studentId/plan', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), authorizeStudentAccess(), feeControllers.setPlan)
+
+/**
+ * @swagger
+ * /api/v1/fees/students/{studentId}/reconcile:
+ *   post:
+ *     summary: Reconcile fee totals with the ledger
+ *     description: Sum the student's ledger and compare it with fee.paid and fee.concession, which are kept as running totals. Totals that drifted are replaced with the ledger sums. Run it while no payments for the student are being recorded. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Totals checked, and corrected if they drifted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Fee totals match the ledger
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recorded:
+ *                       type: object
+ *                       description: fee.paid and fee.concession before the check
+ *                       properties:
+ *                         paid:
+ *                           type: number
+ *                         concession:
+ *                           type: number
+ *                     ledger:
+ *                       type: object
+ *                       description: Payments minus refunds, and discounts plus scholarships
+ *                       properties:
+ *                         paid:
+ *                           type: number
+ *                         concession:
+ *                           type: number
+ *                     corrected:
+ *                       type: boolean
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflict - The totals changed during the check
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.post('/students/:studentId/reconcile', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), authorizeStudentAccess(), feeControllers.reconcileFee)
+
+/**
+ * @swagger
+ * /api/v1/fees/transactions/{transactionId}/refund:
+ *   post:
+ *     summary: Refund a payment
+ *     description: Refund all or part of a payment. The total refunded cannot exceed the payment. fee.paid is reduced with it. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 500
+ *                 description: Defaults to the full payment
+ *               mode:
+ *                 type: string
+ *                 enum: [cash, upi, card, bank_transfer, cheque, online]
+ *                 description: Defaults to the payment mode
+ *               reference:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 example: "Course withdrawn within the refund window"
+ *     responses:
+ *       201:
+ *         description: Refund recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     refund:
+ *                       $ref: '#/components/schemas/FeeTransaction'
+ *       400:
+ *         description: Bad request - Not a payment, missing reason or amount too high
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.post('/transactions/:transactionId/refund', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), feeControllers.refundPayment)
+
+/**
+ * @swagger
+ * /api/v1/fees/transactions/{transactionId}/receipt:
+ *   get:
+ *     summary: Download a payment receipt
+ *     description: PDF receipt of a payment, named after its receipt number, with the institute letterhead and the tax included in the amount. It is generated on the first download and stored. After a refund it is generated again to show the refunded amount. Ownership rules apply. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment transaction ID
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       302:
+ *         description: Redirect to a short-lived url when the PDF is kept in cloud storage
+ *       400:
+ *         description: Bad request - Not a payment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.get('/transactions/:transactionId/receipt', authenticate, authorize('admin', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), feeControllers.downloadReceipt)
+
+/**
+ * @swagger
+ * /api/v1/fees/students/{studentId}/invoices:
+ *   post:
+ *     summary: Issue an invoice
+ *     description: Issue a numbered invoice (INV1001, ...) for a student's fee and store its PDF. The amount defaults to what is due on the given instalment, or else the whole pending fee, and cannot exceed the pending fee. Tax lines are worked out from `FEE_TAXES`, which are included in the amount. The due date defaults to the instalment's due date, or else `FEE_INVOICE_DUE_DAYS` from today. Invoices do not change the ledger. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 25000
+ *               instalmentId:
+ *                 type: string
+ *                 description: Instalment being billed
+ *               description:
+ *                 type: string
+ *                 example: Full Stack Development - Instalment 2
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Invoice issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoice:
+ *                       $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Bad request - Nothing pending, invalid amount or due date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student or instalment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.post('/students/:studentId/invoices', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), authorizeStudentAccess(), feeControllers.issueInvoice)
+
+/**
+ * @swagger
+ * /api/v1/fees/students/{studentId}/invoices:
+ *   get:
+ *     summary: List a student's invoices
+ *     description: Invoices of the student, newest first. Ownership rules apply. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Invoice'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.get('/students/:studentId/invoices', authenticate, authorize('admin', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), authorizeStudentAccess(), feeControllers.fetchStudentInvoices)
+
+/**
+ * @swagger
+ * /api/v1/fees/invoices/{invoiceId}/pdf:
+ *   get:
+ *     summary: Download an invoice
+ *     description: PDF of an invoice, named after its invoice number. It is generated again if the stored file is missing. Ownership rules apply. Admins need the `manage_payments` permission.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       302:
+ *         description: Redirect to a short-lived url when the PDF is kept in cloud storage
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invoice not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+feeRouter.get('/invoices/:invoiceId/pdf', authenticate, authorize('admin', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), feeControllers.downloadInvoice)
+
+export default feeRouter
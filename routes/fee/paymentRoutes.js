@@ -0,0 +1,339 @@
+import { Router } from "express";
+import paymentControllers from "../../controllers/fee/paymentController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeStudentAccess } from "../../middlewares/ownership.js";
+
+const paymentRouter = Router()
+
+/**
+ * @swagger
+ * /api/v1/payments/students/{studentId}/orders:
+ *   post:
+ *     summary: Start an online fee payment
+ *     description: Create a gateway order for the student's pending fee. The amount defaults to what is due on the given instalment, or else the whole pending fee, and cannot exceed the pending fee. Pass the returned checkout details to the gateway's client SDK. The fee is credited when the gateway's webhook arrives.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 2500
+ *               instalmentId:
+ *                 type: string
+ *                 description: Instalment being paid
+ *     responses:
+ *       201:
+ *         description: Payment order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/PaymentOrder'
+ *                     checkout:
+ *                       type: object
+ *                       description: Provider-specific details for the client (order id, amount, public key)
+ *       400:
+ *         description: Bad request - Nothing pending or amount too high
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student or instalment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Online payments are not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+paymentRouter.post('/students/:studentId/orders', authenticate, authorize('student', 'parent'), authorizeStudentAccess(), paymentControllers.createOrder)
+
+/**
+ * @swagger
+ * /api/v1/payments/students/{studentId}/orders:
+ *   get:
+ *     summary: List a student's payment orders
+ *     description: Online payment orders of the student, newest first. Ownership rules apply. Admins need the `manage_payments` permission.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Orders retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     orders:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PaymentOrder'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+paymentRouter.get('/students/:studentId/orders', authenticate, authorize('admin', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), authorizeStudentAccess(), paymentControllers.fetchStudentOrders)
+
+/**
+ * @swagger
+ * /api/v1/payments/orders/{orderId}:
+ *   get:
+ *     summary: Get a payment order
+ *     description: Current state of an order, for polling after checkout. Orders left unpaid past their expiry are reported as expired. Ownership rules apply. Admins need the `manage_payments` permission.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment order ID
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/PaymentOrder'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Payment order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+paymentRouter.get('/orders/:orderId', authenticate, authorize('admin', 'parent', 'student'), paymentControllers.getOrder)
+
+/**
+ * @swagger
+ * /api/v1/payments/orders/{orderId}/simulate:
+ *   post:
+ *     summary: Simulate the gateway for a fake order
+ *     description: Send a signed webhook for an order of the fake provider, as if the payment had been captured or had failed. Admins only, and only while the fake provider is explicitly enabled (`PAYMENT_PROVIDER=fake` with `PAYMENT_FAKE_WEBHOOK_SECRET` set), which is never in production.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [captured, failed]
+ *                 default: captured
+ *     responses:
+ *       200:
+ *         description: Webhook delivered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/PaymentOrder'
+ *       400:
+ *         description: Bad request - Not a fake order or invalid outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admins with the manage_payments permission only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Payment order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Fake provider disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+paymentRouter.post('/orders/:orderId/simulate', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), paymentControllers.simulatePayment)
+
+/**
+ * @swagger
+ * /api/v1/payments/webhooks/{provider}:
+ *   post:
+ *     summary: Payment gateway webhook
+ *     description: Called by the gateway, not by clients. The signature header (x-fake-signature or x-razorpay-signature) must be the HMAC-SHA256 of the raw body. Each event id is handled once, and an order is credited to the fee ledger at most once. Redeliveries are answered with duplicate true. Events that failed are processed again when redelivered.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: fake or razorpay
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event handled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     duplicate:
+ *                       type: boolean
+ *                     status:
+ *                       type: string
+ *                       enum: [processed, ignored]
+ *                     note:
+ *                       type: string
+ *       400:
+ *         description: Bad request - Invalid signature or body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Unknown provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Processing failed, the gateway should redeliver
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+paymentRouter.post('/webhooks/:provider', paymentControllers.handleWebhook)
+
+export default paymentRouter
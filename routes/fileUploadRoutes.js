@@ -453,7 +453,7 @@ fileUploadRouter.post('/student',
  * /api/v1/upload/course:
  *   post:
  *     summary: Upload course materials
- *     description: Upload course materials (documents, assignments, etc.)
+ *     description: Upload course materials (documents, assignments, etc.). When lessonId is given, the uploader must be able to edit the course (course head, or an admin with `manage_courses`) and the files are added to the lesson's attachments.
  *     tags: [File Upload]
  *     security:
  *       - bearerAuth: []
@@ -471,6 +471,10 @@ fileUploadRouter.post('/student',
  *                 type: string
  *                 example: "64c3af23e897ad238cabc126"
  *                 description: Course ID
+ *               lessonId:
+ *                 type: string
+ *                 example: "64c3af23e897ad238cabc130"
+ *                 description: Lesson of the course to attach the files to (optional)
  *               files:
  *                 type: array
  *                 items:
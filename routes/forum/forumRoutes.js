@@ -0,0 +1,625 @@
+import { Router } from "express";
+import forumControllers from "../../controllers/forum/forumController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { namedFilesUpload, handleMulterError } from "../../middlewares/fileUpload.js";
+import fileUploadConfig from "../../config/fileUpload.js";
+
+const forumRouter = Router()
+
+// Threads and replies take files in the named `attachments` upload field
+const attachmentUpload = namedFilesUpload({
+  storageType: 'memory',
+  fields: { attachments: fileUploadConfig.uploadTypes.named.fields.attachments }
+})
+
+/**
+ * @swagger
+ * /api/v1/forums/threads:
+ *   get:
+ *     summary: List forum threads
+ *     description: Threads of a course (courseId, course-wide threads) or of a batch (batchId), pinned first and then by latest activity. Without either, every thread the caller can see is listed. Students see the threads of their course and batch, trainers those of the batches they teach and the courses they head. Hidden threads are only listed for trainers and admins. Admins need the `manage_courses` permission.
+ *     tags: [Forums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         description: Course-wide threads of this course
+ *       - in: query
+ *         name: batchId
+ *         schema:
+ *           type: string
+ *         description: Threads of this batch
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text in the title or body
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number (default 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Page size (default 20, max 100)
+ *     responses:
+ *       200:
+ *         description: Threads retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     threads:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ForumThread'
+ *       400:
+ *         description: Bad request - Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a member of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+forumRouter.get('/threads', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), forumControllers.fetchThreads)
+
+/**
+ * @swagger
+ * /api/v1/forums/threads:
+ *   post:
+ *     summary: Start a thread
+ *     description: Start a discussion for a whole course (courseId) or for one batch (batchId). Only members can post. These are the students of the course or batch, its trainers, the course head and admins. Up to 5 files can be attached in the `attachments` field (images, documents or archives). Mentioned members get an in-app notification. Admins need the `manage_courses` permission.
+ *     tags: [Forums]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - body
+ *             properties:
+ *               courseId:
+ *                 type: string
+ *               batchId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: Why does my useEffect run twice?
+ *               body:
+ *                 type: string
+ *                 maxLength: 10000
+ *               mentions:
+ *                 type: string
+ *                 description: Ids of members to notify, comma separated or a JSON array
+ *               attachments:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Thread created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thread:
+ *                       $ref: '#/components/schemas/ForumThread'
+ *       400:
+ *         description: Bad request - Missing fields, invalid mentions or attachments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a member of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+forumRouter.post('/threads', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), attachmentUpload, handleMulterError, forumControllers.createThread)
+
+/**
+ * @swagger
+ * /api/v1/forums/members:
+ *   get:
+ *     summary: List forum members
+ *     description: Students and trainers of a course or batch forum, by name, for picking people to @mention. Admins need the `manage_courses` permission.
+ *     tags: [Forums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         description: Members of this course
+ *       - in: query
+ *         name: batchId
+ *         schema:
+ *           type: string
+ *         description: Members of this batch
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the name
+ *     responses:
+ *       200:
+ *         description: Members retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     members:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ForumAuthor'
+ *       400:
+ *         description: Bad request - courseId or batchId is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a member of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Course or batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+forumRouter.get('/members', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), forumControllers.fetchMembers)
+
+/**
+ * @swagger
+ * /api/v1/forums/threads/{threadId}:
+ *   get:
+ *     summary: Get a thread
+ *     description: A thread with a page of its replies, oldest first. For students, the content of hidden replies is left out. Admins need the `manage_courses` permission.
+ *     tags: [Forums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Thread ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page of replies (default 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Replies per page (default 50, max 100)
+ *     responses:
+ *       200:
+ *         description: Thread retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thread:
+ *                       $ref: '#/components/schemas/ForumThread'
+ *                     replies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ForumReply'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a member of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Thread not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+forumRouter.get('/threads/:threadId', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), forumControllers.getThread)
+
+/**
+ * @swagger
+ * /api/v1/forums/threads/{threadId}/replies:
+ *   post:
+ *     summary: Reply to a thread
+ *     description: Post a reply, optionally answering an earlier reply (replyTo). Locked threads only take replies from trainers and admins. The thread's author and the author of the reply answered get an in-app notification, and so do mentioned members. Admins need the `manage_courses` permission.
+ *     tags: [Forums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Thread ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 10000
+ *               replyTo:
+ *                 type: string
+ *                 description: Reply of the same thread this one answers
+ *               mentions:
+ *                 type: string
+ *                 description: Ids of members to notify, comma separated or a JSON array
+ *               attachments:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Reply posted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reply:
+ *                       $ref: '#/components/schemas/ForumReply'
+ *       400:
+ *         description: Bad request - Missing body, invalid replyTo, mentions or attachments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a member, or the thread is locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Thread not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+forumRouter.post('/threads/:threadId/replies', authenticate, authorize('admin', 'trainer', 'student'), authorize.can(PERMISSIONS.MANAGE_COURSES), attachmentUpload, handleMulterError, forumControllers.createReply)
+
+/**
+ * @swagger
+ * /api/v1/forums/threads/{threadId}/accepted-answer:
+ *   patch:
+ *     summary: Accept an answer
+ *     description: Mark a reply as the accepted answer of a thread, or clear it with replyId null. Only trainers of the course or batch and admins can. The reply's author gets an in-app notification. Admins need the `manage_courses` permission.
+ *     tags: [Forums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Thread ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               replyId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Accepted answer updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thread:
+ *                       $ref: '#/components/schemas/ForumThread'
+ *       400:
+ *         description: Bad request - Not a visible reply of this thread
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a member of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Thread not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+forumRouter.patch('/threads/:threadId/accepted-answer', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), forumControllers.acceptAnswer)
+
+/**
+ * @swagger
+ * /api/v1/forums/threads/{threadId}/moderation:
+ *   patch:
+ *     summary: Moderate a thread
+ *     description: Pin a thread to the top of its forum, lock it against new replies or hide it from students. Only trainers of the course or batch and admins can. Admins need the `manage_courses` permission.
+ *     tags: [Forums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Thread ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pinned:
+ *                 type: boolean
+ *               locked:
+ *                 type: boolean
+ *               hidden:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *                 description: Why it was hidden
+ *     responses:
+ *       200:
+ *         description: Thread updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thread:
+ *                       $ref: '#/components/schemas/ForumThread'
+ *       400:
+ *         description: Bad request - Nothing to change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a member of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Thread not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+forumRouter.patch('/threads/:threadId/moderation', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), forumControllers.moderateThread)
+
+/**
+ * @swagger
+ * /api/v1/forums/replies/{replyId}/moderation:
+ *   patch:
+ *     summary: Hide or show a reply
+ *     description: Hide a reply from students, who then only see that a reply was hidden, or show it again. A hidden reply stops being the accepted answer. Only trainers of the course or batch and admins can. Admins need the `manage_courses` permission.
+ *     tags: [Forums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: replyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reply ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hidden
+ *             properties:
+ *               hidden:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reply updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reply:
+ *                       $ref: '#/components/schemas/ForumReply'
+ *       400:
+ *         description: Bad request - hidden must be a boolean
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not a member of this course or batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Reply not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+forumRouter.patch('/replies/:replyId/moderation', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), forumControllers.moderateReply)
+
+export default forumRouter
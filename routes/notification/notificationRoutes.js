@@ -0,0 +1,521 @@
+import { Router } from "express";
+import notificationControllers from "../../controllers/notification/notificationController.js";
+import { authenticate, authenticateStream } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+
+const notificationRouter = Router()
+
+/**
+ * @swagger
+ * /api/v1/notifications:
+ *   get:
+ *     summary: List my notifications
+ *     description: In-app notifications of the signed-in user, newest first, with the number still unread. Any signed-in user can use it.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications when true
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number (default 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Page size (default 20, max 100)
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unreadCount:
+ *                       type: integer
+ *                       example: 3
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.get('/', authenticate, notificationControllers.fetchInbox)
+
+/**
+ * @swagger
+ * /api/v1/notifications/stream:
+ *   get:
+ *     summary: Live notification stream
+ *     description: Server-Sent Events stream of the signed-in user's notifications; the connection stays open. Browsers' `EventSource` cannot send headers, so the access token may be passed as `access_token` instead of the Authorization header. The events are `ready` once connected (`{ unreadCount }`), `notification` for each new notification (`{ notification, unreadCount }`, with its id as the event id), `unread` when the unread count changes after notifications are read, and `session_ended` before the stream closes because the login session was revoked or expired. A reconnecting browser sends `Last-Event-ID` and first receives the notifications it missed. While a student has a stream open they are shown as online (`isOnline`).
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, when the Authorization header cannot be set
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.get('/stream', authenticateStream, notificationControllers.streamInbox)
+
+/**
+ * @swagger
+ * /api/v1/notifications/read-all:
+ *   patch:
+ *     summary: Mark all my notifications read
+ *     description: Mark every unread notification of the signed-in user read. Their other open streams get an `unread` event.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: 3 notification(s) marked read
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unreadCount:
+ *                       type: integer
+ *                       example: 0
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.patch('/read-all', authenticate, notificationControllers.markAllRead)
+
+/**
+ * @swagger
+ * /api/v1/notifications/{notificationId}/read:
+ *   patch:
+ *     summary: Mark a notification read
+ *     description: Mark one of the signed-in user's notifications read. Marking a read notification again has no effect. Their other open streams get an `unread` event.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unreadCount:
+ *                       type: integer
+ *                       example: 2
+ *                     notification:
+ *                       $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Notification not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.patch('/:notificationId/read', authenticate, notificationControllers.markRead)
+
+/**
+ * @swagger
+ * /api/v1/notifications/emails:
+ *   get:
+ *     summary: List sent and queued emails
+ *     description: Delivery log of notification emails, newest first, with the number of emails in each status. Message bodies are left out; fetch a single email to see them. Admins need the `manage_users` permission.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: queued, sending, sent or failed
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *         description: welcome, fee_reminder, assignment_due, low_attendance, session_rescheduled or session_cancelled
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Part of the recipient address
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number (default 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Page size (default 20, max 100)
+ *     responses:
+ *       200:
+ *         description: Emails retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     counts:
+ *                       type: object
+ *                       description: Emails in the whole log by status
+ *                       properties:
+ *                         queued:
+ *                           type: integer
+ *                         sending:
+ *                           type: integer
+ *                         sent:
+ *                           type: integer
+ *                         failed:
+ *                           type: integer
+ *                     emails:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EmailNotification'
+ *       400:
+ *         description: Bad request - Invalid status or template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.get('/emails', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), notificationControllers.fetchEmails)
+
+/**
+ * @swagger
+ * /api/v1/notifications/emails/{notificationId}:
+ *   get:
+ *     summary: Get an email
+ *     description: An email from the delivery log with its subject, text and HTML body and every delivery attempt. Admins need the `manage_users` permission.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Email notification ID
+ *     responses:
+ *       200:
+ *         description: Email retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       $ref: '#/components/schemas/EmailNotification'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Email not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.get('/emails/:notificationId', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), notificationControllers.getEmail)
+
+/**
+ * @swagger
+ * /api/v1/notifications/emails/{notificationId}/retry:
+ *   post:
+ *     summary: Retry a failed email
+ *     description: Queue an email that failed for good again, with a fresh set of delivery attempts. Admins need the `manage_users` permission.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Email notification ID
+ *     responses:
+ *       200:
+ *         description: Email queued again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       $ref: '#/components/schemas/EmailNotification'
+ *       400:
+ *         description: Bad request - The email has not failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Email not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.post('/emails/:notificationId/retry', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), notificationControllers.retryEmail)
+
+/**
+ * @swagger
+ * /api/v1/notifications/fee-reminders:
+ *   post:
+ *     summary: Send fee reminders
+ *     description: Email students and their parents about fee instalments that are overdue or fall due within `days` days. Each recipient gets at most one reminder per instalment a day, so the call can safely be repeated (for example by a daily cron job). Admins need the `manage_payments` permission.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               days:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 60
+ *                 example: 3
+ *                 description: Look-ahead in days (default 3)
+ *     responses:
+ *       200:
+ *         description: Reminders queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: 4 fee reminder(s) queued
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     students:
+ *                       type: integer
+ *                       description: Students with overdue or upcoming instalments
+ *                     queued:
+ *                       type: integer
+ *                       description: Emails queued
+ *       400:
+ *         description: Bad request - Invalid days
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.post('/fee-reminders', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_PAYMENTS), notificationControllers.sendFeeReminders)
+
+/**
+ * @swagger
+ * /api/v1/notifications/assignment-reminders:
+ *   post:
+ *     summary: Send assignment due reminders
+ *     description: Email students who have not submitted an assignment due within `hours` hours. Each student is reminded once per assignment, and once more if its due date changes, so the call can safely be repeated. Trainers only cover assignments of courses or batches they teach. Admins need the `manage_courses` permission.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               hours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 336
+ *                 example: 24
+ *                 description: Look-ahead in hours (default 24)
+ *     responses:
+ *       200:
+ *         description: Reminders queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: 12 assignment reminder(s) queued
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assignments:
+ *                       type: integer
+ *                       description: Assignments due in the window
+ *                     queued:
+ *                       type: integer
+ *                       description: Emails queued
+ *       400:
+ *         description: Bad request - Invalid hours
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.post('/assignment-reminders', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_COURSES), notificationControllers.sendAssignmentReminders)
+
+export default notificationRouter
@@ -0,0 +1,735 @@
+import { Router } from "express";
+import placementControllers from "../../controllers/placement/placementController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeStudentAccess } from "../../middlewares/ownership.js";
+
+const placementRouter = Router()
+
+/**
+ * @swagger
+ * /api/v1/placement/jobs:
+ *   post:
+ *     summary: Create a job opening
+ *     description: Create a job opening for the placement drive. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JobOpeningInput'
+ *     responses:
+ *       201:
+ *         description: Job opening created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       $ref: '#/components/schemas/JobOpening'
+ *       400:
+ *         description: Bad request - Missing title/company or invalid values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List job openings
+ *     description: List job openings, newest first. Students only see open positions. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status (open, closed, filled); ignored for students
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive company name search
+ *     responses:
+ *       200:
+ *         description: Job openings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/JobOpening'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+placementRouter.post('/jobs', authenticate, authorize('admin', 'hr'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), placementControllers.createJob)
+
+placementRouter.get('/jobs', authenticate, authorize('admin', 'hr', 'student'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), placementControllers.fetchJobs)
+
+/**
+ * @swagger
+ * /api/v1/placement/jobs/{jobId}:
+ *   get:
+ *     summary: Get a job opening
+ *     description: Retrieve a single job opening. Students can only read open positions. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job opening ID
+ *     responses:
+ *       200:
+ *         description: Job opening retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       $ref: '#/components/schemas/JobOpening'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job opening not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update a job opening
+ *     description: Update any field of a job opening, including closing it with status closed. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job opening ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JobOpeningInput'
+ *     responses:
+ *       200:
+ *         description: Job opening updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       $ref: '#/components/schemas/JobOpening'
+ *       400:
+ *         description: Bad request - Invalid values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job opening not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+placementRouter.get('/jobs/:jobId', authenticate, authorize('admin', 'hr', 'student'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), placementControllers.getJob)
+
+placementRouter.patch('/jobs/:jobId', authenticate, authorize('admin', 'hr'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), placementControllers.updateJob)
+
+/**
+ * @swagger
+ * /api/v1/placement/jobs/{jobId}/shortlist:
+ *   post:
+ *     summary: Shortlist students for a job opening
+ *     description: Create an application per student, copying the student's current resumeUrl. Students who are already shortlisted, placed, opted out or not in one of the eligible courses are skipped and reported with a reason. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job opening ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentIds
+ *             properties:
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["64c3af23e897ad238cabc124", "64c3af23e897ad238cabc125"]
+ *     responses:
+ *       201:
+ *         description: Students shortlisted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     applications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Application'
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           student:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *                             enum: [not_found, already_shortlisted, already_placed, opted_out, not_eligible]
+ *       400:
+ *         description: Bad request - Empty list, invalid ids or job not open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job opening not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+placementRouter.post('/jobs/:jobId/shortlist', authenticate, authorize('admin', 'hr'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), placementControllers.shortlistStudents)
+
+/**
+ * @swagger
+ * /api/v1/placement/jobs/{jobId}/applications:
+ *   get:
+ *     summary: List applications of a job opening
+ *     description: Shortlisted students with their interview rounds, in shortlisting order. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job opening ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by application status
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     applications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Application'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job opening not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+placementRouter.get('/jobs/:jobId/applications', authenticate, authorize('admin', 'hr'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), placementControllers.fetchJobApplications)
+
+/**
+ * @swagger
+ * /api/v1/placement/applications/{applicationId}/rounds:
+ *   post:
+ *     summary: Schedule an interview round
+ *     description: Add an interview round to an active application; the application moves to in_process. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Technical round 1"
+ *               mode:
+ *                 type: string
+ *                 enum: [online, onsite, phone]
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *               interviewer:
+ *                 type: string
+ *                 example: "Engineering panel"
+ *     responses:
+ *       201:
+ *         description: Interview round added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     application:
+ *                       $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Bad request - Missing name or application closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Application not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+placementRouter.post('/applications/:applicationId/rounds', authenticate, authorize('admin', 'hr'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), placementControllers.addRound)
+
+/**
+ * @swagger
+ * /api/v1/placement/applications/{applicationId}/rounds/{roundId}:
+ *   patch:
+ *     summary: Record an interview outcome
+ *     description: Record the outcome and feedback of a round. A failed round or no-show rejects the application. HR users need accessToEvaluation. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Interview round ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [pending, passed, failed, no_show]
+ *               feedback:
+ *                 type: string
+ *                 example: "Strong on JavaScript fundamentals"
+ *     responses:
+ *       200:
+ *         description: Outcome recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     application:
+ *                       $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Bad request - Invalid outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions or no evaluation access
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Application or round not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+placementRouter.patch('/applications/:applicationId/rounds/:roundId', authenticate, authorize('admin', 'hr'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), placementControllers.recordRoundOutcome)
+
+/**
+ * @swagger
+ * /api/v1/placement/applications/{applicationId}/status:
+ *   patch:
+ *     summary: Update application status
+ *     description: Select, reject or withdraw an application. A selected application can still be withdrawn if the offer is declined. The opening is marked filled once all positions are selected, and the student's placementStatus is updated. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [shortlisted, in_process, selected, rejected, withdrawn]
+ *               offer:
+ *                 type: object
+ *                 description: Offer details, stored when status is selected
+ *                 properties:
+ *                   salary:
+ *                     type: number
+ *                     example: 600000
+ *                   joiningDate:
+ *                     type: string
+ *                     format: date
+ *                   notes:
+ *                     type: string
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Application status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     application:
+ *                       $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Bad request - Invalid status or transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Application not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+placementRouter.patch('/applications/:applicationId/status', authenticate, authorize('admin', 'hr'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), placementControllers.updateApplicationStatus)
+
+/**
+ * @swagger
+ * /api/v1/placement/students/{studentId}/applications:
+ *   get:
+ *     summary: Get a student's applications
+ *     description: Placement status and every application of a student with its interview rounds. Students can read their own, parents their children's and trainers their assigned students'. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     applications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Application'
+ *                     placementStatus:
+ *                       type: string
+ *                       enum: [not_placed, in_process, placed, opted_out]
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+placementRouter.get('/students/:studentId/applications', authenticate, authorize('admin', 'hr', 'trainer', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), authorizeStudentAccess(), placementControllers.fetchStudentApplications)
+
+/**
+ * @swagger
+ * /api/v1/placement/students/{studentId}/opt-out:
+ *   patch:
+ *     summary: Opt a student out of placements
+ *     description: Opted-out students cannot be shortlisted. Opting back in recomputes the placement status from the student's applications. Students can change their own flag. Admins need the `manage_placements` permission.
+ *     tags: [Placement]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - optedOut
+ *             properties:
+ *               optedOut:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Placement status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - optedOut must be a boolean
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+placementRouter.patch('/students/:studentId/opt-out', authenticate, authorize('admin', 'hr', 'student'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), authorizeStudentAccess(), placementControllers.updateOptOut)
+
+export default placementRouter
@@ -2,6 +2,7 @@ import { Router } from "express";
 import adminControllers from "../../controllers/users/adminController.js";
 import { authenticate } from "../../middlewares/authenticate.js";
 import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
 import { singleFileUpload, handleMulterError, validateUploadedFiles } from "../../middlewares/fileUpload.js";
 
 const adminRouter = Router()
@@ -11,7 +12,7 @@ const adminRouter = Router()
  * /api/v1/user/admin/list:
  *   get:
  *     summary: Fetch all admins
- *     description: Retrieve a list of all admins in the system. This endpoint requires admin authentication.
+ *     description: Retrieve a list of all admins in the system. This endpoint requires admin authentication. Admins need the `manage_admins` permission.
  *     tags: [Admins]
  *     security:
  *       - bearerAuth: []
@@ -55,14 +56,14 @@ const adminRouter = Router()
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-adminRouter.get('/list', authenticate, authorize('admin'), adminControllers.fetchAllAdmins)
+adminRouter.get('/list', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_ADMINS), adminControllers.fetchAllAdmins)
 
 /**
  * @swagger
  * /api/v1/user/admin/create:
  *   post:
  *     summary: Create a new admin
- *     description: Create a new admin account with the provided information. This endpoint requires super admin authentication.
+ *     description: Create a new admin account with the provided information. Only super admins can create another super admin or grant `full_access`. Admins need the `manage_admins` permission.
  *     tags: [Admins]
  *     security:
  *       - bearerAuth: []
@@ -165,14 +166,330 @@ adminRouter.get('/list', authenticate, authorize('admin'), adminControllers.fetc
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-adminRouter.post('/create', authenticate, authorize('admin'), adminControllers.createAdmin)
+adminRouter.post('/create', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_ADMINS), adminControllers.createAdmin)
+
+/**
+ * @swagger
+ * /api/v1/user/admin/permissions:
+ *   get:
+ *     summary: List admin permissions
+ *     description: Catalogue of privileges that can be granted to admins. Super admins and admins holding `full_access` pass every permission check.
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission catalogue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   example: 5
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                             example: manage_courses
+ *                           description:
+ *                             type: string
+ *                             example: Create and edit courses and their content
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+adminRouter.get('/permissions', authenticate, authorize('admin'), adminControllers.getPermissions)
+
+/**
+ * @swagger
+ * /api/v1/user/admin/{adminId}/privileges:
+ *   patch:
+ *     summary: Update admin privileges
+ *     description: Replace the privileges of an admin. Only super admins can grant `full_access`, edit a super admin or change their own privileges. Admins need the `manage_admins` permission.
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Admin ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - privileges
+ *             properties:
+ *               privileges:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [full_access, manage_courses, manage_payments, manage_users, manage_placements, manage_certificates, manage_admins]
+ *                 example: ["manage_courses", "manage_users"]
+ *     responses:
+ *       200:
+ *         description: Privileges updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - Unknown privilege
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Admin not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+adminRouter.patch('/:adminId/privileges', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_ADMINS), adminControllers.updatePrivileges)
+
+/**
+ * @swagger
+ * /api/v1/user/admin/users/{userId}/unlock:
+ *   patch:
+ *     summary: Unlock a user account
+ *     description: Clear the failed login counter and temporary lock of any user (student, trainer, admin, parent or HR) locked after repeated failed logins. Admins need the `manage_users` permission.
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: User account unlocked successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+adminRouter.patch('/users/:userId/unlock', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), adminControllers.unlockUser)
+
+/**
+ * @swagger
+ * /api/v1/user/admin/users/{userId}/mfa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication
+ *     description: Remove the TOTP secret and recovery codes of a user who lost their authenticator device. If MFA is enforced for the user's role they must enrol again at the next login. Admins need the `manage_users` permission.
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: MFA reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+adminRouter.delete('/users/:userId/mfa', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), adminControllers.resetUserMfa)
+
+/**
+ * @swagger
+ * /api/v1/user/admin/mfa-policy:
+ *   get:
+ *     summary: Get MFA enforcement per role
+ *     description: List every role with a flag telling whether two-factor authentication is mandatory for it. Admins need the `manage_admins` permission.
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: MFA policies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policies:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           role:
+ *                             type: string
+ *                             example: admin
+ *                           enforced:
+ *                             type: boolean
+ *                             example: true
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Enforce or relax MFA for a role
+ *     description: When enforced, users of the role without MFA must enrol during their next login before they receive an access token. Admins need the `manage_admins` permission.
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *               - enforced
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, hr, trainer, student, parent]
+ *                 example: admin
+ *               enforced:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - Invalid role or enforced flag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+adminRouter.get('/mfa-policy', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_ADMINS), adminControllers.getMfaPolicies)
+
+adminRouter.put('/mfa-policy', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_ADMINS), adminControllers.updateMfaPolicy)
 
 /**
  * @swagger
  * /api/v1/user/admin/{adminId}/profile:
  *   get:
  *     summary: Get admin profile
- *     description: Retrieve a specific admin's profile information including profile image
+ *     description: Retrieve a specific admin's profile information including profile image. Admins need the `manage_admins` permission unless acting on their own account.
  *     tags: [Admins]
  *     security:
  *       - bearerAuth: []
@@ -218,14 +535,14 @@ adminRouter.post('/create', authenticate, authorize('admin'), adminControllers.c
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-adminRouter.get('/:adminId/profile', authenticate, authorize('admin'), adminControllers.getAdminProfile)
+adminRouter.get('/:adminId/profile', authenticate, authorize('admin'), authorize.canOrSelf('adminId', PERMISSIONS.MANAGE_ADMINS), adminControllers.getAdminProfile)
 
 /**
  * @swagger
  * /api/v1/user/admin/{adminId}/profile-image:
  *   post:
  *     summary: Upload admin profile image
- *     description: Upload a profile image for a specific admin. Supports image optimization and thumbnail generation.
+ *     description: Upload a profile image for a specific admin. Supports image optimization and thumbnail generation. Admins need the `manage_admins` permission unless acting on their own account.
  *     tags: [Admins]
  *     security:
  *       - bearerAuth: []
@@ -313,6 +630,7 @@ adminRouter.get('/:adminId/profile', authenticate, authorize('admin'), adminCont
 adminRouter.post('/:adminId/profile-image',
   authenticate,
   authorize('admin'),
+  authorize.canOrSelf('adminId', PERMISSIONS.MANAGE_ADMINS),
   singleFileUpload({ storageType: 'memory', fieldName: 'file' }),
   handleMulterError,
   validateUploadedFiles({ required: true, maxFiles: 1, allowedTypes: ['image'] }),
@@ -324,7 +642,7 @@ adminRouter.post('/:adminId/profile-image',
  * /api/v1/user/admin/{adminId}/profile-image:
  *   put:
  *     summary: Update admin profile image
- *     description: Update an admin's profile image. This will delete the old image and upload a new one.
+ *     description: Update an admin's profile image. This will delete the old image and upload a new one. Admins need the `manage_admins` permission unless acting on their own account.
  *     tags: [Admins]
  *     security:
  *       - bearerAuth: []
@@ -412,6 +730,7 @@ adminRouter.post('/:adminId/profile-image',
 adminRouter.put('/:adminId/profile-image',
   authenticate,
   authorize('admin'),
+  authorize.canOrSelf('adminId', PERMISSIONS.MANAGE_ADMINS),
   singleFileUpload({ storageType: 'memory', fieldName: 'file' }),
   handleMulterError,
   validateUploadedFiles({ required: true, maxFiles: 1, allowedTypes: ['image'] }),
@@ -423,7 +742,7 @@ adminRouter.put('/:adminId/profile-image',
  * /api/v1/user/admin/{adminId}/profile-image:
  *   delete:
  *     summary: Delete admin profile image
- *     description: Remove an admin's profile image from storage and update the admin record
+ *     description: Remove an admin's profile image from storage and update the admin record. Admins need the `manage_admins` permission unless acting on their own account.
  *     tags: [Admins]
  *     security:
  *       - bearerAuth: []
@@ -481,6 +800,7 @@ adminRouter.put('/:adminId/profile-image',
 adminRouter.delete('/:adminId/profile-image',
   authenticate,
   authorize('admin'),
+  authorize.canOrSelf('adminId', PERMISSIONS.MANAGE_ADMINS),
   adminControllers.deleteProfileImage
 )
 
@@ -0,0 +1,153 @@
+import { Router } from "express";
+import hrControllers from "../../controllers/users/hrController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+
+const hrRouter = Router()
+
+/**
+ * @swagger
+ * /api/v1/user/hr/create:
+ *   post:
+ *     summary: Create an HR user
+ *     description: Create an HR (placement team) account. HR users manage job openings, shortlists and interviews. Admins need the `manage_placements` permission.
+ *     tags: [HR]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Anjali Menon"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "anjali.hr@example.com"
+ *               password:
+ *                 type: string
+ *                 example: "password123"
+ *                 minLength: 6
+ *               phone:
+ *                 type: string
+ *                 example: "+919876543210"
+ *               gender:
+ *                 type: string
+ *                 enum: [male, female, other]
+ *               department:
+ *                 type: string
+ *                 example: "Placement"
+ *                 description: Defaults to Placement
+ *               accessToEvaluation:
+ *                 type: boolean
+ *                 example: true
+ *                 description: Whether the user may record interview outcomes
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: HR user created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: HR user created successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     hr:
+ *                       $ref: '#/components/schemas/Hr'
+ *       400:
+ *         description: Bad request - Missing fields or weak password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflict - Email already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+hrRouter.post('/create', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), hrControllers.createHr)
+
+/**
+ * @swagger
+ * /api/v1/user/hr/list:
+ *   get:
+ *     summary: Fetch all HR users
+ *     description: Retrieve every HR user, optionally filtered by department. Admins need the `manage_placements` permission.
+ *     tags: [HR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Filter by department
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved HR users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   example: 3
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     hrs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Hr'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+hrRouter.get('/list', authenticate, authorize('admin', 'hr'), authorize.can(PERMISSIONS.MANAGE_PLACEMENTS), hrControllers.fetchAllHrs)
+
+export default hrRouter
@@ -0,0 +1,315 @@
+import { Router } from "express";
+import parentControllers from "../../controllers/users/parentController.js";
+import { authenticate } from "../../middlewares/authenticate.js";
+import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeStudentAccess } from "../../middlewares/ownership.js";
+
+const parentRouter = Router()
+
+/**
+ * @swagger
+ * /api/v1/user/parent/children:
+ *   get:
+ *     summary: Get my children
+ *     description: Parent dashboard. Lists every child linked to the logged-in parent with course progress, attendance, fee balance and assigned trainer.
+ *     tags: [Parents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Children retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   example: 2
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     children:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ChildSummary'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Only parents can access this endpoint
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+parentRouter.get('/children', authenticate, authorize('parent'), parentControllers.getMyChildren)
+
+/**
+ * @swagger
+ * /api/v1/user/parent/children/{studentId}:
+ *   get:
+ *     summary: Get one of my children
+ *     description: Progress, attendance, fee balance and assigned trainer of a single child of the logged-in parent.
+ *     tags: [Parents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Child retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     child:
+ *                       $ref: '#/components/schemas/ChildSummary'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - The student is not linked to this parent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+parentRouter.get('/children/:studentId', authenticate, authorize('parent'), authorizeStudentAccess(), parentControllers.getChild)
+
+/**
+ * @swagger
+ * /api/v1/user/parent/list:
+ *   get:
+ *     summary: Fetch all parents
+ *     description: Retrieve every parent account. Admins need the `manage_users` permission.
+ *     tags: [Parents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved parents list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   example: 5
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     parents:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Parent'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+parentRouter.get('/list', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), parentControllers.fetchAllParents)
+
+/**
+ * @swagger
+ * /api/v1/user/parent/{parentId}/students/{studentId}:
+ *   post:
+ *     summary: Link a parent to a student
+ *     description: Set the student's parent and add the student to the parent's children. A student has one primary parent, so linking replaces any previous parent. Admins need the `manage_users` permission.
+ *     tags: [Parents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: parentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent ID
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Parent linked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Parent or student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Unlink a parent from a student
+ *     description: Remove the student from the parent's children and clear the student's parent if it points to this parent. Admins need the `manage_users` permission.
+ *     tags: [Parents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: parentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent ID
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Parent unlinked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Parent or student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+parentRouter.post('/:parentId/students/:studentId', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), parentControllers.linkStudent)
+
+parentRouter.delete('/:parentId/students/:studentId', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), parentControllers.unlinkStudent)
+
+/**
+ * @swagger
+ * /api/v1/user/parent/{parentId}/login-access:
+ *   patch:
+ *     summary: Enable or disable parent login
+ *     description: Parents can only log in when canLogin is true. Optionally sets the parent's password at the same time. Disabling login signs the parent out everywhere. Admins need the `manage_users` permission.
+ *     tags: [Parents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: parentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - canLogin
+ *             properties:
+ *               canLogin:
+ *                 type: boolean
+ *                 example: true
+ *               password:
+ *                 type: string
+ *                 example: password123
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Login access updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - Missing email or password for login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Parent not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+parentRouter.patch('/:parentId/login-access', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), parentControllers.updateLoginAccess)
+
+export default parentRouter
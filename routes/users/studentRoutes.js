@@ -1,7 +1,10 @@
 import { Router } from "express";
 import studentControllers from "../../controllers/users/studentController.js";
+import progressControllers from "../../controllers/course/progressController.js";
 import { authenticate } from "../../middlewares/authenticate.js";
 import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { authorizeStudentAccess } from "../../middlewares/ownership.js";
 import { singleFileUpload, handleMulterError, validateUploadedFiles } from "../../middlewares/fileUpload.js";
 
 const studentRouter = Router()
@@ -11,7 +14,7 @@ const studentRouter = Router()
  * /api/v1/user/student/list:
  *   get:
  *     summary: Fetch all students
- *     description: Retrieve a list of all students in the system. This endpoint requires authentication and appropriate authorization.
+ *     description: Retrieve the students visible to the caller. Admins get every student, trainers only the students assigned to them. Admins need the `manage_users` permission.
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
@@ -82,14 +85,80 @@ const studentRouter = Router()
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-studentRouter.get('/list', authenticate, authorize('admin', 'trainer'), studentControllers.fetchAllStudents)
+studentRouter.get('/list', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_USERS), studentControllers.fetchAllStudents)
+
+/**
+ * @swagger
+ * /api/v1/user/student/stalled:
+ *   get:
+ *     summary: List stalled students
+ *     description: Enrolled students with an unfinished course who have not opened a lesson for the given number of days. Students who never started are measured from their join date. Trainers only see students assigned to them. Admins need the `manage_users` permission.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Days without lesson activity
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         description: Only students of this course
+ *     responses:
+ *       200:
+ *         description: Stalled students, longest inactive first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     days:
+ *                       type: integer
+ *                       example: 7
+ *                     students:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StalledStudent'
+ *       400:
+ *         description: Bad request - Invalid days or courseId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+studentRouter.get('/stalled', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_USERS), progressControllers.fetchStalledStudents)
 
 /**
  * @swagger
  * /api/v1/user/student/create:
  *   post:
  *     summary: Create a new student
- *     description: Create a new student account with the provided information. This endpoint requires admin authentication.
+ *     description: Create a new student account with the provided information. This endpoint requires admin authentication. A welcome email with the sign-in details is queued for the student. Admins need the `manage_users` permission.
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
@@ -133,7 +202,7 @@ studentRouter.get('/list', authenticate, authorize('admin', 'trainer'), studentC
  *                 description: URL to student's profile image
  *               parent:
  *                 type: object
- *                 description: Parent information (optional)
+ *                 description: Parent information (optional). Pass an existing parent ID as a string instead to link that parent. A parent with the same email is reused, so siblings share one parent account.
  *                 properties:
  *                   name:
  *                     type: string
@@ -145,6 +214,16 @@ studentRouter.get('/list', authenticate, authorize('admin', 'trainer'), studentC
  *                   phone:
  *                     type: string
  *                     example: "+1234567891"
+ *                   relationship:
+ *                     type: string
+ *                     example: "mother"
+ *                   canLogin:
+ *                     type: boolean
+ *                     example: true
+ *                     description: Allow the parent to log in (requires email and password)
+ *                   password:
+ *                     type: string
+ *                     example: "password123"
  *               assignedTrainer:
  *                 type: string
  *                 example: "64c3af23e897ad238cabc125"
@@ -182,10 +261,14 @@ studentRouter.get('/list', authenticate, authorize('admin', 'trainer'), studentC
  *                   pin:
  *                     type: number
  *                     example: 12345
+ *               batch:
+ *                 type: string
+ *                 example: "64c3af23e897ad238cabc150"
+ *                 description: Batch to enrol in. The student's course, assigned trainer and batch code are taken from the batch, and the batch must have a free seat.
  *               batchCode:
  *                 type: string
- *                 example: "BATCH2024A"
- *                 description: Student's batch code
+ *                 example: "BATCH1001"
+ *                 description: Alternative to batch, the code of the batch to enrol in
  *     responses:
  *       200:
  *         description: Student created successfully
@@ -223,6 +306,12 @@ studentRouter.get('/list', authenticate, authorize('admin', 'trainer'), studentC
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Not found - Parent ID does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
  *         description: Conflict - Email already exists
  *         content:
@@ -236,14 +325,14 @@ studentRouter.get('/list', authenticate, authorize('admin', 'trainer'), studentC
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-studentRouter.post('/create', authenticate, authorize('admin'), studentControllers.createStudent)
+studentRouter.post('/create', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), studentControllers.createStudent)
 
 /**
  * @swagger
  * /api/v1/user/student/{studentId}/profile:
  *   get:
  *     summary: Get student profile
- *     description: Retrieve a specific student's profile information including profile image
+ *     description: Retrieve a specific student's profile information including profile image. Trainers can only read students assigned to them, parents their own children and students their own profile. Admins need the `manage_users` permission.
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
@@ -276,6 +365,12 @@ studentRouter.post('/create', authenticate, authorize('admin'), studentControlle
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Student not found
  *         content:
@@ -289,14 +384,213 @@ studentRouter.post('/create', authenticate, authorize('admin'), studentControlle
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-studentRouter.get('/:studentId/profile', authenticate, authorize('admin', 'trainer'), studentControllers.getStudentProfile)
+studentRouter.get('/:studentId/profile', authenticate, authorize('admin', 'trainer', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_USERS), authorizeStudentAccess(), studentControllers.getStudentProfile)
+
+/**
+ * @swagger
+ * /api/v1/user/student/{studentId}/status:
+ *   patch:
+ *     summary: Change a student's status
+ *     description: Set currentStatus to enrolled, paused or completed. When a student is marked completed their course completion certificate is issued and returned. If it cannot be issued (for example the student has no course) the status still changes and certificate is null; it can then be issued by hand. Admins need the `manage_users` permission.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentStatus
+ *             properties:
+ *               currentStatus:
+ *                 type: string
+ *                 enum: [enrolled, paused, completed]
+ *                 example: completed
+ *     responses:
+ *       200:
+ *         description: Status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     student:
+ *                       $ref: '#/components/schemas/Student'
+ *                     certificate:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         description: Bad request - Invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+studentRouter.patch('/:studentId/status', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), authorizeStudentAccess(), studentControllers.updateStudentStatus)
+
+/**
+ * @swagger
+ * /api/v1/user/student/{studentId}/progress:
+ *   get:
+ *     summary: Get a student's course progress
+ *     description: Completion percentage of the student's course and the status, time spent and video position of every published lesson. Admins need the `manage_users` permission.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Progress retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/StudentProgress'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+studentRouter.get('/:studentId/progress', authenticate, authorize('admin', 'trainer', 'parent', 'student'), authorize.can(PERMISSIONS.MANAGE_USERS), authorizeStudentAccess(), progressControllers.getStudentProgress)
+
+/**
+ * @swagger
+ * /api/v1/user/student/{studentId}/resume:
+ *   get:
+ *     summary: Resume where the student left off
+ *     description: The lesson the student last opened without finishing it, or else the first lesson not completed yet, with the saved video position. Returns a null resume once every lesson is completed. Students can only call this for themselves.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Resume point retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     resume:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         module:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                             title:
+ *                               type: string
+ *                         lesson:
+ *                           $ref: '#/components/schemas/Lesson'
+ *                         status:
+ *                           type: string
+ *                           enum: [not_started, in_progress]
+ *                         videoPosition:
+ *                           type: number
+ *                           example: 312
+ *                         lastAccessedAt:
+ *                           type: string
+ *                           format: date-time
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Not your record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+studentRouter.get('/:studentId/resume', authenticate, authorize('student'), authorizeStudentAccess(), progressControllers.getResumePoint)
 
 /**
  * @swagger
  * /api/v1/user/student/{studentId}/profile-image:
  *   post:
  *     summary: Upload student profile image
- *     description: Upload a profile image for a specific student. Supports image optimization and thumbnail generation.
+ *     description: Upload a profile image for a specific student. Supports image optimization and thumbnail generation. Trainers can only change students assigned to them. Admins need the `manage_users` permission.
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
@@ -368,6 +662,12 @@ studentRouter.get('/:studentId/profile', authenticate, authorize('admin', 'train
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Student not found
  *         content:
@@ -384,6 +684,8 @@ studentRouter.get('/:studentId/profile', authenticate, authorize('admin', 'train
 studentRouter.post('/:studentId/profile-image',
   authenticate,
   authorize('admin', 'trainer'),
+  authorize.can(PERMISSIONS.MANAGE_USERS),
+  authorizeStudentAccess(),
   singleFileUpload({ storageType: 'memory', fieldName: 'file' }),
   handleMulterError,
   validateUploadedFiles({ required: true, maxFiles: 1, allowedTypes: ['image'] }),
@@ -395,7 +697,7 @@ studentRouter.post('/:studentId/profile-image',
  * /api/v1/user/student/{studentId}/profile-image:
  *   put:
  *     summary: Update student profile image
- *     description: Update a student's profile image. This will delete the old image and upload a new one.
+ *     description: Update a student's profile image. This will delete the old image and upload a new one. Trainers can only change students assigned to them. Admins need the `manage_users` permission.
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
@@ -467,6 +769,12 @@ studentRouter.post('/:studentId/profile-image',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Student not found
  *         content:
@@ -483,6 +791,8 @@ studentRouter.post('/:studentId/profile-image',
 studentRouter.put('/:studentId/profile-image',
   authenticate,
   authorize('admin', 'trainer'),
+  authorize.can(PERMISSIONS.MANAGE_USERS),
+  authorizeStudentAccess(),
   singleFileUpload({ storageType: 'memory', fieldName: 'file' }),
   handleMulterError,
   validateUploadedFiles({ required: true, maxFiles: 1, allowedTypes: ['image'] }),
@@ -494,7 +804,7 @@ studentRouter.put('/:studentId/profile-image',
  * /api/v1/user/student/{studentId}/profile-image:
  *   delete:
  *     summary: Delete student profile image
- *     description: Remove a student's profile image from storage and update the student record
+ *     description: Remove a student's profile image from storage and update the student record. Trainers can only change students assigned to them. Admins need the `manage_users` permission.
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
@@ -536,6 +846,12 @@ studentRouter.put('/:studentId/profile-image',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - No access to this student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Student not found
  *         content:
@@ -552,6 +868,8 @@ studentRouter.put('/:studentId/profile-image',
 studentRouter.delete('/:studentId/profile-image',
   authenticate,
   authorize('admin', 'trainer'),
+  authorize.can(PERMISSIONS.MANAGE_USERS),
+  authorizeStudentAccess(),
   studentControllers.deleteProfileImage
 )
 
@@ -2,6 +2,7 @@ import { Router } from "express";
 import trainerController from "../../controllers/users/trainerController.js";
 import { authenticate } from "../../middlewares/authenticate.js";
 import { authorize } from "../../middlewares/authorize.js";
+import { PERMISSIONS } from "../../config/permissions.js";
 import { singleFileUpload, handleMulterError, validateUploadedFiles } from "../../middlewares/fileUpload.js";
 
 const trainerRouter = Router()
@@ -11,7 +12,7 @@ const trainerRouter = Router()
  * /api/v1/user/trainer/list:
  *   get:
  *     summary: Fetch all trainers
- *     description: Retrieve a list of all trainers in the system. This endpoint requires authentication and appropriate authorization.
+ *     description: Retrieve a list of all trainers in the system. This endpoint requires authentication and appropriate authorization. Admins need the `manage_users` permission.
  *     tags: [Trainers]
  *     security:
  *       - bearerAuth: []
@@ -81,14 +82,14 @@ const trainerRouter = Router()
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-trainerRouter.get('/list', authenticate, authorize('admin', 'trainer'), trainerController.fetchAllTrainers)
+trainerRouter.get('/list', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_USERS), trainerController.fetchAllTrainers)
 
 /**
  * @swagger
  * /api/v1/user/trainer/create:
  *   post:
  *     summary: Create a new trainer
- *     description: Create a new trainer account with the provided information. This endpoint requires admin authentication.
+ *     description: Create a new trainer account with the provided information. This endpoint requires admin authentication. Admins need the `manage_users` permission.
  *     tags: [Trainers]
  *     security:
  *       - bearerAuth: []
@@ -220,14 +221,14 @@ trainerRouter.get('/list', authenticate, authorize('admin', 'trainer'), trainerC
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-trainerRouter.post('/create', authenticate, authorize('admin'), trainerController.createTrainer)
+trainerRouter.post('/create', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), trainerController.createTrainer)
 
 /**
  * @swagger
  * /api/v1/user/trainer/{trainerId}/profile:
  *   get:
  *     summary: Get trainer profile
- *     description: Retrieve a specific trainer's profile information including profile image
+ *     description: Retrieve a specific trainer's profile information including profile image. Admins need the `manage_users` permission.
  *     tags: [Trainers]
  *     security:
  *       - bearerAuth: []
@@ -273,14 +274,88 @@ trainerRouter.post('/create', authenticate, authorize('admin'), trainerControlle
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-trainerRouter.get('/:trainerId/profile', authenticate, authorize('admin', 'trainer'), trainerController.getTrainerProfile)
+trainerRouter.get('/:trainerId/profile', authenticate, authorize('admin', 'trainer'), authorize.can(PERMISSIONS.MANAGE_USERS), trainerController.getTrainerProfile)
+
+/**
+ * @swagger
+ * /api/v1/user/trainer/{trainerId}/status:
+ *   patch:
+ *     summary: Activate or deactivate a trainer
+ *     description: Toggle a trainer's active flag. Deactivating a trainer revokes all of their sessions, so open browser tabs are signed out immediately and new logins are refused. Admins need the `manage_users` permission.
+ *     tags: [Trainers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: trainerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trainer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Trainer status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Trainer deactivated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     trainer:
+ *                       $ref: '#/components/schemas/Trainer'
+ *       400:
+ *         description: Bad request - isActive missing or not a boolean
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Trainer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+trainerRouter.patch('/:trainerId/status', authenticate, authorize('admin'), authorize.can(PERMISSIONS.MANAGE_USERS), trainerController.updateTrainerStatus)
 
 /**
  * @swagger
  * /api/v1/user/trainer/{trainerId}/profile-image:
  *   post:
  *     summary: Upload trainer profile image
- *     description: Upload a profile image for a specific trainer. Supports image optimization and thumbnail generation.
+ *     description: Upload a profile image for a specific trainer. Supports image optimization and thumbnail generation. Admins need the `manage_users` permission.
  *     tags: [Trainers]
  *     security:
  *       - bearerAuth: []
@@ -368,6 +443,7 @@ trainerRouter.get('/:trainerId/profile', authenticate, authorize('admin', 'train
 trainerRouter.post('/:trainerId/profile-image',
   authenticate,
   authorize('admin'),
+  authorize.can(PERMISSIONS.MANAGE_USERS),
   singleFileUpload({ storageType: 'memory', fieldName: 'file' }),
   handleMulterError,
   validateUploadedFiles({ required: true, maxFiles: 1, allowedTypes: ['image'] }),
@@ -379,7 +455,7 @@ trainerRouter.post('/:trainerId/profile-image',
  * /api/v1/user/trainer/{trainerId}/profile-image:
  *   put:
  *     summary: Update trainer profile image
- *     description: Update a trainer's profile image. This will delete the old image and upload a new one.
+ *     description: Update a trainer's profile image. This will delete the old image and upload a new one. Admins need the `manage_users` permission.
  *     tags: [Trainers]
  *     security:
  *       - bearerAuth: []
@@ -467,6 +543,7 @@ trainerRouter.post('/:trainerId/profile-image',
 trainerRouter.put('/:trainerId/profile-image',
   authenticate,
   authorize('admin'),
+  authorize.can(PERMISSIONS.MANAGE_USERS),
   singleFileUpload({ storageType: 'memory', fieldName: 'file' }),
   handleMulterError,
   validateUploadedFiles({ required: true, maxFiles: 1, allowedTypes: ['image'] }),
@@ -478,7 +555,7 @@ trainerRouter.put('/:trainerId/profile-image',
  * /api/v1/user/trainer/{trainerId}/profile-image:
  *   delete:
  *     summary: Delete trainer profile image
- *     description: Remove a trainer's profile image from storage and update the trainer record
+ *     description: Remove a trainer's profile image from storage and update the trainer record. Admins need the `manage_users` permission.
  *     tags: [Trainers]
  *     security:
  *       - bearerAuth: []
@@ -536,6 +613,7 @@ trainerRouter.put('/:trainerId/profile-image',
 trainerRouter.delete('/:trainerId/profile-image',
   authenticate,
   authorize('admin'),
+  authorize.can(PERMISSIONS.MANAGE_USERS),
   trainerController.deleteProfileImage
 )
 
@@ -1,9 +1,11 @@
 import { Router } from 'express'
 import studentRouter from './studentRoutes.js'
 import authController from '../../controllers/users/authController.js'
-import { authenticate } from '../../middlewares/authenticate.js'
+import { authenticate, authenticateMfaEnrollment } from '../../middlewares/authenticate.js'
 import trainerRouter from './trainerRoutes.js'
 import adminRouter from './adminRoutes.js'
+import parentRouter from './parentRoutes.js'
+import hrRouter from './hrRoutes.js'
 
 const userRouter = Router()
 
@@ -41,7 +43,7 @@ const userRouter = Router()
  * /api/v1/user/auth/login:
  *   post:
  *     summary: User login
- *     description: Authenticate a user with email, password, and role. Returns a JWT token for subsequent API calls.
+ *     description: Authenticate a user with email, password, and role. Returns a short-lived JWT access token for subsequent API calls and a refresh token for obtaining new access tokens. If the user has two-factor authentication enabled (or it is enforced for the role), the response instead contains mfaRequired, enrollmentRequired and a short-lived mfaToken for /auth/mfa/verify (or /auth/mfa/setup and /auth/mfa/enable).
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -68,6 +70,18 @@ const userRouter = Router()
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Locked - Account temporarily locked after repeated failed logins
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests - Retry after the number of seconds in the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -117,10 +131,545 @@ userRouter.post('/auth/login', authController.login )
  */
 userRouter.get('/auth/me', authenticate, authController.getMe)
 
+/**
+ * @swagger
+ * /api/v1/user/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchange a refresh token for a new access token. The refresh token is rotated on every call, so the previous one stops working. Re-using an already rotated refresh token revokes the whole session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "64c3af23e897ad238cabc999.9f86d081884c7d659a2feaa0c55ad015..."
+ *                 description: Refresh token returned by login or a previous refresh
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 token:
+ *                   type: string
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   example: 64c3af23e897ad238cabc999.2c26b46b68ffc68ff99b453c1d304134...
+ *                 expiresIn:
+ *                   type: string
+ *                   example: 15m
+ *       400:
+ *         description: Bad request - Refresh token missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Refresh token invalid, expired or revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Account has been deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/refresh', authController.refresh)
+
+/**
+ * @swagger
+ * /api/v1/user/auth/logout:
+ *   post:
+ *     summary: Log out current session
+ *     description: Revoke the session bound to the access token. Both the access token and its refresh token stop working immediately.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/logout', authenticate, authController.logout)
+
+/**
+ * @swagger
+ * /api/v1/user/auth/logout-all:
+ *   post:
+ *     summary: Log out from all devices
+ *     description: Revoke every active session of the authenticated user, including the current one.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Logged out from all devices
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: number
+ *                       example: 3
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/logout-all', authenticate, authController.logoutAll)
+
+/**
+ * @swagger
+ * /api/v1/user/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     description: Email a single-use password reset link to the account. The response is identical whether or not the email is registered.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - Email missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Email could not be sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/forgot-password', authController.forgotPassword)
+
+/**
+ * @swagger
+ * /api/v1/user/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     description: Set a new password using the token from the reset email. The token can be used once and expires after PASSWORD_RESET_EXPIRES_MINUTES. All existing sessions of the user are revoked.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 3f1c9b6a2e...
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: newPassword123
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - Token invalid/expired or password too short
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/reset-password', authController.resetPassword)
+
+/**
+ * @swagger
+ * /api/v1/user/auth/change-password:
+ *   post:
+ *     summary: Change password
+ *     description: Change the authenticated user's password. Other sessions of the user are revoked; the current session stays active.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: password123
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: newPassword123
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - Missing current password or new password too short
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token invalid or current password incorrect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/change-password', authenticate, authController.changePassword)
+
+/**
+ * @swagger
+ * /api/v1/user/auth/mfa/verify:
+ *   post:
+ *     summary: Complete login with a second factor
+ *     description: Second login step for users with two-factor authentication. Exchange the short-lived mfaToken returned by /auth/login plus a TOTP code (or a one-time recovery code) for the usual token pair. Failed codes count towards the login lockout.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *                 description: Current code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3fa9c-1b2d7
+ *                 description: One-time recovery code, used instead of code
+ *     responses:
+ *       200:
+ *         description: Login completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Bad request - mfaToken or code missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - mfaToken expired or code invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Locked - Account temporarily locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests - Retry after the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/mfa/verify', authController.verifyMfa)
+
+/**
+ * @swagger
+ * /api/v1/user/auth/mfa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Generate a TOTP secret and an otpauth URI to render as a QR code. Available to roles listed in MFA_ALLOWED_ROLES (admin and HR by default) and to any role for which an admin enforces MFA. Authenticate with a bearer token, or with the mfaToken returned by login when enrolment is required.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: Enrolment token from /auth/login (when enrollmentRequired is true)
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: otpauth://totp/Maitexa%20LMS%3Aadmin%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Maitexa+LMS
+ *       400:
+ *         description: Bad request - MFA already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - MFA not available for this role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/mfa/setup', authenticateMfaEnrollment, authController.setupMfa)
+
+/**
+ * @swagger
+ * /api/v1/user/auth/mfa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrolment
+ *     description: Confirm the secret from /auth/mfa/setup with the first code from the authenticator app. Returns one-time recovery codes, shown only once. When called with the enrolment mfaToken from login, the response also contains the token pair and completes the login.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               mfaToken:
+ *                 type: string
+ *                 description: Enrolment token from /auth/login (when enrollmentRequired is true)
+ *     responses:
+ *       200:
+ *         description: MFA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["3fa9c-1b2d7", "a81f0-77c2e"]
+ *       400:
+ *         description: Bad request - Setup not started or code invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/mfa/enable', authenticateMfaEnrollment, authController.enableMfa)
+
+/**
+ * @swagger
+ * /api/v1/user/auth/mfa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Turn off MFA for the authenticated user. Requires the password and a current code (or recovery code). Not allowed when MFA is enforced for the user's role.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: password123
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3fa9c-1b2d7
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - Missing fields or MFA not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Incorrect password or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - MFA is mandatory for the role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/mfa/disable', authenticate, authController.disableMfa)
+
+/**
+ * @swagger
+ * /api/v1/user/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replace all recovery codes of the authenticated user. Requires a current authenticator code; previous recovery codes stop working.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - Code missing or MFA not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Token or code invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.post('/auth/mfa/recovery-codes', authenticate, authController.regenerateRecoveryCodes)
+
 userRouter.use('/student', studentRouter)
 
 userRouter.use('/trainer', trainerRouter)
 
 userRouter.use('/admin', adminRouter)
 
+userRouter.use('/parent', parentRouter)
+
+userRouter.use('/hr', hrRouter)
+
 export default userRouter
\ No newline at end of file
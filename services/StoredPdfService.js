@@ -0,0 +1,113 @@
+import path from 'path';
+import FileUploadService from './FileUploadService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Stored PDF service
+ * Generated PDFs (receipts, invoices, certificates) kept through FileUploadService
+ * under one upload type, described by storedDocumentSchema (models/fee/FeeTransaction.js)
+ */
+class StoredPdfService {
+  /**
+   * @param {string} uploadType - Upload type (folder) the PDFs are stored under
+   */
+  constructor(uploadType) {
+    this.uploadType = uploadType;
+    this.fileUploadService = new FileUploadService();
+  }
+
+  /**
+   * Store a generated PDF
+   * @param {Buffer} buffer - PDF file
+   * @param {string} name - File name without extension (receipt, invoice or certificate number)
+   * @returns {Promise<Object>} Stored document ({ url, storageType, filename, size, generatedAt })
+   */
+  async store(buffer, name) {
+    const upload = await this.fileUploadService.uploadSingleFile(
+      { buffer, originalname: `${name}.pdf`, mimetype: 'application/pdf' },
+      { uploadType: this.uploadType }
+    );
+
+    return {
+      url: upload.url,
+      storageType: upload.storageType,
+      filename: upload.filename,
+      size: upload.size,
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Remove a stored PDF; failures are only logged
+   * @param {Object} file - Stored document
+   */
+  async discard(file) {
+    if (!file?.url) return;
+
+    try {
+      await this.fileUploadService.deleteFile(file.url, { storageType: file.storageType });
+    } catch (error) {
+      logger.warn(`Could not delete ${this.uploadType} PDF ${file.url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Where a stored PDF can be read from: a local path, or a short-lived url for cloud storage
+   * @param {Object} file - Stored document
+   * @returns {Promise<{path: string}|{url: string}|null>} Location, or null when the file is gone
+   */
+  async locate(file) {
+    if (!file?.url) return null;
+
+    const storageType = file.storageType || 'local';
+    if (!await this.fileUploadService.fileExists(file.url, storageType)) {
+      return null;
+    }
+
+    if (storageType === 'local') {
+      const info = await this.fileUploadService.getFileInfo(file.url, { storageType });
+      return { path: path.resolve(info.path) };
+    }
+
+    return { url: await this.fileUploadService.generateSignedUrl(file.url, { storageType }) };
+  }
+
+  /**
+   * Stored PDF of a record, generating and storing it when missing
+   * @param {Object} options - ({ file, name, render, save }) stored document, file name, renderer and a callback saving a new document
+   * @returns {Promise<Object>} ({ filename, buffer }) for a new file, else ({ filename, path }) or ({ filename, url })
+   */
+  async load({ file, name, render, save }) {
+    const filename = `${name}.pdf`;
+    const location = await this.locate(file);
+    if (location) {
+      return { filename, ...location };
+    }
+
+    const buffer = await render();
+    await save(await this.store(buffer, name));
+
+    return { filename, buffer };
+  }
+
+  /**
+   * Send a PDF from load(): freshly generated, from local storage, or via a signed cloud url
+   * @param {Object} res - Express response
+   * @param {Object} document - Document returned by load()
+   */
+  static send(res, document) {
+    if (document.url) {
+      return res.redirect(document.url);
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${document.filename}"`);
+
+    if (document.path) {
+      return res.sendFile(document.path);
+    }
+    res.status(200).send(document.buffer);
+  }
+}
+
+export default StoredPdfService;
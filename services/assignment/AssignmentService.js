@@ -0,0 +1,466 @@
+import mongoose from 'mongoose';
+import AssignmentRepository from '../../repositories/assignment/assignmentRepository.js';
+import SubmissionRepository from '../../repositories/assignment/submissionRepository.js';
+import BatchRepository from '../../repositories/course/batchRepository.js';
+import CourseRepository from '../../repositories/course/courseRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import FileUploadService from '../FileUploadService.js';
+import BatchService from '../course/BatchService.js';
+import InboxService from '../notification/InboxService.js';
+import { SUBMISSION_FILE_TYPES } from '../../models/assignment/Assignment.js';
+import FileUploadUtils from '../../utils/fileUpload.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+const ASSIGNMENT_FIELDS = ['title', 'description', 'dueDate', 'maxMarks', 'allowedFileTypes', 'allowLateSubmissions'];
+
+const batchService = new BatchService();
+const inboxService = new InboxService();
+
+/**
+ * Assignment service
+ * Course and batch assignments, student submissions through the upload
+ * pipeline, late flags, grading and the trainer's submission matrix
+ */
+class AssignmentService {
+  constructor() {
+    this.fileUploadService = new FileUploadService();
+  }
+
+  /**
+   * Pick and validate assignment fields
+   * @param {Object} body - Request body
+   * @returns {Object} Assignment values
+   */
+  buildAssignmentData(body) {
+    const data = {};
+    ASSIGNMENT_FIELDS.forEach(field => {
+      if (body[field] !== undefined) data[field] = body[field];
+    });
+
+    if (data.dueDate !== undefined) {
+      data.dueDate = new Date(data.dueDate);
+      if (isNaN(data.dueDate)) {
+        throw new AppError('dueDate must be a valid date', 400);
+      }
+    }
+
+    if (data.maxMarks !== undefined && (typeof data.maxMarks !== 'number' || !isFinite(data.maxMarks) || data.maxMarks < 1)) {
+      throw new AppError('maxMarks must be a number of at least 1', 400);
+    }
+
+    if (data.allowedFileTypes !== undefined) {
+      if (!Array.isArray(data.allowedFileTypes) || !data.allowedFileTypes.length
+        || data.allowedFileTypes.some(type => !SUBMISSION_FILE_TYPES.includes(type))) {
+        throw new AppError(`allowedFileTypes must list some of: ${SUBMISSION_FILE_TYPES.join(', ')}`, 400);
+      }
+      data.allowedFileTypes = [...new Set(data.allowedFileTypes)];
+    }
+
+    if (data.allowLateSubmissions !== undefined && typeof data.allowLateSubmissions !== 'boolean') {
+      throw new AppError('allowLateSubmissions must be a boolean', 400);
+    }
+
+    return data;
+  }
+
+  /**
+   * Check a user may set and grade assignments of a course or batch:
+   * admins, the course head, and trainers of the batch (or of any batch of the course)
+   * @param {Object} user - Authenticated user
+   * @param {Object} scope - ({ course, batch }) ids or documents
+   */
+  async assertCanManage(user, { course, batch }) {
+    if (user.role === 'admin') return;
+
+    if (user.role === 'trainer') {
+      const courseDoc = course.courseHead ? course : await CourseRepository.findById(course);
+      if (courseDoc && AccessControl.sameId(courseDoc.courseHead, user._id)) return;
+
+      const taught = await BatchRepository.findOne(batch
+        ? { _id: batch._id || batch, trainers: user._id }
+        : { course: course._id || course, trainers: user._id });
+      if (taught) return;
+    }
+
+    throw new AppError('You do not teach this course or batch', 403);
+  }
+
+  /**
+   * Check a student has to do an assignment
+   * @param {Object} student - Student document
+   * @param {Object} assignment - Assignment document
+   * @returns {boolean} True if the assignment is set for the student
+   */
+  isAssignedTo(student, assignment) {
+    return AccessControl.sameId(student.course, assignment.course)
+      && (!assignment.batch || AccessControl.sameId(student.batch, assignment.batch));
+  }
+
+  /**
+   * Load an assignment or fail with 404
+   * @param {string} assignmentId - Assignment identifier
+   * @returns {Promise<Object>} Assignment document
+   */
+  async getAssignment(assignmentId) {
+    const assignment = mongoose.isValidObjectId(assignmentId) ? await AssignmentRepository.findById(assignmentId) : null;
+
+    if (!assignment) {
+      throw new AppError('Assignment not found', 404);
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Create an assignment for a course or one of its batches
+   * @param {Object} body - ({ courseId | batchId, title, description, dueDate, maxMarks, allowedFileTypes, allowLateSubmissions })
+   * @param {Object} user - Trainer or admin
+   * @returns {Promise<Object>} Created assignment
+   */
+  async createAssignment(body, user) {
+    let course;
+    let batch = null;
+
+    if (body.batchId) {
+      batch = await batchService.getBatch(body.batchId);
+      course = await CourseRepository.findById(batch.course);
+    } else if (body.courseId) {
+      course = mongoose.isValidObjectId(body.courseId) ? await CourseRepository.findById(body.courseId) : null;
+    } else {
+      throw new AppError('Please provide a courseId or batchId', 400);
+    }
+
+    if (!course || course.isDeleted) {
+      throw new AppError('Course not found', 404);
+    }
+
+    await this.assertCanManage(user, { course, batch });
+
+    const data = this.buildAssignmentData(body);
+    if (!data.title || !data.dueDate || data.maxMarks === undefined) {
+      throw new AppError('Please provide the title, dueDate and maxMarks', 400);
+    }
+
+    const assignment = await AssignmentRepository.create({
+      ...data,
+      course: course._id,
+      batch: batch?._id || null,
+      createdBy: user._id
+    });
+
+    const students = await this.getAssignedStudents(assignment);
+    await inboxService.notify(students, {
+      type: 'assignment_created',
+      title: `New assignment: ${assignment.title}`,
+      message: `${course.title}, ${assignment.maxMarks} marks`,
+      data: { assignment: assignment._id, course: course._id, dueDate: assignment.dueDate }
+    });
+
+    return assignment;
+  }
+
+  /**
+   * Update an assignment; moving the due date re-flags late submissions
+   * @param {Object} assignment - Assignment document
+   * @param {Object} body - Assignment fields
+   * @returns {Promise<Object>} Updated assignment
+   */
+  async updateAssignment(assignment, body) {
+    const data = this.buildAssignmentData(body);
+
+    if (!Object.keys(data).length) {
+      throw new AppError(`Provide at least one of: ${ASSIGNMENT_FIELDS.join(', ')}`, 400);
+    }
+
+    if (data.maxMarks !== undefined) {
+      const highest = await SubmissionRepository.maxMarks(assignment._id);
+      if (highest !== null && data.maxMarks < highest) {
+        throw new AppError(`maxMarks cannot be lower than the ${highest} marks already given`, 400);
+      }
+    }
+
+    Object.assign(assignment, data);
+    assignment.sequence += 1; // calendars update the due date event
+    await assignment.save();
+
+    if (data.dueDate) {
+      await Promise.all([
+        SubmissionRepository.updateMany({ assignment: assignment._id, submittedAt: { $gt: data.dueDate } }, { isLate: true }),
+        SubmissionRepository.updateMany({ assignment: assignment._id, submittedAt: { $lte: data.dueDate } }, { isLate: false })
+      ]);
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Submit (or resubmit) files for an assignment
+   * @param {Object} assignment - Assignment document
+   * @param {Object} student - Student document
+   * @param {Array<Object>} files - Files from multer's `assignment` field
+   * @param {Object} body - ({ comment })
+   * @returns {Promise<Object>} Submission
+   */
+  async submit(assignment, student, files = [], body = {}) {
+    if (!this.isAssignedTo(student, assignment)) {
+      throw new AppError('This assignment is not set for you', 403);
+    }
+
+    if (!files.length) {
+      throw new AppError('Attach at least one file in the assignment field', 400);
+    }
+
+    const notAllowed = files.filter(file => !assignment.allowedFileTypes.includes(FileUploadUtils.getFileExtension(file.originalname)));
+    if (notAllowed.length) {
+      throw new AppError(`Only ${assignment.allowedFileTypes.join(', ')} files are accepted (got ${notAllowed.map(file => file.originalname).join(', ')})`, 400);
+    }
+
+    const existing = await SubmissionRepository.findForStudent(assignment._id, student._id);
+    if (existing?.status === 'graded') {
+      throw new AppError('This submission has already been graded', 400);
+    }
+
+    const submittedAt = new Date();
+    const isLate = submittedAt > assignment.dueDate;
+    if (isLate && !assignment.allowLateSubmissions) {
+      throw new AppError('The deadline for this assignment has passed', 400);
+    }
+
+    const results = await this.fileUploadService.uploadNamedFiles({ assignment: files }, {
+      uploadType: 'assignment',
+      metadata: { assignmentId: assignment._id.toString(), studentId: student._id.toString() }
+    });
+    const uploads = results.assignment || [];
+    const failed = uploads.filter(upload => upload.success === false);
+
+    if (failed.length) {
+      await this.deleteFiles(uploads.filter(upload => upload.success !== false));
+      throw new AppError(`Could not upload ${failed.map(upload => `${upload.originalName} (${upload.error})`).join(', ')}`, 400);
+    }
+
+    const data = {
+      files: uploads.map(upload => ({
+        url: upload.url,
+        filename: upload.filename,
+        originalName: upload.originalName,
+        mimeType: upload.mimeType,
+        size: upload.size,
+        storageType: upload.storageType
+      })),
+      comment: body.comment,
+      submittedAt,
+      isLate
+    };
+
+    let submission;
+    if (existing) {
+      const previousFiles = existing.files;
+      Object.assign(existing, data, { attempts: existing.attempts + 1 });
+      submission = await existing.save();
+      await this.deleteFiles(previousFiles);
+    } else {
+      submission = await SubmissionRepository.create({ ...data, assignment: assignment._id, student: student._id });
+    }
+
+    await inboxService.notify([assignment.createdBy], {
+      type: 'submission_received',
+      title: `${student.name} ${existing ? 'resubmitted' : 'submitted'} ${assignment.title}`,
+      message: isLate ? 'Submitted after the due date' : undefined,
+      data: { assignment: assignment._id, submission: submission._id, student: student._id }
+    });
+
+    return submission;
+  }
+
+  /**
+   * Remove stored submission files; failures are only logged
+   * @param {Array<Object>} files - Stored files
+   */
+  async deleteFiles(files) {
+    for (const file of files) {
+      try {
+        await this.fileUploadService.deleteFile(file.url, { storageType: file.storageType });
+      } catch (error) {
+        logger.warn(`Could not delete submission file ${file.url}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Grade a submission, or change its grade
+   * @param {Object} submission - Submission document
+   * @param {Object} assignment - Its assignment
+   * @param {Object} body - ({ marks, feedback })
+   * @param {Object} user - Grader
+   * @returns {Promise<Object>} Graded submission
+   */
+  async grade(submission, assignment, body, user) {
+    const { marks, feedback } = body;
+
+    if (typeof marks !== 'number' || !isFinite(marks) || marks < 0 || marks > assignment.maxMarks) {
+      throw new AppError(`marks must be a number between 0 and ${assignment.maxMarks}`, 400);
+    }
+
+    Object.assign(submission, {
+      marks,
+      feedback,
+      status: 'graded',
+      gradedBy: user._id,
+      gradedAt: new Date()
+    });
+    await submission.save();
+
+    await inboxService.notify([submission.student], {
+      type: 'submission_graded',
+      title: `${assignment.title} graded: ${marks}/${assignment.maxMarks}`,
+      message: feedback,
+      data: { assignment: assignment._id, submission: submission._id }
+    });
+
+    return submission;
+  }
+
+  /**
+   * Filter for the assignments a trainer may manage: every assignment of the
+   * courses they head, those of the batches they teach and the course-wide
+   * ones of the courses they teach
+   * @param {Object} user - Trainer
+   * @returns {Promise<Object>} Mongo filter
+   */
+  async trainerScopeFilter(user) {
+    const [courses, batches] = await Promise.all([
+      CourseRepository.findAll({ courseHead: user._id }, { _id: 1 }),
+      BatchRepository.findAll({ trainers: user._id }, { _id: 1, course: 1 })
+    ]);
+
+    return {
+      $or: [
+        { course: { $in: courses.map(course => course._id) } },
+        { batch: { $in: batches.map(batch => batch._id) } },
+        { course: { $in: batches.map(batch => batch.course) }, batch: null }
+      ]
+    };
+  }
+
+  /**
+   * Students who have to do an assignment
+   * @param {Object} assignment - Assignment document
+   * @returns {Promise<Array>} Students
+   */
+  async getAssignedStudents(assignment) {
+    return this.getRoster({ course: assignment.course, batch: assignment.batch });
+  }
+
+  /**
+   * Students of a batch, or of every batch of a course for course-wide work. An empty
+   * course roster is logged: course-wide assignments then notify and list nobody.
+   * @param {Object} scope - ({ course, batch }) ids; batch is null for a course
+   * @returns {Promise<Array>} Students
+   */
+  async getRoster({ course, batch }) {
+    if (batch) {
+      return StudentRepository.findByBatch(batch);
+    }
+
+    const students = await StudentRepository.findByCourse(course);
+    if (!students.length) {
+      logger.warn(`Course ${course} has no students, so its course-wide assignments reach nobody`);
+    }
+
+    return students;
+  }
+
+  /**
+   * Status of one student's work on an assignment
+   * @param {Object} assignment - Assignment document
+   * @param {Object} submission - Submission, if any
+   * @returns {string} graded, submitted, late, missing (past due) or pending
+   */
+  cellStatus(assignment, submission) {
+    if (submission) {
+      if (submission.status === 'graded') return 'graded';
+      return submission.isLate ? 'late' : 'submitted';
+    }
+    return assignment.dueDate < new Date() ? 'missing' : 'pending';
+  }
+
+  /**
+   * Submission matrix of a batch, or of the course-wide assignments of a course:
+   * one row per student, one cell per assignment
+   * @param {Object} scope - ({ course, batch }); batch is null for a course
+   * @returns {Promise<Object>} ({ assignments, students })
+   */
+  async getMatrix({ course, batch }) {
+    const [assignments, students] = await Promise.all([
+      batch
+        ? AssignmentRepository.findAllAssignments({ course: batch.course, $or: [{ batch: null }, { batch: batch._id }] })
+        : AssignmentRepository.findAllAssignments({ course: course._id, batch: null }),
+      this.getRoster({ course: course?._id, batch: batch?._id })
+    ]);
+
+    assignments.reverse(); // oldest first, as columns
+    const submissions = await SubmissionRepository.findByAssignments(assignments.map(assignment => assignment._id));
+    const byCell = new Map(submissions.map(submission => [`${submission.assignment}:${submission.student}`, submission]));
+
+    return {
+      assignments: assignments.map(assignment => ({
+        _id: assignment._id,
+        title: assignment.title,
+        dueDate: assignment.dueDate,
+        maxMarks: assignment.maxMarks,
+        batch: assignment.batch
+      })),
+      students: students.map(student => ({
+        _id: student._id,
+        name: student.name,
+        studentId: student.studentId,
+        cells: assignments.map(assignment => {
+          const submission = byCell.get(`${assignment._id}:${student._id}`);
+
+          return {
+            assignment: assignment._id,
+            status: this.cellStatus(assignment, submission),
+            submission: submission?._id || null,
+            marks: submission?.status === 'graded' ? submission.marks : null
+          };
+        })
+      }))
+    };
+  }
+
+  /**
+   * Assignments of a student with their submission and grade
+   * @param {Object} student - Student document
+   * @returns {Promise<Object>} ({ assignments, totals })
+   */
+  async getStudentGrades(student) {
+    const assignments = await AssignmentRepository.findForStudent(student);
+    const submissions = await SubmissionRepository.findByStudent(student._id, assignments.map(assignment => assignment._id));
+
+    const rows = assignments.map(assignment => {
+      const submission = submissions.find(item => AccessControl.sameId(item.assignment, assignment._id));
+
+      return {
+        assignment,
+        status: this.cellStatus(assignment, submission),
+        submission: submission || null
+      };
+    });
+
+    const graded = rows.filter(row => row.status === 'graded');
+    return {
+      assignments: rows,
+      totals: {
+        assigned: rows.length,
+        submitted: rows.filter(row => row.submission).length,
+        graded: graded.length,
+        marks: graded.reduce((sum, row) => sum + row.submission.marks, 0),
+        maxMarks: graded.reduce((sum, row) => sum + row.assignment.maxMarks, 0)
+      }
+    };
+  }
+}
+
+export default AssignmentService;
@@ -0,0 +1,396 @@
+import mongoose from 'mongoose';
+import ClassSessionRepository from '../../repositories/attendance/classSessionRepository.js';
+import AttendanceRepository from '../../repositories/attendance/attendanceRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import { ATTENDANCE_STATUSES } from '../../models/attendance/Attendance.js';
+import { SESSION_TYPES } from '../../models/attendance/ClassSession.js';
+import attendanceConfig from '../../config/attendance.js';
+import ScheduleService from './ScheduleService.js';
+import NotificationService from '../notification/NotificationService.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Session fields that can be changed after scheduling
+const SESSION_FIELDS = ['date', 'startTime', 'endTime', 'type', 'topic', 'meetingLink', 'room'];
+
+const scheduleService = new ScheduleService();
+const notificationService = new NotificationService();
+
+/**
+ * Attendance service
+ * Scheduling batch sessions, marking and correcting attendance, the Student.attendance
+ * percentage and low-attendance alerts
+ */
+class AttendanceService {
+  /**
+   * Trainers may only take attendance for the batches they teach
+   * @param {Object} user - Authenticated user
+   * @param {Object} batch - Batch document
+   */
+  assertCanMark(user, batch) {
+    if (user.role === 'trainer' && !batch.trainers.some(trainer => AccessControl.sameId(trainer, user._id))) {
+      throw new AppError('You do not teach this batch', 403);
+    }
+  }
+
+  /**
+   * Load a session or fail with 404
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object>} Session document
+   */
+  async getSession(sessionId) {
+    const session = mongoose.isValidObjectId(sessionId) ? await ClassSessionRepository.findById(sessionId) : null;
+
+    if (!session) {
+      throw new AppError('Session not found', 404);
+    }
+
+    return session;
+  }
+
+  /**
+   * Validate the times, type and meeting link of a session
+   * @param {Object} slot - ({ startTime, endTime, type, meetingLink })
+   */
+  assertValidSlot({ startTime, endTime, type, meetingLink }) {
+    if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime) || startTime >= endTime) {
+      throw new AppError('startTime and endTime must be HH:mm with startTime first', 400);
+    }
+
+    if (type !== undefined && !SESSION_TYPES.includes(type)) {
+      throw new AppError(`type must be one of: ${SESSION_TYPES.join(', ')}`, 400);
+    }
+
+    if (meetingLink && !/^https?:\/\/\S+$/i.test(meetingLink)) {
+      throw new AppError('meetingLink must be an http(s) URL', 400);
+    }
+  }
+
+  /**
+   * Refuse a clashing time unless the caller allows it
+   * @param {Array} conflicts - From ScheduleService.findConflicts
+   * @param {boolean} allowConflicts - Body flag
+   */
+  assertNoConflicts(conflicts, allowConflicts) {
+    if (conflicts.length && allowConflicts !== true) {
+      throw new AppError(`The session clashes: ${conflicts.map(conflict => conflict.message).join('; ')}. Set allowConflicts to schedule it anyway`, 409);
+    }
+  }
+
+  /**
+   * Schedule a session for a batch
+   * Clashes with the trainer's availability or with other sessions of the trainer or batch
+   * are refused unless allowConflicts is set; with dryRun they are only reported
+   * @param {Object} batch - Batch document
+   * @param {Object} body - ({ date, startTime, endTime, type, topic, trainer, meetingLink, room, allowConflicts })
+   * @param {Object} user - Creator
+   * @param {Object} options - ({ dryRun })
+   * @returns {Promise<{session: Object|null, conflicts: Array}>} Created session (null for a dry run) and its clashes
+   */
+  async createSession(batch, body, user, { dryRun = false } = {}) {
+    const { startTime, endTime, type, topic, meetingLink, room, allowConflicts } = body;
+    const date = scheduleService.toDay(body.date);
+
+    if (!date) {
+      throw new AppError('Please provide a valid session date', 400);
+    }
+
+    this.assertValidSlot({ startTime, endTime, type, meetingLink });
+
+    if (!['upcoming', 'active'].includes(batch.status)) {
+      throw new AppError(`Cannot add sessions to a batch that is ${batch.status}`, 400);
+    }
+
+    // Trainers run their own sessions; admins may pick any trainer of the batch
+    const trainer = user.role === 'trainer' ? user._id : (body.trainer || batch.trainers[0]);
+    if (!batch.trainers.some(id => AccessControl.sameId(id, trainer))) {
+      throw new AppError('The trainer must be one of the batch trainers', 400);
+    }
+
+    const conflicts = await scheduleService.findConflicts({ batch: batch._id, trainer, date, startTime, endTime });
+
+    if (dryRun) {
+      return { session: null, conflicts };
+    }
+
+    this.assertNoConflicts(conflicts, allowConflicts);
+
+    const session = await ClassSessionRepository.create({
+      batch: batch._id,
+      course: batch.course,
+      trainer,
+      date,
+      startTime,
+      endTime,
+      type,
+      topic,
+      meetingLink,
+      room,
+      createdBy: user._id
+    });
+
+    if (conflicts.length) {
+      logger.warn(`Session ${session._id} scheduled by ${user.email} despite ${conflicts.length} clash(es)`);
+    }
+
+    return { session, conflicts };
+  }
+
+  /**
+   * Reschedule a scheduled session or change its details
+   * A new day or time is checked for clashes like a new session. Every change bumps
+   * the session's sequence so subscribed calendars update the event instead of adding one
+   * @param {Object} session - Session document
+   * @param {Object} body - ({ date, startTime, endTime, type, topic, meetingLink, room, allowConflicts })
+   * @param {Object} user - Trainer or admin
+   * @returns {Promise<{session: Object, conflicts: Array}>} Updated session and the clashes of its new time
+   */
+  async updateSession(session, body, user) {
+    if (session.status !== 'scheduled') {
+      throw new AppError(`Only scheduled sessions can be changed; this one is ${session.status}`, 400);
+    }
+
+    const data = {};
+    SESSION_FIELDS.forEach(field => {
+      if (body[field] !== undefined) data[field] = body[field];
+    });
+
+    if (!Object.keys(data).length) {
+      throw new AppError(`Provide at least one of: ${SESSION_FIELDS.join(', ')}`, 400);
+    }
+
+    if (data.date !== undefined) {
+      data.date = scheduleService.toDay(data.date);
+      if (!data.date) {
+        throw new AppError('Please provide a valid session date', 400);
+      }
+    }
+
+    const slot = {
+      date: data.date || session.date,
+      startTime: data.startTime ?? session.startTime,
+      endTime: data.endTime ?? session.endTime
+    };
+    this.assertValidSlot({ ...slot, type: data.type, meetingLink: data.meetingLink });
+
+    const moved = slot.date.getTime() !== session.date.getTime()
+      || slot.startTime !== session.startTime || slot.endTime !== session.endTime;
+
+    let conflicts = [];
+    if (moved) {
+      conflicts = await scheduleService.findConflicts({ batch: session.batch, trainer: session.trainer, ...slot, excludeId: session._id });
+      this.assertNoConflicts(conflicts, body.allowConflicts);
+    }
+
+    const previous = { date: session.date, startTime: session.startTime, endTime: session.endTime };
+    Object.assign(session, data);
+    session.sequence += 1;
+    await session.save();
+
+    if (moved) {
+      logger.info(`Session ${session._id} moved to ${slot.date.toISOString().slice(0, 10)} ${slot.startTime}-${slot.endTime} by ${user.email}`);
+      await this.notifyBatch(session, user, previous);
+    }
+
+    return { session, conflicts };
+  }
+
+  /**
+   * Cancel a scheduled session; it stays in timetables and calendar feeds as cancelled
+   * @param {Object} session - Session document
+   * @param {string} reason - Optional reason shown to students
+   * @param {Object} user - Trainer or admin
+   * @returns {Promise<Object>} Cancelled session
+   */
+  async cancelSession(session, reason, user) {
+    if (session.status !== 'scheduled') {
+      throw new AppError(`Only scheduled sessions can be cancelled; this one is ${session.status}`, 400);
+    }
+
+    session.status = 'cancelled';
+    if (typeof reason === 'string' && reason.trim()) session.cancellationReason = reason.trim();
+    session.sequence += 1;
+    await session.save();
+
+    logger.info(`Session ${session._id} cancelled by ${user.email}`);
+    await this.notifyBatch(session, user);
+
+    return session;
+  }
+
+  /**
+   * Email and notify the batch's students and parents about a moved or cancelled session;
+   * a failure is logged and does not undo the change
+   * @param {Object} session - Session after the change
+   * @param {Object} user - User who made the change
+   * @param {Object} previous - ({ date, startTime, endTime }) before a reschedule
+   */
+  async notifyBatch(session, user, previous = null) {
+    try {
+      await notificationService.notifySessionChange(session, previous, user);
+    } catch (error) {
+      logger.error(`Could not notify batch of session ${session._id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark attendance for the whole batch in one go
+   * Every student on the roster gets defaultStatus unless listed in records;
+   * students already marked are skipped (use a correction instead)
+   * @param {Object} session - Session document
+   * @param {Object} body - ({ defaultStatus, records: [{ studentId, status, remarks }] })
+   * @param {Object} user - Trainer or admin marking
+   * @returns {Promise<{marked: Array, skipped: Array}>} Created records and skipped students with a reason
+   */
+  async markSession(session, body, user) {
+    const { defaultStatus, records = [] } = body;
+
+    if (session.status === 'cancelled') {
+      throw new AppError('Cannot take attendance for a cancelled session', 400);
+    }
+
+    if (defaultStatus !== undefined && !ATTENDANCE_STATUSES.includes(defaultStatus)) {
+      throw new AppError(`defaultStatus must be one of: ${ATTENDANCE_STATUSES.join(', ')}`, 400);
+    }
+
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || !record.studentId || !ATTENDANCE_STATUSES.includes(record.status))) {
+      throw new AppError(`Each record needs a studentId and a status (${ATTENDANCE_STATUSES.join(', ')})`, 400);
+    }
+
+    const roster = await StudentRepository.findByBatch(session.batch);
+    const marked = (await AttendanceRepository.findMarkedStudentIds(session._id)).map(String);
+    const skipped = [];
+
+    records
+      .filter(record => !roster.some(student => AccessControl.sameId(student._id, record.studentId)))
+      .forEach(record => skipped.push({ studentId: record.studentId, reason: 'not_in_batch' }));
+
+    const toCreate = [];
+    for (const student of roster) {
+      const override = records.find(record => AccessControl.sameId(student._id, record.studentId));
+      const status = override?.status || defaultStatus;
+
+      if (!status) continue;
+
+      if (marked.includes(student._id.toString())) {
+        if (override) skipped.push({ studentId: student._id, reason: 'already_marked' });
+        continue;
+      }
+
+      toCreate.push({
+        session: session._id,
+        batch: session.batch,
+        student: student._id,
+        status,
+        remarks: override?.remarks,
+        markedBy: user._id
+      });
+    }
+
+    // Another trainer may mark the same students meanwhile; the unique (session, student) index keeps their record
+    const { created, duplicates } = toCreate.length
+      ? await AttendanceRepository.insertUnique(toCreate)
+      : { created: [], duplicates: [] };
+    duplicates.forEach(record => skipped.push({ studentId: record.student, reason: 'already_marked' }));
+
+    if (created.length && !session.attendanceMarkedAt) {
+      session.attendanceMarkedAt = new Date();
+      if (session.status === 'scheduled') session.status = 'completed';
+      await session.save();
+    }
+
+    for (const record of created) {
+      await this.recomputeStudentAttendance(record.student);
+    }
+
+    logger.info(`Attendance marked for ${created.length} student(s) in session ${session._id} by ${user.email}`);
+    return { marked: created, skipped };
+  }
+
+  /**
+   * Correct a record, keeping its previous value in the history
+   * @param {Object} record - Attendance document
+   * @param {Object} body - ({ status, remarks, reason })
+   * @param {Object} user - Trainer or admin correcting
+   * @returns {Promise<Object>} Updated record
+   */
+  async correctRecord(record, body, user) {
+    const { status, remarks, reason } = body;
+
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      throw new AppError(`status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`, 400);
+    }
+
+    if (!reason) {
+      throw new AppError('Please give a reason for the correction', 400);
+    }
+
+    record.history.push({
+      status: record.status,
+      remarks: record.remarks,
+      reason,
+      changedBy: user._id,
+      changedAt: new Date()
+    });
+
+    record.status = status;
+    if (remarks !== undefined) record.remarks = remarks;
+    await record.save();
+
+    await this.recomputeStudentAttendance(record.student);
+    logger.info(`Attendance ${record._id} corrected to ${status} by ${user.email}: ${reason}`);
+
+    return record;
+  }
+
+  /**
+   * Attendance totals of a student
+   * Late counts as attended; excused sessions are left out of the percentage
+   * @param {string} studentId - Student identifier
+   * @returns {Promise<Object>} ({ present, late, absent, excused, counted, percentage })
+   */
+  async getSummary(studentId) {
+    const counts = await AttendanceRepository.countByStatus(new mongoose.Types.ObjectId(String(studentId)));
+    const summary = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]));
+    counts.forEach(({ _id, count }) => { summary[_id] = count; });
+
+    const attended = summary.present + summary.late;
+    const counted = attended + summary.absent;
+
+    return {
+      ...summary,
+      counted,
+      percentage: counted ? Math.round((attended / counted) * 100) : 0
+    };
+  }
+
+  /**
+   * Recompute Student.attendance and send an alert when it drops below the threshold
+   * @param {string} studentId - Student identifier
+   * @returns {Promise<Object>} Attendance summary
+   */
+  async recomputeStudentAttendance(studentId) {
+    const student = await StudentRepository.findById(studentId);
+    if (!student) return null;
+
+    const summary = await this.getSummary(student._id);
+    const update = { attendance: summary.percentage };
+
+    const below = summary.counted >= attendanceConfig.alertMinSessions && summary.percentage < attendanceConfig.alertThreshold;
+
+    if (below && !student.attendanceAlertedAt) {
+      await notificationService.sendLowAttendanceAlert(student, summary);
+      update.attendanceAlertedAt = new Date();
+    } else if (!below && student.attendanceAlertedAt) {
+      update.attendanceAlertedAt = null; // alert again if it drops once more
+    }
+
+    await StudentRepository.update(student._id, update);
+    return summary;
+  }
+}
+
+export default AttendanceService;
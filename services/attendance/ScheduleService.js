@@ -0,0 +1,137 @@
+import ClassSessionRepository from '../../repositories/attendance/classSessionRepository.js';
+import TrainerRepository from '../../repositories/user/trainerRepository.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Timetable range when none is given, and the longest one that may be asked for
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 92;
+
+/**
+ * Schedule service
+ * Session times against trainer availability, clashes between sessions and timetables
+ */
+class ScheduleService {
+  /**
+   * Calendar day of a date, as stored on sessions
+   * @param {string|Date} date - "YYYY-MM-DD" or a date
+   * @returns {Date|null} UTC midnight of the day, or null when invalid
+   */
+  toDay(date) {
+    const value = new Date(date);
+    if (!date || isNaN(value)) return null;
+
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  /**
+   * Weekday name of a calendar day
+   * @param {Date} day - UTC midnight
+   * @returns {string} e.g. "Monday"
+   */
+  weekday(day) {
+    return DAYS[day.getUTCDay()];
+  }
+
+  /**
+   * Whether a slot of the trainer's availability covers the whole session.
+   * Days match case-insensitively on their first three letters ("Mon", "monday")
+   * @param {Array} availability - Trainer.availability ([{ day, startTime, endTime }])
+   * @param {string} weekday - Weekday of the session
+   * @param {string} startTime - HH:mm
+   * @param {string} endTime - HH:mm
+   * @returns {boolean} True when covered
+   */
+  isWithinAvailability(availability, weekday, startTime, endTime) {
+    const day = weekday.slice(0, 3).toLowerCase();
+
+    return availability.some(slot => String(slot.day || '').trim().slice(0, 3).toLowerCase() === day
+      && slot.startTime <= startTime && endTime <= slot.endTime);
+  }
+
+  /**
+   * Everything a session would clash with: time outside the trainer's availability, and
+   * overlapping sessions of the same trainer or batch. Cancelled sessions are ignored;
+   * trainers who have not set any availability are not checked against it.
+   * @param {Object} slot - ({ batch, trainer, date, startTime, endTime, excludeId })
+   * @returns {Promise<Array>} Conflicts ([{ type, message, session }])
+   */
+  async findConflicts({ batch, trainer, date, startTime, endTime, excludeId = null }) {
+    const conflicts = [];
+    const weekday = this.weekday(date);
+
+    const trainerDoc = await TrainerRepository.findById(trainer);
+    const availability = trainerDoc?.availability || [];
+    if (availability.length && !this.isWithinAvailability(availability, weekday, startTime, endTime)) {
+      conflicts.push({
+        type: 'outside_availability',
+        message: `${trainerDoc.name} is not available on ${weekday} ${startTime}-${endTime}`
+      });
+    }
+
+    const sessions = await ClassSessionRepository.findOverlapping({ batch, trainer, date, startTime, endTime, excludeId });
+    for (const session of sessions) {
+      const label = `${session.startTime}-${session.endTime} (${session.batch?.code || 'batch'})`;
+
+      if (AccessControl.sameId(session.trainer, trainer)) {
+        conflicts.push({
+          type: 'trainer_busy',
+          message: `The trainer already has a session ${label}`,
+          session: session._id
+        });
+      }
+      if (AccessControl.sameId(session.batch, batch)) {
+        conflicts.push({
+          type: 'batch_busy',
+          message: `The batch already has a session ${label}`,
+          session: session._id
+        });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Date range of a timetable request
+   * @param {Object} query - ({ from, to }); defaults to the next 7 days
+   * @returns {{from: Date, to: Date}} First and last day, inclusive
+   */
+  parseRange({ from, to } = {}) {
+    const start = from ? this.toDay(from) : this.toDay(new Date());
+    const end = to ? this.toDay(to) : start && new Date(start.getTime() + (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+    if (!start || !end) {
+      throw new AppError('from and to must be valid dates', 400);
+    }
+
+    if (end < start) {
+      throw new AppError('to must not be before from', 400);
+    }
+
+    if ((end - start) / DAY_MS >= MAX_RANGE_DAYS) {
+      throw new AppError(`A timetable can cover at most ${MAX_RANGE_DAYS} days`, 400);
+    }
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * Sessions matching a filter in a date range, in time order
+   * @param {Object} filter - e.g. ({ trainer }) or ({ batch })
+   * @param {Object} query - ({ from, to, includeCancelled })
+   * @returns {Promise<{from: Date, to: Date, sessions: Array}>} Timetable
+   */
+  async getTimetable(filter, query = {}) {
+    const { from, to } = this.parseRange(query);
+    const statusFilter = query.includeCancelled === 'true' ? {} : { status: { $ne: 'cancelled' } };
+
+    const sessions = await ClassSessionRepository.findTimetable({ ...filter, ...statusFilter }, from, to);
+    return { from, to, sessions };
+  }
+}
+
+export default ScheduleService;
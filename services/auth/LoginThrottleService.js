@@ -0,0 +1,126 @@
+import authConfig from '../../config/auth.js';
+import UserRepository from '../../repositories/user/userRepository.js';
+import LoginAttemptRepository from '../../repositories/auth/loginAttemptRepository.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Login throttle service
+ * Tracks failed logins per account and per IP, enforces a growing delay
+ * between attempts and temporarily locks accounts after repeated failures
+ */
+class LoginThrottleService {
+  constructor() {
+    this.config = authConfig.lockout;
+  }
+
+  /**
+   * Delay enforced after the given number of consecutive failures
+   * @param {number} failures - Consecutive failures
+   * @returns {number} Delay in milliseconds
+   */
+  getDelayMs(failures) {
+    if (!failures) return 0;
+    return Math.min(this.config.baseDelayMs * 2 ** (failures - 1), this.config.maxDelayMs);
+  }
+
+  /**
+   * Build a throttling error carrying a Retry-After value
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @param {Date} retryAt - Earliest time a new attempt is accepted
+   * @returns {AppError} Error instance
+   */
+  buildError(message, statusCode, retryAt) {
+    const error = new AppError(message, statusCode);
+    error.retryAfter = Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000));
+    return error;
+  }
+
+  /**
+   * Reject the attempt if the IP or account is locked or still inside its delay window
+   * @param {string} ip - Client IP
+   * @param {Object|null} user - User loaded with lock state (null if unknown email)
+   */
+  async assertCanAttempt(ip, user) {
+    const now = new Date();
+    const attempt = await LoginAttemptRepository.findByIp(ip);
+
+    if (attempt?.lockUntil && attempt.lockUntil > now) {
+      throw this.buildError('Too many failed login attempts from this network, please try again later', 429, attempt.lockUntil);
+    }
+
+    if (user?.lockUntil && user.lockUntil > now) {
+      const minutes = Math.ceil((user.lockUntil.getTime() - now.getTime()) / 60000);
+      throw this.buildError(`Account is temporarily locked, try again in ${minutes} minute(s)`, 423, user.lockUntil);
+    }
+
+    const windows = [
+      attempt?.lastFailureAt && new Date(attempt.lastFailureAt.getTime() + this.getDelayMs(attempt.failures)),
+      user?.lastFailedLoginAt && new Date(user.lastFailedLoginAt.getTime() + this.getDelayMs(user.failedLoginAttempts))
+    ].filter(Boolean);
+
+    const retryAt = windows.sort((a, b) => b - a)[0];
+
+    if (retryAt && retryAt > now) {
+      throw this.buildError('Too many login attempts, please slow down', 429, retryAt);
+    }
+  }
+
+  /**
+   * Record a failed attempt against the IP and (if known) the account
+   * @param {string} ip - Client IP
+   * @param {Object|null} user - User loaded with lock state
+   * @param {string} email - Email used for the attempt
+   */
+  async recordFailure(ip, user, email) {
+    const now = new Date();
+    const windowMs = this.config.ipWindowMinutes * 60 * 1000;
+    const lockMs = this.config.lockMinutes * 60 * 1000;
+
+    // Counters are incremented in the database so parallel attempts cannot overwrite each other
+    const attempt = await LoginAttemptRepository.recordFailure(ip, windowMs, new Date(now.getTime() + windowMs + lockMs));
+
+    if (attempt.failures >= this.config.ipMaxAttempts) {
+      await LoginAttemptRepository.lock(ip, new Date(now.getTime() + lockMs));
+      logger.warn(`Login blocked for IP ${ip} after ${attempt.failures} failed attempts (last email: ${email})`);
+    }
+
+    if (!user) return;
+
+    const updated = await UserRepository.recordLoginFailure(user._id);
+
+    if (updated && updated.failedLoginAttempts >= this.config.maxAttempts) {
+      await UserRepository.lockLogin(user._id, new Date(now.getTime() + lockMs));
+      logger.warn(`Account locked: ${user.email} (${user.role}) after ${updated.failedLoginAttempts} failed attempts, last from IP ${ip}`);
+    }
+  }
+
+  /**
+   * Clear the account's failure counters after a successful login
+   * @param {Object} user - User document
+   */
+  async recordSuccess(user) {
+    if (user.failedLoginAttempts || user.lockUntil) {
+      await UserRepository.resetLoginFailures(user._id);
+    }
+  }
+
+  /**
+   * Unlock an account (admin action)
+   * @param {string} userId - User identifier
+   * @param {Object} admin - Admin performing the unlock
+   * @returns {Promise<Object|null>} Updated user
+   */
+  async unlock(userId, admin) {
+    const user = await UserRepository.resetLoginFailures(userId);
+
+    if (user) {
+      logger.info(`Account unlocked: ${user.email} by admin ${admin.email}`);
+    }
+
+    return user;
+  }
+}
+
+export default LoginThrottleService;
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import authConfig from '../../config/auth.js';
+import UserRepository from '../../repositories/user/userRepository.js';
+import MfaPolicyRepository from '../../repositories/auth/mfaPolicyRepository.js';
+import TotpUtils from '../../utils/totp.js';
+import { encryptSecret, decryptSecret } from '../../utils/secretBox.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * MFA service
+ * TOTP enrolment, verification and recovery codes
+ */
+class MfaService {
+  constructor() {
+    this.config = authConfig.mfa;
+  }
+
+  /**
+   * Hash a recovery code for storage/comparison
+   * @param {string} code - Recovery code
+   * @returns {string} sha256 hex digest
+   */
+  static hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  }
+
+  /**
+   * Whether the user's role may enrol in MFA
+   * @param {Object} user - User document
+   * @returns {boolean} Is eligible
+   */
+  isEligible(user) {
+    return this.config.allowedRoles.includes(user.role);
+  }
+
+  /**
+   * Whether MFA is mandatory for a role
+   * @param {string} role - User role
+   * @returns {Promise<boolean>} Is enforced
+   */
+  async isEnforced(role) {
+    return MfaPolicyRepository.isEnforced(role);
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {{ codes: string[], hashes: string[] }} Plain codes (shown once) and their hashes
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: this.config.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => MfaService.hashRecoveryCode(code)) };
+  }
+
+  /**
+   * Start enrolment: create a pending secret and the otpauth URI for the QR code
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Secret and otpauth URI
+   */
+  async startEnrollment(user) {
+    if (!this.isEligible(user) && !(await this.isEnforced(user.role))) {
+      throw new AppError('Two-factor authentication is not available for your role', 403);
+    }
+
+    if (user.mfa?.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = TotpUtils.generateSecret();
+
+    await UserRepository.update(user._id, { 'mfa.pendingSecret': encryptSecret(secret) });
+
+    return {
+      secret,
+      otpauthUrl: TotpUtils.buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: this.config.issuer
+      })
+    };
+  }
+
+  /**
+   * Confirm enrolment with the first code from the authenticator app
+   * @param {string} userId - User identifier
+   * @param {string} code - TOTP code
+   * @returns {Promise<string[]>} Recovery codes (plain, shown once)
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await UserRepository.findWithMfaSecrets(userId);
+
+    if (!user?.mfa?.pendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const secret = decryptSecret(user.mfa.pendingSecret);
+    const step = TotpUtils.verify(secret, code);
+
+    if (step === null) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    user.mfa.enabled = true;
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.recoveryCodes = hashes;
+    user.mfa.lastUsedStep = step;
+    user.mfa.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication enabled for ${user.email} (${user.role})`);
+    return codes;
+  }
+
+  /**
+   * Check a TOTP code or a recovery code for a user with MFA enabled.
+   * A matching recovery code is consumed.
+   * @param {Object} user - User loaded with MFA secrets
+   * @param {Object} credentials - ({ code, recoveryCode })
+   * @returns {Promise<boolean>} Is valid
+   */
+  async verifyCredentials(user, { code, recoveryCode }) {
+    if (!user.mfa?.enabled || !user.mfa.secret) {
+      return false;
+    }
+
+    if (recoveryCode) {
+      const hash = MfaService.hashRecoveryCode(recoveryCode);
+      if (!(user.mfa.recoveryCodes || []).includes(hash)) return false;
+
+      // consume atomically so the same code cannot be used by two concurrent requests
+      const updated = await UserRepository.consumeRecoveryCode(user._id, hash);
+      if (!updated) return false;
+
+      user.mfa.recoveryCodes = updated.mfa.recoveryCodes;
+      logger.warn(`Recovery code used by ${user.email}, ${user.mfa.recoveryCodes.length} remaining`);
+      return true;
+    }
+
+    const step = TotpUtils.verify(decryptSecret(user.mfa.secret), code);
+    if (step === null) {
+      return false;
+    }
+
+    // the step is recorded only if it is newer than the last used one, so a code cannot be replayed concurrently
+    if (!await UserRepository.claimMfaStep(user._id, step)) {
+      return false;
+    }
+
+    user.mfa.lastUsedStep = step;
+    return true;
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {Object} user - User loaded with MFA secrets
+   * @returns {Promise<string[]>} New recovery codes
+   */
+  async regenerateRecoveryCodes(user) {
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    user.mfa.recoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    return codes;
+  }
+
+  /**
+   * Turn MFA off and drop all secrets
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object|null>} Updated user
+   */
+  async disable(userId) {
+    return UserRepository.update(userId, {
+      $set: { 'mfa.enabled': false },
+      $unset: {
+        'mfa.secret': 1,
+        'mfa.pendingSecret': 1,
+        'mfa.recoveryCodes': 1,
+        'mfa.lastUsedStep': 1,
+        'mfa.enabledAt': 1
+      }
+    });
+  }
+}
+
+export default MfaService;
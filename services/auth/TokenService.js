@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import authConfig from '../../config/auth.js';
+import SessionRepository from '../../repositories/auth/sessionRepository.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Token service
+ * Issues short-lived access tokens and rotating refresh tokens backed by a Session document
+ */
+class TokenService {
+  /**
+   * Hash a refresh token for storage
+   * @param {string} token - Raw refresh token secret
+   * @returns {string} sha256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Sign an access token bound to a session
+   * @param {Object} user - User document
+   * @param {string} sessionId - Session identifier
+   * @returns {string} Signed JWT
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { id: user._id, role: user.role, sid: sessionId },
+      authConfig.accessToken.secret,
+      { expiresIn: authConfig.accessToken.expiresIn }
+    );
+  }
+
+  /**
+   * Build a refresh token of the form `<sessionId>.<secret>`
+   * @param {string} sessionId - Session identifier
+   * @returns {{ token: string, hash: string }} Raw token and its hash
+   */
+  generateRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(authConfig.refreshToken.byteLength).toString('hex');
+    return {
+      token: `${sessionId}.${secret}`,
+      hash: TokenService.hashToken(secret)
+    };
+  }
+
+  /**
+   * Open a new session and issue the first token pair
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object (for user agent / ip)
+   * @returns {Promise<Object>} Access token, refresh token and session
+   */
+  async issueTokens(user, req) {
+    const expiresAt = new Date(Date.now() + authConfig.refreshToken.ttlDays * 24 * 60 * 60 * 1000);
+
+    const sessionId = new mongoose.Types.ObjectId();
+    const { token: refreshToken, hash } = this.generateRefreshToken(sessionId);
+
+    const session = await SessionRepository.create({
+      _id: sessionId,
+      user: user._id,
+      refreshTokenHash: hash,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+      expiresAt
+    });
+
+    return {
+      accessToken: this.signAccessToken(user, session._id),
+      refreshToken,
+      expiresIn: authConfig.accessToken.expiresIn,
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh token.
+   * Presenting an already-rotated token revokes the whole session.
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Function} loadUser - Async loader returning the session's user
+   * @returns {Promise<Object>} New access token, refresh token and session
+   */
+  async rotateRefreshToken(refreshToken, loadUser) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = await SessionRepository.findWithTokenHash(sessionId);
+
+    if (!session || !session.isActive()) {
+      throw new AppError('Session has expired or been revoked, please log in again', 401);
+    }
+
+    const currentHash = TokenService.hashToken(secret);
+
+    if (session.refreshTokenHash !== currentHash) {
+      await this.revokeReusedSession(session);
+    }
+
+    const user = await loadUser(session.user);
+
+    if (!user) {
+      await SessionRepository.revoke(session._id, 'user_removed');
+      throw new AppError('The user no longer exists', 401);
+    }
+
+    // A concurrent request with the same token may have rotated it since it was read;
+    // only one of them wins the swap, the others count as reuse
+    const { token: newRefreshToken, hash } = this.generateRefreshToken(session._id);
+    const rotated = await SessionRepository.rotateTokenHash(session._id, currentHash, hash);
+
+    if (!rotated) {
+      await this.revokeReusedSession(session);
+    }
+
+    return {
+      accessToken: this.signAccessToken(user, session._id),
+      refreshToken: newRefreshToken,
+      expiresIn: authConfig.accessToken.expiresIn,
+      session: rotated,
+      user
+    };
+  }
+
+  /**
+   * Revoke a session whose refresh token was presented after it had been rotated
+   * @param {Object} session - Session document
+   * @returns {Promise<never>} Always fails with 401
+   */
+  async revokeReusedSession(session) {
+    await SessionRepository.revoke(session._id, 'token_reuse');
+    logger.warn(`Refresh token reuse detected for session ${session._id} (user ${session.user})`);
+    throw new AppError('Session has expired or been revoked, please log in again', 401);
+  }
+
+  /**
+   * Sign a short-lived token for the second login step.
+   * It carries no session id, so `authenticate` never accepts it as an access token.
+   * @param {Object} user - User document
+   * @param {string} purpose - 'mfa' (code required) or 'mfa_enroll' (enrolment required)
+   * @returns {string} Signed JWT
+   */
+  signMfaToken(user, purpose) {
+    return jwt.sign(
+      { id: user._id, purpose },
+      authConfig.accessToken.secret,
+      { expiresIn: authConfig.mfa.pendingTokenExpiresIn }
+    );
+  }
+
+  /**
+   * Verify an MFA pending token
+   * @param {string} token - JWT
+   * @param {string} purpose - Expected purpose
+   * @returns {Object} Decoded payload
+   */
+  verifyMfaToken(token, purpose) {
+    let decoded;
+
+    try {
+      decoded = jwt.verify(token, authConfig.accessToken.secret);
+    } catch (error) {
+      throw new AppError('MFA token is invalid or has expired, please log in again', 401);
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new AppError('MFA token is invalid or has expired, please log in again', 401);
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - JWT
+   * @returns {Object} Decoded payload
+   */
+  verifyAccessToken(token) {
+    try {
+      return jwt.verify(token, authConfig.accessToken.secret);
+    } catch (error) {
+      const message = error.name === 'TokenExpiredError'
+        ? 'Your token has expired'
+        : 'Invalid token, please log in again';
+      throw new AppError(message, 401);
+    }
+  }
+}
+
+export default TokenService;
@@ -0,0 +1,273 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ClassSessionRepository from '../../repositories/attendance/classSessionRepository.js';
+import AssignmentRepository from '../../repositories/assignment/assignmentRepository.js';
+import BatchRepository from '../../repositories/course/batchRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import UserRepository from '../../repositories/user/userRepository.js';
+import AssignmentService from '../assignment/AssignmentService.js';
+import calendarConfig from '../../config/calendar.js';
+import feeConfig from '../../config/fee.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+import ICal from '../../utils/ical.js';
+
+// Roles that get a personal feed: trainers their sessions, students and parents those of their batches
+export const CALENDAR_FEED_ROLES = ['trainer', 'student', 'parent'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const assignmentService = new AssignmentService();
+
+/**
+ * Calendar service
+ * iCalendar feeds of sessions, exams and assignment due dates, and single-event downloads.
+ * Events keep a stable UID and carry the record's sequence, so calendar clients update
+ * rescheduled or cancelled events instead of adding new ones.
+ */
+class CalendarService {
+  /**
+   * Offset of the configured time zone from UTC at an instant
+   * @param {number} timestamp - Milliseconds since the epoch
+   * @returns {number} Offset in milliseconds (e.g. +5:30 for Asia/Kolkata)
+   */
+  offsetAt(timestamp) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: calendarConfig.timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(new Date(timestamp)).map(({ type, value }) => [type, Number(value)]));
+
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  /**
+   * Instant of a local time on a session day
+   * @param {Date} day - Session date (UTC midnight)
+   * @param {string} time - HH:mm in the configured time zone
+   * @returns {Date} Instant
+   */
+  toInstant(day, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const local = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+
+    // second pass picks the right offset when the first guess lands across a DST change
+    return new Date(local - this.offsetAt(local - this.offsetAt(local)));
+  }
+
+  /**
+   * Event of a class or exam session (batch, course and trainer populated)
+   * @param {Object} session - Session document
+   * @returns {Object} Event for ICal.event
+   */
+  sessionEvent(session) {
+    const title = session.topic || session.course?.title || 'Class';
+    const timed = Boolean(session.startTime && session.endTime);
+    const description = [
+      session.course?.title && `Course: ${session.course.title}`,
+      session.batch?.code && `Batch: ${session.batch.code}${session.batch.name ? ` - ${session.batch.name}` : ''}`,
+      session.trainer?.name && `Trainer: ${session.trainer.name}`,
+      session.meetingLink && `Join: ${session.meetingLink}`,
+      session.status === 'cancelled' && `Cancelled${session.cancellationReason ? `: ${session.cancellationReason}` : ''}`
+    ].filter(Boolean).join('\n');
+
+    return {
+      uid: `session-${session._id}@${calendarConfig.uidDomain}`,
+      sequence: session.sequence || 0,
+      stamp: session.updatedAt,
+      allDay: !timed,
+      start: timed ? this.toInstant(session.date, session.startTime) : session.date,
+      end: timed ? this.toInstant(session.date, session.endTime) : new Date(session.date.getTime() + DAY_MS),
+      summary: session.type === 'exam' ? `Exam: ${title}` : title,
+      description,
+      location: session.room || session.meetingLink,
+      url: session.meetingLink,
+      status: session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'
+    };
+  }
+
+  /**
+   * Event at the due date of an assignment (course and batch populated)
+   * @param {Object} assignment - Assignment document
+   * @returns {Object} Event for ICal.event
+   */
+  assignmentEvent(assignment) {
+    const description = [
+      assignment.course?.title && `Course: ${assignment.course.title}`,
+      assignment.batch?.code && `Batch: ${assignment.batch.code}`,
+      `Max marks: ${assignment.maxMarks}`,
+      assignment.description
+    ].filter(Boolean).join('\n');
+
+    return {
+      uid: `assignment-${assignment._id}@${calendarConfig.uidDomain}`,
+      sequence: assignment.sequence || 0,
+      stamp: assignment.updatedAt,
+      start: assignment.dueDate,
+      summary: `Due: ${assignment.title}`,
+      description,
+      status: 'CONFIRMED'
+    };
+  }
+
+  /**
+   * Calendar text with the institute as producer
+   * @param {string} name - Calendar name shown by clients
+   * @param {Array<Object>} events - Events
+   * @returns {string} iCalendar text
+   */
+  render(name, events) {
+    return ICal.calendar({
+      prodId: `-//${feeConfig.institute.name}//LMS//EN`,
+      name,
+      events
+    });
+  }
+
+  /**
+   * Sessions and assignments of a user in the feed window
+   * @param {Object} user - Trainer, student or parent
+   * @returns {Promise<{sessions: Array, assignments: Array}>} Records
+   */
+  async findFeedRecords(user) {
+    const now = Date.now();
+    const from = new Date(now - calendarConfig.feedPastDays * DAY_MS);
+    const to = new Date(now + calendarConfig.feedFutureDays * DAY_MS);
+    const dueDate = { $gte: from, $lte: to };
+
+    if (user.role === 'trainer') {
+      const [sessions, assignments] = await Promise.all([
+        ClassSessionRepository.findTimetable({ trainer: user._id }, from, to),
+        assignmentService.trainerScopeFilter(user)
+          .then(scope => AssignmentRepository.findAllAssignments({ $and: [scope, { dueDate }] }))
+      ]);
+      return { sessions, assignments };
+    }
+
+    // Students get their own batch, parents those of their children
+    const students = await StudentRepository.findAllStudents(AccessControl.studentScopeFilter(user));
+    const batches = students.map(student => student.batch).filter(Boolean);
+
+    const [sessions, assignmentLists] = await Promise.all([
+      batches.length ? ClassSessionRepository.findTimetable({ batch: { $in: batches } }, from, to) : [],
+      Promise.all(students.map(student => AssignmentRepository.findForStudent(student, { dueDate })))
+    ]);
+
+    const assignments = [...new Map(assignmentLists.flat().map(assignment => [assignment._id.toString(), assignment])).values()];
+    return { sessions, assignments };
+  }
+
+  /**
+   * Give a user a new feed url; any previous url stops working
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<string>} Feed url
+   */
+  async createFeedToken(user) {
+    if (!CALENDAR_FEED_ROLES.includes(user.role)) {
+      throw new AppError(`Calendar feeds are available to: ${CALENDAR_FEED_ROLES.join(', ')}`, 400);
+    }
+
+    const token = user.createCalendarToken();
+    await user.save({ validateBeforeSave: false });
+
+    return `${calendarConfig.feedUrl}/${token}.ics`;
+  }
+
+  /**
+   * Turn off a user's feed url
+   * @param {Object} user - Authenticated user
+   */
+  async revokeFeedToken(user) {
+    await UserRepository.update(user._id, { $unset: { calendarToken: 1 } });
+  }
+
+  /**
+   * Feed of the user a token belongs to
+   * @param {string} token - Token from the feed url (with or without .ics)
+   * @returns {Promise<string>} iCalendar text
+   */
+  async getFeed(token) {
+    const hash = crypto.createHash('sha256').update(String(token).replace(/\.ics$/i, '')).digest('hex');
+    const user = await UserRepository.findOne({ calendarToken: hash });
+
+    if (!user || !CALENDAR_FEED_ROLES.includes(user.role)) {
+      throw new AppError('Calendar feed not found', 404);
+    }
+
+    const { sessions, assignments } = await this.findFeedRecords(user);
+    const events = [...sessions.map(session => this.sessionEvent(session)), ...assignments.map(assignment => this.assignmentEvent(assignment))];
+
+    return this.render(`${feeConfig.institute.name} - ${user.name}`, events);
+  }
+
+  /**
+   * Check a user may see a session: admins, trainers of the batch, and its students and their parents
+   * @param {Object} user - Authenticated user
+   * @param {Object} session - Session document (batch populated)
+   */
+  async assertCanViewSession(user, session) {
+    if (user.role === 'admin') return;
+
+    const batchId = session.batch?._id || session.batch;
+
+    if (user.role === 'trainer') {
+      if (AccessControl.sameId(session.trainer, user._id)) return;
+      if (await BatchRepository.findOne({ _id: batchId, trainers: user._id })) return;
+    } else if (['student', 'parent'].includes(user.role)) {
+      const scope = AccessControl.studentScopeFilter(user);
+      if (await StudentRepository.findOne({ $and: [scope, { batch: batchId }] })) return;
+    }
+
+    throw new AppError('Session not found', 404);
+  }
+
+  /**
+   * Single-event calendar of a session
+   * @param {string} sessionId - Session identifier
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<{filename: string, content: string}>} .ics file
+   */
+  async getSessionFile(sessionId, user) {
+    const session = mongoose.isValidObjectId(sessionId) ? await ClassSessionRepository.findWithDetails(sessionId) : null;
+    if (!session) {
+      throw new AppError('Session not found', 404);
+    }
+
+    await this.assertCanViewSession(user, session);
+
+    const event = this.sessionEvent(session);
+    return { filename: `session-${session._id}.ics`, content: this.render(event.summary, [event]) };
+  }
+
+  /**
+   * Single-event calendar of an assignment's due date; students only get their own assignments
+   * @param {string} assignmentId - Assignment identifier
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<{filename: string, content: string}>} .ics file
+   */
+  async getAssignmentFile(assignmentId, user) {
+    const assignment = await assignmentService.getAssignment(assignmentId);
+
+    if (user.role === 'student') {
+      const student = await StudentRepository.findById(user._id);
+      if (!assignmentService.isAssignedTo(student, assignment)) {
+        throw new AppError('Assignment not found', 404);
+      }
+    } else {
+      await assignmentService.assertCanManage(user, assignment);
+    }
+
+    await assignment.populate([{ path: 'course', select: 'title' }, { path: 'batch', select: 'code name' }]);
+
+    const event = this.assignmentEvent(assignment);
+    return { filename: `assignment-${assignment._id}.ics`, content: this.render(event.summary, [event]) };
+  }
+}
+
+export default CalendarService;
@@ -0,0 +1,279 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import CertificateRepository from '../../repositories/certificate/certificateRepository.js';
+import CourseRepository from '../../repositories/course/courseRepository.js';
+import StoredPdfService from '../StoredPdfService.js';
+import certificateConfig from '../../config/certificate.js';
+import feeConfig from '../../config/fee.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+// Upload type (folder) the generated PDFs are stored under
+export const CERTIFICATES_UPLOAD_TYPE = 'certificates';
+
+const formatDate = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+/**
+ * Certificate service
+ * Completion certificates: PDF with a verification QR code, storage, revocation and public verification
+ */
+class CertificateService {
+  constructor() {
+    this.pdfStorage = new StoredPdfService(CERTIFICATES_UPLOAD_TYPE);
+  }
+
+  /**
+   * Course duration as printed on certificates
+   * @param {Object} duration - Course.duration ({ years, months, days })
+   * @returns {string|null} e.g. "1 year 6 months"
+   */
+  formatDuration(duration = {}) {
+    const parts = [['year', duration?.years], ['month', duration?.months], ['day', duration?.days]]
+      .filter(([, value]) => value > 0)
+      .map(([unit, value]) => `${value} ${unit}${value === 1 ? '' : 's'}`);
+
+    return parts.length ? parts.join(' ') : null;
+  }
+
+  /**
+   * Public verification link of a certificate (encoded in the QR code)
+   * @param {string} certificateNumber - Certificate number
+   * @returns {string} URL
+   */
+  verificationUrl(certificateNumber) {
+    return `${certificateConfig.verifyUrl.replace(/\/$/, '')}/${encodeURIComponent(certificateNumber)}`;
+  }
+
+  /**
+   * Render a certificate
+   * @param {Object} certificate - Certificate document
+   * @returns {Promise<Buffer>} PDF file
+   */
+  async render(certificate) {
+    const verifyUrl = this.verificationUrl(certificate.certificateNumber);
+    const qrCode = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 240 });
+
+    return new Promise((resolve, reject) => {
+      const { institute } = feeConfig;
+      const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margin: 0,
+        info: { Title: `${certificateConfig.title} ${certificate.certificateNumber}`, Author: institute.name }
+      });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { width, height } = doc.page;
+      const center = { width: width - 160, align: 'center' };
+
+      // Background: the configured template, else a plain double border
+      let hasTemplate = false;
+      if (certificateConfig.templatePath && fs.existsSync(certificateConfig.templatePath)) {
+        try {
+          doc.image(certificateConfig.templatePath, 0, 0, { width, height });
+          hasTemplate = true;
+        } catch (error) {
+          logger.warn(`Could not draw certificate template ${certificateConfig.templatePath}: ${error.message}`);
+        }
+      }
+      if (!hasTemplate) {
+        doc.rect(20, 20, width - 40, height - 40).lineWidth(4).strokeColor(institute.brandColor).stroke();
+        doc.rect(30, 30, width - 60, height - 60).lineWidth(1).strokeColor(institute.brandColor).stroke();
+      }
+
+      if (institute.logoPath && fs.existsSync(institute.logoPath)) {
+        try {
+          doc.image(institute.logoPath, width / 2 - 30, 50, { fit: [60, 60] });
+        } catch (error) {
+          logger.warn(`Could not draw institute logo ${institute.logoPath}: ${error.message}`);
+        }
+      }
+
+      doc.fillColor(institute.brandColor).font('Helvetica-Bold').fontSize(18).text(institute.name, 80, 120, center);
+      doc.fillColor('#222222').font('Helvetica-Bold').fontSize(34).text(certificateConfig.title.toUpperCase(), 80, 155, center);
+
+      doc.font('Helvetica').fontSize(14).fillColor('#555555').text('This is to certify that', 80, 220, center);
+      doc.font('Helvetica-Bold').fontSize(30).fillColor('#222222').text(certificate.studentName, 80, 245, center);
+      doc.font('Helvetica').fontSize(11).fillColor('#555555').text(`Student ID ${certificate.studentId}`, 80, 282, center);
+
+      doc.fontSize(14).text('has successfully completed the course', 80, 310, center);
+      doc.font('Helvetica-Bold').fontSize(22).fillColor(institute.brandColor).text(certificate.courseTitle, 80, 335, center);
+
+      const details = [certificate.duration && `Duration ${certificate.duration}`, `Completed on ${formatDate(certificate.completedAt)}`]
+        .filter(Boolean)
+        .join('   |   ');
+      doc.font('Helvetica').fontSize(12).fillColor('#555555').text(details, 80, 372, center);
+
+      // Footer: number and date, QR code, signature
+      const footerY = height - 150;
+      doc.fontSize(10).fillColor('#555555')
+        .text(`Certificate No. ${certificate.certificateNumber}`, 70, footerY + 50)
+        .text(`Issued on ${formatDate(certificate.issuedAt)}`, 70, footerY + 65);
+
+      doc.image(qrCode, width / 2 - 45, footerY, { fit: [90, 90] });
+      doc.fontSize(8).text('Scan to verify', width / 2 - 60, footerY + 92, { width: 120, align: 'center' });
+
+      const signatureX = width - 270;
+      doc.moveTo(signatureX, footerY + 55).lineTo(signatureX + 200, footerY + 55).lineWidth(0.5).strokeColor('#555555').stroke();
+      doc.fontSize(11).fillColor('#222222')
+        .text(certificateConfig.signatory.name || ' ', signatureX, footerY + 60, { width: 200, align: 'center' });
+      doc.fontSize(9).fillColor('#555555')
+        .text(certificateConfig.signatory.title, signatureX, footerY + 75, { width: 200, align: 'center' });
+
+      doc.fontSize(7).fillColor('#888888')
+        .text(`Verify this certificate at ${verifyUrl}`, 80, height - 45, center);
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Load a certificate or fail with 404
+   * @param {string} certificateId - Certificate identifier
+   * @returns {Promise<Object>} Certificate document
+   */
+  async getCertificate(certificateId) {
+    const certificate = mongoose.isValidObjectId(certificateId) ? await CertificateRepository.findById(certificateId) : null;
+
+    if (!certificate) {
+      throw new AppError('Certificate not found', 404);
+    }
+
+    return certificate;
+  }
+
+  /**
+   * Issue the completion certificate of a student's course
+   * The record is created first; when the PDF cannot be stored it is generated on first download
+   * @param {Object} student - Student document (currentStatus completed)
+   * @param {Object} options - ({ issuedBy, completedAt })
+   * @returns {Promise<Object>} Certificate
+   */
+  async issue(student, { issuedBy = null, completedAt = new Date() } = {}) {
+    if (student.currentStatus !== 'completed') {
+      throw new AppError('Certificates are only issued to students who completed their course', 400);
+    }
+
+    const course = student.course ? await CourseRepository.findById(student.course) : null;
+    if (!course) {
+      throw new AppError('The student is not enrolled in a course', 400);
+    }
+
+    const existing = await CertificateRepository.findIssued(student._id, course._id);
+    if (existing) {
+      throw new AppError(`The student already has certificate ${existing.certificateNumber} for this course; revoke it first to issue a new one`, 409);
+    }
+
+    const certificate = await CertificateRepository.create({
+      student: student._id,
+      course: course._id,
+      studentName: student.name,
+      studentId: student.studentId,
+      courseTitle: course.title,
+      duration: this.formatDuration(course.duration),
+      completedAt,
+      issuedBy: issuedBy?._id || null
+    });
+
+    try {
+      certificate.file = await this.pdfStorage.store(await this.render(certificate), certificate.certificateNumber);
+      await certificate.save();
+    } catch (error) {
+      logger.error(`Could not store the PDF of certificate ${certificate.certificateNumber}: ${error.message}`);
+    }
+
+    return certificate;
+  }
+
+  /**
+   * Issue a certificate when a student is marked completed, unless one is already issued.
+   * Failures are logged so the status change still goes through; admins can issue by hand.
+   * @param {Object} student - Student document
+   * @param {Object} user - Admin who changed the status
+   * @returns {Promise<Object|null>} Certificate, or null if it could not be issued
+   */
+  async issueOnCompletion(student, user) {
+    try {
+      const existing = student.course ? await CertificateRepository.findIssued(student._id, student.course) : null;
+      return existing || await this.issue(student, { issuedBy: user });
+    } catch (error) {
+      logger.warn(`Could not issue a certificate to ${student.studentId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Stored PDF of a certificate, generating and storing it when missing
+   * @param {Object} certificate - Certificate document
+   * @returns {Promise<Object>} ({ filename, buffer }) for a new file, else ({ filename, path }) or ({ filename, url })
+   */
+  async getDocument(certificate) {
+    return this.pdfStorage.load({
+      file: certificate.file,
+      name: certificate.certificateNumber,
+      render: () => this.render(certificate),
+      save: async (file) => {
+        certificate.file = file;
+        await certificate.save();
+      }
+    });
+  }
+
+  /**
+   * Revoke a certificate; verification reports it as revoked from then on
+   * @param {Object} certificate - Certificate document
+   * @param {Object} user - Admin revoking it
+   * @param {string} reason - Why it is revoked
+   * @returns {Promise<Object>} Updated certificate
+   */
+  async revoke(certificate, user, reason) {
+    if (certificate.status === 'revoked') {
+      throw new AppError('This certificate is already revoked', 400);
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      throw new AppError('Please give a reason for revoking the certificate', 400);
+    }
+
+    certificate.status = 'revoked';
+    certificate.revokedAt = new Date();
+    certificate.revokedBy = user._id;
+    certificate.revocationReason = reason.trim();
+    return certificate.save();
+  }
+
+  /**
+   * What the public verification endpoint shows about a certificate
+   * @param {string} certificateNumber - Number as printed (case-insensitive)
+   * @returns {Promise<Object>} Verification result
+   */
+  async verify(certificateNumber) {
+    const certificate = await CertificateRepository.findByNumber(String(certificateNumber).trim().toUpperCase());
+
+    if (!certificate) {
+      throw new AppError('No certificate with this number exists', 404);
+    }
+
+    return {
+      valid: certificate.status === 'issued',
+      certificateNumber: certificate.certificateNumber,
+      status: certificate.status,
+      studentName: certificate.studentName,
+      studentId: certificate.studentId,
+      courseTitle: certificate.courseTitle,
+      duration: certificate.duration,
+      completedAt: certificate.completedAt,
+      issuedAt: certificate.issuedAt,
+      issuer: feeConfig.institute.name,
+      revokedAt: certificate.revokedAt
+    };
+  }
+}
+
+export default CertificateService;
@@ -0,0 +1,347 @@
+import mongoose from 'mongoose';
+import BatchRepository from '../../repositories/course/batchRepository.js';
+import CourseRepository from '../../repositories/course/courseRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import TrainerRepository from '../../repositories/user/trainerRepository.js';
+import { BATCH_STATUSES, OPEN_BATCH_STATUSES } from '../../models/course/Batch.js';
+import ProgressService from './ProgressService.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+const BATCH_FIELDS = ['code', 'name', 'course', 'trainers', 'startDate', 'endDate', 'capacity', 'schedule', 'status'];
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const progressService = new ProgressService();
+
+/**
+ * Batch service
+ * Batches of a course, enrolment with capacity checks, and keeping each
+ * student's batchCode, course and assignedTrainer in line with their batch
+ */
+class BatchService {
+  /**
+   * Load a batch or fail with 404
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<Object>} Batch document
+   */
+  async getBatch(batchId) {
+    const batch = mongoose.isValidObjectId(batchId) ? await BatchRepository.findById(batchId) : null;
+
+    if (!batch) {
+      throw new AppError('Batch not found', 404);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Resolve a batch from an id or a batch code
+   * @param {Object} ref - ({ batch, batchCode })
+   * @returns {Promise<Object>} Batch document
+   */
+  async resolveBatch({ batch, batchCode }) {
+    if (batch) {
+      return this.getBatch(batch);
+    }
+
+    const found = await BatchRepository.findByCode(String(batchCode));
+    if (!found) {
+      throw new AppError(`Batch ${batchCode} not found`, 404);
+    }
+
+    return found;
+  }
+
+  /**
+   * Pick and validate batch fields
+   * @param {Object} body - Request body
+   * @param {Object} current - Stored batch when updating
+   * @returns {Promise<Object>} Validated values
+   */
+  async buildBatchData(body, current = null) {
+    const data = {};
+    BATCH_FIELDS.forEach(field => {
+      if (body[field] !== undefined) data[field] = body[field];
+    });
+
+    const merged = { ...(current ? current.toObject() : {}), ...data };
+
+    if (!merged.course || !merged.startDate || merged.capacity === undefined) {
+      throw new AppError('Please provide the course, startDate and capacity', 400);
+    }
+
+    if (data.course) {
+      const course = mongoose.isValidObjectId(data.course) ? await CourseRepository.findById(data.course) : null;
+      if (!course || course.isDeleted) {
+        throw new AppError('Course not found', 404);
+      }
+    }
+
+    if (data.trainers !== undefined || !current) {
+      if (!Array.isArray(merged.trainers) || !merged.trainers.length) {
+        throw new AppError('Please provide at least one trainer; the first one is the lead trainer', 400);
+      }
+
+      const ids = [...new Set(merged.trainers.map(String))];
+      const trainers = ids.every(id => mongoose.isValidObjectId(id)) ? await TrainerRepository.findAll({ _id: { $in: ids } }) : [];
+      if (trainers.length !== ids.length) {
+        throw new AppError('One or more trainers were not found', 404);
+      }
+      data.trainers = ids;
+    }
+
+    if (!Number.isInteger(merged.capacity) || merged.capacity < 1) {
+      throw new AppError('capacity must be a positive integer', 400);
+    }
+
+    const startDate = new Date(merged.startDate);
+    const endDate = merged.endDate ? new Date(merged.endDate) : null;
+    if (isNaN(startDate) || (endDate && isNaN(endDate))) {
+      throw new AppError('startDate and endDate must be valid dates', 400);
+    }
+    if (endDate && endDate <= startDate) {
+      throw new AppError('endDate must be after startDate', 400);
+    }
+
+    if (data.status && !BATCH_STATUSES.includes(data.status)) {
+      throw new AppError(`status must be one of: ${BATCH_STATUSES.join(', ')}`, 400);
+    }
+
+    if (data.schedule !== undefined) {
+      const valid = Array.isArray(data.schedule) && data.schedule.every(slot =>
+        DAYS.includes(slot.day) && TIME_PATTERN.test(slot.startTime) && TIME_PATTERN.test(slot.endTime) && slot.startTime < slot.endTime);
+      if (!valid) {
+        throw new AppError('Each schedule slot needs a day and a startTime before its endTime (HH:mm)', 400);
+      }
+    }
+
+    if (data.code) {
+      const existing = await BatchRepository.findByCode(String(data.code));
+      if (existing && !AccessControl.sameId(existing._id, current?._id)) {
+        throw new AppError(`Batch code ${existing.code} is already in use`, 409);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Fields a student takes over from their batch
+   * @param {Object} batch - Batch document
+   * @returns {Object} Student fields
+   */
+  studentFields(batch) {
+    return {
+      batch: batch._id,
+      batchCode: batch.code,
+      course: batch.course,
+      assignedTrainer: batch.trainers[0] || null
+    };
+  }
+
+  /**
+   * Take seats in a batch for students about to join it. The capacity check and the
+   * count are one database update, so concurrent enrolments cannot overfill the batch.
+   * @param {Object} batch - Batch document
+   * @param {number} count - Students to add
+   */
+  async reserveSeats(batch, count) {
+    if (!OPEN_BATCH_STATUSES.includes(batch.status)) {
+      throw new AppError(`Cannot add students to a batch that is ${batch.status}`, 400);
+    }
+
+    if (batch.enrolled === undefined) {
+      await BatchRepository.initSeats(batch._id, await StudentRepository.countByBatch(batch._id));
+    }
+
+    if (!await BatchRepository.reserveSeats(batch._id, count)) {
+      const current = await BatchRepository.findById(batch._id);
+      if (!OPEN_BATCH_STATUSES.includes(current?.status)) {
+        throw new AppError(`Cannot add students to a batch that is ${current?.status || 'deleted'}`, 400);
+      }
+      throw new AppError(`Batch ${batch.code} has ${Math.max(current.capacity - current.enrolled, 0)} seat(s) left`, 400);
+    }
+  }
+
+  /**
+   * Give back seats that were reserved but not used, or that students left
+   * @param {Object} batch - Batch document
+   * @param {number} count - Seats to release
+   */
+  async releaseSeats(batch, count) {
+    if (count > 0) {
+      await BatchRepository.releaseSeats(batch._id, count);
+    }
+  }
+
+  /**
+   * Create a batch
+   * @param {Object} body - Batch fields
+   * @param {Object} user - Creator
+   * @returns {Promise<Object>} Created batch
+   */
+  async createBatch(body, user) {
+    const data = await this.buildBatchData(body);
+    return BatchRepository.create({ ...data, enrolled: 0, createdBy: user._id });
+  }
+
+  /**
+   * Update a batch and carry code, course and lead trainer changes over to its students
+   * @param {Object} batch - Batch document
+   * @param {Object} body - Batch fields
+   * @returns {Promise<Object>} Updated batch
+   */
+  async updateBatch(batch, body) {
+    const data = await this.buildBatchData(body, batch);
+    // seats reserved by enrolments still under way count as taken
+    const enrolled = Math.max(await StudentRepository.countByBatch(batch._id), batch.enrolled || 0);
+
+    if (data.capacity !== undefined && data.capacity < enrolled) {
+      throw new AppError(`capacity cannot be lower than the ${enrolled} enrolled student(s)`, 400);
+    }
+
+    const courseChanged = data.course && !AccessControl.sameId(data.course, batch.course);
+
+    Object.assign(batch, data);
+    await batch.save();
+
+    if (enrolled) {
+      await StudentRepository.updateMany({ batch: batch._id }, this.studentFields(batch));
+      if (courseChanged) {
+        await progressService.recomputeCourseProgress(batch.course);
+      }
+    }
+
+    return batch;
+  }
+
+  /**
+   * Put students in a batch whose seats are already reserved. Each student is only
+   * updated while still in fromBatch, so one moved elsewhere in the meantime is left
+   * alone and their seat released.
+   * @param {Object} batch - Target batch
+   * @param {Array<Object>} students - Student documents
+   * @param {Object|null} fromBatch - Batch the students are in (null for none)
+   * @returns {Promise<Array<Object>>} Students that were put in the batch
+   */
+  async assignStudents(batch, students, fromBatch = null) {
+    const assigned = [];
+    for (const student of students) {
+      if (await StudentRepository.assignBatch(student._id, fromBatch?._id || null, this.studentFields(batch))) {
+        assigned.push(student);
+      }
+    }
+
+    await this.releaseSeats(batch, students.length - assigned.length);
+
+    // Students coming from another course start over against the new curriculum
+    const changedCourse = assigned.filter(student => !AccessControl.sameId(student.course, batch.course));
+    for (const student of changedCourse) {
+      student.course = batch.course;
+      await progressService.recomputeStudentProgress(student);
+    }
+
+    return assigned;
+  }
+
+  /**
+   * Enrol students in a batch
+   * Students already in this batch, or in another batch (use move), are skipped
+   * @param {Object} batch - Batch document
+   * @param {Array<string>} studentIds - Students to enrol
+   * @returns {Promise<{enrolled: Array, skipped: Array}>} Enrolled student ids and skipped students with a reason
+   */
+  async enrolStudents(batch, studentIds) {
+    const ids = [...new Set(studentIds.map(String))];
+    const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+    if (invalid.length) {
+      throw new AppError(`Invalid student ids: ${invalid.join(', ')}`, 400);
+    }
+
+    const students = await StudentRepository.findAll({ _id: { $in: ids } });
+    const skipped = [];
+    const toEnrol = [];
+
+    for (const id of ids) {
+      const student = students.find(s => s._id.toString() === id);
+      let reason = null;
+
+      if (!student) reason = 'not_found';
+      else if (AccessControl.sameId(student.batch, batch._id)) reason = 'already_enrolled';
+      else if (student.batch) reason = 'in_another_batch';
+
+      if (reason) {
+        skipped.push({ studentId: id, reason });
+      } else {
+        toEnrol.push(student);
+      }
+    }
+
+    let enrolled = [];
+    if (toEnrol.length) {
+      await this.reserveSeats(batch, toEnrol.length);
+      enrolled = await this.assignStudents(batch, toEnrol);
+      toEnrol
+        .filter(student => !enrolled.includes(student))
+        .forEach(student => skipped.push({ studentId: student._id.toString(), reason: 'in_another_batch' }));
+      logger.info(`${enrolled.length} student(s) enrolled in batch ${batch.code}`);
+    }
+
+    return { enrolled: enrolled.map(student => student._id), skipped };
+  }
+
+  /**
+   * Move students from one batch to another
+   * @param {Object} fromBatch - Current batch
+   * @param {Object} toBatch - Target batch
+   * @param {Array<string>} studentIds - Students to move
+   * @returns {Promise<{moved: Array, skipped: Array}>} Moved student ids and skipped students with a reason
+   */
+  async moveStudents(fromBatch, toBatch, studentIds) {
+    if (AccessControl.sameId(fromBatch._id, toBatch._id)) {
+      throw new AppError('Students are already in this batch', 400);
+    }
+
+    const requested = [...new Set(studentIds.map(String))];
+    const ids = requested.filter(id => mongoose.isValidObjectId(id));
+    const students = await StudentRepository.findAll({ _id: { $in: ids }, batch: fromBatch._id });
+
+    const skipped = requested
+      .filter(id => !students.some(student => student._id.toString() === id))
+      .map(studentId => ({ studentId, reason: 'not_in_batch' }));
+
+    let moved = [];
+    if (students.length) {
+      await this.reserveSeats(toBatch, students.length);
+      moved = await this.assignStudents(toBatch, students, fromBatch);
+      await this.releaseSeats(fromBatch, moved.length);
+      students
+        .filter(student => !moved.includes(student))
+        .forEach(student => skipped.push({ studentId: student._id.toString(), reason: 'not_in_batch' }));
+      logger.info(`${moved.length} student(s) moved from batch ${fromBatch.code} to ${toBatch.code}`);
+    }
+
+    return { moved: moved.map(student => student._id), skipped };
+  }
+
+  /**
+   * Take a student out of their batch; course and trainer are left as they were
+   * @param {Object} batch - Batch document
+   * @param {string} studentId - Student identifier
+   */
+  async removeStudent(batch, studentId) {
+    const student = mongoose.isValidObjectId(studentId) ? await StudentRepository.findById(studentId) : null;
+
+    if (!student || !AccessControl.sameId(student.batch, batch._id)) {
+      throw new AppError('Student not found in this batch', 404);
+    }
+
+    if (await StudentRepository.assignBatch(student._id, batch._id, { batch: null, batchCode: null })) {
+      await this.releaseSeats(batch, 1);
+    }
+  }
+}
+
+export default BatchService;
@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import ModuleRepository from '../../repositories/course/moduleRepository.js';
+import LessonRepository from '../../repositories/course/lessonRepository.js';
+import QuizRepository from '../../repositories/course/quizRepository.js';
+import CourseRepository from '../../repositories/course/courseRepository.js';
+import { LESSON_TYPES } from '../../models/course/Lesson.js';
+import { hasPermissions } from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+
+const MODULE_FIELDS = ['title', 'description'];
+const LESSON_FIELDS = ['title', 'type', 'content', 'url', 'durationMinutes'];
+
+/**
+ * Curriculum service
+ * Ordered modules and lessons of a course, publishing and lesson attachments
+ */
+class CurriculumService {
+  /**
+   * Pick the given fields from a request body
+   * @param {Object} body - Request body
+   * @param {Array<string>} fields - Allowed fields
+   * @returns {Object} Picked values
+   */
+  pick(body, fields) {
+    const data = {};
+    fields.forEach(field => {
+      if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+  }
+
+  /**
+   * Check that an ordering request lists every item exactly once
+   * @param {Array<string>} orderedIds - Requested order
+   * @param {Array<Object>} items - Current modules or lessons
+   */
+  assertSameItems(orderedIds, items) {
+    const current = items.map(item => item._id.toString()).sort();
+    const requested = [...new Set((orderedIds || []).map(String))].sort();
+
+    if (requested.length !== (orderedIds || []).length || requested.join() !== current.join()) {
+      throw new AppError('The new order must list every item of the list exactly once', 400);
+    }
+  }
+
+  /**
+   * Validate lesson fields for its type
+   * @param {Object} lesson - Lesson values (merged with the stored lesson on update)
+   */
+  validateLesson(lesson) {
+    if (!LESSON_TYPES.includes(lesson.type)) {
+      throw new AppError(`type must be one of: ${LESSON_TYPES.join(', ')}`, 400);
+    }
+
+    if (['video', 'link'].includes(lesson.type) && !lesson.url) {
+      throw new AppError(`A ${lesson.type} lesson needs a url`, 400);
+    }
+
+    if (lesson.type === 'text' && !lesson.content) {
+      throw new AppError('A text lesson needs content', 400);
+    }
+
+    if (lesson.durationMinutes !== undefined && (typeof lesson.durationMinutes !== 'number' || lesson.durationMinutes < 0)) {
+      throw new AppError('durationMinutes must be a positive number', 400);
+    }
+  }
+
+  /**
+   * Full curriculum of a course
+   * @param {Object} course - Course document
+   * @param {Object} options - ({ includeUnpublished })
+   * @returns {Promise<Array>} Modules with their lessons and quizzes, in order
+   */
+  async getCurriculum(course, { includeUnpublished = false } = {}) {
+    const filter = includeUnpublished ? {} : { isPublished: true };
+
+    const [modules, lessons, quizzes] = await Promise.all([
+      ModuleRepository.findByCourse(course._id, filter),
+      LessonRepository.findByCourse(course._id, filter),
+      QuizRepository.findByCourse(course._id, filter)
+    ]);
+
+    return modules.map(module => ({
+      ...module.toObject(),
+      lessons: lessons
+        .filter(lesson => AccessControl.sameId(lesson.module, module._id))
+        .map(lesson => lesson.toObject()),
+      quizzes: quizzes
+        .filter(quiz => AccessControl.sameId(quiz.module, module._id))
+        .map(quiz => quiz.toObject())
+    }));
+  }
+
+  /**
+   * Append a module to a course
+   * @param {Object} course - Course document
+   * @param {Object} body - ({ title, description })
+   * @param {Object} user - Author
+   * @returns {Promise<Object>} Created module
+   */
+  async addModule(course, body, user) {
+    const data = this.pick(body, MODULE_FIELDS);
+
+    if (!data.title) {
+      throw new AppError('Module title is required', 400);
+    }
+
+    return ModuleRepository.create({
+      ...data,
+      course: course._id,
+      order: await ModuleRepository.getNextOrder(course._id),
+      createdBy: user._id
+    });
+  }
+
+  /**
+   * Load a module of a course or fail with 404
+   * @param {Object} course - Course document
+   * @param {string} moduleId - Module identifier
+   * @returns {Promise<Object>} Module document
+   */
+  async getModule(course, moduleId) {
+    const module = mongoose.isValidObjectId(moduleId) ? await ModuleRepository.findInCourse(course._id, moduleId) : null;
+
+    if (!module) {
+      throw new AppError('Module not found', 404);
+    }
+
+    return module;
+  }
+
+  /**
+   * Load a lesson of a course or fail with 404
+   * @param {Object} course - Course document
+   * @param {string} lessonId - Lesson identifier
+   * @returns {Promise<Object>} Lesson document
+   */
+  async getLesson(course, lessonId) {
+    const lesson = mongoose.isValidObjectId(lessonId) ? await LessonRepository.findInCourse(course._id, lessonId) : null;
+
+    if (!lesson) {
+      throw new AppError('Lesson not found', 404);
+    }
+
+    return lesson;
+  }
+
+  /**
+   * Update a module's title or description
+   * @param {Object} module - Module document
+   * @param {Object} body - ({ title, description })
+   * @returns {Promise<Object>} Updated module
+   */
+  async updateModule(module, body) {
+    const data = this.pick(body, MODULE_FIELDS);
+
+    if (!Object.keys(data).length) {
+      throw new AppError(`Provide at least one of: ${MODULE_FIELDS.join(', ')}`, 400);
+    }
+
+    Object.assign(module, data);
+    return module.save();
+  }
+
+  /**
+   * Reorder the modules of a course
+   * @param {Object} course - Course document
+   * @param {Array<string>} moduleIds - Module ids in their new order
+   * @returns {Promise<Array>} Modules in the new order
+   */
+  async reorderModules(course, moduleIds) {
+    const modules = await ModuleRepository.findByCourse(course._id);
+    this.assertSameItems(moduleIds, modules);
+
+    await ModuleRepository.setOrder(moduleIds);
+    return ModuleRepository.findByCourse(course._id);
+  }
+
+  /**
+   * Publish or unpublish a module
+   * @param {Object} module - Module document
+   * @param {boolean} isPublished - New state
+   * @returns {Promise<Object>} Updated module
+   */
+  async setModulePublished(module, isPublished) {
+    module.isPublished = isPublished;
+    module.publishedAt = isPublished ? new Date() : null;
+    return module.save();
+  }
+
+  /**
+   * Append a lesson to a module
+   * @param {Object} module - Module document
+   * @param {Object} body - Lesson fields
+   * @param {Object} user - Author
+   * @returns {Promise<Object>} Created lesson
+   */
+  async addLesson(module, body, user) {
+    const data = this.pick(body, LESSON_FIELDS);
+
+    if (!data.title) {
+      throw new AppError('Lesson title is required', 400);
+    }
+    this.validateLesson(data);
+
+    return LessonRepository.create({
+      ...data,
+      course: module.course,
+      module: module._id,
+      order: await LessonRepository.getNextOrder(module._id),
+      createdBy: user._id
+    });
+  }
+
+  /**
+   * Update a lesson; a moduleId moves it to the end of another module of the same course
+   * @param {Object} lesson - Lesson document
+   * @param {Object} body - Lesson fields and optional moduleId
+   * @returns {Promise<Object>} Updated lesson
+   */
+  async updateLesson(lesson, body) {
+    const data = this.pick(body, LESSON_FIELDS);
+
+    if (body.moduleId && !AccessControl.sameId(body.moduleId, lesson.module)) {
+      const target = mongoose.isValidObjectId(body.moduleId) ? await ModuleRepository.findInCourse(lesson.course, body.moduleId) : null;
+      if (!target) {
+        throw new AppError('Target module not found in this course', 404);
+      }
+      data.module = target._id;
+      data.order = await LessonRepository.getNextOrder(target._id);
+    }
+
+    if (!Object.keys(data).length) {
+      throw new AppError(`Provide at least one of: ${[...LESSON_FIELDS, 'moduleId'].join(', ')}`, 400);
+    }
+
+    this.validateLesson({ ...lesson.toObject(), ...data });
+
+    Object.assign(lesson, data);
+    return lesson.save();
+  }
+
+  /**
+   * Reorder the lessons of a module
+   * @param {Object} module - Module document
+   * @param {Array<string>} lessonIds - Lesson ids in their new order
+   * @returns {Promise<Array>} Lessons in the new order
+   */
+  async reorderLessons(module, lessonIds) {
+    const lessons = await LessonRepository.findByModule(module._id);
+    this.assertSameItems(lessonIds, lessons);
+
+    await LessonRepository.setOrder(lessonIds);
+    return LessonRepository.findByModule(module._id);
+  }
+
+  /**
+   * Publish or unpublish a lesson; a document lesson needs a file or url first
+   * @param {Object} lesson - Lesson document
+   * @param {boolean} isPublished - New state
+   * @returns {Promise<Object>} Updated lesson
+   */
+  async setLessonPublished(lesson, isPublished) {
+    if (isPublished && lesson.type === 'document' && !lesson.url && !lesson.attachments.length) {
+      throw new AppError('Attach a file or url to the document lesson before publishing it', 400);
+    }
+
+    lesson.isPublished = isPublished;
+    lesson.publishedAt = isPublished ? new Date() : null;
+    return lesson.save();
+  }
+
+  /**
+   * Resolve the lesson that course material uploads should be attached to,
+   * checking the uploader may edit the course
+   * @param {string} courseId - Course identifier from the upload form
+   * @param {string} lessonId - Lesson identifier from the upload form
+   * @param {Object} user - Uploader
+   * @returns {Promise<Object>} Lesson document
+   */
+  async getLessonForUpload(courseId, lessonId, user) {
+    const course = mongoose.isValidObjectId(courseId) ? await CourseRepository.findById(courseId) : null;
+
+    if (!course || course.isDeleted) {
+      throw new AppError('Course not found', 404);
+    }
+
+    if (!AccessControl.canEditCourse(user, course)
+      || (user.role === 'admin' && !hasPermissions(user, [PERMISSIONS.MANAGE_COURSES]))) {
+      throw new AppError('You cannot attach materials to this course', 403);
+    }
+
+    return this.getLesson(course, lessonId);
+  }
+
+  /**
+   * Add successful uploads to a lesson's attachments
+   * @param {Object} lesson - Lesson document
+   * @param {Array<Object>} uploads - Results from FileUploadService.uploadMultipleFiles
+   * @param {Object} user - Uploader
+   * @returns {Promise<Object>} Updated lesson
+   */
+  async attachUploads(lesson, uploads, user) {
+    uploads
+      .filter(upload => upload.success !== false && upload.url)
+      .forEach(upload => lesson.attachments.push({
+        url: upload.url,
+        thumbnailUrl: upload.thumbnailUrl,
+        filename: upload.filename,
+        originalName: upload.originalName,
+        mimeType: upload.mimeType,
+        size: upload.size,
+        storageType: upload.storageType,
+        uploadedBy: user._id
+      }));
+
+    return lesson.save();
+  }
+
+  /**
+   * Remove an attachment from a lesson
+   * @param {Object} lesson - Lesson document
+   * @param {string} attachmentId - Attachment identifier
+   * @returns {Promise<Object>} Removed attachment
+   */
+  async removeAttachment(lesson, attachmentId) {
+    const attachment = lesson.attachments.id(attachmentId);
+
+    if (!attachment) {
+      throw new AppError('Attachment not found', 404);
+    }
+
+    if (lesson.isPublished && lesson.type === 'document' && !lesson.url && lesson.attachments.length === 1) {
+      throw new AppError('Unpublish the lesson before removing its only file', 400);
+    }
+
+    attachment.deleteOne();
+    await lesson.save();
+
+    return attachment;
+  }
+}
+
+export default CurriculumService;
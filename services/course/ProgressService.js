@@ -0,0 +1,308 @@
+import LessonProgressRepository from '../../repositories/course/lessonProgressRepository.js';
+import QuizAttemptRepository from '../../repositories/course/quizAttemptRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import CurriculumService from './CurriculumService.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+
+export const DEFAULT_STALLED_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const curriculumService = new CurriculumService();
+
+/**
+ * Progress service
+ * Per-lesson completion records and the Student.progress percentage derived from them.
+ * Only published lessons and quizzes of published modules count towards the percentage;
+ * a quiz counts once the student has passed it.
+ */
+class ProgressService {
+  /**
+   * Published modules of a course with their published lessons, in order
+   * @param {string} courseId - Course identifier
+   * @returns {Promise<Array>} Modules with lessons
+   */
+  async getPublishedCurriculum(courseId) {
+    return curriculumService.getCurriculum({ _id: courseId }, { includeUnpublished: false });
+  }
+
+  /**
+   * Flatten a curriculum to its lessons, in order
+   * @param {Array} modules - Result of getPublishedCurriculum
+   * @returns {Array} Lessons
+   */
+  flattenLessons(modules) {
+    return modules.flatMap(module => module.lessons);
+  }
+
+  /**
+   * Flatten a curriculum to its quizzes, in order
+   * @param {Array} modules - Result of getPublishedCurriculum
+   * @returns {Array} Quizzes
+   */
+  flattenQuizzes(modules) {
+    return modules.flatMap(module => module.quizzes);
+  }
+
+  /**
+   * Completion percentage of a student's course
+   * @param {Object} student - Student document
+   * @param {Array} lessons - Published lessons of the course
+   * @param {Array} quizzes - Published quizzes of the course
+   * @returns {Promise<{completed: number, total: number, passedQuizzes: number, totalQuizzes: number, percentage: number}>} Counts and percentage
+   */
+  async computeCompletion(student, lessons, quizzes = []) {
+    const total = lessons.length;
+    const totalQuizzes = quizzes.length;
+    const [completed, passedQuizzes] = await Promise.all([
+      total ? LessonProgressRepository.countCompleted(student._id, lessons.map(lesson => lesson._id)) : 0,
+      totalQuizzes ? QuizAttemptRepository.countPassed(student._id, quizzes.map(quiz => quiz._id)) : 0
+    ]);
+    const items = total + totalQuizzes;
+
+    return {
+      completed,
+      total,
+      passedQuizzes,
+      totalQuizzes,
+      percentage: items ? Math.round(((completed + passedQuizzes) / items) * 100) : 0
+    };
+  }
+
+  /**
+   * Recompute and store Student.progress
+   * @param {Object} student - Student document
+   * @returns {Promise<number>} New progress percentage
+   */
+  async recomputeStudentProgress(student) {
+    const modules = student.course ? await this.getPublishedCurriculum(student.course) : [];
+    const { percentage } = await this.computeCompletion(student, this.flattenLessons(modules), this.flattenQuizzes(modules));
+
+    if (student.progress !== percentage) {
+      await StudentRepository.update(student._id, { progress: percentage });
+      student.progress = percentage;
+    }
+
+    return percentage;
+  }
+
+  /**
+   * Recompute Student.progress for everyone enrolled in a course, after its published curriculum changed
+   * @param {string} courseId - Course identifier
+   * @returns {Promise<number>} Number of students updated
+   */
+  async recomputeCourseProgress(courseId) {
+    const [students, modules] = await Promise.all([
+      StudentRepository.findAllStudents({ course: courseId }),
+      this.getPublishedCurriculum(courseId)
+    ]);
+    const lessons = this.flattenLessons(modules);
+    const quizzes = this.flattenQuizzes(modules);
+
+    let updated = 0;
+    for (const student of students) {
+      const { percentage } = await this.computeCompletion(student, lessons, quizzes);
+      if (student.progress !== percentage) {
+        await StudentRepository.update(student._id, { progress: percentage });
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Record a student's activity on a lesson
+   * @param {Object} student - Student document (the caller)
+   * @param {Object} lesson - Lesson document
+   * @param {Object} data - ({ timeSpentSeconds, videoPosition, completed }); timeSpentSeconds is added to the total
+   * @returns {Promise<{progress: Object, courseProgress: number}>} Lesson record and new course percentage
+   */
+  async recordProgress(student, lesson, data) {
+    if (!AccessControl.sameId(student.course, lesson.course)) {
+      throw new AppError('You are not enrolled in this course', 403);
+    }
+
+    const lessonIds = this.flattenLessons(await this.getPublishedCurriculum(lesson.course)).map(item => item._id);
+    if (!lessonIds.some(id => AccessControl.sameId(id, lesson._id))) {
+      throw new AppError('Lesson not found', 404);
+    }
+
+    const { timeSpentSeconds, videoPosition, completed } = data;
+
+    if (timeSpentSeconds !== undefined && (typeof timeSpentSeconds !== 'number' || timeSpentSeconds < 0)) {
+      throw new AppError('timeSpentSeconds must be a positive number', 400);
+    }
+    if (videoPosition !== undefined && (typeof videoPosition !== 'number' || videoPosition < 0)) {
+      throw new AppError('videoPosition must be a positive number', 400);
+    }
+    if (completed !== undefined && typeof completed !== 'boolean') {
+      throw new AppError('completed must be a boolean', 400);
+    }
+
+    const progress = await LessonProgressRepository.findOrCreate(student._id, lesson);
+
+    progress.lastAccessedAt = new Date();
+    if (timeSpentSeconds) progress.timeSpentSeconds += timeSpentSeconds;
+    if (videoPosition !== undefined) progress.videoPosition = videoPosition;
+
+    if (completed === true && progress.status !== 'completed') {
+      progress.status = 'completed';
+      progress.completedAt = new Date();
+    } else if (completed === false && progress.status === 'completed') {
+      progress.status = 'in_progress';
+      progress.completedAt = null;
+    }
+
+    await progress.save();
+    const courseProgress = await this.recomputeStudentProgress(student);
+
+    return { progress, courseProgress };
+  }
+
+  /**
+   * Lesson-by-lesson progress of a student through their course, with their quiz results
+   * @param {Object} student - Student document
+   * @returns {Promise<Object>} Totals and modules with per-lesson and per-quiz status
+   */
+  async getStudentProgress(student) {
+    if (!student.course) {
+      return { course: null, progress: 0, completedLessons: 0, totalLessons: 0, passedQuizzes: 0, totalQuizzes: 0, timeSpentSeconds: 0, modules: [] };
+    }
+
+    const [modules, records] = await Promise.all([
+      this.getPublishedCurriculum(student.course),
+      LessonProgressRepository.findByStudent(student._id, student.course)
+    ]);
+    const lessons = this.flattenLessons(modules);
+    const quizzes = this.flattenQuizzes(modules);
+    const [{ completed, total, passedQuizzes, totalQuizzes, percentage }, quizResults] = await Promise.all([
+      this.computeCompletion(student, lessons, quizzes),
+      quizzes.length ? QuizAttemptRepository.findBestByStudent(student._id, quizzes.map(quiz => quiz._id)) : []
+    ]);
+
+    const recordFor = (lessonId) => records.find(record => AccessControl.sameId(record.lesson, lessonId));
+    const resultFor = (quizId) => quizResults.find(result => AccessControl.sameId(result._id, quizId));
+
+    return {
+      course: student.course,
+      progress: percentage,
+      completedLessons: completed,
+      totalLessons: total,
+      passedQuizzes,
+      totalQuizzes,
+      timeSpentSeconds: records.reduce((sum, record) => sum + record.timeSpentSeconds, 0),
+      modules: modules.map(module => ({
+        _id: module._id,
+        title: module.title,
+        lessons: module.lessons.map(lesson => {
+          const record = recordFor(lesson._id);
+          return {
+            _id: lesson._id,
+            title: lesson.title,
+            type: lesson.type,
+            status: record ? record.status : 'not_started',
+            startedAt: record?.startedAt || null,
+            completedAt: record?.completedAt || null,
+            lastAccessedAt: record?.lastAccessedAt || null,
+            timeSpentSeconds: record?.timeSpentSeconds || 0,
+            videoPosition: record?.videoPosition || 0
+          };
+        }),
+        quizzes: module.quizzes.map(quiz => {
+          const result = resultFor(quiz._id);
+          return {
+            _id: quiz._id,
+            title: quiz.title,
+            status: result ? (result.passed ? 'passed' : 'failed') : 'not_attempted',
+            attempts: result?.attempts || 0,
+            bestPercentage: result ? result.bestPercentage : null
+          };
+        })
+      }))
+    };
+  }
+
+  /**
+   * Lesson a student should continue with
+   * The last lesson they opened and did not finish, else the first lesson not completed yet
+   * @param {Object} student - Student document
+   * @returns {Promise<Object|null>} ({ module, lesson, status, videoPosition }), null once everything is completed
+   */
+  async getResumePoint(student) {
+    if (!student.course) {
+      return null;
+    }
+
+    const [modules, records] = await Promise.all([
+      this.getPublishedCurriculum(student.course),
+      LessonProgressRepository.findByStudent(student._id, student.course)
+    ]);
+
+    const entries = modules.flatMap(module => module.lessons.map(lesson => ({
+      module: { _id: module._id, title: module.title },
+      lesson,
+      record: records.find(record => AccessControl.sameId(record.lesson, lesson._id))
+    })));
+
+    const inProgress = entries
+      .filter(entry => entry.record?.status === 'in_progress')
+      .sort((a, b) => b.record.lastAccessedAt - a.record.lastAccessedAt);
+
+    const next = inProgress[0] || entries.find(entry => entry.record?.status !== 'completed');
+    if (!next) {
+      return null;
+    }
+
+    return {
+      module: next.module,
+      lesson: next.lesson,
+      status: next.record ? next.record.status : 'not_started',
+      videoPosition: next.record?.videoPosition || 0,
+      lastAccessedAt: next.record?.lastAccessedAt || null
+    };
+  }
+
+  /**
+   * Enrolled students with unfinished courses and no lesson activity for a number of days
+   * Students who never opened a lesson are measured from their join date
+   * @param {Object} filter - Student filter (access scope, course)
+   * @param {number} days - Days without activity
+   * @returns {Promise<Array>} Students with lastActivityAt and daysInactive, longest inactive first
+   */
+  async findStalledStudents(filter, days = DEFAULT_STALLED_DAYS) {
+    const students = await StudentRepository.findAllStudents({
+      ...filter,
+      course: filter.course || { $ne: null },
+      currentStatus: 'enrolled',
+      progress: { $lt: 100 }
+    });
+
+    const activity = await LessonProgressRepository.findLastActivity(students.map(student => student._id));
+    const now = Date.now();
+    const cutoff = now - days * DAY_MS;
+
+    return students
+      .map(student => {
+        const last = activity.find(item => AccessControl.sameId(item._id, student._id));
+        const since = last ? last.lastAccessedAt : student.joinDate;
+        return { student, lastActivityAt: last ? last.lastAccessedAt : null, since };
+      })
+      .filter(item => item.since && item.since.getTime() < cutoff)
+      .map(({ student, lastActivityAt, since }) => ({
+        _id: student._id,
+        studentId: student.studentId,
+        name: student.name,
+        email: student.email,
+        course: student.course,
+        assignedTrainer: student.assignedTrainer,
+        progress: student.progress,
+        lastActivityAt,
+        daysInactive: Math.floor((now - since.getTime()) / DAY_MS)
+      }))
+      .sort((a, b) => b.daysInactive - a.daysInactive);
+  }
+}
+
+export default ProgressService;
@@ -0,0 +1,378 @@
+import mongoose from 'mongoose';
+import BankQuestionRepository from '../../repositories/course/bankQuestionRepository.js';
+import { DIFFICULTIES, QUESTION_TYPES } from '../../models/course/Quiz.js';
+import QuizService from './QuizService.js';
+import Pagination from '../../utils/pagination.js';
+import Csv from '../../utils/csv.js';
+import AppError from '../../utils/appError.js';
+
+// CSV layout. `options`, `tags` and list answers are separated by "|" (write "\|" for a literal bar);
+// `answer` holds the 1-based numbers of the correct options for MCQs, true/false, a number,
+// or the accepted answers of a short text question
+export const CSV_COLUMNS = ['type', 'text', 'options', 'answer', 'tolerance', 'points', 'topic', 'difficulty', 'tags', 'caseSensitive', 'explanation'];
+
+export const EXPORT_FORMATS = ['json', 'csv'];
+
+const MAX_IMPORT = 1000;
+const MCQ_TYPES = ['mcq_single', 'mcq_multi'];
+
+const splitList = (value) => String(value ?? '')
+  .split(/(?<!\\)\|/)
+  .map(item => item.replace(/\\\|/g, '|').trim())
+  .filter(Boolean);
+
+const joinList = (values = []) => values.map(value => String(value).replace(/\|/g, '\\|')).join('|');
+
+const quizService = new QuizService();
+
+/**
+ * Question bank service
+ * Reusable questions of a course tagged by topic, difficulty and tags, with CSV/JSON import and export
+ */
+class QuestionBankService {
+  /**
+   * Validate the topic, difficulty and tags of a bank question
+   * @param {Object} body - Question from the request
+   * @param {string} label - Prefix of error messages
+   * @returns {Object} ({ topic, difficulty, tags }) as given
+   */
+  buildMeta(body, label = 'Question') {
+    const { topic, difficulty, tags } = body;
+    const data = {};
+
+    if (topic !== undefined && topic !== '') {
+      if (typeof topic !== 'string') throw new AppError(`${label}: topic must be text`, 400);
+      data.topic = topic;
+    }
+
+    if (difficulty !== undefined && difficulty !== '') {
+      if (!DIFFICULTIES.includes(difficulty)) {
+        throw new AppError(`${label}: difficulty must be one of: ${DIFFICULTIES.join(', ')}`, 400);
+      }
+      data.difficulty = difficulty;
+    }
+
+    if (tags !== undefined) {
+      if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+        throw new AppError(`${label}: tags must be an array of text`, 400);
+      }
+      data.tags = tags;
+    }
+
+    return data;
+  }
+
+  /**
+   * Validate a bank question
+   * @param {Object} body - Question from the request
+   * @param {string} label - Prefix of error messages
+   * @returns {Object} Question with its topic, difficulty and tags
+   */
+  buildBankQuestion(body, label = 'Question') {
+    const { _id, ...question } = quizService.buildQuestion(body, label);
+    return { ...question, ...this.buildMeta(body, label) };
+  }
+
+  /**
+   * Bank filter from list/export query parameters
+   * @param {Object} course - Course document
+   * @param {Object} query - ({ topic, difficulty, type, tag, search })
+   * @returns {Object} Filter
+   */
+  buildFilter(course, { topic, difficulty, type, tag, search } = {}) {
+    const filter = { course: course._id };
+
+    if (topic) filter.topic = String(topic).trim().toLowerCase();
+
+    if (difficulty) {
+      if (!DIFFICULTIES.includes(difficulty)) {
+        throw new AppError(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`, 400);
+      }
+      filter.difficulty = difficulty;
+    }
+
+    if (type) {
+      if (!QUESTION_TYPES.includes(type)) {
+        throw new AppError(`type must be one of: ${QUESTION_TYPES.join(', ')}`, 400);
+      }
+      filter.type = type;
+    }
+
+    if (tag) filter.tags = String(tag).trim().toLowerCase();
+    if (search) filter.text = { $regex: Pagination.escapeRegex(search), $options: 'i' };
+
+    return filter;
+  }
+
+  /**
+   * Load a question of a course's bank or fail with 404
+   * @param {Object} course - Course document
+   * @param {string} questionId - Question identifier
+   * @returns {Promise<Object>} Question document
+   */
+  async getQuestion(course, questionId) {
+    const question = mongoose.isValidObjectId(questionId) ? await BankQuestionRepository.findInCourse(course._id, questionId) : null;
+
+    if (!question) {
+      throw new AppError('Question not found', 404);
+    }
+
+    return question;
+  }
+
+  /**
+   * Add a question to a course's bank
+   * @param {Object} course - Course document
+   * @param {Object} body - Question
+   * @param {Object} user - Author
+   * @returns {Promise<Object>} Created question
+   */
+  async createQuestion(course, body, user) {
+    return BankQuestionRepository.create({ ...this.buildBankQuestion(body), course: course._id, createdBy: user._id });
+  }
+
+  /**
+   * Update a bank question; the fields sent replace the stored ones and the whole
+   * question is validated again. Quiz attempts keep the copy they were given.
+   * @param {Object} question - Question document
+   * @param {Object} body - Changes
+   * @returns {Promise<Object>} Updated question
+   */
+  async updateQuestion(question, body) {
+    const clean = this.buildBankQuestion({ ...question.toObject(), ...body });
+
+    question.set({
+      options: [],
+      correctAnswer: undefined,
+      numericAnswer: undefined,
+      tolerance: 0,
+      acceptedAnswers: [],
+      caseSensitive: false,
+      ...clean
+    });
+
+    return question.save();
+  }
+
+  /**
+   * Turn a CSV record into a question as the API takes it
+   * @param {Object} record - CSV record keyed by column
+   * @returns {Object} Question
+   */
+  fromCsvRecord(record) {
+    const { type, text, answer, tolerance, points, topic, difficulty, tags, caseSensitive, explanation } = record;
+    const question = {
+      type,
+      text,
+      points: points === '' || points === undefined ? undefined : Number(points),
+      explanation: explanation || undefined,
+      topic,
+      difficulty,
+      tags: splitList(tags)
+    };
+
+    if (MCQ_TYPES.includes(type)) {
+      const correct = splitList(answer).map(Number);
+      question.options = splitList(record.options).map((option, index) => ({ text: option, isCorrect: correct.includes(index + 1) }));
+    } else if (type === 'true_false') {
+      const value = String(answer).toLowerCase();
+      question.correctAnswer = value === 'true' ? true : value === 'false' ? false : answer;
+    } else if (type === 'numeric') {
+      question.numericAnswer = answer === '' ? undefined : Number(answer);
+      if (tolerance) question.tolerance = Number(tolerance);
+    } else {
+      question.acceptedAnswers = splitList(answer);
+      question.caseSensitive = String(caseSensitive).toLowerCase() === 'true';
+    }
+
+    return question;
+  }
+
+  /**
+   * Turn a bank question into a CSV record
+   * @param {Object} question - Question document
+   * @returns {Object} Record keyed by column
+   */
+  toCsvRecord(question) {
+    const record = {
+      type: question.type,
+      text: question.text,
+      points: question.points,
+      topic: question.topic,
+      difficulty: question.difficulty,
+      tags: joinList(question.tags),
+      explanation: question.explanation
+    };
+
+    if (MCQ_TYPES.includes(question.type)) {
+      record.options = joinList(question.options.map(option => option.text));
+      record.answer = question.options.map((option, index) => (option.isCorrect ? index + 1 : null)).filter(Boolean).join('|');
+    } else if (question.type === 'true_false') {
+      record.answer = question.correctAnswer;
+    } else if (question.type === 'numeric') {
+      record.answer = question.numericAnswer;
+      record.tolerance = question.tolerance;
+    } else {
+      record.answer = joinList(question.acceptedAnswers);
+      record.caseSensitive = question.caseSensitive;
+    }
+
+    return record;
+  }
+
+  /**
+   * Bank question in the JSON export format (the same shape the import takes)
+   * @param {Object} question - Question document
+   * @returns {Object} Question without ids
+   */
+  toJson(question) {
+    const { type, text, points, explanation, topic, difficulty, tags } = question;
+    const data = { type, text, points, topic, difficulty, tags, ...(explanation && { explanation }) };
+
+    if (MCQ_TYPES.includes(type)) {
+      data.options = question.options.map(option => ({ text: option.text, isCorrect: option.isCorrect }));
+    } else if (type === 'true_false') {
+      data.correctAnswer = question.correctAnswer;
+    } else if (type === 'numeric') {
+      Object.assign(data, { numericAnswer: question.numericAnswer, tolerance: question.tolerance });
+    } else {
+      Object.assign(data, { acceptedAnswers: question.acceptedAnswers, caseSensitive: question.caseSensitive });
+    }
+
+    return data;
+  }
+
+  /**
+   * Read the questions of an import: an uploaded .csv or .json file, or a JSON body
+   * @param {Object} file - Uploaded file (multer, memory storage), if any
+   * @param {Object} body - Request body ({ questions })
+   * @returns {Array<Object>} Questions as the API takes them
+   */
+  readImport(file, body) {
+    let questions;
+
+    if (file) {
+      const content = file.buffer.toString('utf8');
+
+      if (file.originalname.toLowerCase().endsWith('.json')) {
+        try {
+          const parsed = JSON.parse(content);
+          questions = Array.isArray(parsed) ? parsed : parsed.questions;
+        } catch (error) {
+          throw new AppError(`The file is not valid JSON: ${error.message}`, 400);
+        }
+      } else {
+        questions = Csv.parse(content).map(record => this.fromCsvRecord(record));
+      }
+    } else {
+      questions = body.questions;
+    }
+
+    if (!Array.isArray(questions) || !questions.length) {
+      throw new AppError('Provide questions as a CSV or JSON file (field `file`) or as a questions array', 400);
+    }
+
+    if (questions.length > MAX_IMPORT) {
+      throw new AppError(`At most ${MAX_IMPORT} questions can be imported at once`, 400);
+    }
+
+    return questions;
+  }
+
+  /**
+   * Import questions into a course's bank
+   * Invalid questions and questions already in the bank (same type and text) are skipped
+   * @param {Object} course - Course document
+   * @param {Array<Object>} questions - Result of readImport
+   * @param {Object} user - Author
+   * @param {Object} options - ({ dryRun }) validate without saving
+   * @returns {Promise<{imported: number, skipped: Array}>} Count and skipped rows with a reason
+   */
+  async importQuestions(course, questions, user, { dryRun = false } = {}) {
+    const valid = [];
+    const skipped = [];
+
+    questions.forEach((question, index) => {
+      try {
+        valid.push({ row: index + 1, question: this.buildBankQuestion(question, `Row ${index + 1}`) });
+      } catch (error) {
+        if (!error.isOperational) throw error;
+        skipped.push({ row: index + 1, reason: 'invalid', message: error.message });
+      }
+    });
+
+    const existing = await BankQuestionRepository.findDuplicates(course._id, valid.map(entry => entry.question.text.trim()));
+    const seen = new Set(existing.map(question => `${question.type}:${question.text.toLowerCase()}`));
+
+    const toCreate = valid.filter(({ row, question }) => {
+      const key = `${question.type}:${question.text.trim().toLowerCase()}`;
+      if (seen.has(key)) {
+        skipped.push({ row, reason: 'duplicate' });
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+
+    if (!dryRun && toCreate.length) {
+      await BankQuestionRepository.insertMany(toCreate.map(({ question }) => ({ ...question, course: course._id, createdBy: user._id })));
+    }
+
+    return { imported: toCreate.length, skipped: skipped.sort((a, b) => a.row - b.row) };
+  }
+
+  /**
+   * Export questions of a course's bank
+   * @param {Object} course - Course document
+   * @param {Object} filter - Result of buildFilter
+   * @param {string} format - json or csv
+   * @returns {Promise<{content: string, contentType: string, filename: string, count: number}>} File
+   */
+  async exportQuestions(course, filter, format = 'json') {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const questions = await BankQuestionRepository.findAll(filter);
+    const name = `question-bank-${course._id}`;
+
+    if (format === 'csv') {
+      return {
+        content: Csv.stringify(CSV_COLUMNS, questions.map(question => this.toCsvRecord(question))),
+        contentType: 'text/csv; charset=utf-8',
+        filename: `${name}.csv`,
+        count: questions.length
+      };
+    }
+
+    return {
+      content: JSON.stringify({ questions: questions.map(question => this.toJson(question)) }, null, 2),
+      contentType: 'application/json; charset=utf-8',
+      filename: `${name}.json`,
+      count: questions.length
+    };
+  }
+
+  /**
+   * Question counts per topic and difficulty
+   * @param {Object} course - Course document
+   * @returns {Promise<Array<Object>>} [{ topic, total, easy, medium, hard }]
+   */
+  async getSummary(course) {
+    const groups = await BankQuestionRepository.summarize(course._id);
+    const topics = new Map();
+
+    groups.forEach(({ _id, count }) => {
+      if (!topics.has(_id.topic)) {
+        topics.set(_id.topic, { topic: _id.topic, total: 0, ...Object.fromEntries(DIFFICULTIES.map(level => [level, 0])) });
+      }
+      const entry = topics.get(_id.topic);
+      entry[_id.difficulty] = count;
+      entry.total += count;
+    });
+
+    return [...topics.values()];
+  }
+}
+
+export default QuestionBankService;
@@ -0,0 +1,724 @@
+import mongoose from 'mongoose';
+import QuizRepository from '../../repositories/course/quizRepository.js';
+import QuizAttemptRepository from '../../repositories/course/quizAttemptRepository.js';
+import ModuleRepository from '../../repositories/course/moduleRepository.js';
+import BatchRepository from '../../repositories/course/batchRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import BankQuestionRepository from '../../repositories/course/bankQuestionRepository.js';
+import { QUESTION_TYPES, DIFFICULTIES } from '../../models/course/Quiz.js';
+import ProgressService from './ProgressService.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+
+const QUIZ_FIELDS = ['title', 'description', 'timeLimitMinutes', 'maxAttempts', 'passingScore', 'shuffleQuestions', 'shuffleOptions', 'revealAnswers'];
+const BOOLEAN_FIELDS = ['shuffleQuestions', 'shuffleOptions', 'revealAnswers'];
+const MCQ_TYPES = ['mcq_single', 'mcq_multi'];
+
+// Answers submitted this long after the time limit are still accepted, to allow for network delays
+const SUBMIT_GRACE_MS = 30 * 1000;
+const MAX_TEXT_ANSWER = 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Fisher-Yates on a copy
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const progressService = new ProgressService();
+
+/**
+ * Quiz service
+ * Module quizzes, timed attempts on a snapshot of the questions, auto-grading,
+ * and per-question analytics for trainers
+ */
+class QuizService {
+  /**
+   * Pick and validate quiz settings
+   * @param {Object} body - Request body
+   * @returns {Object} Settings
+   */
+  buildSettings(body) {
+    const data = {};
+    QUIZ_FIELDS.forEach(field => {
+      if (body[field] !== undefined) data[field] = body[field];
+    });
+
+    ['timeLimitMinutes', 'maxAttempts'].forEach(field => {
+      if (data[field] !== undefined && data[field] !== null && (!Number.isInteger(data[field]) || data[field] < 1)) {
+        throw new AppError(`${field} must be a positive integer, or null for no limit`, 400);
+      }
+    });
+
+    if (data.passingScore !== undefined && (typeof data.passingScore !== 'number' || data.passingScore < 0 || data.passingScore > 100)) {
+      throw new AppError('passingScore must be a percentage between 0 and 100', 400);
+    }
+
+    BOOLEAN_FIELDS.forEach(field => {
+      if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+        throw new AppError(`${field} must be a boolean`, 400);
+      }
+    });
+
+    if (body.questionRules !== undefined) {
+      data.questionRules = this.buildRules(body.questionRules);
+    }
+
+    return data;
+  }
+
+  /**
+   * Validate the rules that draw random questions from the course's question bank
+   * @param {Array<Object>} rules - [{ count, topic, difficulty, tags, points }]
+   * @returns {Array<Object>} Clean rules
+   */
+  buildRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new AppError('questionRules must be an array', 400);
+    }
+
+    return rules.map((rule, index) => {
+      const fail = (message) => { throw new AppError(`Rule ${index + 1}: ${message}`, 400); };
+      if (!rule || typeof rule !== 'object') fail('must be an object');
+
+      const { count, topic, difficulty, tags = [], points } = rule;
+
+      if (!Number.isInteger(count) || count < 1) fail('count must be a positive integer');
+      if (topic !== undefined && (typeof topic !== 'string' || !topic.trim())) fail('topic must be text');
+      if (difficulty !== undefined && !DIFFICULTIES.includes(difficulty)) fail(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+      if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) fail('tags must be an array of text');
+      if (points !== undefined && (typeof points !== 'number' || !isFinite(points) || points <= 0)) fail('points must be a positive number');
+
+      return {
+        count,
+        ...(topic && { topic: topic.trim().toLowerCase() }),
+        ...(difficulty && { difficulty }),
+        tags: tags.map(tag => tag.trim().toLowerCase()),
+        ...(points !== undefined && { points })
+      };
+    });
+  }
+
+  /**
+   * Bank filter of a rule, leaving out questions already drawn
+   * @param {Object} quiz - Quiz document
+   * @param {Object} rule - Question rule
+   * @param {Array} excludedIds - Bank question ids already on the paper
+   * @returns {Object} Filter (ObjectIds only, for aggregation)
+   */
+  ruleFilter(quiz, rule, excludedIds = []) {
+    return {
+      course: quiz.course,
+      ...(rule.topic && { topic: rule.topic }),
+      ...(rule.difficulty && { difficulty: rule.difficulty }),
+      ...(rule.tags?.length && { tags: { $all: rule.tags } }),
+      ...(excludedIds.length && { _id: { $nin: excludedIds } })
+    };
+  }
+
+  /**
+   * Check the question bank can fill every rule of a quiz
+   * Rules are checked one by one, so overlapping rules can still run short when drawing
+   * @param {Object} quiz - Quiz document
+   */
+  async assertRulesAvailable(quiz) {
+    for (const [index, rule] of quiz.questionRules.entries()) {
+      const available = await BankQuestionRepository.countMatching(this.ruleFilter(quiz, rule));
+      if (available < rule.count) {
+        throw new AppError(`Rule ${index + 1} needs ${rule.count} question(s) but the question bank has ${available} matching`, 400);
+      }
+    }
+  }
+
+  /**
+   * Validate quiz questions and their answer keys
+   * Questions sent back with their _id keep it, so analytics follow them across edits
+   * @param {Array<Object>} questions - Questions from the request
+   * @returns {Array<Object>} Clean questions
+   */
+  buildQuestions(questions) {
+    if (!Array.isArray(questions)) {
+      throw new AppError('questions must be an array', 400);
+    }
+
+    return questions.map((question, index) => this.buildQuestion(question, `Question ${index + 1}`));
+  }
+
+  /**
+   * Validate one question and its answer key (quiz or question bank)
+   * @param {Object} question - Question from the request
+   * @param {string} label - Prefix of error messages
+   * @returns {Object} Clean question
+   */
+  buildQuestion(question, label = 'Question') {
+    const fail = (message) => { throw new AppError(`${label}: ${message}`, 400); };
+
+    if (!question || typeof question !== 'object') fail('must be an object');
+    const { type, text, points = 1, explanation } = question;
+
+    if (!QUESTION_TYPES.includes(type)) fail(`type must be one of: ${QUESTION_TYPES.join(', ')}`);
+    if (!text || typeof text !== 'string') fail('text is required');
+    if (typeof points !== 'number' || !isFinite(points) || points <= 0) fail('points must be a positive number');
+    if (question._id !== undefined && !mongoose.isValidObjectId(question._id)) fail('invalid _id');
+
+    const clean = { type, text, points, explanation };
+    if (question._id) clean._id = question._id;
+
+    if (MCQ_TYPES.includes(type)) {
+      const options = question.options;
+      if (!Array.isArray(options) || options.length < 2 || options.some(option => !option?.text)) {
+        fail('needs at least two options with text');
+      }
+      const correct = options.filter(option => option.isCorrect === true).length;
+      if (type === 'mcq_single' && correct !== 1) fail('needs exactly one correct option');
+      if (type === 'mcq_multi' && correct < 1) fail('needs at least one correct option');
+
+      clean.options = options.map(option => ({
+        ...(option._id && mongoose.isValidObjectId(option._id) && { _id: option._id }),
+        text: option.text,
+        isCorrect: option.isCorrect === true
+      }));
+    } else if (type === 'true_false') {
+      if (typeof question.correctAnswer !== 'boolean') fail('correctAnswer must be true or false');
+      clean.correctAnswer = question.correctAnswer;
+    } else if (type === 'numeric') {
+      const { numericAnswer, tolerance = 0 } = question;
+      if (typeof numericAnswer !== 'number' || !isFinite(numericAnswer)) fail('numericAnswer must be a number');
+      if (typeof tolerance !== 'number' || tolerance < 0) fail('tolerance must be a positive number');
+      Object.assign(clean, { numericAnswer, tolerance });
+    } else {
+      const accepted = question.acceptedAnswers;
+      if (!Array.isArray(accepted) || !accepted.length || accepted.some(answer => typeof answer !== 'string' || !answer.trim())) {
+        fail('acceptedAnswers must list at least one answer');
+      }
+      Object.assign(clean, { acceptedAnswers: accepted, caseSensitive: question.caseSensitive === true });
+    }
+
+    return clean;
+  }
+
+  /**
+   * Load a quiz of a course or fail with 404
+   * @param {Object} course - Course document
+   * @param {string} quizId - Quiz identifier
+   * @returns {Promise<Object>} Quiz document
+   */
+  async getQuiz(course, quizId) {
+    const quiz = mongoose.isValidObjectId(quizId) ? await QuizRepository.findInCourse(course._id, quizId) : null;
+
+    if (!quiz) {
+      throw new AppError('Quiz not found', 404);
+    }
+
+    return quiz;
+  }
+
+  /**
+   * Add a quiz to a module
+   * @param {Object} module - Module document
+   * @param {Object} body - Settings and questions
+   * @param {Object} user - Author
+   * @returns {Promise<Object>} Created quiz
+   */
+  async createQuiz(module, body, user) {
+    const data = this.buildSettings(body);
+
+    if (!data.title) {
+      throw new AppError('Quiz title is required', 400);
+    }
+
+    return QuizRepository.create({
+      ...data,
+      questions: body.questions !== undefined ? this.buildQuestions(body.questions) : [],
+      questionRules: data.questionRules || [],
+      course: module.course,
+      module: module._id,
+      createdBy: user._id
+    });
+  }
+
+  /**
+   * Update quiz settings and/or replace its questions or question rules
+   * Attempts already started keep the questions they were given
+   * @param {Object} quiz - Quiz document
+   * @param {Object} body - Settings and questions
+   * @returns {Promise<Object>} Updated quiz
+   */
+  async updateQuiz(quiz, body) {
+    const data = this.buildSettings(body);
+
+    if (body.questions !== undefined) {
+      data.questions = this.buildQuestions(body.questions);
+    }
+
+    if (!Object.keys(data).length) {
+      throw new AppError(`Provide at least one of: ${[...QUIZ_FIELDS, 'questionRules', 'questions'].join(', ')}`, 400);
+    }
+
+    Object.assign(quiz, data);
+
+    if (quiz.isPublished) {
+      if (!quiz.questions.length && !quiz.questionRules.length) {
+        throw new AppError('A published quiz needs at least one question or question rule', 400);
+      }
+      if (data.questionRules) await this.assertRulesAvailable(quiz);
+    }
+
+    return quiz.save();
+  }
+
+  /**
+   * Publish or unpublish a quiz
+   * @param {Object} quiz - Quiz document
+   * @param {boolean} isPublished - New state
+   * @returns {Promise<Object>} Updated quiz
+   */
+  async setPublished(quiz, isPublished) {
+    if (isPublished) {
+      if (!quiz.questions.length && !quiz.questionRules.length) {
+        throw new AppError('Add questions or question rules to the quiz before publishing it', 400);
+      }
+      await this.assertRulesAvailable(quiz);
+    }
+
+    quiz.isPublished = isPublished;
+    quiz.publishedAt = isPublished ? new Date() : null;
+    return quiz.save();
+  }
+
+  /**
+   * Check a user may see every attempt and the analytics of a course's quizzes:
+   * admins, the course head and trainers of its batches
+   * @param {Object} user - Authenticated user
+   * @param {Object} course - Course document
+   */
+  async assertCanReview(user, course) {
+    if (AccessControl.canEditCourse(user, course)) return;
+
+    if (user.role === 'trainer' && await BatchRepository.findOne({ course: course._id, trainers: user._id })) return;
+
+    throw new AppError('You do not teach this course', 403);
+  }
+
+  /**
+   * Check a student may take a quiz: enrolled in the course, quiz and module published
+   * @param {Object} student - Student document
+   * @param {Object} quiz - Quiz document
+   */
+  async assertCanTake(student, quiz) {
+    if (!AccessControl.sameId(student.course, quiz.course)) {
+      throw new AppError('You are not enrolled in this course', 403);
+    }
+
+    const module = await ModuleRepository.findById(quiz.module);
+    if (!quiz.isPublished || !module?.isPublished) {
+      throw new AppError('Quiz not found', 404);
+    }
+  }
+
+  /**
+   * Draw random bank questions for each rule of a quiz, without repeats
+   * Every student gets the same number of questions per rule, so papers are equivalent
+   * @param {Object} quiz - Quiz document
+   * @returns {Promise<Array<Object>>} Bank questions, with the rule's points applied
+   */
+  async drawQuestions(quiz) {
+    const drawn = [];
+
+    for (const rule of quiz.questionRules) {
+      const questions = await BankQuestionRepository.sample(this.ruleFilter(quiz, rule, drawn.map(question => question._id)), rule.count);
+      if (questions.length < rule.count) {
+        throw new AppError('The question bank no longer has enough questions for this quiz; please contact your trainer', 409);
+      }
+      drawn.push(...questions.map(question => ({ ...question, points: rule.points ?? question.points, source: 'bank' })));
+    }
+
+    return drawn;
+  }
+
+  /**
+   * Snapshot the questions for a new attempt: the quiz's own questions, then those drawn
+   * from the question bank, shuffled as the quiz asks
+   * @param {Object} quiz - Quiz document
+   * @returns {Promise<Array<Object>>} Attempt items
+   */
+  async buildItems(quiz) {
+    const paper = [...quiz.questions, ...await this.drawQuestions(quiz)];
+    const questions = quiz.shuffleQuestions ? shuffle(paper) : paper;
+
+    return questions.map(question => {
+      const options = quiz.shuffleOptions ? shuffle(question.options || []) : (question.options || []);
+
+      return {
+        question: question._id,
+        source: question.source || 'quiz',
+        type: question.type,
+        text: question.text,
+        points: question.points,
+        options: options.map(option => ({ _id: option._id, text: option.text })),
+        key: {
+          optionIds: options.filter(option => option.isCorrect).map(option => option._id),
+          correctAnswer: question.correctAnswer,
+          numericAnswer: question.numericAnswer,
+          tolerance: question.tolerance,
+          acceptedAnswers: question.acceptedAnswers,
+          caseSensitive: question.caseSensitive,
+          explanation: question.explanation
+        }
+      };
+    });
+  }
+
+  /**
+   * Whether an attempt ran past its time limit
+   * @param {Object} attempt - Attempt document
+   * @param {number} grace - Extra milliseconds allowed
+   * @returns {boolean} True once the time is up
+   */
+  isExpired(attempt, grace = 0) {
+    return Boolean(attempt.expiresAt) && Date.now() > attempt.expiresAt.getTime() + grace;
+  }
+
+  /**
+   * Start an attempt, or resume the one in progress
+   * @param {Object} quiz - Quiz document
+   * @param {Object} student - Student document
+   * @returns {Promise<{attempt: Object, resumed: boolean}>} Attempt
+   */
+  async startAttempt(quiz, student) {
+    await this.assertCanTake(student, quiz);
+
+    const current = await QuizAttemptRepository.findInProgress(quiz._id, student._id);
+    if (current) {
+      if (!this.isExpired(current, SUBMIT_GRACE_MS)) {
+        return { attempt: current, resumed: true };
+      }
+      await this.finalize(current, quiz, { timedOut: true });
+    }
+
+    const count = await QuizAttemptRepository.countByStudent(quiz._id, student._id);
+    if (quiz.maxAttempts && count >= quiz.maxAttempts) {
+      throw new AppError(`You have used all ${quiz.maxAttempts} attempt(s) of this quiz`, 400);
+    }
+
+    const startedAt = new Date();
+    try {
+      const attempt = await QuizAttemptRepository.create({
+        quiz: quiz._id,
+        student: student._id,
+        course: quiz.course,
+        attemptNumber: count + 1,
+        items: await this.buildItems(quiz),
+        startedAt,
+        expiresAt: quiz.timeLimitMinutes ? new Date(startedAt.getTime() + quiz.timeLimitMinutes * 60 * 1000) : null
+      });
+      return { attempt, resumed: false };
+    } catch (error) {
+      // A second start raced this one; hand back the attempt it created
+      if (error.code !== 11000) throw error;
+      return { attempt: await QuizAttemptRepository.findInProgress(quiz._id, student._id), resumed: true };
+    }
+  }
+
+  /**
+   * Load an attempt of a quiz or fail with 404
+   * @param {Object} quiz - Quiz document
+   * @param {string} attemptId - Attempt identifier
+   * @returns {Promise<Object>} Attempt document
+   */
+  async getAttempt(quiz, attemptId) {
+    const attempt = mongoose.isValidObjectId(attemptId) ? await QuizAttemptRepository.findById(attemptId) : null;
+
+    if (!attempt || !AccessControl.sameId(attempt.quiz, quiz._id)) {
+      throw new AppError('Attempt not found', 404);
+    }
+
+    return attempt;
+  }
+
+  /**
+   * Validate an answer for its question type
+   * @param {Object} item - Attempt item
+   * @param {*} answer - Answer from the request; null clears it
+   * @returns {*} Answer to store
+   */
+  parseAnswer(item, answer) {
+    if (answer === null) return null;
+
+    const optionIds = item.options.map(option => option._id.toString());
+    const invalid = (expected) => { throw new AppError(`Answer to "${item.text}" must be ${expected}`, 400); };
+
+    switch (item.type) {
+      case 'mcq_single':
+        if (!optionIds.includes(String(answer))) invalid('one of its option ids');
+        return String(answer);
+      case 'mcq_multi':
+        if (!Array.isArray(answer) || answer.some(id => !optionIds.includes(String(id)))) invalid('an array of its option ids');
+        return [...new Set(answer.map(String))];
+      case 'true_false':
+        if (typeof answer !== 'boolean') invalid('true or false');
+        return answer;
+      case 'numeric':
+        if (typeof answer !== 'number' || !isFinite(answer)) invalid('a number');
+        return answer;
+      default:
+        if (typeof answer !== 'string' || answer.length > MAX_TEXT_ANSWER) invalid(`text of at most ${MAX_TEXT_ANSWER} characters`);
+        return answer;
+    }
+  }
+
+  /**
+   * Store answers on an attempt (not saved)
+   * @param {Object} attempt - Attempt document
+   * @param {Array<Object>} responses - [{ questionId, answer }]
+   */
+  applyResponses(attempt, responses) {
+    if (!Array.isArray(responses)) {
+      throw new AppError('responses must be an array of { questionId, answer }', 400);
+    }
+
+    const now = new Date();
+    responses.forEach(({ questionId, answer }) => {
+      const item = attempt.items.find(entry => AccessControl.sameId(entry.question, questionId));
+      if (!item) {
+        throw new AppError(`Question ${questionId} is not part of this attempt`, 400);
+      }
+      item.answer = this.parseAnswer(item, answer);
+      item.answeredAt = now;
+    });
+    attempt.markModified('items');
+  }
+
+  /**
+   * Check an answer against the snapshot key
+   * @param {Object} item - Attempt item
+   * @returns {boolean} True if correct
+   */
+  isCorrect(item) {
+    const { answer, key } = item;
+    if (answer === null || answer === undefined) return false;
+
+    switch (item.type) {
+      case 'mcq_single':
+        return key.optionIds.length === 1 && key.optionIds[0].toString() === String(answer);
+      case 'mcq_multi': {
+        const correct = key.optionIds.map(String).sort();
+        const given = [...answer].map(String).sort();
+        return correct.length === given.length && correct.every((id, index) => id === given[index]);
+      }
+      case 'true_false':
+        return answer === key.correctAnswer;
+      case 'numeric':
+        return Math.abs(answer - key.numericAnswer) <= (key.tolerance || 0);
+      default:
+        return key.acceptedAnswers.some(accepted =>
+          normalizeText(accepted, key.caseSensitive) === normalizeText(answer, key.caseSensitive));
+    }
+  }
+
+  /**
+   * Grade and close an attempt, then update the student's course progress
+   * @param {Object} attempt - Attempt document
+   * @param {Object} quiz - Its quiz (for the passing score)
+   * @param {Object} options - ({ timedOut })
+   * @returns {Promise<Object>} Graded attempt
+   */
+  async finalize(attempt, quiz, { timedOut = false } = {}) {
+    attempt.items.forEach(item => {
+      item.isCorrect = this.isCorrect(item);
+      item.pointsAwarded = item.isCorrect ? item.points : 0;
+    });
+    attempt.markModified('items');
+
+    attempt.score = round(attempt.items.reduce((sum, item) => sum + item.pointsAwarded, 0));
+    attempt.maxScore = round(attempt.items.reduce((sum, item) => sum + item.points, 0));
+    attempt.percentage = attempt.maxScore ? round((attempt.score / attempt.maxScore) * 100) : 0;
+    attempt.passed = attempt.percentage >= quiz.passingScore;
+    attempt.status = 'submitted';
+    attempt.submittedAt = new Date();
+    attempt.timedOut = timedOut;
+    await attempt.save();
+
+    if (attempt.passed) {
+      const student = await StudentRepository.findById(attempt.student);
+      if (student) await progressService.recomputeStudentProgress(student);
+    }
+
+    return attempt;
+  }
+
+  /**
+   * Save answers while the attempt is running (autosave)
+   * @param {Object} attempt - Attempt document
+   * @param {Object} quiz - Its quiz
+   * @param {Array<Object>} responses - [{ questionId, answer }]
+   * @returns {Promise<Object>} Attempt
+   */
+  async saveResponses(attempt, quiz, responses) {
+    if (attempt.status !== 'in_progress') {
+      throw new AppError('This attempt has already been submitted', 400);
+    }
+
+    if (this.isExpired(attempt, SUBMIT_GRACE_MS)) {
+      await this.finalize(attempt, quiz, { timedOut: true });
+      throw new AppError('The time limit has passed; the attempt was graded with the answers saved before it', 400);
+    }
+
+    this.applyResponses(attempt, responses);
+    return attempt.save();
+  }
+
+  /**
+   * Submit an attempt for grading; after the time limit only answers saved in time count
+   * @param {Object} attempt - Attempt document
+   * @param {Object} quiz - Its quiz
+   * @param {Array<Object>} responses - Final answers, merged into the saved ones
+   * @returns {Promise<Object>} Graded attempt
+   */
+  async submitAttempt(attempt, quiz, responses = []) {
+    if (attempt.status !== 'in_progress') {
+      throw new AppError('This attempt has already been submitted', 400);
+    }
+
+    if (this.isExpired(attempt, SUBMIT_GRACE_MS)) {
+      return this.finalize(attempt, quiz, { timedOut: true });
+    }
+
+    this.applyResponses(attempt, responses);
+    return this.finalize(attempt, quiz);
+  }
+
+  /**
+   * Attempt as shown to the student; the answer key is left out while the attempt
+   * runs, and afterwards unless the quiz reveals answers
+   * @param {Object} attempt - Attempt document
+   * @param {Object} quiz - Its quiz
+   * @param {Object} options - ({ reviewer }) trainers and admins always see the key
+   * @returns {Object} Attempt
+   */
+  presentAttempt(attempt, quiz, { reviewer = false } = {}) {
+    const data = attempt.toObject();
+    const inProgress = attempt.status === 'in_progress';
+    const showKey = reviewer || (!inProgress && quiz.revealAnswers);
+
+    data.items = data.items.map(item => {
+      const { key, isCorrect, pointsAwarded, ...rest } = item;
+      if (inProgress) return rest;
+      return showKey ? { ...rest, isCorrect, pointsAwarded, key } : { ...rest, isCorrect, pointsAwarded };
+    });
+
+    if (inProgress) {
+      delete data.score;
+      delete data.percentage;
+      delete data.passed;
+      data.remainingSeconds = attempt.expiresAt
+        ? Math.max(0, Math.round((attempt.expiresAt.getTime() - Date.now()) / 1000))
+        : null;
+    }
+
+    return data;
+  }
+
+  /**
+   * Quiz as shown to students: settings without questions or answers
+   * totalPoints is null when drawn questions keep their own (varying) points
+   * @param {Object} quiz - Quiz document
+   * @returns {Object} Quiz summary
+   */
+  presentQuiz(quiz) {
+    const { questions, questionRules, ...data } = quiz.toObject();
+    const fixedPoints = questions.reduce((sum, question) => sum + question.points, 0);
+
+    return {
+      ...data,
+      questionCount: questions.length + questionRules.reduce((sum, rule) => sum + rule.count, 0),
+      totalPoints: questionRules.every(rule => rule.points !== undefined && rule.points !== null)
+        ? round(questionRules.reduce((sum, rule) => sum + rule.count * rule.points, fixedPoints))
+        : null
+    };
+  }
+
+  /**
+   * Results of a quiz across submitted attempts, with per-question analytics;
+   * questions are listed from the most to the least often answered wrongly.
+   * Drawn bank questions are counted across every attempt they appeared in
+   * @param {Object} quiz - Quiz document
+   * @returns {Promise<Object>} ({ summary, questions })
+   */
+  async getAnalytics(quiz) {
+    const attempts = await QuizAttemptRepository.findByQuiz(quiz._id, { status: 'submitted' });
+    const stats = new Map();
+
+    attempts.forEach(attempt => {
+      attempt.items.forEach(item => {
+        const id = item.question.toString();
+        if (!stats.has(id)) {
+          stats.set(id, { question: item.question, source: item.source || 'quiz', type: item.type, text: item.text, attempts: 0, correct: 0, incorrect: 0, unanswered: 0, options: new Map() });
+        }
+        const entry = stats.get(id);
+        entry.attempts++;
+
+        if (item.answer === null || item.answer === undefined) entry.unanswered++;
+        else if (item.isCorrect) entry.correct++;
+        else entry.incorrect++;
+
+        if (MCQ_TYPES.includes(item.type)) {
+          const picked = [].concat(item.answer ?? []).map(String);
+          item.options.forEach(option => {
+            const optionId = option._id.toString();
+            const count = entry.options.get(optionId) || { _id: option._id, text: option.text, isCorrect: item.key.optionIds.some(keyId => keyId.toString() === optionId), picked: 0 };
+            if (picked.includes(optionId)) count.picked++;
+            entry.options.set(optionId, count);
+          });
+        }
+      });
+    });
+
+    // Questions still in the quiz (or, when drawn, still in the question bank) show their current text
+    const bankIds = [...stats.values()].filter(entry => entry.source === 'bank').map(entry => entry.question);
+    const bankQuestions = bankIds.length ? await BankQuestionRepository.findAll({ _id: { $in: bankIds } }, { text: 1 }) : [];
+    const current = new Set();
+
+    [...quiz.questions, ...bankQuestions].forEach(question => {
+      const entry = stats.get(question._id.toString());
+      if (entry) {
+        entry.text = question.text;
+        current.add(question._id.toString());
+      }
+    });
+
+    const questions = [...stats.values()]
+      .map(({ options, ...entry }) => ({
+        ...entry,
+        inQuiz: current.has(entry.question.toString()),
+        correctRate: entry.attempts ? round((entry.correct / entry.attempts) * 100) : 0,
+        ...(options.size && { options: [...options.values()] })
+      }))
+      .sort((a, b) => a.correctRate - b.correctRate);
+
+    const students = new Set(attempts.map(attempt => (attempt.student?._id || attempt.student).toString()));
+
+    return {
+      summary: {
+        attempts: attempts.length,
+        students: students.size,
+        averagePercentage: attempts.length ? round(attempts.reduce((sum, attempt) => sum + attempt.percentage, 0) / attempts.length) : 0,
+        passRate: attempts.length ? round((attempts.filter(attempt => attempt.passed).length / attempts.length) * 100) : 0,
+        timedOut: attempts.filter(attempt => attempt.timedOut).length
+      },
+      questions
+    };
+  }
+}
+
+export default QuizService;
@@ -0,0 +1,203 @@
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+import feeConfig from '../../config/fee.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const MODE_LABELS = {
+  cash: 'Cash',
+  upi: 'UPI',
+  card: 'Card',
+  bank_transfer: 'Bank transfer',
+  cheque: 'Cheque',
+  online: 'Online'
+};
+
+// Upload type (folder) the generated PDFs are stored under
+export const FEE_DOCUMENTS_UPLOAD_TYPE = 'fee-documents';
+
+/**
+ * Fee document service
+ * Branded PDF receipts and invoices with tax lines; stored with StoredPdfService
+ */
+class FeeDocumentService {
+  /**
+   * Format an amount with the currency code (the PDF fonts have no rupee sign)
+   * @param {number} amount - Amount
+   * @returns {string} Formatted amount
+   */
+  formatAmount(amount) {
+    const value = new Intl.NumberFormat('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount);
+    return `${feeConfig.currency} ${value}`;
+  }
+
+  /**
+   * Split a tax-inclusive amount into the taxable value and the configured tax lines
+   * @param {number} amount - Amount including tax
+   * @returns {{taxableAmount: number, taxes: Array<Object>}} Taxable value and tax lines; they add up to amount
+   */
+  computeTaxes(amount) {
+    const totalRate = feeConfig.taxes.reduce((sum, tax) => sum + tax.rate, 0);
+    const taxableAmount = round(amount / (1 + totalRate / 100));
+
+    let remaining = round(amount - taxableAmount);
+    const taxes = feeConfig.taxes.map((tax, index) => {
+      // The last line takes the rounding difference so the lines add up exactly
+      const taxAmount = index === feeConfig.taxes.length - 1 ? remaining : round(taxableAmount * tax.rate / 100);
+      remaining = round(remaining - taxAmount);
+      return { name: tax.name, rate: tax.rate, amount: taxAmount };
+    });
+
+    return { taxableAmount, taxes };
+  }
+
+  /**
+   * Render a branded fee document
+   * @param {Object} content - ({ title, details: [[label, value]], items: [{ description, amount }], taxableAmount, taxes, total, extraLines: [[label, amount]], footer })
+   * @returns {Promise<Buffer>} PDF file
+   */
+  renderPdf({ title, details, items, taxableAmount, taxes, total, extraLines = [], footer }) {
+    return new Promise((resolve, reject) => {
+      const { institute } = feeConfig;
+      const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title, Author: institute.name } });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const right = doc.page.width - doc.page.margins.right;
+      const width = right - left;
+
+      // Letterhead
+      let textLeft = left;
+      if (institute.logoPath && fs.existsSync(institute.logoPath)) {
+        try {
+          doc.image(institute.logoPath, left, 45, { fit: [60, 60] });
+          textLeft = left + 75;
+        } catch (error) {
+          logger.warn(`Could not draw institute logo ${institute.logoPath}: ${error.message}`);
+        }
+      }
+
+      doc.fillColor(institute.brandColor).font('Helvetica-Bold').fontSize(20).text(institute.name, textLeft, 50);
+      doc.fillColor('#555555').font('Helvetica').fontSize(9);
+      [institute.address, [institute.phone, institute.email].filter(Boolean).join('  |  '), institute.taxId && `Tax ID: ${institute.taxId}`]
+        .filter(Boolean)
+        .forEach(line => doc.text(line, textLeft));
+
+      doc.moveTo(left, 115).lineTo(right, 115).lineWidth(2).strokeColor(institute.brandColor).stroke();
+
+      doc.fillColor('#222222').font('Helvetica-Bold').fontSize(16).text(title, left, 130, { width, align: 'right' });
+
+      // Details
+      doc.moveDown(0.5).fontSize(10);
+      details.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font('Helvetica').fillColor('#555555').text(label, left, y, { width: 140 });
+        doc.font('Helvetica').fillColor('#222222').text(String(value ?? '-'), left + 150, y, { width: width - 150 });
+        doc.moveDown(0.2);
+      });
+
+      // Items and totals
+      const amountX = right - 150;
+      const row = (label, amount, { bold = false, color = '#222222' } = {}) => {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(color);
+        doc.text(label, left + 8, y, { width: amountX - left - 16 });
+        doc.text(this.formatAmount(amount), amountX, y, { width: 142, align: 'right' });
+        doc.moveDown(0.4);
+      };
+
+      doc.moveDown(1);
+      const headerY = doc.y;
+      doc.rect(left, headerY - 4, width, 20).fill(institute.brandColor);
+      doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(10);
+      doc.text('Description', left + 8, headerY);
+      doc.text('Amount', amountX, headerY, { width: 142, align: 'right' });
+      doc.y = headerY + 24;
+
+      items.forEach(item => row(item.description, item.amount));
+
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).lineWidth(0.5).strokeColor('#cccccc').stroke();
+      doc.moveDown(0.4);
+
+      if (taxes.length) {
+        row('Taxable value', taxableAmount, { color: '#555555' });
+        taxes.forEach(tax => row(`${tax.name} @ ${tax.rate}%`, tax.amount, { color: '#555555' }));
+      }
+      row(taxes.length ? 'Total (inclusive of taxes)' : 'Total', total, { bold: true });
+      extraLines.forEach(([label, amount]) => row(label, amount));
+
+      doc.font('Helvetica').fontSize(8).fillColor('#888888')
+        .text(footer, left, doc.page.height - doc.page.margins.bottom - 20, { width, align: 'center' });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Render the receipt of a payment
+   * @param {Object} payment - Payment transaction with student and receivedBy populated
+   * @param {Object} options - ({ refunded }) amount refunded against the payment so far
+   * @returns {Promise<Buffer>} PDF file
+   */
+  renderReceipt(payment, { refunded = 0 } = {}) {
+    if (payment.type !== 'payment' || !payment.receiptNumber) {
+      throw new AppError('Receipts are only issued for payments', 400);
+    }
+
+    const student = payment.student || {};
+    const extraLines = refunded ? [['Refunded', refunded], ['Net amount received', round(payment.amount - refunded)]] : [];
+
+    return this.renderPdf({
+      title: 'FEE RECEIPT',
+      details: [
+        ['Receipt number', payment.receiptNumber],
+        ['Date', payment.paidAt.toISOString().slice(0, 10)],
+        ['Student', `${student.name || ''} (${student.studentId || ''})`],
+        ['Batch', student.batchCode || '-'],
+        ['Payment mode', MODE_LABELS[payment.mode] || payment.mode],
+        ['Reference', payment.reference || '-'],
+        ['Received by', payment.receivedBy?.name || '-']
+      ],
+      items: [{ description: 'Fee payment', amount: payment.amount }],
+      ...this.computeTaxes(payment.amount),
+      total: payment.amount,
+      extraLines,
+      footer: 'This is a computer generated receipt and does not need a signature.'
+    });
+  }
+
+  /**
+   * Render an invoice
+   * @param {Object} invoice - Invoice with student populated
+   * @returns {Promise<Buffer>} PDF file
+   */
+  renderInvoice(invoice) {
+    const student = invoice.student || {};
+
+    return this.renderPdf({
+      title: invoice.taxes.length ? 'TAX INVOICE' : 'INVOICE',
+      details: [
+        ['Invoice number', invoice.invoiceNumber],
+        ['Invoice date', invoice.issuedAt.toISOString().slice(0, 10)],
+        ['Due date', invoice.dueDate.toISOString().slice(0, 10)],
+        ['Billed to', `${student.name || ''} (${student.studentId || ''})`],
+        ['Email', student.email || '-'],
+        ['Batch', student.batchCode || '-'],
+        ...(invoice.notes ? [['Notes', invoice.notes]] : [])
+      ],
+      items: invoice.items,
+      taxableAmount: invoice.taxableAmount,
+      taxes: invoice.taxes,
+      total: invoice.amount,
+      footer: 'This is a computer generated invoice and does not need a signature.'
+    });
+  }
+}
+
+export default FeeDocumentService;
@@ -0,0 +1,513 @@
+import mongoose from 'mongoose';
+import FeeTransactionRepository from '../../repositories/fee/feeTransactionRepository.js';
+import FeePlanRepository from '../../repositories/fee/feePlanRepository.js';
+import InvoiceRepository from '../../repositories/fee/invoiceRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import CourseRepository from '../../repositories/course/courseRepository.js';
+import FeeDocumentService, { FEE_DOCUMENTS_UPLOAD_TYPE } from './FeeDocumentService.js';
+import StoredPdfService from '../StoredPdfService.js';
+import feeConfig from '../../config/fee.js';
+import { CONCESSION_TYPES, PAYMENT_MODES } from '../../models/fee/FeeTransaction.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+// Amounts are kept to two decimals so repeated sums do not drift
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const feeDocumentService = new FeeDocumentService();
+const feeDocuments = new StoredPdfService(FEE_DOCUMENTS_UPLOAD_TYPE);
+
+/**
+ * Fee service
+ * Ledger of payments, refunds and concessions, instalment plans, and the
+ * Student.fee totals kept in step with the ledger
+ */
+class FeeService {
+  /**
+   * Validate an amount from a request
+   * @param {*} amount - Value to check
+   * @returns {number} Rounded amount
+   */
+  parseAmount(amount) {
+    if (typeof amount !== 'number' || !isFinite(amount) || amount <= 0) {
+      throw new AppError('amount must be a positive number', 400);
+    }
+    return round(amount);
+  }
+
+  /**
+   * Validate a payment date; defaults to now and cannot be in the future
+   * @param {*} value - Date from the request
+   * @returns {Date} Payment date
+   */
+  parsePaidAt(value) {
+    if (value === undefined) return new Date();
+
+    const paidAt = new Date(value);
+    if (isNaN(paidAt) || paidAt > new Date()) {
+      throw new AppError('paidAt must be a valid date that is not in the future', 400);
+    }
+    return paidAt;
+  }
+
+  /**
+   * Outstanding amount of a student
+   * @param {Object} student - Student document
+   * @returns {number} Pending amount
+   */
+  getPending(student) {
+    return round(student.fee.total - (student.fee.concession || 0) - student.fee.paid);
+  }
+
+  /**
+   * Credit a payment or concession to Student.fee before it is written to the ledger.
+   * The check against the pending amount and the update are one database operation,
+   * so concurrent requests cannot both pass it.
+   * @param {Object} student - Student document
+   * @param {Object} change - ({ paid } | { concession })
+   * @param {string} label - What is credited, for the error message
+   */
+  async reserveFee(student, change, label) {
+    const updated = await StudentRepository.incrementFee(student._id, change, { withinPending: true });
+
+    if (!updated) {
+      const current = await StudentRepository.findById(student._id);
+      throw new AppError(`${label} exceeds the pending amount of ${current ? this.getPending(current) : 0}`, 400);
+    }
+  }
+
+  /**
+   * Check Student.fee.paid and Student.fee.concession against the ledger and correct them when they drifted.
+   * The correction only applies if the totals did not change while the ledger was summed; run it when no
+   * postings for the student are in progress, as a reserved amount is not in the ledger yet
+   * @param {Object} student - Student document
+   * @param {Object} user - Admin running the check
+   * @returns {Promise<Object>} ({ recorded, ledger, corrected }) totals before the check, ledger totals and whether they were replaced
+   */
+  async reconcileStudentFee(student, user) {
+    const sums = await FeeTransactionRepository.sumByType(student._id);
+    const total = (type) => sums.find(sum => sum._id === type)?.amount || 0;
+
+    const recorded = { paid: student.fee.paid || 0, concession: student.fee.concession || 0 };
+    const ledger = {
+      paid: round(total('payment') - total('refund')),
+      concession: round(total('discount') + total('scholarship'))
+    };
+
+    if (round(recorded.paid) === ledger.paid && round(recorded.concession) === ledger.concession) {
+      return { recorded, ledger, corrected: false };
+    }
+
+    if (!await StudentRepository.replaceFeeCredits(student._id, recorded, ledger)) {
+      throw new AppError('The fee totals changed while they were checked, please try again', 409);
+    }
+
+    logger.warn(`Fee totals of ${student.studentId} corrected from the ledger by ${user.email}: `
+      + `paid ${recorded.paid} -> ${ledger.paid}, concession ${recorded.concession} -> ${ledger.concession}`);
+    return { recorded, ledger, corrected: true };
+  }
+
+  /**
+   * Record a fee payment
+   * @param {Object} student - Student document
+   * @param {Object} body - ({ amount, mode, reference, paidAt, receivedBy, instalmentId, notes })
+   * @param {Object} user - Admin recording the payment
+   * @returns {Promise<Object>} Payment with its receipt number
+   */
+  async recordPayment(student, body, user) {
+    const amount = this.parseAmount(body.amount);
+    const { mode, reference, notes, instalmentId } = body;
+
+    if (!PAYMENT_MODES.includes(mode)) {
+      throw new AppError(`mode must be one of: ${PAYMENT_MODES.join(', ')}`, 400);
+    }
+
+    if (body.receivedBy && !mongoose.isValidObjectId(body.receivedBy)) {
+      throw new AppError('receivedBy must be a user id', 400);
+    }
+
+    if (mode !== 'cash' && !reference) {
+      throw new AppError(`A reference is required for ${mode} payments`, 400);
+    }
+
+    const paidAt = this.parsePaidAt(body.paidAt);
+
+    if (instalmentId) {
+      const plan = await FeePlanRepository.findByStudent(student._id);
+      if (!plan?.instalments.id(instalmentId)) {
+        throw new AppError('Instalment not found in the student\'s fee plan', 404);
+      }
+    }
+
+    await this.reserveFee(student, { paid: amount }, 'Payment');
+
+    let payment;
+    try {
+      payment = await FeeTransactionRepository.create({
+        student: student._id,
+        type: 'payment',
+        amount,
+        mode,
+        reference,
+        paidAt,
+        receivedBy: body.receivedBy || user._id,
+        instalment: instalmentId,
+        notes,
+        recordedBy: user._id
+      });
+    } catch (error) {
+      await StudentRepository.incrementFee(student._id, { paid: -amount });
+      throw error;
+    }
+
+    logger.info(`Payment ${payment.receiptNumber} of ${amount} recorded for ${student.studentId} by ${user.email}`);
+
+    return payment;
+  }
+
+  /**
+   * Record a payment captured by the online gateway
+   * Idempotent: an order is credited once, however often it is reported
+   * @param {Object} order - Payment order
+   * @param {Object} data - ({ providerPaymentId, paidAt })
+   * @returns {Promise<{payment: Object, created: boolean}>} Ledger entry and whether it is new
+   */
+  async recordOnlinePayment(order, { providerPaymentId, paidAt = new Date() }) {
+    const existing = await FeeTransactionRepository.findByPaymentOrder(order._id);
+    if (existing) {
+      return { payment: existing, created: false };
+    }
+
+    let payment;
+    try {
+      payment = await FeeTransactionRepository.create({
+        student: order.student,
+        type: 'payment',
+        amount: order.amount,
+        mode: 'online',
+        reference: providerPaymentId,
+        paidAt,
+        instalment: order.instalment,
+        paymentOrder: order._id,
+        notes: `Online payment via ${order.provider}`
+      });
+    } catch (error) {
+      // Two deliveries raced past the lookup; the unique index let only one through
+      if (error.code !== 11000) throw error;
+      return { payment: await FeeTransactionRepository.findByPaymentOrder(order._id), created: false };
+    }
+
+    const student = await StudentRepository.incrementFee(order.student, { paid: order.amount });
+    if (student && this.getPending(student) < 0) {
+      logger.warn(`Online payment ${payment.receiptNumber} left student ${student.studentId} overpaid by ${-this.getPending(student)}`);
+    }
+
+    return { payment, created: true };
+  }
+
+  /**
+   * Refund (part of) a payment
+   * @param {Object} payment - Payment transaction
+   * @param {Object} body - ({ amount, mode, reference, reason })
+   * @param {Object} user - Admin recording the refund
+   * @returns {Promise<Object>} Refund transaction
+   */
+  async recordRefund(payment, body, user) {
+    if (payment.type !== 'payment') {
+      throw new AppError('Only payments can be refunded', 400);
+    }
+
+    const amount = this.parseAmount(body.amount ?? payment.amount);
+    const { reason, reference } = body;
+    const mode = body.mode || payment.mode;
+
+    if (!reason) {
+      throw new AppError('Please give a reason for the refund', 400);
+    }
+
+    if (!PAYMENT_MODES.includes(mode)) {
+      throw new AppError(`mode must be one of: ${PAYMENT_MODES.join(', ')}`, 400);
+    }
+
+    // Checked and counted against the payment in one update, so concurrent refunds cannot exceed it
+    if (!await FeeTransactionRepository.reserveRefund(payment._id, amount)) {
+      const refunded = await FeeTransactionRepository.sumRefunds(payment._id);
+      const refundable = round(payment.amount - refunded);
+      throw new AppError(`Only ${refundable} of payment ${payment.receiptNumber} can still be refunded`, 400);
+    }
+
+    let refund;
+    try {
+      refund = await FeeTransactionRepository.create({
+        student: payment.student,
+        type: 'refund',
+        amount,
+        mode,
+        reference,
+        reason,
+        refundOf: payment._id,
+        paidAt: new Date(),
+        receivedBy: user._id,
+        recordedBy: user._id
+      });
+    } catch (error) {
+      await FeeTransactionRepository.releaseRefund(payment._id, amount);
+      throw error;
+    }
+
+    await StudentRepository.incrementFee(payment.student, { paid: -amount });
+    logger.info(`Refund of ${amount} against ${payment.receiptNumber} recorded by ${user.email}: ${reason}`);
+
+    // The stored receipt no longer shows what was refunded; it is regenerated on the next download
+    if (payment.receiptFile) {
+      await FeeTransactionRepository.update(payment._id, { receiptFile: null });
+      await feeDocuments.discard(payment.receiptFile);
+    }
+
+    return refund;
+  }
+
+  /**
+   * Grant a discount or scholarship, lowering what the student owes
+   * @param {Object} student - Student document
+   * @param {Object} body - ({ type, amount, reason })
+   * @param {Object} user - Admin granting it
+   * @returns {Promise<Object>} Concession transaction
+   */
+  async addConcession(student, body, user) {
+    const amount = this.parseAmount(body.amount);
+    const { type, reason } = body;
+
+    if (!CONCESSION_TYPES.includes(type)) {
+      throw new AppError(`type must be one of: ${CONCESSION_TYPES.join(', ')}`, 400);
+    }
+
+    if (!reason) {
+      throw new AppError(`Please give a reason for the ${type}`, 400);
+    }
+
+    await this.reserveFee(student, { concession: amount }, `The ${type}`);
+
+    try {
+      return await FeeTransactionRepository.create({
+        student: student._id,
+        type,
+        amount,
+        reason,
+        paidAt: new Date(),
+        recordedBy: user._id
+      });
+    } catch (error) {
+      await StudentRepository.incrementFee(student._id, { concession: -amount });
+      throw error;
+    }
+  }
+
+  /**
+   * Set a student's instalment plan; the instalments must add up to the fee total
+   * @param {Object} student - Student document
+   * @param {Object} body - ({ total, instalments: [{ label, amount, dueDate }], notes })
+   * @param {Object} user - Admin setting the plan
+   * @returns {Promise<Object>} Fee plan
+   */
+  async setPlan(student, body, user) {
+    const { instalments, notes } = body;
+    const total = body.total !== undefined ? this.parseAmount(body.total) : student.fee.total;
+
+    if (total < student.fee.paid + (student.fee.concession || 0)) {
+      throw new AppError('total cannot be lower than what is already paid or waived', 400);
+    }
+
+    if (!Array.isArray(instalments) || !instalments.length) {
+      throw new AppError('Please provide at least one instalment', 400);
+    }
+
+    const parsed = instalments.map((instalment, index) => {
+      const dueDate = new Date(instalment.dueDate);
+      if (isNaN(dueDate)) {
+        throw new AppError(`Instalment ${index + 1} needs a valid dueDate`, 400);
+      }
+      return {
+        label: instalment.label || `Instalment ${index + 1}`,
+        amount: this.parseAmount(instalment.amount),
+        dueDate
+      };
+    }).sort((a, b) => a.dueDate - b.dueDate);
+
+    const sum = round(parsed.reduce((acc, instalment) => acc + instalment.amount, 0));
+    if (sum !== round(total)) {
+      throw new AppError(`Instalments add up to ${sum} but the fee total is ${total}`, 400);
+    }
+
+    if (total !== student.fee.total) {
+      if (!await StudentRepository.setFeeTotal(student._id, total)) {
+        throw new AppError('total cannot be lower than what is already paid or waived', 400);
+      }
+      student.fee.total = total;
+    }
+
+    return FeePlanRepository.upsertForStudent(student._id, { instalments: parsed, notes, createdBy: user._id });
+  }
+
+  /**
+   * Instalments with what is paid on each; payments and concessions are applied
+   * to the earliest instalments first
+   * @param {Object} plan - Fee plan
+   * @param {Object} student - Student document
+   * @returns {Array} Instalments with paid, due and status (paid, partially_paid, overdue, upcoming)
+   */
+  allocateInstalments(plan, student) {
+    let credit = student.fee.paid + (student.fee.concession || 0);
+    const now = new Date();
+
+    return plan.instalments.map(instalment => {
+      const paid = round(Math.min(credit, instalment.amount));
+      credit = round(credit - paid);
+      const due = round(instalment.amount - paid);
+
+      let status = 'upcoming';
+      if (!due) status = 'paid';
+      else if (instalment.dueDate < now) status = 'overdue';
+      else if (paid) status = 'partially_paid';
+
+      return {
+        _id: instalment._id,
+        label: instalment.label,
+        amount: instalment.amount,
+        dueDate: instalment.dueDate,
+        paid,
+        due,
+        status
+      };
+    });
+  }
+
+  /**
+   * Issue an invoice for a student's fee
+   * @param {Object} student - Student document
+   * @param {Object} body - ({ amount, instalmentId, description, dueDate, notes }); amount defaults to the instalment due, else the whole pending fee
+   * @param {Object} user - Admin issuing the invoice
+   * @returns {Promise<Object>} Invoice
+   */
+  async issueInvoice(student, body, user) {
+    const pending = this.getPending(student);
+    if (pending <= 0) {
+      throw new AppError('There is no pending fee to invoice', 400);
+    }
+
+    const course = student.course ? await CourseRepository.findById(student.course) : null;
+    let { amount, dueDate, description } = body;
+    let instalment;
+
+    if (body.instalmentId) {
+      const plan = await FeePlanRepository.findByStudent(student._id);
+      instalment = plan && this.allocateInstalments(plan, student)
+        .find(item => item._id.toString() === String(body.instalmentId));
+
+      if (!instalment) {
+        throw new AppError('Instalment not found in the student\'s fee plan', 404);
+      }
+      amount = amount ?? instalment.due;
+      dueDate = dueDate ?? instalment.dueDate;
+      description = description || [course?.title, instalment.label].filter(Boolean).join(' - ');
+    }
+
+    amount = this.parseAmount(amount ?? pending);
+    if (amount > pending) {
+      throw new AppError(`Amount exceeds the pending fee of ${pending}`, 400);
+    }
+
+    const issuedAt = new Date();
+    dueDate = dueDate ? new Date(dueDate) : new Date(issuedAt.getTime() + feeConfig.invoiceDueDays * 24 * 60 * 60 * 1000);
+    if (isNaN(dueDate)) {
+      throw new AppError('dueDate must be a valid date', 400);
+    }
+
+    const invoice = await InvoiceRepository.create({
+      student: student._id,
+      instalment: instalment?._id,
+      items: [{ description: description || (course ? `${course.title} fee` : 'Course fee'), amount }],
+      amount,
+      ...feeDocumentService.computeTaxes(amount),
+      currency: feeConfig.currency,
+      issuedAt,
+      dueDate,
+      notes: body.notes,
+      createdBy: user._id
+    });
+
+    logger.info(`Invoice ${invoice.invoiceNumber} of ${amount} issued to ${student.studentId} by ${user.email}`);
+
+    // Generate the PDF now; if storage is unavailable it is generated on the first download
+    try {
+      await this.getInvoiceDocument(invoice._id);
+    } catch (error) {
+      logger.error(`Could not store the PDF of invoice ${invoice.invoiceNumber}: ${error.message}`);
+    }
+
+    return InvoiceRepository.findById(invoice._id);
+  }
+
+  /**
+   * PDF receipt of a payment
+   * @param {string} paymentId - Payment transaction identifier
+   * @returns {Promise<Object>} Document (see StoredPdfService.load)
+   */
+  async getReceiptDocument(paymentId) {
+    const payment = await FeeTransactionRepository.findWithDetails(paymentId);
+
+    if (payment.type !== 'payment' || !payment.receiptNumber) {
+      throw new AppError('Receipts are only issued for payments', 400);
+    }
+
+    return feeDocuments.load({
+      file: payment.receiptFile,
+      name: payment.receiptNumber,
+      render: async () => feeDocumentService.renderReceipt(payment, {
+        refunded: await FeeTransactionRepository.sumRefunds(payment._id)
+      }),
+      save: (receiptFile) => FeeTransactionRepository.update(payment._id, { receiptFile })
+    });
+  }
+
+  /**
+   * PDF of an invoice
+   * @param {string} invoiceId - Invoice identifier
+   * @returns {Promise<Object>} Document (see StoredPdfService.load)
+   */
+  async getInvoiceDocument(invoiceId) {
+    const invoice = await InvoiceRepository.findWithDetails(invoiceId);
+
+    return feeDocuments.load({
+      file: invoice.file,
+      name: invoice.invoiceNumber,
+      render: () => feeDocumentService.renderInvoice(invoice),
+      save: (file) => InvoiceRepository.update(invoice._id, { file })
+    });
+  }
+
+  /**
+   * Fee statement of a student
+   * @param {Object} student - Student document
+   * @returns {Promise<Object>} Totals, instalments and ledger
+   */
+  async getStatement(student) {
+    const [plan, transactions] = await Promise.all([
+      FeePlanRepository.findByStudent(student._id),
+      FeeTransactionRepository.findByStudent(student._id)
+    ]);
+
+    return {
+      fee: {
+        total: student.fee.total,
+        paid: student.fee.paid,
+        concession: student.fee.concession || 0,
+        pending: this.getPending(student)
+      },
+      instalments: plan ? this.allocateInstalments(plan, student) : [],
+      transactions
+    };
+  }
+}
+
+export default FeeService;
@@ -0,0 +1,582 @@
+import mongoose from 'mongoose';
+import ForumThreadRepository from '../../repositories/forum/forumThreadRepository.js';
+import ForumReplyRepository from '../../repositories/forum/forumReplyRepository.js';
+import BatchRepository from '../../repositories/course/batchRepository.js';
+import CourseRepository from '../../repositories/course/courseRepository.js';
+import UserRepository from '../../repositories/user/userRepository.js';
+import FileUploadService from '../FileUploadService.js';
+import InboxService from '../notification/InboxService.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+import Pagination from '../../utils/pagination.js';
+import logger from '../../utils/logger.js';
+
+// Most users one post may mention
+const MAX_MENTIONS = 20;
+
+const inboxService = new InboxService();
+
+/**
+ * Forum service
+ * Discussion threads of a course or batch with replies, @mentions, accepted
+ * answers and moderation. Members are the students of the batch (or course),
+ * its trainers and the course head; trainers and admins moderate.
+ */
+class ForumService {
+  constructor() {
+    this.fileUploadService = new FileUploadService();
+  }
+
+  /**
+   * Course and batch a new thread or a thread list is about
+   * @param {Object} query - ({ courseId } | { batchId })
+   * @returns {Promise<{course: Object, batch: Object|null}>} Scope documents
+   */
+  async resolveScope({ courseId, batchId }) {
+    if (batchId) {
+      const batch = mongoose.isValidObjectId(batchId) ? await BatchRepository.findById(batchId) : null;
+      if (!batch) {
+        throw new AppError('Batch not found', 404);
+      }
+      return { course: await CourseRepository.findById(batch.course), batch };
+    }
+
+    if (!courseId) {
+      throw new AppError('Please provide a courseId or batchId', 400);
+    }
+
+    const course = mongoose.isValidObjectId(courseId) ? await CourseRepository.findById(courseId) : null;
+    if (!course || course.isDeleted) {
+      throw new AppError('Course not found', 404);
+    }
+
+    return { course, batch: null };
+  }
+
+  /**
+   * Whether a user is a member of a course or batch forum: admins, the course head,
+   * trainers of the batch (of any batch of the course for course-wide threads),
+   * and the students of the batch (of the course)
+   * @param {Object} user - User document
+   * @param {Object} scope - ({ course, batch }) ids or documents
+   * @returns {Promise<boolean>} Member
+   */
+  async canAccess(user, { course, batch }) {
+    switch (user.role) {
+      case 'admin':
+        return true;
+      case 'trainer': {
+        const courseDoc = course?.courseHead ? course : await CourseRepository.findById(course);
+        if (courseDoc && AccessControl.sameId(courseDoc.courseHead, user._id)) return true;
+
+        const taught = await BatchRepository.findOne(batch
+          ? { _id: batch._id || batch, trainers: user._id }
+          : { course: course._id || course, trainers: user._id });
+        return Boolean(taught);
+      }
+      case 'student':
+        return batch
+          ? AccessControl.sameId(user.batch, batch)
+          : AccessControl.sameId(user.course, course);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Fail with 403 unless the user is a member
+   * @param {Object} user - User document
+   * @param {Object} scope - ({ course, batch })
+   */
+  async assertCanAccess(user, scope) {
+    if (!await this.canAccess(user, scope)) {
+      throw new AppError('You are not a member of this course or batch', 403);
+    }
+  }
+
+  /**
+   * Members may moderate when they are trainers or admins
+   * @param {Object} user - User with access to the thread
+   * @returns {boolean} Moderator
+   */
+  isModerator(user) {
+    return ['admin', 'trainer'].includes(user.role);
+  }
+
+  /**
+   * Filter for every thread a user can see, when no course or batch is given
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Thread filter
+   */
+  async scopeFilter(user) {
+    if (user.role === 'admin') return {};
+
+    if (user.role === 'student') {
+      return {
+        $or: [
+          { batch: null, course: user.course },
+          ...(user.batch ? [{ batch: user.batch }] : [])
+        ]
+      };
+    }
+
+    const [batches, headed] = await Promise.all([
+      BatchRepository.findAll({ trainers: user._id }, { course: 1 }),
+      CourseRepository.findAll({ courseHead: user._id }, { _id: 1 })
+    ]);
+    const courses = [...batches.map(batch => batch.course), ...headed.map(course => course._id)];
+
+    return {
+      $or: [
+        { batch: { $in: batches.map(batch => batch._id) } },
+        { batch: null, course: { $in: courses } },
+        { course: { $in: headed.map(course => course._id) } }
+      ]
+    };
+  }
+
+  /**
+   * Load a thread the user can see, or fail with 404
+   * @param {string} threadId - Thread identifier
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Thread (author, mentions, course and batch populated)
+   */
+  async getThread(threadId, user) {
+    const thread = mongoose.isValidObjectId(threadId) ? await ForumThreadRepository.findWithDetails(threadId) : null;
+
+    if (!thread || (thread.isHidden && !this.isModerator(user))) {
+      throw new AppError('Thread not found', 404);
+    }
+
+    await this.assertCanAccess(user, { course: thread.course._id, batch: thread.batch?._id });
+    return thread;
+  }
+
+  /**
+   * Threads of a course or batch, or every thread the user can see; pinned first,
+   * then by latest activity. Hidden threads are only listed for moderators.
+   * @param {Object} query - ({ courseId, batchId, search, page, limit })
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<{threads: Array, total: number, pagination: Object}>} Page of threads
+   */
+  async listThreads(query, user) {
+    let filter;
+    if (query.courseId || query.batchId) {
+      const { course, batch } = await this.resolveScope(query);
+      await this.assertCanAccess(user, { course, batch });
+      filter = { course: course._id, batch: batch?._id || null };
+    } else {
+      filter = await this.scopeFilter(user);
+    }
+
+    const conditions = [filter];
+    if (!this.isModerator(user)) {
+      conditions.push({ isHidden: false });
+    }
+    if (query.search) {
+      const pattern = { $regex: Pagination.escapeRegex(query.search), $options: 'i' };
+      conditions.push({ $or: [{ title: pattern }, { body: pattern }] });
+    }
+
+    const pagination = Pagination.fromQuery(query);
+    const { threads, total } = await ForumThreadRepository.findPaginated({ $and: conditions }, pagination);
+
+    return { threads, total, pagination };
+  }
+
+  /**
+   * User ids from a `mentions` field: an array, a JSON array or a comma-separated
+   * string (multipart forms)
+   * @param {Array|string} value - Field value
+   * @returns {Array<string>} Distinct ids
+   */
+  parseMentions(value) {
+    if (!value) return [];
+
+    let ids = value;
+    if (typeof value === 'string') {
+      try {
+        ids = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+      } catch {
+        throw new AppError('mentions must be a list of user ids', 400);
+      }
+    }
+
+    if (!Array.isArray(ids)) {
+      throw new AppError('mentions must be a list of user ids', 400);
+    }
+
+    return [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+  }
+
+  /**
+   * Check mentioned users exist and are members of the forum
+   * @param {Array|string} value - `mentions` field
+   * @param {Object} scope - ({ course, batch })
+   * @returns {Promise<Array<Object>>} Mentioned users
+   */
+  async resolveMentions(value, scope) {
+    const ids = this.parseMentions(value);
+    if (!ids.length) return [];
+
+    if (ids.length > MAX_MENTIONS) {
+      throw new AppError(`A post can mention at most ${MAX_MENTIONS} people`, 400);
+    }
+    if (ids.some(id => !mongoose.isValidObjectId(id))) {
+      throw new AppError('mentions must be a list of user ids', 400);
+    }
+
+    const users = await UserRepository.findAll({ _id: { $in: ids } });
+    const members = [];
+    for (const user of users) {
+      if (await this.canAccess(user, scope)) members.push(user);
+    }
+
+    if (members.length < ids.length) {
+      throw new AppError('Only members of this course or batch can be mentioned', 400);
+    }
+
+    return members;
+  }
+
+  /**
+   * Students and trainers of a forum, for picking @mentions
+   * @param {Object} query - ({ courseId | batchId, search })
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array<Object>>} Members ({ _id, name, role, profileImage })
+   */
+  async getMembers(query, user) {
+    const { course, batch } = await this.resolveScope(query);
+    await this.assertCanAccess(user, { course, batch });
+
+    const trainerIds = batch
+      ? batch.trainers
+      : (await BatchRepository.findAll({ course: course._id }, { trainers: 1 })).flatMap(courseBatch => courseBatch.trainers);
+
+    const filter = {
+      $or: [
+        { role: 'student', ...(batch ? { batch: batch._id } : { course: course._id }) },
+        { _id: { $in: [...trainerIds, course.courseHead].filter(Boolean) } }
+      ]
+    };
+    if (query.search) {
+      filter.name = { $regex: Pagination.escapeRegex(query.search), $options: 'i' };
+    }
+
+    const members = await UserRepository.findAll(filter, { name: 1, role: 1, profileImage: 1 });
+    return members.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Store attachments through the upload pipeline
+   * @param {Array<Object>} files - Files from multer's `attachments` field
+   * @param {Object} metadata - Stored with the files
+   * @returns {Promise<Array<Object>>} Attachments
+   */
+  async uploadAttachments(files = [], metadata = {}) {
+    if (!files.length) return [];
+
+    const results = await this.fileUploadService.uploadNamedFiles({ attachments: files }, {
+      uploadType: 'attachments',
+      metadata
+    });
+    const uploads = results.attachments || [];
+    const failed = uploads.filter(upload => upload.success === false);
+
+    if (failed.length) {
+      await this.deleteFiles(uploads.filter(upload => upload.success !== false));
+      throw new AppError(`Could not upload ${failed.map(upload => `${upload.originalName} (${upload.error})`).join(', ')}`, 400);
+    }
+
+    return uploads.map(upload => ({
+      url: upload.url,
+      filename: upload.filename,
+      originalName: upload.originalName,
+      mimeType: upload.mimeType,
+      size: upload.size,
+      storageType: upload.storageType
+    }));
+  }
+
+  /**
+   * Remove stored attachments; failures are only logged
+   * @param {Array<Object>} files - Stored files
+   */
+  async deleteFiles(files) {
+    for (const file of files) {
+      try {
+        await this.fileUploadService.deleteFile(file.url, { storageType: file.storageType });
+      } catch (error) {
+        logger.warn(`Could not delete forum attachment ${file.url}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check the text of a post
+   * @param {string} body - Post text
+   * @returns {string} Trimmed text
+   */
+  validateBody(body) {
+    const text = typeof body === 'string' ? body.trim() : '';
+
+    if (!text) {
+      throw new AppError('Please provide the body', 400);
+    }
+    if (text.length > 10000) {
+      throw new AppError('body can be at most 10000 characters', 400);
+    }
+
+    return text;
+  }
+
+  /**
+   * Start a thread in a course or batch
+   * @param {Object} body - ({ courseId | batchId, title, body, mentions })
+   * @param {Array<Object>} files - Attachments
+   * @param {Object} user - Author
+   * @returns {Promise<Object>} Created thread
+   */
+  async createThread(body, files, user) {
+    const scope = await this.resolveScope(body);
+    await this.assertCanAccess(user, scope);
+
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title || title.length > 200) {
+      throw new AppError('Please provide a title of at most 200 characters', 400);
+    }
+    const text = this.validateBody(body.body);
+    const mentions = await this.resolveMentions(body.mentions, scope);
+
+    const attachments = await this.uploadAttachments(files, { courseId: scope.course._id.toString(), userId: user._id.toString() });
+
+    let thread;
+    try {
+      thread = await ForumThreadRepository.create({
+        course: scope.course._id,
+        batch: scope.batch?._id || null,
+        title,
+        body: text,
+        author: user._id,
+        attachments,
+        mentions: mentions.map(member => member._id)
+      });
+    } catch (error) {
+      await this.deleteFiles(attachments);
+      throw error;
+    }
+
+    await inboxService.notify(mentions.filter(member => !AccessControl.sameId(member._id, user._id)), {
+      type: 'forum_mention',
+      title: `${user.name} mentioned you in ${title}`,
+      data: { thread: thread._id }
+    });
+
+    return thread;
+  }
+
+  /**
+   * Hide a reply's content from non-moderators, keeping its place in the thread
+   * @param {Object} reply - Reply document
+   * @param {Object} user - Viewer
+   * @returns {Object} Reply as shown to the viewer
+   */
+  presentReply(reply, user) {
+    if (!reply.isHidden || this.isModerator(user)) return reply;
+
+    return {
+      _id: reply._id,
+      thread: reply.thread,
+      replyTo: reply.replyTo,
+      isHidden: true,
+      createdAt: reply.createdAt
+    };
+  }
+
+  /**
+   * Replies of a thread, oldest first
+   * @param {Object} thread - Thread the user can see
+   * @param {Object} query - ({ page, limit })
+   * @param {Object} user - Viewer
+   * @returns {Promise<{replies: Array, total: number, pagination: Object}>} Page of replies
+   */
+  async listReplies(thread, query, user) {
+    const pagination = Pagination.fromQuery(query, { defaultLimit: 50 });
+    const { replies, total } = await ForumReplyRepository.findByThread(thread._id, pagination);
+
+    return { replies: replies.map(reply => this.presentReply(reply, user)), total, pagination };
+  }
+
+  /**
+   * Reply to a thread; locked threads only take replies from moderators
+   * @param {Object} thread - Thread the user can see
+   * @param {Object} body - ({ body, replyTo, mentions })
+   * @param {Array<Object>} files - Attachments
+   * @param {Object} user - Author
+   * @returns {Promise<Object>} Created reply
+   */
+  async reply(thread, body, files, user) {
+    if (thread.isLocked && !this.isModerator(user)) {
+      throw new AppError('This thread is locked', 403);
+    }
+
+    const text = this.validateBody(body.body);
+
+    let replyTo = null;
+    if (body.replyTo) {
+      replyTo = mongoose.isValidObjectId(body.replyTo)
+        ? await ForumReplyRepository.findOne({ _id: body.replyTo, thread: thread._id })
+        : null;
+      if (!replyTo) {
+        throw new AppError('replyTo must be a reply of this thread', 400);
+      }
+    }
+
+    const scope = { course: thread.course._id, batch: thread.batch?._id || null };
+    const mentions = await this.resolveMentions(body.mentions, scope);
+    const attachments = await this.uploadAttachments(files, { threadId: thread._id.toString(), userId: user._id.toString() });
+
+    let reply;
+    try {
+      reply = await ForumReplyRepository.create({
+        thread: thread._id,
+        replyTo: replyTo?._id || null,
+        body: text,
+        author: user._id,
+        attachments,
+        mentions: mentions.map(member => member._id)
+      });
+    } catch (error) {
+      await this.deleteFiles(attachments);
+      throw error;
+    }
+
+    await ForumThreadRepository.recordReply(thread._id, reply.createdAt);
+
+    // the thread's author and the author replied to hear of the reply; mentioned users get a mention instead
+    const mentioned = mentions.map(member => member._id);
+    const others = (ids) => ids.filter(id => id
+      && !AccessControl.sameId(id, user._id)
+      && !mentioned.some(member => AccessControl.sameId(member, id)));
+
+    await inboxService.notify(others([thread.author?._id, replyTo?.author]), {
+      type: 'forum_reply',
+      title: `${user.name} replied in ${thread.title}`,
+      data: { thread: thread._id, reply: reply._id }
+    });
+    await inboxService.notify(mentioned.filter(id => !AccessControl.sameId(id, user._id)), {
+      type: 'forum_mention',
+      title: `${user.name} mentioned you in ${thread.title}`,
+      data: { thread: thread._id, reply: reply._id }
+    });
+
+    return reply;
+  }
+
+  /**
+   * Mark a reply as the accepted answer of a thread, or clear it (trainers and admins)
+   * @param {Object} thread - Thread the user can see
+   * @param {string|null} replyId - Reply to accept, or null to clear
+   * @param {Object} user - Moderator
+   * @returns {Promise<Object>} Updated thread
+   */
+  async acceptAnswer(thread, replyId, user) {
+    if (!this.isModerator(user)) {
+      throw new AppError('Only trainers and admins can accept answers', 403);
+    }
+
+    let reply = null;
+    if (replyId) {
+      reply = mongoose.isValidObjectId(replyId)
+        ? await ForumReplyRepository.findOne({ _id: replyId, thread: thread._id })
+        : null;
+      if (!reply || reply.isHidden) {
+        throw new AppError('replyId must be a visible reply of this thread', 400);
+      }
+    }
+
+    thread.acceptedAnswer = reply?._id || null;
+    thread.acceptedBy = reply ? user._id : null;
+    await thread.save();
+
+    if (reply && !AccessControl.sameId(reply.author, user._id)) {
+      await inboxService.notify([reply.author], {
+        type: 'forum_answer_accepted',
+        title: `Your answer in ${thread.title} was accepted`,
+        data: { thread: thread._id, reply: reply._id }
+      });
+    }
+
+    return thread;
+  }
+
+  /**
+   * Pin, lock or hide a thread (trainers and admins)
+   * @param {Object} thread - Thread the user can see
+   * @param {Object} body - ({ pinned, locked, hidden, reason })
+   * @param {Object} user - Moderator
+   * @returns {Promise<Object>} Updated thread
+   */
+  async moderateThread(thread, body, user) {
+    const changes = {};
+    for (const [field, key] of [['pinned', 'isPinned'], ['locked', 'isLocked'], ['hidden', 'isHidden']]) {
+      if (body[field] === undefined) continue;
+      if (typeof body[field] !== 'boolean') {
+        throw new AppError(`${field} must be a boolean`, 400);
+      }
+      changes[key] = body[field];
+    }
+
+    if (!Object.keys(changes).length) {
+      throw new AppError('Provide at least one of: pinned, locked, hidden', 400);
+    }
+
+    if (changes.isHidden !== undefined) {
+      changes.hiddenReason = changes.isHidden ? body.reason || null : null;
+    }
+
+    Object.assign(thread, changes, { moderatedBy: user._id });
+    await thread.save();
+
+    logger.info(`Forum thread ${thread._id} moderated by ${user.email}: ${JSON.stringify(changes)}`);
+    return thread;
+  }
+
+  /**
+   * Hide a reply, or show it again (trainers and admins)
+   * @param {string} replyId - Reply identifier
+   * @param {Object} body - ({ hidden, reason })
+   * @param {Object} user - Trainer or admin
+   * @returns {Promise<Object>} Updated reply
+   */
+  async moderateReply(replyId, body, user) {
+    const reply = mongoose.isValidObjectId(replyId) ? await ForumReplyRepository.findById(replyId) : null;
+    if (!reply) {
+      throw new AppError('Reply not found', 404);
+    }
+
+    const thread = await ForumThreadRepository.findById(reply.thread);
+    await this.assertCanAccess(user, { course: thread.course, batch: thread.batch });
+
+    if (typeof body.hidden !== 'boolean') {
+      throw new AppError('hidden must be a boolean', 400);
+    }
+
+    Object.assign(reply, {
+      isHidden: body.hidden,
+      hiddenReason: body.hidden ? body.reason || null : null,
+      moderatedBy: user._id
+    });
+    await reply.save();
+
+    // a hidden reply cannot stay the accepted answer
+    if (body.hidden && AccessControl.sameId(thread.acceptedAnswer, reply._id)) {
+      await ForumThreadRepository.update(thread._id, { acceptedAnswer: null, acceptedBy: null });
+    }
+
+    logger.info(`Forum reply ${reply._id} ${body.hidden ? 'hidden' : 'shown'} by ${user.email}`);
+    return reply;
+  }
+}
+
+export default ForumService;
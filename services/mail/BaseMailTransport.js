@@ -0,0 +1,24 @@
+/**
+ * Base mail transport interface
+ * Defines the contract for all mail transports
+ */
+class BaseMailTransport {
+  /**
+   * Send a message
+   * @param {Object} message - Message ({ from, to, subject, text, html })
+   * @returns {Promise<Object>} Delivery info
+   */
+  async send(message) {
+    throw new Error('send method must be implemented');
+  }
+
+  /**
+   * Validate transport configuration
+   * @returns {boolean} Is valid
+   */
+  validateConfig() {
+    throw new Error('validateConfig method must be implemented');
+  }
+}
+
+export default BaseMailTransport;
@@ -0,0 +1,30 @@
+import { v4 as uuidv4 } from 'uuid';
+import BaseMailTransport from './BaseMailTransport.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Console mail transport
+ * Logs outgoing messages instead of delivering them (development)
+ */
+class ConsoleMailTransport extends BaseMailTransport {
+  /**
+   * Send a message
+   * @param {Object} message - Message ({ from, to, subject, text, html })
+   * @returns {Promise<Object>} Delivery info
+   */
+  async send(message) {
+    const messageId = uuidv4();
+    logger.info(`[mail:console] ${messageId} to=${message.to} subject="${message.subject}"\n${message.text || ''}`);
+    return { messageId, transport: 'console' };
+  }
+
+  /**
+   * Validate transport configuration
+   * @returns {boolean} Is valid
+   */
+  validateConfig() {
+    return true;
+  }
+}
+
+export default ConsoleMailTransport;
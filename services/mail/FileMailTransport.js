@@ -0,0 +1,43 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { v4 as uuidv4 } from 'uuid';
+import BaseMailTransport from './BaseMailTransport.js';
+import mailConfig from '../../config/mail.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * File mail transport
+ * Writes each outgoing message to a JSON file (development and tests)
+ */
+class FileMailTransport extends BaseMailTransport {
+  constructor() {
+    super();
+    this.outputPath = mailConfig.file.outputPath;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Message ({ from, to, subject, text, html })
+   * @returns {Promise<Object>} Delivery info
+   */
+  async send(message) {
+    const messageId = uuidv4();
+    const filePath = path.join(this.outputPath, `${Date.now()}_${messageId}.json`);
+
+    await fs.ensureDir(this.outputPath);
+    await fs.writeJson(filePath, { messageId, ...message, sentAt: new Date().toISOString() }, { spaces: 2 });
+
+    logger.info(`[mail:file] ${messageId} written to ${filePath}`);
+    return { messageId, transport: 'file', path: filePath };
+  }
+
+  /**
+   * Validate transport configuration
+   * @returns {boolean} Is valid
+   */
+  validateConfig() {
+    return !!this.outputPath;
+  }
+}
+
+export default FileMailTransport;
@@ -0,0 +1,61 @@
+import ConsoleMailTransport from './ConsoleMailTransport.js';
+import FileMailTransport from './FileMailTransport.js';
+import MemoryMailTransport from './MemoryMailTransport.js';
+import SmtpMailTransport from './SmtpMailTransport.js';
+import mailConfig from '../../config/mail.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Main mail service
+ * Selects the configured transport and sends messages through it
+ */
+class MailService {
+  constructor() {
+    this.transports = {
+      console: new ConsoleMailTransport(),
+      file: new FileMailTransport(),
+      memory: new MemoryMailTransport(),
+      smtp: new SmtpMailTransport()
+    };
+
+    this.defaultTransport = mailConfig.transport;
+
+    if (!this.transports[this.defaultTransport]?.validateConfig()) {
+      logger.warn(`Mail transport '${this.defaultTransport}' is not properly configured, falling back to console`);
+      this.defaultTransport = 'console';
+    }
+  }
+
+  /**
+   * Get transport by name
+   * @param {string} transportName - Transport name
+   * @returns {BaseMailTransport} Transport instance
+   */
+  getTransport(transportName = null) {
+    const name = transportName || this.defaultTransport;
+
+    if (!this.transports[name]) {
+      throw new AppError(`Mail transport '${name}' not found`, 500);
+    }
+
+    return this.transports[name];
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - Message ({ to, subject, text, html })
+   * @param {Object} options - Send options ({ transport })
+   * @returns {Promise<Object>} Delivery info
+   */
+  async send(message, options = {}) {
+    if (!message.to || !message.subject) {
+      throw new AppError('Mail recipient and subject are required', 500);
+    }
+
+    const transport = this.getTransport(options.transport);
+    return transport.send({ from: mailConfig.from, ...message });
+  }
+}
+
+export default MailService;
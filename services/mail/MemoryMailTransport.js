@@ -0,0 +1,47 @@
+import { v4 as uuidv4 } from 'uuid';
+import BaseMailTransport from './BaseMailTransport.js';
+
+// Shared by every instance, so tests see what any MailService sent
+const outbox = [];
+
+/**
+ * Memory mail transport
+ * Keeps outgoing messages in memory so tests can inspect them
+ */
+class MemoryMailTransport extends BaseMailTransport {
+  /**
+   * Messages sent so far, oldest first
+   * @returns {Array<Object>} Messages ({ messageId, from, to, subject, text, html, sentAt })
+   */
+  get messages() {
+    return outbox;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Message ({ from, to, subject, text, html })
+   * @returns {Promise<Object>} Delivery info
+   */
+  async send(message) {
+    const messageId = uuidv4();
+    outbox.push({ messageId, ...message, sentAt: new Date() });
+    return { messageId, transport: 'memory' };
+  }
+
+  /**
+   * Forget the messages sent so far
+   */
+  clear() {
+    outbox.length = 0;
+  }
+
+  /**
+   * Validate transport configuration
+   * @returns {boolean} Is valid
+   */
+  validateConfig() {
+    return true;
+  }
+}
+
+export default MemoryMailTransport;
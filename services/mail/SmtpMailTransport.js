@@ -0,0 +1,53 @@
+import nodemailer from 'nodemailer';
+import BaseMailTransport from './BaseMailTransport.js';
+import mailConfig from '../../config/mail.js';
+
+/**
+ * SMTP mail transport
+ * Delivers messages through the configured SMTP server
+ */
+class SmtpMailTransport extends BaseMailTransport {
+  constructor() {
+    super();
+    this.config = mailConfig.smtp;
+    this.transporter = null;
+  }
+
+  /**
+   * Pooled nodemailer transporter, created on first use
+   * @returns {Object} Transporter
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: this.config.host,
+        port: this.config.port,
+        secure: this.config.secure,
+        auth: this.config.user ? { user: this.config.user, pass: this.config.pass } : undefined,
+        pool: true
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Message ({ from, to, subject, text, html })
+   * @returns {Promise<Object>} Delivery info
+   */
+  async send(message) {
+    const info = await this.getTransporter().sendMail(message);
+    return { messageId: info.messageId, transport: 'smtp', response: info.response };
+  }
+
+  /**
+   * Validate transport configuration
+   * @returns {boolean} Is valid
+   */
+  validateConfig() {
+    return !!this.config.host;
+  }
+}
+
+export default SmtpMailTransport;
@@ -0,0 +1,261 @@
+import { randomUUID } from 'crypto';
+import mongoose from 'mongoose';
+import NotificationRepository from '../../repositories/notification/notificationRepository.js';
+import SessionRepository from '../../repositories/auth/sessionRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import PresenceRepository from '../../repositories/notification/presenceRepository.js';
+import { PRESENCE_TTL_SECONDS } from '../../models/notification/Presence.js';
+import NotificationStream from './NotificationStream.js';
+import AppError from '../../utils/appError.js';
+import Pagination from '../../utils/pagination.js';
+import logger from '../../utils/logger.js';
+
+// Comment line sent on idle streams so proxies keep them open; the login session is re-checked at the same time
+const HEARTBEAT_MS = 25 * 1000;
+
+// Delay the browser waits before reconnecting a dropped stream
+const RECONNECT_MS = 5 * 1000;
+
+// Most notifications replayed to a reconnecting stream
+const REPLAY_LIMIT = 50;
+
+// Pending Student.isOnline writes by user id, so they land in order
+const presenceWrites = new Map();
+
+// This process, in the presence entries of the students connected to it
+const INSTANCE_ID = randomUUID();
+
+const stream = new NotificationStream();
+
+/**
+ * Inbox service
+ * In-app notifications stored per user with read state, pushed live over
+ * Server-Sent Events to the user's open connections
+ */
+class InboxService {
+  /**
+   * Store a notification for each user and push it to those connected
+   * @param {Array} users - Recipient user ids (duplicates and empty values are skipped)
+   * @param {Object} notification - ({ type, title, message, data })
+   * @returns {Promise<Array<Object>>} Created notifications
+   */
+  async create(users, { type, title, message, data }) {
+    const recipients = [...new Set(users.filter(Boolean).map(user => (user._id || user).toString()))];
+    if (!recipients.length) return [];
+
+    const notifications = await NotificationRepository.createMany(
+      recipients.map(user => ({ user, type, title, message, data }))
+    );
+
+    await Promise.all(notifications
+      .filter(notification => stream.isConnected(notification.user))
+      .map(async (notification) => {
+        const unreadCount = await NotificationRepository.countUnread(notification.user);
+        stream.send(notification.user, 'notification', { notification, unreadCount }, notification._id.toString());
+      }));
+
+    return notifications;
+  }
+
+  /**
+   * Create notifications without letting a failure break the caller
+   * @param {Array} users - Recipient user ids
+   * @param {Object} notification - As for create()
+   * @returns {Promise<Array<Object>>} Created notifications, empty on failure
+   */
+  async notify(users, notification) {
+    try {
+      return await this.create(users, notification);
+    } catch (error) {
+      logger.error(`Could not create ${notification.type} notifications: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * A user's notifications, newest first
+   * @param {Object} user - Authenticated user
+   * @param {Object} query - ({ unread, page, limit })
+   * @returns {Promise<Object>} ({ notifications, total, unreadCount, pagination })
+   */
+  async list(user, query = {}) {
+    const filter = { user: user._id };
+    if (query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const pagination = Pagination.fromQuery(query);
+    const [{ notifications, total }, unreadCount] = await Promise.all([
+      NotificationRepository.findPaginated(filter, pagination),
+      NotificationRepository.countUnread(user._id)
+    ]);
+
+    return { notifications, total, unreadCount, pagination };
+  }
+
+  /**
+   * Mark one of the user's notifications read
+   * @param {Object} user - Authenticated user
+   * @param {string} notificationId - Notification identifier
+   * @returns {Promise<{notification: Object, unreadCount: number}>} Notification and remaining unread
+   */
+  async markRead(user, notificationId) {
+    const notification = mongoose.isValidObjectId(notificationId)
+      ? await NotificationRepository.findOne({ _id: notificationId, user: user._id })
+      : null;
+
+    if (!notification) {
+      throw new AppError('Notification not found', 404);
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await this.pushUnreadCount(user._id);
+    return { notification, unreadCount };
+  }
+
+  /**
+   * Mark all of the user's notifications read
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<number>} Notifications that were unread
+   */
+  async markAllRead(user) {
+    const result = await NotificationRepository.markAllRead(user._id);
+    await this.pushUnreadCount(user._id);
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Tell the user's other tabs and devices the new unread count
+   * @param {string} userId - User identifier
+   * @returns {Promise<number>} Unread count
+   */
+  async pushUnreadCount(userId) {
+    const unreadCount = await NotificationRepository.countUnread(userId);
+    stream.send(userId, 'unread', { unreadCount });
+
+    return unreadCount;
+  }
+
+  /**
+   * Serve the event stream of an authenticated request until the client goes away or
+   * its login session ends. Sends `ready` with the unread count, then `notification`
+   * and `unread` events; a reconnecting browser first gets what it missed (Last-Event-ID).
+   * @param {Object} req - Express request (req.user and req.session set by authentication)
+   * @param {Object} res - Express response
+   */
+  async openStream(req, res) {
+    const { user, session } = req;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // no proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    if (stream.add(user._id, res)) {
+      this.updatePresence(user);
+    }
+
+    const heartbeat = setInterval(async () => {
+      const active = await SessionRepository.findActiveById(session._id).catch(() => session);
+      if (!active) {
+        stream.write(res, 'session_ended', { message: 'Your session has ended, please log in again' });
+        return res.end();
+      }
+      res.write(': ping\n\n');
+
+      if (user.role === 'student') {
+        await PresenceRepository.touch(user._id, INSTANCE_ID)
+          .catch(error => logger.error(`Could not refresh presence of ${user._id}: ${error.message}`));
+      }
+    }, HEARTBEAT_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      if (stream.remove(user._id, res)) {
+        this.updatePresence(user);
+      }
+    });
+
+    // the headers are sent, so errors from here on end the stream instead of reaching the error handler
+    try {
+      const lastEventId = req.get('Last-Event-ID');
+      if (mongoose.isValidObjectId(lastEventId)) {
+        const missed = await NotificationRepository.findSince(user._id, lastEventId, REPLAY_LIMIT);
+        missed.forEach(notification => stream.write(res, 'notification', { notification }, notification._id.toString()));
+      }
+
+      stream.write(res, 'ready', { unreadCount: await NotificationRepository.countUnread(user._id) });
+    } catch (error) {
+      logger.error(`Notification stream of ${user._id} failed: ${error.message}`);
+      res.end();
+    }
+  }
+
+  /**
+   * Bring Student.isOnline in line with whether the student has an open stream on any
+   * process. This process records or drops its own presence entry, then the flag is
+   * set from the entries of every process. Writes for one user run one after another
+   * and each stores the state at that time, so quick reconnects cannot leave a stale value
+   * @param {Object} user - User whose connections changed
+   */
+  updatePresence(user) {
+    if (user.role !== 'student') return;
+
+    const id = user._id.toString();
+    const write = (presenceWrites.get(id) || Promise.resolve())
+      .then(async () => {
+        if (stream.isConnected(id)) {
+          await PresenceRepository.touch(id, INSTANCE_ID);
+        } else {
+          await PresenceRepository.remove(id, INSTANCE_ID);
+        }
+        await StudentRepository.update(id, { isOnline: await PresenceRepository.isPresent(id) });
+      })
+      .catch(error => logger.error(`Could not update presence of ${id}: ${error.message}`))
+      .finally(() => {
+        if (presenceWrites.get(id) === write) presenceWrites.delete(id);
+      });
+
+    presenceWrites.set(id, write);
+  }
+
+  /**
+   * Set Student.isOnline from the fresh presence entries of every process. Students
+   * left online by a process that stopped go offline, and a flag written out of order
+   * by two processes is corrected.
+   * @returns {Promise<void>}
+   */
+  async sweepPresence() {
+    const present = await PresenceRepository.findPresentUsers();
+
+    await Promise.all([
+      StudentRepository.updateMany({ isOnline: true, _id: { $nin: present } }, { isOnline: false }),
+      StudentRepository.updateMany({ isOnline: false, _id: { $in: present } }, { isOnline: true })
+    ]);
+  }
+
+  /**
+   * Sweep presence now and then every time stale entries may have run out
+   */
+  startPresenceSweep() {
+    if (this.sweeper) return;
+
+    const sweep = () => this.sweepPresence()
+      .catch(error => logger.error(`Could not sweep student presence: ${error.message}`));
+
+    sweep();
+    this.sweeper = setInterval(sweep, PRESENCE_TTL_SECONDS * 1000);
+    this.sweeper.unref();
+  }
+}
+
+export default InboxService;
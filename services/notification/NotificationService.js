@@ -0,0 +1,534 @@
+import EmailNotificationRepository from '../../repositories/notification/emailNotificationRepository.js';
+import AssignmentRepository from '../../repositories/assignment/assignmentRepository.js';
+import SubmissionRepository from '../../repositories/assignment/submissionRepository.js';
+import BatchRepository from '../../repositories/course/batchRepository.js';
+import FeePlanRepository from '../../repositories/fee/feePlanRepository.js';
+import ParentRepository from '../../repositories/user/parentRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import AdminRepository from '../../repositories/user/AdminRepository.js';
+import MailService from '../mail/MailService.js';
+import FeeService from '../fee/FeeService.js';
+import AssignmentService from '../assignment/AssignmentService.js';
+import InboxService from './InboxService.js';
+import { EMAIL_TEMPLATES } from './emailTemplates.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import mailConfig from '../../config/mail.js';
+import feeConfig from '../../config/fee.js';
+import attendanceConfig from '../../config/attendance.js';
+import calendarConfig from '../../config/calendar.js';
+import AccessControl from '../../utils/accessControl.js';
+import { encryptSecret, decryptSecret } from '../../utils/secretBox.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// An email still 'sending' after this long belongs to a worker that died; it is taken again
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const feeService = new FeeService();
+const assignmentService = new AssignmentService();
+const inboxService = new InboxService();
+
+/**
+ * Notification service
+ * Templated emails queued in the database and delivered with retries by a
+ * background worker; the queue doubles as the delivery log
+ */
+class NotificationService {
+  constructor() {
+    this.mailService = new MailService();
+    this.processing = false;
+    this.worker = null;
+  }
+
+  /**
+   * Date (and time) in the institute's time zone, as shown in emails
+   * @param {Date} date - Date
+   * @param {boolean} withTime - Include the time of day
+   * @returns {string} e.g. "13 Jan 2025, 10:00"
+   */
+  formatDate(date, withTime = false) {
+    return new Date(date).toLocaleString('en-GB', {
+      timeZone: calendarConfig.timezone,
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      ...(withTime && { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    });
+  }
+
+  /**
+   * Render a template into subject, text and branded HTML
+   * @param {string} template - Template name (see emailTemplates.js)
+   * @param {Object} data - Template values
+   * @returns {{subject: string, text: string, html: string}} Email content
+   */
+  render(template, data) {
+    const definition = EMAIL_TEMPLATES[template];
+    if (!definition) {
+      throw new AppError(`Unknown email template '${template}'`, 500);
+    }
+
+    const text = definition.text(data);
+    const { name, brandColor } = feeConfig.institute;
+    const paragraphs = text.split('\n\n')
+      .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+      .join('');
+
+    const html = `<div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;color:#222">`
+      + `<h2 style="color:${brandColor};border-bottom:2px solid ${brandColor};padding-bottom:8px">${escapeHtml(name)}</h2>`
+      + `${paragraphs}</div>`;
+
+    return { subject: definition.subject(data), text, html };
+  }
+
+  /**
+   * Queue a templated email for delivery
+   * @param {Object} email - ({ template, to, data, user, dedupeKey, createdBy })
+   * @returns {Promise<Object|null>} Queued notification, or null when there is no address
+   *   or the dedupeKey was already used
+   */
+  async queue({ template, to, data = {}, user = null, dedupeKey, createdBy = null }) {
+    if (!to) return null;
+
+    const content = this.render(template, data);
+
+    // the body of a welcome email holds the password, so it is only stored encrypted
+    const encrypted = Boolean(EMAIL_TEMPLATES[template]?.sensitive);
+    if (encrypted) {
+      content.text = encryptSecret(content.text);
+      content.html = encryptSecret(content.html);
+    }
+
+    let notification;
+    try {
+      notification = await EmailNotificationRepository.create({
+        template,
+        to,
+        user,
+        ...content,
+        encrypted,
+        maxAttempts: mailConfig.queue.maxAttempts,
+        dedupeKey,
+        createdBy
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    this.kick();
+    return notification;
+  }
+
+  /**
+   * Queue an email without letting a failure break the caller (e.g. a request that triggered it)
+   * @param {Object} email - As for queue()
+   * @returns {Promise<Object|null>} Queued notification, or null
+   */
+  async notify(email) {
+    try {
+      return await this.queue(email);
+    } catch (error) {
+      logger.error(`Could not queue ${email.template} email to ${email.to}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Work through the queue soon, outside the current request
+   */
+  kick() {
+    setImmediate(() => {
+      this.processQueue().catch(error => logger.error(`Email queue failed: ${error.message}`));
+    });
+  }
+
+  /**
+   * Deliver due emails, up to the configured batch size; one run at a time per process
+   * @returns {Promise<number>} Emails attempted
+   */
+  async processQueue() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    let attempted = 0;
+    try {
+      while (attempted < mailConfig.queue.batchSize) {
+        const now = new Date();
+        const notification = await EmailNotificationRepository.claimNext(now, new Date(now.getTime() - STALE_SENDING_MS));
+        if (!notification) break;
+
+        await this.deliver(notification);
+        attempted++;
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Send a claimed email once; failures are retried with a doubling delay until maxAttempts
+   * @param {Object} notification - EmailNotification document
+   * @returns {Promise<Object>} Updated notification
+   */
+  async deliver(notification) {
+    const attempt = { at: new Date() };
+    notification.attempts += 1;
+
+    try {
+      const open = (body) => (notification.encrypted ? decryptSecret(body) : body);
+      const info = await this.mailService.send({
+        to: notification.to,
+        subject: notification.subject,
+        text: open(notification.text),
+        html: open(notification.html)
+      });
+
+      Object.assign(attempt, { transport: info.transport, messageId: info.messageId });
+      notification.status = 'sent';
+      notification.sentAt = attempt.at;
+      notification.lastError = null;
+    } catch (error) {
+      attempt.error = error.message;
+      notification.lastError = error.message;
+
+      if (notification.attempts >= notification.maxAttempts) {
+        notification.status = 'failed';
+        logger.error(`Email ${notification._id} (${notification.template}) to ${notification.to} failed for good: ${error.message}`);
+      } else {
+        const delay = mailConfig.queue.retryBaseSeconds * 1000 * 2 ** (notification.attempts - 1);
+        notification.status = 'queued';
+        notification.nextAttemptAt = new Date(Date.now() + delay);
+        logger.warn(`Email ${notification._id} to ${notification.to} failed (attempt ${notification.attempts}), retrying in ${delay / 1000}s: ${error.message}`);
+      }
+    }
+
+    // and once delivery is over it is not kept at all
+    if (notification.status !== 'queued' && EMAIL_TEMPLATES[notification.template]?.sensitive) {
+      notification.text = undefined;
+      notification.html = undefined;
+    }
+
+    notification.log.push(attempt);
+    notification.lockedAt = null;
+    return notification.save();
+  }
+
+  /**
+   * Poll the queue in the background, for retries and emails queued by other processes
+   */
+  startWorker() {
+    if (this.worker) return;
+
+    this.worker = setInterval(() => {
+      this.processQueue().catch(error => logger.error(`Email queue failed: ${error.message}`));
+    }, mailConfig.queue.pollSeconds * 1000);
+    this.worker.unref();
+
+    logger.info(`Email queue worker polling every ${mailConfig.queue.pollSeconds}s`);
+  }
+
+  /**
+   * Stop polling the queue
+   */
+  stopWorker() {
+    clearInterval(this.worker);
+    this.worker = null;
+  }
+
+  /**
+   * Put a failed email back in the queue with a fresh set of attempts
+   * @param {Object} notification - EmailNotification document
+   * @returns {Promise<Object>} Queued notification
+   */
+  async retry(notification) {
+    if (notification.status !== 'failed') {
+      throw new AppError(`Only failed emails can be retried; this one is ${notification.status}`, 400);
+    }
+
+    if (!notification.text) {
+      throw new AppError('The content of this email was not kept and it cannot be sent again', 400);
+    }
+
+    notification.status = 'queued';
+    notification.maxAttempts = notification.attempts + mailConfig.queue.maxAttempts;
+    notification.nextAttemptAt = new Date();
+    await notification.save();
+
+    this.kick();
+    return notification;
+  }
+
+  /**
+   * Email addresses of students and their parents
+   * @param {Array<Object>} students - Student documents
+   * @returns {Promise<Array<{to: string, user: Object, name: string}>>} Recipients, one per address
+   */
+  async studentAndParentRecipients(students) {
+    const parents = students.length
+      ? await ParentRepository.findAllParents({
+        $or: [{ _id: { $in: students.map(student => student.parent).filter(Boolean) } }, { studentIds: { $in: students.map(student => student._id) } }]
+      })
+      : [];
+
+    const recipients = new Map();
+    [...students, ...parents]
+      .filter(user => user.email && !recipients.has(user.email.toLowerCase()))
+      .forEach(user => recipients.set(user.email.toLowerCase(), { to: user.email, user: user._id, name: user.name }));
+
+    return [...recipients.values()];
+  }
+
+  /**
+   * Welcome email with sign-in details for a new account
+   * @param {Object} user - Created user
+   * @param {string} password - Initial password as given at creation, if any
+   * @param {Object} createdBy - Admin who created the account
+   * @returns {Promise<Object|null>} Queued notification
+   */
+  async sendWelcome(user, password, createdBy = null) {
+    return this.notify({
+      template: 'welcome',
+      to: user.email,
+      user: user._id,
+      createdBy: createdBy?._id,
+      data: {
+        name: user.name,
+        email: user.email,
+        password,
+        studentId: user.studentId,
+        loginUrl: `${mailConfig.appUrl}/login`
+      }
+    });
+  }
+
+  /**
+   * Tell a batch's students and their parents that a session moved or was cancelled, by email
+   * and in-app; the session's trainer also gets an in-app notification unless they made the change
+   * @param {Object} session - Session after the change
+   * @param {Object} previous - ({ date, startTime, endTime }) before a reschedule
+   * @param {Object} changedBy - User who made the change
+   * @returns {Promise<number>} Emails queued
+   */
+  async notifySessionChange(session, previous = null, changedBy = null) {
+    const [batch, students] = await Promise.all([
+      BatchRepository.findById(session.batch),
+      StudentRepository.findByBatch(session.batch)
+    ]);
+    const recipients = await this.studentAndParentRecipients(students);
+
+    const when = (slot) => `${this.formatDate(slot.date)} ${slot.startTime || ''}${slot.endTime ? `-${slot.endTime}` : ''}`.trim();
+    const template = session.status === 'cancelled' ? 'session_cancelled' : 'session_rescheduled';
+    const data = {
+      title: session.topic || (session.type === 'exam' ? 'Exam' : 'Class'),
+      batchCode: batch?.code || 'batch',
+      when: when(session),
+      previous: previous && when(previous),
+      meetingLink: session.meetingLink,
+      room: session.room,
+      reason: session.cancellationReason
+    };
+
+    const queued = await Promise.all(recipients.map(recipient => this.notify({
+      template,
+      to: recipient.to,
+      user: recipient.user,
+      data: { ...data, name: recipient.name },
+      dedupeKey: `${template}:${session._id}:${session.sequence}:${recipient.to.toLowerCase()}`
+    })));
+
+    const trainer = AccessControl.sameId(session.trainer, changedBy?._id) ? null : session.trainer;
+    await inboxService.notify([...recipients.map(recipient => recipient.user), trainer], {
+      type: template,
+      title: template === 'session_cancelled'
+        ? `Cancelled: ${data.title} on ${data.when}`
+        : `Moved: ${data.title} to ${data.when}`,
+      message: template === 'session_cancelled' ? data.reason : `${data.batchCode}, was ${data.previous}`,
+      data: { session: session._id, batch: session.batch }
+    });
+
+    return queued.filter(Boolean).length;
+  }
+
+  /**
+   * Email a student's parents and the admins managing users that attendance dropped below the threshold.
+   * Each recipient gets at most one alert per student a day, so concurrent recomputes do not repeat it
+   * @param {Object} student - Student document
+   * @param {Object} summary - Attendance summary (see AttendanceService.getSummary)
+   * @returns {Promise<number>} Emails queued
+   */
+  async sendLowAttendanceAlert(student, summary) {
+    const [parents, admins] = await Promise.all([
+      ParentRepository.findAllParents({ $or: [{ _id: student.parent }, { studentIds: student._id }] }),
+      AdminRepository.findWithPrivilege(PERMISSIONS.MANAGE_USERS)
+    ]);
+
+    const recipients = new Map();
+    for (const user of [...parents, ...admins]) {
+      if (user.email && !recipients.has(user.email.toLowerCase())) {
+        recipients.set(user.email.toLowerCase(), { to: user.email, user: user._id, name: user.name });
+      }
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    let queued = 0;
+    for (const recipient of recipients.values()) {
+      const notification = await this.notify({
+        template: 'low_attendance',
+        to: recipient.to,
+        user: recipient.user,
+        data: {
+          name: recipient.name,
+          studentName: student.name,
+          studentId: student.studentId,
+          percentage: summary.percentage,
+          threshold: attendanceConfig.alertThreshold,
+          present: summary.present,
+          late: summary.late,
+          absent: summary.absent,
+          excused: summary.excused
+        },
+        dedupeKey: `low_attendance:${student._id}:${recipient.to.toLowerCase()}:${today}`
+      });
+      if (notification) queued++;
+    }
+
+    logger.info(`Low attendance alert for ${student.studentId} (${summary.percentage}%): ${queued} email(s) queued`);
+    return queued;
+  }
+
+  /**
+   * Remind students and parents of instalments that are overdue or fall due within `days`.
+   * Each recipient gets at most one reminder per instalment a day
+   * @param {Object} options - ({ days })
+   * @param {Object} user - Admin sending the reminders
+   * @returns {Promise<{students: number, queued: number}>} Students reminded and emails queued
+   */
+  async sendFeeReminders({ days = 3 } = {}, user = null) {
+    if (!Number.isInteger(days) || days < 0 || days > 60) {
+      throw new AppError('days must be a whole number between 0 and 60', 400);
+    }
+
+    const until = new Date(Date.now() + days * DAY_MS);
+    const today = new Date().toISOString().slice(0, 10);
+    const plans = await FeePlanRepository.findAll({ 'instalments.dueDate': { $lte: until } });
+
+    let students = 0;
+    let queued = 0;
+    for (const plan of plans) {
+      const student = await StudentRepository.findById(plan.student);
+      if (!student) continue;
+
+      const dueInstalments = feeService.allocateInstalments(plan, student)
+        .filter(instalment => instalment.due > 0 && instalment.dueDate <= until);
+      if (!dueInstalments.length) continue;
+
+      students++;
+      const recipients = await this.studentAndParentRecipients([student]);
+
+      for (const instalment of dueInstalments) {
+        for (const recipient of recipients) {
+          const notification = await this.notify({
+            template: 'fee_reminder',
+            to: recipient.to,
+            user: recipient.user,
+            createdBy: user?._id,
+            data: {
+              name: recipient.name,
+              studentName: student.name,
+              label: instalment.label,
+              amount: `${feeConfig.currency} ${instalment.due.toFixed(2)}`,
+              dueDate: this.formatDate(instalment.dueDate),
+              overdue: instalment.status === 'overdue'
+            },
+            dedupeKey: `fee_reminder:${instalment._id}:${recipient.to.toLowerCase()}:${today}`
+          });
+          if (!notification) continue;
+
+          queued++;
+          await inboxService.notify([recipient.user], {
+            type: 'fee_reminder',
+            title: notification.subject,
+            message: `${feeConfig.currency} ${instalment.due.toFixed(2)} outstanding`,
+            data: { student: student._id, instalment: instalment._id, dueDate: instalment.dueDate }
+          });
+        }
+      }
+    }
+
+    logger.info(`Fee reminders: ${queued} email(s) queued for ${students} student(s)`);
+    return { students, queued };
+  }
+
+  /**
+   * Remind students of assignments due within `hours` that they have not submitted;
+   * once per assignment, and once more if its due date changes
+   * @param {Object} options - ({ hours })
+   * @param {Object} user - Trainer or admin sending the reminders; trainers only cover what they manage
+   * @returns {Promise<{assignments: number, queued: number}>} Assignments covered and emails queued
+   */
+  async sendAssignmentReminders({ hours = 24 } = {}, user = null) {
+    if (!Number.isInteger(hours) || hours < 1 || hours > 24 * 14) {
+      throw new AppError('hours must be a whole number between 1 and 336', 400);
+    }
+
+    const now = new Date();
+    const dueDate = { $gt: now, $lte: new Date(now.getTime() + hours * HOUR_MS) };
+    const filter = user?.role === 'trainer'
+      ? { $and: [{ dueDate }, await assignmentService.trainerScopeFilter(user)] }
+      : { dueDate };
+    const assignments = await AssignmentRepository.findAllAssignments(filter);
+
+    let queued = 0;
+    for (const assignment of assignments) {
+      const [students, submissions] = await Promise.all([
+        assignmentService.getAssignedStudents(assignment),
+        SubmissionRepository.findByAssignment(assignment._id)
+      ]);
+
+      const pending = students.filter(student => student.email
+        && !submissions.some(submission => AccessControl.sameId(submission.student, student._id)));
+
+      for (const student of pending) {
+        const notification = await this.notify({
+          template: 'assignment_due',
+          to: student.email,
+          user: student._id,
+          createdBy: user?._id,
+          data: {
+            name: student.name,
+            title: assignment.title,
+            courseTitle: assignment.course?.title,
+            dueDate: this.formatDate(assignment.dueDate, true)
+          },
+          dedupeKey: `assignment_due:${assignment._id}:${assignment.sequence || 0}:${student._id}`
+        });
+        if (!notification) continue;
+
+        queued++;
+        await inboxService.notify([student._id], {
+          type: 'assignment_due',
+          title: notification.subject,
+          message: 'You have not submitted it yet',
+          data: { assignment: assignment._id, dueDate: assignment.dueDate }
+        });
+      }
+    }
+
+    logger.info(`Assignment reminders: ${queued} email(s) queued for ${assignments.length} assignment(s)`);
+    return { assignments: assignments.length, queued };
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,78 @@
+// Open event streams by user id. The map is per process: other processes (cluster
+// workers, containers, serverless instances) hold their own connections.
+const clients = new Map();
+
+/**
+ * Notification stream
+ * Server-Sent Events connections of signed-in users, for pushing in-app notifications.
+ * A user may have several connections (tabs, devices); events go to all of them.
+ */
+class NotificationStream {
+  /**
+   * Register an event stream response of a user
+   * @param {string} userId - User identifier
+   * @param {Object} res - Express response with the event stream headers sent
+   * @returns {boolean} True when it is the user's first connection
+   */
+  add(userId, res) {
+    const id = userId.toString();
+    if (!clients.has(id)) clients.set(id, new Set());
+
+    clients.get(id).add(res);
+    return clients.get(id).size === 1;
+  }
+
+  /**
+   * Forget a closed connection
+   * @param {string} userId - User identifier
+   * @param {Object} res - Response passed to add()
+   * @returns {boolean} True when the user has no connection left
+   */
+  remove(userId, res) {
+    const id = userId.toString();
+    const connections = clients.get(id);
+    if (!connections) return true;
+
+    connections.delete(res);
+    if (!connections.size) clients.delete(id);
+    return !connections.size;
+  }
+
+  /**
+   * Whether a user has an open connection to this process
+   * @param {string} userId - User identifier
+   * @returns {boolean} Connected
+   */
+  isConnected(userId) {
+    return clients.has(userId.toString());
+  }
+
+  /**
+   * Write one event to a connection
+   * @param {Object} res - Event stream response
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   * @param {string} id - Event id, sent back by the browser as Last-Event-ID on reconnect
+   */
+  write(res, event, data, id = null) {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Send an event to every connection of a user
+   * @param {string} userId - User identifier
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   * @param {string} id - Event id
+   * @returns {number} Connections written to
+   */
+  send(userId, event, data, id = null) {
+    const connections = clients.get(userId.toString());
+    if (!connections) return 0;
+
+    connections.forEach(res => this.write(res, event, data, id));
+    return connections.size;
+  }
+}
+
+export default NotificationStream;
@@ -0,0 +1,78 @@
+import feeConfig from '../../config/fee.js';
+
+const signature = () => `\n\n${feeConfig.institute.name}`;
+
+// Optional line, left out when its value is empty
+const line = (label, value) => (value ? `\n${label}: ${value}` : '');
+
+/**
+ * Email templates by name
+ * Each builds the subject and plain text body from already formatted values;
+ * NotificationService wraps the text in the branded HTML layout.
+ * Bodies of `sensitive` templates are stored encrypted while queued and dropped
+ * from the log once delivery ends
+ */
+export const EMAIL_TEMPLATES = {
+  // data: { name, email, password, studentId, loginUrl }
+  welcome: {
+    sensitive: true,
+    subject: () => `Welcome to ${feeConfig.institute.name}`,
+    text: (data) => `Hello ${data.name},\n\n`
+      + `Your ${feeConfig.institute.name} account is ready. Sign in with:\n`
+      + `Email: ${data.email}`
+      + line('Temporary password', data.password)
+      + line('Student ID', data.studentId)
+      + `\n\nSign in at ${data.loginUrl}`
+      + (data.password ? ' and change your password straight away.' : '.')
+      + signature()
+  },
+
+  // data: { name, studentName, label, amount, dueDate, overdue }
+  fee_reminder: {
+    subject: (data) => (data.overdue ? `Fee overdue: ${data.studentName}` : `Fee due on ${data.dueDate}: ${data.studentName}`),
+    text: (data) => `Hello ${data.name},\n\n`
+      + (data.overdue
+        ? `The fee instalment${data.label ? ` "${data.label}"` : ''} of ${data.studentName} was due on ${data.dueDate} and ${data.amount} is still outstanding.`
+        : `The fee instalment${data.label ? ` "${data.label}"` : ''} of ${data.studentName} falls due on ${data.dueDate}; ${data.amount} is outstanding.`)
+      + '\n\nPlease pay online from the student portal or at the office. Ignore this email if you have paid in the meantime.'
+      + signature()
+  },
+
+  // data: { name, title, courseTitle, dueDate }
+  assignment_due: {
+    subject: (data) => `Assignment due ${data.dueDate}: ${data.title}`,
+    text: (data) => `Hello ${data.name},\n\n`
+      + `Your assignment "${data.title}"${data.courseTitle ? ` for ${data.courseTitle}` : ''} is due on ${data.dueDate} and you have not submitted it yet.`
+      + signature()
+  },
+
+  // data: { name, studentName, studentId, percentage, threshold, present, late, absent, excused }
+  low_attendance: {
+    subject: (data) => `Low attendance: ${data.studentName}`,
+    text: (data) => `Hello ${data.name},\n\n`
+      + `${data.studentName} (${data.studentId}) has attended ${data.percentage}% of their classes, below the required ${data.threshold}%.\n\n`
+      + `Present: ${data.present}, late: ${data.late}, absent: ${data.absent}, excused: ${data.excused}.`
+      + signature()
+  },
+
+  // data: { name, title, batchCode, previous, when, meetingLink, room }
+  session_rescheduled: {
+    subject: (data) => `Class rescheduled: ${data.title}`,
+    text: (data) => `Hello ${data.name},\n\n`
+      + `The ${data.batchCode} session "${data.title}" on ${data.previous} has moved to ${data.when}.`
+      + line('Join', data.meetingLink)
+      + line('Room', data.room)
+      + signature()
+  },
+
+  // data: { name, title, batchCode, when, reason }
+  session_cancelled: {
+    subject: (data) => `Class cancelled: ${data.title}`,
+    text: (data) => `Hello ${data.name},\n\n`
+      + `The ${data.batchCode} session "${data.title}" on ${data.when} has been cancelled.`
+      + line('Reason', data.reason)
+      + signature()
+  }
+};
+
+export default EMAIL_TEMPLATES;
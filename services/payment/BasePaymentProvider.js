@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+
+/**
+ * Base payment provider interface
+ * Defines the contract for all payment gateways
+ */
+class BasePaymentProvider {
+  /**
+   * Provider name, used in webhook URLs and stored on orders
+   * @returns {string} Provider name
+   */
+  get name() {
+    throw new Error('name getter must be implemented');
+  }
+
+  /**
+   * Create an order the client can pay
+   * @param {Object} order - ({ amount, currency, receipt, notes }); amount in major units (e.g. rupees)
+   * @returns {Promise<Object>} ({ providerOrderId, checkout }) where checkout is handed to the client
+   */
+  async createOrder(order) {
+    throw new Error('createOrder method must be implemented');
+  }
+
+  /**
+   * Check the signature of a webhook delivery
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {boolean} Signature is valid
+   */
+  verifyWebhookSignature(rawBody, headers) {
+    throw new Error('verifyWebhookSignature method must be implemented');
+  }
+
+  /**
+   * Turn a webhook payload into a provider-neutral event
+   * @param {Object} payload - Parsed webhook body
+   * @param {Object} headers - Request headers
+   * @returns {Object} ({ eventId, type, providerOrderId, providerPaymentId, amount, currency, failureReason })
+   *   where type is 'payment.captured', 'payment.failed' or anything else (ignored)
+   */
+  parseWebhookEvent(payload, headers) {
+    throw new Error('parseWebhookEvent method must be implemented');
+  }
+
+  /**
+   * Get provider configuration safe to expose to clients
+   * @returns {Object} Provider configuration
+   */
+  getConfig() {
+    throw new Error('getConfig method must be implemented');
+  }
+
+  /**
+   * Validate provider configuration
+   * @returns {boolean} Is valid
+   */
+  validateConfig() {
+    throw new Error('validateConfig method must be implemented');
+  }
+
+  /**
+   * HMAC-SHA256 hex digest, shared by providers that sign webhooks this way
+   * @param {Buffer|string} payload - Signed content
+   * @param {string} secret - Shared secret
+   * @returns {string} Hex signature
+   */
+  hmacSha256(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  /**
+   * Compare two signatures in constant time
+   * @param {string} expected - Computed signature
+   * @param {string} received - Signature from the request
+   * @returns {boolean} Signatures match
+   */
+  safeCompare(expected, received) {
+    if (typeof received !== 'string' || expected.length !== received.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+  }
+}
+
+export default BasePaymentProvider;
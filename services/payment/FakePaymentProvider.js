@@ -0,0 +1,90 @@
+import { v4 as uuidv4 } from 'uuid';
+import BasePaymentProvider from './BasePaymentProvider.js';
+import paymentConfig from '../../config/payment.js';
+
+/**
+ * Fake payment provider
+ * Local stand-in for a gateway so online payments can be exercised without
+ * network access. Webhooks are signed with HMAC-SHA256 of the raw body in
+ * the x-fake-signature header. Only enabled when PAYMENT_PROVIDER is 'fake'
+ * and a webhook secret is set, and refused when NODE_ENV is production.
+ */
+class FakePaymentProvider extends BasePaymentProvider {
+  constructor() {
+    super();
+    this.config = paymentConfig.fake;
+  }
+
+  get name() {
+    return 'fake';
+  }
+
+  /**
+   * Create an order
+   * @param {Object} order - ({ amount, currency, receipt })
+   * @returns {Promise<Object>} Order id and checkout details
+   */
+  async createOrder(order) {
+    const providerOrderId = `fake_order_${uuidv4().replace(/-/g, '')}`;
+
+    return {
+      providerOrderId,
+      checkout: {
+        provider: this.name,
+        orderId: providerOrderId,
+        amount: order.amount,
+        currency: order.currency
+      }
+    };
+  }
+
+  /**
+   * Build a signed webhook delivery for an order, as the gateway would send it
+   * @param {Object} data - ({ providerOrderId, amount, currency, outcome, eventId })
+   * @returns {{ rawBody: Buffer, headers: Object }} Delivery
+   */
+  buildWebhook({ providerOrderId, amount, currency, outcome = 'captured', eventId = `fake_evt_${uuidv4()}` }) {
+    const rawBody = Buffer.from(JSON.stringify({
+      id: eventId,
+      event: outcome === 'captured' ? 'payment.captured' : 'payment.failed',
+      order_id: providerOrderId,
+      payment_id: `fake_pay_${uuidv4().replace(/-/g, '')}`,
+      amount,
+      currency,
+      error: outcome === 'captured' ? undefined : 'Payment declined by the fake provider'
+    }));
+
+    return {
+      rawBody,
+      headers: { 'x-fake-signature': this.hmacSha256(rawBody, this.config.webhookSecret) }
+    };
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    return this.safeCompare(this.hmacSha256(rawBody, this.config.webhookSecret), headers['x-fake-signature']);
+  }
+
+  parseWebhookEvent(payload) {
+    return {
+      eventId: payload.id,
+      type: payload.event,
+      providerOrderId: payload.order_id,
+      providerPaymentId: payload.payment_id,
+      amount: payload.amount,
+      currency: payload.currency,
+      failureReason: payload.error
+    };
+  }
+
+  getConfig() {
+    return { provider: this.name };
+  }
+
+  validateConfig() {
+    return paymentConfig.provider === this.name
+      && process.env.NODE_ENV !== 'production'
+      && Boolean(this.config.webhookSecret);
+  }
+}
+
+export default FakePaymentProvider;
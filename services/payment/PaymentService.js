@@ -0,0 +1,274 @@
+import mongoose from 'mongoose';
+import FakePaymentProvider from './FakePaymentProvider.js';
+import RazorpayPaymentProvider from './RazorpayPaymentProvider.js';
+import PaymentOrderRepository from '../../repositories/fee/paymentOrderRepository.js';
+import WebhookEventRepository from '../../repositories/fee/webhookEventRepository.js';
+import FeePlanRepository from '../../repositories/fee/feePlanRepository.js';
+import FeeService from '../fee/FeeService.js';
+import paymentConfig from '../../config/payment.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+const HANDLED_EVENTS = ['payment.captured', 'payment.failed'];
+
+const feeService = new FeeService();
+
+/**
+ * Main payment service
+ * Creates gateway orders for fee payments and reconciles webhook deliveries
+ * into the fee ledger exactly once
+ */
+class PaymentService {
+  constructor() {
+    this.providers = {
+      fake: new FakePaymentProvider(),
+      razorpay: new RazorpayPaymentProvider()
+    };
+
+    this.defaultProvider = paymentConfig.provider;
+
+    if (!this.defaultProvider) {
+      logger.warn('PAYMENT_PROVIDER is not set, online payments are disabled');
+    } else if (!this.providers[this.defaultProvider]?.validateConfig()) {
+      logger.warn(`Payment provider '${this.defaultProvider}' is not properly configured, online payments are disabled`);
+    }
+  }
+
+  /**
+   * Get provider by name
+   * @param {string} providerName - Provider name
+   * @returns {BasePaymentProvider} Provider instance
+   */
+  getProvider(providerName = null) {
+    const name = providerName || this.defaultProvider;
+
+    if (!name) {
+      throw new AppError('Online payments are not available right now', 503);
+    }
+
+    if (!this.providers[name]) {
+      throw new AppError(`Payment provider '${name}' not found`, 404);
+    }
+
+    if (!this.providers[name].validateConfig()) {
+      throw new AppError('Online payments are not available right now', 503);
+    }
+
+    return this.providers[name];
+  }
+
+  /**
+   * Start an online payment for a student's pending fee
+   * @param {Object} student - Student document
+   * @param {Object} body - ({ amount, instalmentId }); amount defaults to the instalment due, else the whole pending fee
+   * @param {Object} user - Student or parent paying
+   * @returns {Promise<{order: Object, checkout: Object}>} Order and the details the client needs to pay
+   */
+  async createOrder(student, body, user) {
+    const pending = feeService.getPending(student);
+    if (pending <= 0) {
+      throw new AppError('There is no pending fee to pay', 400);
+    }
+
+    let amount = body.amount;
+
+    if (body.instalmentId) {
+      const plan = await FeePlanRepository.findByStudent(student._id);
+      const instalment = plan && feeService.allocateInstalments(plan, student)
+        .find(item => item._id.toString() === String(body.instalmentId));
+
+      if (!instalment) {
+        throw new AppError('Instalment not found in the student\'s fee plan', 404);
+      }
+      amount = amount ?? instalment.due;
+    }
+
+    amount = feeService.parseAmount(amount ?? pending);
+    if (amount > pending) {
+      throw new AppError(`Amount exceeds the pending fee of ${pending}`, 400);
+    }
+
+    const provider = this.getProvider();
+    const { providerOrderId, checkout } = await provider.createOrder({
+      amount,
+      currency: paymentConfig.currency,
+      receipt: `${student.studentId}-${Date.now()}`,
+      notes: { studentId: student.studentId }
+    });
+
+    const order = await PaymentOrderRepository.create({
+      student: student._id,
+      amount,
+      currency: paymentConfig.currency,
+      provider: provider.name,
+      providerOrderId,
+      instalment: body.instalmentId,
+      expiresAt: new Date(Date.now() + paymentConfig.orderExpiresMinutes * 60 * 1000),
+      createdBy: user._id
+    });
+
+    logger.info(`Payment order ${providerOrderId} of ${amount} created for ${student.studentId} by ${user.email}`);
+    return { order, checkout };
+  }
+
+  /**
+   * Load an order, marking it expired when it was left unpaid too long
+   * @param {string} orderId - Order identifier
+   * @returns {Promise<Object>} Order document
+   */
+  async getOrder(orderId) {
+    const order = mongoose.isValidObjectId(orderId) ? await PaymentOrderRepository.findById(orderId) : null;
+
+    if (!order) {
+      throw new AppError('Payment order not found', 404);
+    }
+
+    if (order.status === 'created' && order.expiresAt < new Date()) {
+      order.status = 'expired';
+      await order.save();
+    }
+
+    return order;
+  }
+
+  /**
+   * Record a webhook delivery, or hand back null when it was already handled
+   * Failed deliveries are taken back for another attempt
+   * @param {string} provider - Provider name
+   * @param {Object} event - Parsed event
+   * @param {Object} payload - Raw payload, kept for auditing
+   * @returns {Promise<Object|null>} Webhook event to process
+   */
+  async claimEvent(provider, event, payload) {
+    try {
+      return await WebhookEventRepository.create({
+        provider,
+        eventId: event.eventId,
+        type: event.type,
+        providerOrderId: event.providerOrderId,
+        payload
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await WebhookEventRepository.findByEventId(provider, event.eventId);
+      return existing?.status === 'failed' ? WebhookEventRepository.claimForRetry(existing._id) : null;
+    }
+  }
+
+  /**
+   * Apply an event to its order and the fee ledger
+   * @param {string} provider - Provider name
+   * @param {Object} event - Parsed event
+   * @returns {Promise<{status: string, note: string}>} 'processed' or 'ignored', with a note for the log
+   */
+  async reconcile(provider, event) {
+    if (!HANDLED_EVENTS.includes(event.type)) {
+      return { status: 'ignored', note: `Unhandled event type ${event.type}` };
+    }
+
+    const order = await PaymentOrderRepository.findByProviderOrderId(provider, event.providerOrderId);
+    if (!order) {
+      return { status: 'ignored', note: `Unknown order ${event.providerOrderId}` };
+    }
+
+    if (event.type === 'payment.failed') {
+      await PaymentOrderRepository.markFailed(order._id, event);
+      return { status: 'processed', note: `Order ${order.providerOrderId} failed` };
+    }
+
+    if (Math.round(event.amount * 100) !== Math.round(order.amount * 100) || (event.currency && event.currency !== order.currency)) {
+      logger.error(`Captured amount ${event.amount} ${event.currency} does not match order ${order.providerOrderId} (${order.amount} ${order.currency})`);
+      return { status: 'ignored', note: 'Captured amount does not match the order' };
+    }
+
+    const { payment, created } = await feeService.recordOnlinePayment(order, { providerPaymentId: event.providerPaymentId });
+
+    order.status = 'paid';
+    order.providerPaymentId = event.providerPaymentId;
+    order.feeTransaction = payment._id;
+    order.failureReason = null;
+    order.paidAt = order.paidAt || payment.paidAt;
+    await order.save();
+
+    return {
+      status: 'processed',
+      note: created ? `Credited as ${payment.receiptNumber}` : `Already credited as ${payment.receiptNumber}`
+    };
+  }
+
+  /**
+   * Verify, record and reconcile a webhook delivery
+   * @param {string} providerName - Provider from the webhook URL
+   * @param {Buffer} rawBody - Body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} ({ duplicate }) or ({ status, note })
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = this.getProvider(providerName);
+
+    if (!rawBody || !provider.verifyWebhookSignature(rawBody, headers)) {
+      throw new AppError('Invalid webhook signature', 400);
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new AppError('Webhook body is not valid JSON', 400);
+    }
+
+    const event = provider.parseWebhookEvent(payload, headers);
+    if (!event.eventId) {
+      throw new AppError('Webhook event has no id', 400);
+    }
+
+    const record = await this.claimEvent(provider.name, event, payload);
+    if (!record) {
+      logger.info(`Duplicate ${provider.name} webhook ${event.eventId} ignored`);
+      return { duplicate: true };
+    }
+
+    try {
+      const result = await this.reconcile(provider.name, event);
+
+      record.status = result.status;
+      record.error = result.status === 'ignored' ? result.note : null;
+      record.processedAt = new Date();
+      await record.save();
+
+      logger.info(`${provider.name} webhook ${event.eventId} (${event.type}) ${result.status}: ${result.note}`);
+      return result;
+    } catch (error) {
+      // Left as failed so the gateway's redelivery gets another go
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a fake-provider order by sending it a signed webhook, as the gateway would
+   * @param {Object} order - Payment order
+   * @param {string} outcome - 'captured' or 'failed'
+   * @returns {Promise<Object>} Webhook result
+   */
+  async simulate(order, outcome) {
+    if (order.provider !== 'fake') {
+      throw new AppError('Only orders of the fake provider can be simulated', 400);
+    }
+
+    const provider = this.getProvider('fake');
+    const { rawBody, headers } = provider.buildWebhook({
+      providerOrderId: order.providerOrderId,
+      amount: order.amount,
+      currency: order.currency,
+      outcome
+    });
+
+    return this.handleWebhook('fake', rawBody, headers);
+  }
+}
+
+export default PaymentService;
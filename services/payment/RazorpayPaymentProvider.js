@@ -0,0 +1,85 @@
+import BasePaymentProvider from './BasePaymentProvider.js';
+import paymentConfig from '../../config/payment.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Razorpay payment provider
+ * Orders are created through the REST API; webhooks carry an HMAC-SHA256
+ * signature of the raw body in x-razorpay-signature
+ */
+class RazorpayPaymentProvider extends BasePaymentProvider {
+  constructor() {
+    super();
+    this.config = paymentConfig.razorpay;
+  }
+
+  get name() {
+    return 'razorpay';
+  }
+
+  /**
+   * Create an order; Razorpay expects amounts in the smallest currency unit
+   * @param {Object} order - ({ amount, currency, receipt, notes })
+   * @returns {Promise<Object>} Order id and checkout details
+   */
+  async createOrder(order) {
+    const auth = Buffer.from(`${this.config.keyId}:${this.config.keySecret}`).toString('base64');
+
+    const response = await fetch(`${this.config.apiUrl}/orders`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Basic ${auth}` },
+      body: JSON.stringify({
+        amount: Math.round(order.amount * 100),
+        currency: order.currency,
+        receipt: order.receipt,
+        notes: order.notes
+      })
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      logger.error(`Razorpay order creation failed: ${response.status} ${body.error?.description || ''}`);
+      throw new AppError('Could not create the payment order, please try again later', 502);
+    }
+
+    return {
+      providerOrderId: body.id,
+      checkout: {
+        provider: this.name,
+        key: this.config.keyId,
+        orderId: body.id,
+        amount: body.amount,
+        currency: body.currency
+      }
+    };
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    return this.safeCompare(this.hmacSha256(rawBody, this.config.webhookSecret), headers['x-razorpay-signature']);
+  }
+
+  parseWebhookEvent(payload, headers) {
+    const payment = payload.payload?.payment?.entity || {};
+
+    return {
+      eventId: headers['x-razorpay-event-id'] || `${payload.event}:${payment.id}`,
+      type: payload.event,
+      providerOrderId: payment.order_id,
+      providerPaymentId: payment.id,
+      amount: typeof payment.amount === 'number' ? payment.amount / 100 : undefined,
+      currency: payment.currency,
+      failureReason: payment.error_description
+    };
+  }
+
+  getConfig() {
+    return { provider: this.name, key: this.config.keyId };
+  }
+
+  validateConfig() {
+    return Boolean(this.config.keyId && this.config.keySecret && this.config.webhookSecret);
+  }
+}
+
+export default RazorpayPaymentProvider;
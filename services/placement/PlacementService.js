@@ -0,0 +1,228 @@
+import mongoose from 'mongoose';
+import ApplicationRepository from '../../repositories/placement/applicationRepository.js';
+import JobOpeningRepository from '../../repositories/placement/jobOpeningRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import { ROUND_OUTCOMES } from '../../models/placement/Application.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+import logger from '../../utils/logger.js';
+
+const ACTIVE_STATUSES = ['shortlisted', 'in_process'];
+
+// Allowed manual status changes; rounds move shortlisted -> in_process and failed rounds -> rejected
+const STATUS_TRANSITIONS = {
+  shortlisted: ['in_process', 'selected', 'rejected', 'withdrawn'],
+  in_process: ['selected', 'rejected', 'withdrawn'],
+  selected: ['withdrawn'], // offer declined
+  rejected: [],
+  withdrawn: []
+};
+
+/**
+ * Placement service
+ * Shortlisting, interview rounds and the placement status kept on each student
+ */
+class PlacementService {
+  /**
+   * Shortlist students for a job opening
+   * Students already shortlisted, placed, opted out or outside the eligible courses are skipped
+   * @param {Object} job - Job opening document
+   * @param {Array<string>} studentIds - Students to shortlist
+   * @param {Object} user - HR/admin performing the shortlist
+   * @returns {Promise<{applications: Array, skipped: Array}>} Created applications and skipped students with a reason
+   */
+  async shortlist(job, studentIds, user) {
+    if (job.status !== 'open') {
+      throw new AppError(`Cannot shortlist for a job that is ${job.status}`, 400);
+    }
+
+    const ids = [...new Set(studentIds.map(String))];
+    const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+    if (invalid.length) {
+      throw new AppError(`Invalid student ids: ${invalid.join(', ')}`, 400);
+    }
+
+    const students = await StudentRepository.findAll({ _id: { $in: ids } });
+    const existing = (await ApplicationRepository.findExistingStudentIds(job._id, ids)).map(String);
+
+    const skipped = [];
+    const toCreate = [];
+
+    for (const id of ids) {
+      const student = students.find(s => s._id.toString() === id);
+      let reason = null;
+
+      if (!student) reason = 'not_found';
+      else if (existing.includes(id)) reason = 'already_shortlisted';
+      else if (student.placementStatus === 'placed') reason = 'already_placed';
+      else if (student.placementStatus === 'opted_out') reason = 'opted_out';
+      else if (job.eligibleCourses.length && !job.eligibleCourses.some(course => AccessControl.sameId(course, student.course))) reason = 'not_eligible';
+
+      if (reason) {
+        skipped.push({ student: id, reason });
+        continue;
+      }
+
+      toCreate.push({
+        job: job._id,
+        student: student._id,
+        resumeUrl: student.resumeUrl,
+        shortlistedBy: user._id
+      });
+    }
+
+    // A concurrent shortlist may have created some of these; the unique (job, student) index keeps theirs
+    const { created: applications, duplicates } = toCreate.length
+      ? await ApplicationRepository.insertUnique(toCreate)
+      : { created: [], duplicates: [] };
+    duplicates.forEach(application => skipped.push({ student: application.student.toString(), reason: 'already_shortlisted' }));
+
+    await Promise.all(applications.map(application => this.syncStudentPlacementStatus(application.student)));
+    logger.info(`${applications.length} student(s) shortlisted for "${job.title}" at ${job.company} by ${user.email}`);
+
+    return { applications, skipped };
+  }
+
+  /**
+   * Schedule an interview round
+   * @param {Object} application - Application document
+   * @param {Object} data - Round details ({ name, mode, scheduledAt, interviewer })
+   * @returns {Promise<Object>} Updated application
+   */
+  async addRound(application, data) {
+    if (!ACTIVE_STATUSES.includes(application.status)) {
+      throw new AppError(`Cannot add a round to an application that is ${application.status}`, 400);
+    }
+
+    if (!data.name) {
+      throw new AppError('Round name is required', 400);
+    }
+
+    application.rounds.push({
+      name: data.name,
+      mode: data.mode,
+      scheduledAt: data.scheduledAt,
+      interviewer: data.interviewer
+    });
+    application.status = 'in_process';
+    await application.save();
+
+    await this.syncStudentPlacementStatus(application.student);
+    return application;
+  }
+
+  /**
+   * Record the outcome of an interview round; a failed round or no-show rejects the application
+   * @param {Object} application - Application document
+   * @param {string} roundId - Round identifier
+   * @param {Object} data - ({ outcome, feedback })
+   * @param {Object} user - HR/admin recording the outcome
+   * @returns {Promise<Object>} Updated application
+   */
+  async recordOutcome(application, roundId, data, user) {
+    if (user.role === 'hr' && user.accessToEvaluation === false) {
+      throw new AppError('You are not allowed to record interview outcomes', 403);
+    }
+
+    if (!ROUND_OUTCOMES.includes(data.outcome)) {
+      throw new AppError(`outcome must be one of: ${ROUND_OUTCOMES.join(', ')}`, 400);
+    }
+
+    const round = application.rounds.id(roundId);
+    if (!round) {
+      throw new AppError('Interview round not found', 404);
+    }
+
+    round.outcome = data.outcome;
+    if (data.feedback !== undefined) round.feedback = data.feedback;
+    round.recordedBy = user._id;
+    round.recordedAt = new Date();
+
+    if (['failed', 'no_show'].includes(data.outcome) && ACTIVE_STATUSES.includes(application.status)) {
+      application.status = 'rejected';
+    }
+
+    await application.save();
+
+    await this.syncStudentPlacementStatus(application.student);
+    return application;
+  }
+
+  /**
+   * Move an application to a new status (selection, rejection, withdrawal)
+   * @param {Object} application - Application document
+   * @param {Object} data - ({ status, offer, remarks })
+   * @returns {Promise<Object>} Updated application
+   */
+  async updateStatus(application, data) {
+    const allowed = STATUS_TRANSITIONS[application.status] || [];
+
+    if (!allowed.includes(data.status)) {
+      throw new AppError(`Cannot change an application from ${application.status} to ${data.status}`, 400);
+    }
+
+    application.status = data.status;
+    if (data.offer && data.status === 'selected') application.offer = data.offer;
+    if (data.remarks !== undefined) application.remarks = data.remarks;
+    await application.save();
+
+    // Close the opening once every position is taken
+    if (data.status === 'selected') {
+      const job = await JobOpeningRepository.findById(application.job);
+      const selected = await ApplicationRepository.countByStatus(application.job, 'selected');
+
+      if (job && job.status === 'open' && selected >= job.openings) {
+        await JobOpeningRepository.update(job._id, { status: 'filled' });
+      }
+    }
+
+    await this.syncStudentPlacementStatus(application.student);
+    return application;
+  }
+
+  /**
+   * Derive Student.placementStatus from the student's applications
+   * A student who opted out stays opted out until an admin or HR clears it
+   * @param {string} studentId - Student identifier
+   * @returns {Promise<string|null>} New status
+   */
+  async syncStudentPlacementStatus(studentId) {
+    const student = await StudentRepository.findById(studentId);
+    if (!student || student.placementStatus === 'opted_out') {
+      return student?.placementStatus || null;
+    }
+
+    const applications = await ApplicationRepository.findAll({ student: studentId }, { status: 1 });
+    let placementStatus = 'not_placed';
+
+    if (applications.some(application => application.status === 'selected')) {
+      placementStatus = 'placed';
+    } else if (applications.some(application => ACTIVE_STATUSES.includes(application.status))) {
+      placementStatus = 'in_process';
+    }
+
+    if (placementStatus !== student.placementStatus) {
+      await StudentRepository.update(studentId, { placementStatus });
+    }
+
+    return placementStatus;
+  }
+
+  /**
+   * Opt a student out of placements, or back in
+   * @param {Object} student - Student document
+   * @param {boolean} optedOut - Opt out flag
+   * @returns {Promise<string>} New placement status
+   */
+  async setOptOut(student, optedOut) {
+    if (optedOut) {
+      await StudentRepository.update(student._id, { placementStatus: 'opted_out' });
+      return 'opted_out';
+    }
+
+    await StudentRepository.update(student._id, { placementStatus: 'not_placed' });
+    return this.syncStudentPlacementStatus(student._id);
+  }
+}
+
+export default PlacementService;
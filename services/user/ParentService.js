@@ -0,0 +1,137 @@
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import authConfig from '../../config/auth.js';
+import ParentRepository from '../../repositories/user/parentRepository.js';
+import StudentRepository from '../../repositories/user/studentRepository.js';
+import UserRepository from '../../repositories/user/userRepository.js';
+import AccessControl from '../../utils/accessControl.js';
+import AppError from '../../utils/appError.js';
+
+/**
+ * Parent service
+ * Creates parents, keeps Student.parent and Parent.studentIds in sync and
+ * builds the children overview shown to parents
+ */
+class ParentService {
+  /**
+   * Find or create the parent described by a student's "parent" field
+   * @param {string|Object} input - Existing parent id, or { name, email, phone, relationship, address, password, canLogin }
+   * @returns {Promise<{parent: Object, created: boolean}>} Parent document and whether it was created
+   */
+  async resolveParent(input) {
+    if (typeof input === 'string') {
+      if (!mongoose.isValidObjectId(input)) {
+        throw new AppError('Invalid parent id', 400);
+      }
+
+      const parent = await ParentRepository.findById(input);
+      if (!parent) {
+        throw new AppError('Parent not found', 404);
+      }
+      return { parent, created: false };
+    }
+
+    if (!input.name) {
+      throw new AppError('Parent name is required', 400);
+    }
+
+    // Siblings share a parent: reuse the account when the email is already known
+    if (input.email) {
+      const existing = await UserRepository.findOne({ email: input.email });
+
+      if (existing && existing.role !== 'parent') {
+        throw new AppError('The parent email is already used by another account', 409);
+      }
+      if (existing) {
+        return { parent: existing, created: false };
+      }
+    }
+
+    const data = {
+      name: input.name,
+      email: input.email,
+      phone: input.phone,
+      relationship: input.relationship,
+      address: input.address,
+      canLogin: !!input.canLogin
+    };
+
+    if (input.password) {
+      data.password = await bcrypt.hash(input.password, authConfig.password.saltRounds);
+    }
+
+    return { parent: await ParentRepository.create(data), created: true };
+  }
+
+  /**
+   * Link a parent and a student in both directions
+   * A student has a single primary parent; linking replaces the previous one
+   * @param {Object} parent - Parent document
+   * @param {Object} student - Student document
+   * @returns {Promise<Object>} Updated parent
+   */
+  async link(parent, student) {
+    if (student.parent && !AccessControl.sameId(student.parent, parent._id)) {
+      await ParentRepository.removeStudent(student.parent, student._id);
+    }
+
+    await StudentRepository.update(student._id, { parent: parent._id });
+    return ParentRepository.addStudent(parent._id, student._id);
+  }
+
+  /**
+   * Remove the link between a parent and a student
+   * @param {Object} parent - Parent document
+   * @param {Object} student - Student document
+   * @returns {Promise<Object>} Updated parent
+   */
+  async unlink(parent, student) {
+    if (AccessControl.sameId(student.parent, parent._id)) {
+      await StudentRepository.update(student._id, { $unset: { parent: 1 } });
+    }
+
+    return ParentRepository.removeStudent(parent._id, student._id);
+  }
+
+  /**
+   * Children of a parent with the figures shown on the parent dashboard
+   * @param {Object} parent - Parent document
+   * @returns {Promise<Array>} Child summaries
+   */
+  async getChildrenOverview(parent) {
+    const students = await StudentRepository.model
+      .find(AccessControl.studentScopeFilter(parent))
+      .populate('assignedTrainer', 'name email phone profileImage')
+      .populate('course', 'title');
+
+    return students.map(student => this.toChildSummary(student));
+  }
+
+  /**
+   * Shape a student for the parent dashboard
+   * @param {Object} student - Student document (trainer and course populated)
+   * @returns {Object} Child summary
+   */
+  toChildSummary(student) {
+    return {
+      _id: student._id,
+      studentId: student.studentId,
+      name: student.name,
+      profileImage: student.profileImage,
+      course: student.course,
+      batchCode: student.batchCode,
+      currentStatus: student.currentStatus,
+      progress: student.progress,
+      attendance: student.attendance,
+      fee: {
+        total: student.fee.total,
+        paid: student.fee.paid,
+        concession: student.fee.concession || 0,
+        pending: student.fee.pending
+      },
+      assignedTrainer: student.assignedTrainer
+    };
+  }
+}
+
+export default ParentService;
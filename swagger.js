@@ -118,7 +118,7 @@ const options = {
                 isOnline: {
                   type: "boolean",
                   example: false,
-                  description: "Student's online status",
+                  description: "True while the student has the notification stream open",
                 },
                 parent: {
                   type: "string",
@@ -164,7 +164,12 @@ const options = {
                     paid: {
                       type: "number",
                       example: 3000,
-                      description: "Amount paid",
+                      description: "Payments minus refunds (derived from the fee ledger)",
+                    },
+                    concession: {
+                      type: "number",
+                      example: 0,
+                      description: "Discounts and scholarships (derived from the fee ledger)",
                     },
                     pending: {
                       type: "number",
@@ -203,10 +208,15 @@ const options = {
                   example: "2024-08-01T10:30:00.000Z",
                   description: "Last login timestamp",
                 },
+                batch: {
+                  type: "string",
+                  example: "64c3af23e897ad238cabc150",
+                  description: "Batch ID",
+                },
                 batchCode: {
                   type: "string",
-                  example: "BATCH2024A",
-                  description: "Student's batch code",
+                  example: "BATCH1001",
+                  description: "Code of the student's batch, kept in sync with the batch",
                 },
               },
             },
@@ -268,7 +278,970 @@ const options = {
             },
           ],
         },
-        
+
+
+        // Parent Schema (extends User)
+        Parent: {
+          allOf: [
+            { $ref: "#/components/schemas/User" },
+            {
+              type: "object",
+              properties: {
+                studentIds: {
+                  type: "array",
+                  items: {
+                    type: "string",
+                  },
+                  example: ["64c3af23e897ad238cabc124"],
+                  description: "Linked children",
+                },
+                relationship: {
+                  type: "string",
+                  example: "mother",
+                  description: "Relationship to the students",
+                },
+                address: {
+                  type: "string",
+                  example: "12 Park Street, Kochi",
+                },
+                canLogin: {
+                  type: "boolean",
+                  example: true,
+                  description: "Whether the parent may log in to the portal",
+                },
+              },
+            },
+          ],
+        },
+
+        // Child as shown on the parent dashboard
+        ChildSummary: {
+          type: "object",
+          properties: {
+            _id: {
+              type: "string",
+              example: "64c3af23e897ad238cabc124",
+            },
+            studentId: {
+              type: "string",
+              example: "STD12",
+            },
+            name: {
+              type: "string",
+              example: "Arjun Nair",
+            },
+            course: {
+              type: "object",
+              properties: {
+                _id: { type: "string" },
+                title: { type: "string", example: "Full Stack Development" },
+              },
+            },
+            batchCode: {
+              type: "string",
+              example: "FSD-2024-A",
+            },
+            currentStatus: {
+              type: "string",
+              enum: ["enrolled", "paused", "completed"],
+            },
+            progress: {
+              type: "number",
+              example: 45,
+            },
+            attendance: {
+              type: "number",
+              example: 92,
+            },
+            fee: {
+              type: "object",
+              properties: {
+                total: { type: "number", example: 50000 },
+                paid: { type: "number", example: 30000 },
+                concession: { type: "number", example: 0 },
+                pending: { type: "number", example: 20000 },
+              },
+            },
+            assignedTrainer: {
+              type: "object",
+              properties: {
+                _id: { type: "string" },
+                name: { type: "string", example: "Priya Menon" },
+                email: { type: "string", example: "priya@example.com" },
+                phone: { type: "string", example: "+919876543210" },
+              },
+            },
+          },
+        },
+
+        // HR Schema (extends User)
+        Hr: {
+          allOf: [
+            { $ref: "#/components/schemas/User" },
+            {
+              type: "object",
+              properties: {
+                department: {
+                  type: "string",
+                  example: "Placement",
+                },
+                accessToEvaluation: {
+                  type: "boolean",
+                  example: true,
+                  description: "Whether the user may record interview outcomes",
+                },
+                notes: {
+                  type: "string",
+                },
+              },
+            },
+          ],
+        },
+
+        // Placement: job opening fields accepted on create/update
+        JobOpeningInput: {
+          type: "object",
+          required: ["title", "company"],
+          properties: {
+            title: {
+              type: "string",
+              example: "Junior MERN Developer",
+            },
+            company: {
+              type: "string",
+              example: "Acme Technologies",
+            },
+            description: {
+              type: "string",
+            },
+            location: {
+              type: "string",
+              example: "Kochi",
+            },
+            employmentType: {
+              type: "string",
+              enum: ["full_time", "part_time", "internship", "contract"],
+            },
+            salary: {
+              type: "object",
+              properties: {
+                min: { type: "number", example: 300000 },
+                max: { type: "number", example: 450000 },
+                currency: { type: "string", example: "INR" },
+              },
+            },
+            skills: {
+              type: "array",
+              items: { type: "string" },
+              example: ["React", "Node.js", "MongoDB"],
+            },
+            openings: {
+              type: "integer",
+              example: 2,
+            },
+            eligibleCourses: {
+              type: "array",
+              items: { type: "string" },
+              description: "Course IDs whose students can be shortlisted (empty for any course)",
+            },
+            deadline: {
+              type: "string",
+              format: "date-time",
+            },
+            status: {
+              type: "string",
+              enum: ["open", "closed", "filled"],
+            },
+          },
+        },
+
+        JobOpening: {
+          allOf: [
+            { $ref: "#/components/schemas/JobOpeningInput" },
+            {
+              type: "object",
+              properties: {
+                _id: { type: "string" },
+                createdBy: { type: "string" },
+                createdAt: { type: "string", format: "date-time" },
+              },
+            },
+          ],
+        },
+
+        // Placement: a student shortlisted for a job opening
+        Application: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            job: {
+              type: "string",
+              description: "Job opening ID (populated with job details on student views)",
+            },
+            student: {
+              type: "string",
+              description: "Student ID (populated with student details on job views)",
+            },
+            resumeUrl: {
+              type: "string",
+              example: "https://example.com/resume.pdf",
+              description: "Student's resume at the time of shortlisting",
+            },
+            status: {
+              type: "string",
+              enum: ["shortlisted", "in_process", "selected", "rejected", "withdrawn"],
+            },
+            rounds: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  _id: { type: "string" },
+                  name: { type: "string", example: "Technical round 1" },
+                  mode: { type: "string", enum: ["online", "onsite", "phone"] },
+                  scheduledAt: { type: "string", format: "date-time" },
+                  interviewer: { type: "string" },
+                  outcome: { type: "string", enum: ["pending", "passed", "failed", "no_show"] },
+                  feedback: { type: "string" },
+                  recordedBy: { type: "string" },
+                  recordedAt: { type: "string", format: "date-time" },
+                },
+              },
+            },
+            offer: {
+              type: "object",
+              properties: {
+                salary: { type: "number" },
+                joiningDate: { type: "string", format: "date" },
+                notes: { type: "string" },
+              },
+            },
+            shortlistedBy: { type: "string" },
+            remarks: { type: "string" },
+          },
+        },
+
+        // Pagination block returned by paginated list endpoints
+        Pagination: {
+          type: "object",
+          properties: {
+            page: { type: "integer", example: 1 },
+            limit: { type: "integer", example: 20 },
+            total: { type: "integer", example: 42 },
+            totalPages: { type: "integer", example: 3 },
+            hasNextPage: { type: "boolean", example: true },
+            hasPrevPage: { type: "boolean", example: false },
+          },
+        },
+
+        // Curriculum: ordered module of a course (lessons included on curriculum reads)
+        CourseModule: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            course: { type: "string" },
+            title: { type: "string", example: "JavaScript Basics" },
+            description: { type: "string" },
+            order: { type: "integer", example: 1 },
+            isPublished: { type: "boolean", example: true },
+            publishedAt: { type: "string", format: "date-time" },
+            lessons: {
+              type: "array",
+              items: { $ref: "#/components/schemas/Lesson" },
+            },
+            quizzes: {
+              type: "array",
+              description: "Quiz settings, without questions",
+              items: { $ref: "#/components/schemas/Quiz" },
+            },
+          },
+        },
+
+        // Curriculum: lesson inside a module
+        Lesson: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            course: { type: "string" },
+            module: { type: "string" },
+            title: { type: "string", example: "Setting up Node.js" },
+            type: { type: "string", enum: ["video", "document", "text", "link"] },
+            content: { type: "string" },
+            url: { type: "string" },
+            durationMinutes: { type: "number", example: 15 },
+            attachments: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  _id: { type: "string" },
+                  url: { type: "string", example: "/uploads/course/notes_1700000000.pdf" },
+                  originalName: { type: "string", example: "notes.pdf" },
+                  mimeType: { type: "string", example: "application/pdf" },
+                  size: { type: "number" },
+                  storageType: { type: "string", example: "local" },
+                },
+              },
+            },
+            order: { type: "integer", example: 1 },
+            isPublished: { type: "boolean", example: false },
+          },
+        },
+
+        // Progress of a student on one lesson
+        LessonProgress: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            student: { type: "string" },
+            course: { type: "string" },
+            module: { type: "string" },
+            lesson: { type: "string" },
+            status: { type: "string", enum: ["in_progress", "completed"] },
+            startedAt: { type: "string", format: "date-time" },
+            completedAt: { type: "string", format: "date-time", nullable: true },
+            lastAccessedAt: { type: "string", format: "date-time" },
+            timeSpentSeconds: { type: "number", example: 540 },
+            videoPosition: { type: "number", example: 312 },
+          },
+        },
+
+        // Course progress of a student, lesson by lesson
+        StudentProgress: {
+          type: "object",
+          properties: {
+            course: { type: "string" },
+            progress: { type: "number", example: 40 },
+            completedLessons: { type: "integer", example: 4 },
+            totalLessons: { type: "integer", example: 10 },
+            passedQuizzes: { type: "integer", example: 1 },
+            totalQuizzes: { type: "integer", example: 3 },
+            timeSpentSeconds: { type: "number", example: 7200 },
+            modules: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  _id: { type: "string" },
+                  title: { type: "string" },
+                  lessons: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        _id: { type: "string" },
+                        title: { type: "string" },
+                        type: { type: "string" },
+                        status: { type: "string", enum: ["not_started", "in_progress", "completed"] },
+                        completedAt: { type: "string", format: "date-time", nullable: true },
+                        lastAccessedAt: { type: "string", format: "date-time", nullable: true },
+                        timeSpentSeconds: { type: "number" },
+                        videoPosition: { type: "number" },
+                      },
+                    },
+                  },
+                  quizzes: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        _id: { type: "string" },
+                        title: { type: "string" },
+                        status: { type: "string", enum: ["not_attempted", "failed", "passed"] },
+                        attempts: { type: "integer", example: 2 },
+                        bestPercentage: { type: "number", nullable: true, example: 80 },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+
+        // Quiz question with its answer key (only shown to the course's trainers and admins)
+        QuizQuestion: {
+          type: "object",
+          required: ["type", "text"],
+          properties: {
+            _id: { type: "string", description: "Send it back when editing so analytics follow the question" },
+            type: { type: "string", enum: ["mcq_single", "mcq_multi", "true_false", "numeric", "short_text"] },
+            text: { type: "string", example: "Which keyword declares a block-scoped constant?" },
+            points: { type: "number", example: 1 },
+            options: {
+              type: "array",
+              description: "MCQ types; mcq_single needs exactly one correct option",
+              items: {
+                type: "object",
+                properties: {
+                  _id: { type: "string" },
+                  text: { type: "string", example: "const" },
+                  isCorrect: { type: "boolean", example: true },
+                },
+              },
+            },
+            correctAnswer: { type: "boolean", description: "true_false" },
+            numericAnswer: { type: "number", description: "numeric", example: 3.14 },
+            tolerance: { type: "number", description: "numeric; accepted distance from numericAnswer", example: 0.01 },
+            acceptedAnswers: { type: "array", items: { type: "string" }, description: "short_text; compared after trimming and collapsing spaces" },
+            caseSensitive: { type: "boolean", example: false },
+            explanation: { type: "string" },
+          },
+        },
+
+        // Reusable question of a course's question bank
+        BankQuestion: {
+          allOf: [
+            { $ref: "#/components/schemas/QuizQuestion" },
+            {
+              type: "object",
+              properties: {
+                course: { type: "string" },
+                topic: { type: "string", example: "arrays", description: "Stored in lower case; defaults to general" },
+                difficulty: { type: "string", enum: ["easy", "medium", "hard"], example: "medium" },
+                tags: { type: "array", items: { type: "string" }, example: ["es6", "interview"] },
+              },
+            },
+          ],
+        },
+
+        // "Draw count random questions matching these filters" rule of a quiz
+        QuizQuestionRule: {
+          type: "object",
+          required: ["count"],
+          properties: {
+            count: { type: "integer", example: 10 },
+            topic: { type: "string", example: "arrays" },
+            difficulty: { type: "string", enum: ["easy", "medium", "hard"], example: "easy" },
+            tags: { type: "array", items: { type: "string" }, description: "Questions must have all of them" },
+            points: { type: "number", example: 1, description: "Points of each drawn question; defaults to the bank question's own" },
+          },
+        },
+
+        // Quiz attached to a course module
+        Quiz: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            course: { type: "string" },
+            module: { type: "string" },
+            title: { type: "string", example: "JavaScript Basics Check" },
+            description: { type: "string" },
+            questions: { type: "array", items: { $ref: "#/components/schemas/QuizQuestion" } },
+            questionRules: {
+              type: "array",
+              description: "Random questions drawn from the course's question bank for every attempt",
+              items: { $ref: "#/components/schemas/QuizQuestionRule" },
+            },
+            timeLimitMinutes: { type: "integer", nullable: true, example: 20, description: "null for untimed" },
+            maxAttempts: { type: "integer", nullable: true, example: 3, description: "null for unlimited" },
+            passingScore: { type: "number", example: 60, description: "Percentage needed to pass" },
+            shuffleQuestions: { type: "boolean", example: true },
+            shuffleOptions: { type: "boolean", example: true },
+            revealAnswers: { type: "boolean", example: true, description: "Show the answer key after submission" },
+            isPublished: { type: "boolean", example: false },
+            publishedAt: { type: "string", format: "date-time", nullable: true },
+          },
+        },
+
+        // Attempt of a quiz; items are a snapshot of the questions as they were at the start
+        QuizAttempt: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            quiz: { type: "string" },
+            student: { type: "string" },
+            attemptNumber: { type: "integer", example: 1 },
+            status: { type: "string", enum: ["in_progress", "submitted"] },
+            startedAt: { type: "string", format: "date-time" },
+            expiresAt: { type: "string", format: "date-time", nullable: true },
+            remainingSeconds: { type: "integer", nullable: true, description: "While in progress" },
+            submittedAt: { type: "string", format: "date-time" },
+            timedOut: { type: "boolean", example: false },
+            score: { type: "number", example: 8 },
+            maxScore: { type: "number", example: 10 },
+            percentage: { type: "number", example: 80 },
+            passed: { type: "boolean", example: true },
+            items: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  question: { type: "string" },
+                  source: { type: "string", enum: ["quiz", "bank"] },
+                  type: { type: "string" },
+                  text: { type: "string" },
+                  points: { type: "number" },
+                  options: { type: "array", items: { type: "object", properties: { _id: { type: "string" }, text: { type: "string" } } } },
+                  answer: { description: "Option id, array of option ids, boolean, number or text" },
+                  isCorrect: { type: "boolean" },
+                  pointsAwarded: { type: "number" },
+                  key: { type: "object", description: "Answer key; after submission when the quiz reveals answers, and always for reviewers" },
+                },
+              },
+            },
+          },
+        },
+
+        // Student without recent lesson activity
+        StalledStudent: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            studentId: { type: "string", example: "STD1001" },
+            name: { type: "string" },
+            email: { type: "string" },
+            course: { type: "string" },
+            assignedTrainer: { type: "string" },
+            progress: { type: "number", example: 30 },
+            lastActivityAt: { type: "string", format: "date-time", nullable: true },
+            daysInactive: { type: "integer", example: 12 },
+          },
+        },
+
+        // Batch fields accepted on create/update
+        BatchInput: {
+          type: "object",
+          properties: {
+            code: { type: "string", example: "FSWD-JAN25", description: "Generated (BATCH1001) when left out" },
+            name: { type: "string", example: "Full Stack January 2025" },
+            course: { type: "string", example: "64c3af23e897ad238cabc126" },
+            trainers: {
+              type: "array",
+              items: { type: "string" },
+              description: "Trainer IDs; the first one is the lead trainer",
+            },
+            startDate: { type: "string", format: "date", example: "2025-01-06" },
+            endDate: { type: "string", format: "date", example: "2025-06-30" },
+            capacity: { type: "integer", example: 30 },
+            schedule: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  day: { type: "string", example: "Monday" },
+                  startTime: { type: "string", example: "10:00" },
+                  endTime: { type: "string", example: "12:00" },
+                },
+              },
+            },
+            status: { type: "string", enum: ["upcoming", "active", "completed", "cancelled"] },
+          },
+        },
+
+        // Batch of a course
+        Batch: {
+          allOf: [
+            { $ref: "#/components/schemas/BatchInput" },
+            {
+              type: "object",
+              properties: {
+                _id: { type: "string" },
+                createdBy: { type: "string" },
+                createdAt: { type: "string", format: "date-time" },
+              },
+            },
+          ],
+        },
+
+        // Class session of a batch
+        ClassSession: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            batch: { type: "string" },
+            course: { type: "string" },
+            trainer: { type: "string" },
+            date: { type: "string", format: "date-time", description: "Day of the session (midnight UTC)" },
+            startTime: { type: "string", example: "10:00" },
+            endTime: { type: "string", example: "12:00" },
+            topic: { type: "string" },
+            meetingLink: { type: "string", example: "https://meet.example.com/abc-defg-hij" },
+            room: { type: "string", example: "Lab 2" },
+            type: { type: "string", enum: ["class", "exam"] },
+            status: { type: "string", enum: ["scheduled", "completed", "cancelled"] },
+            cancellationReason: { type: "string" },
+            sequence: { type: "integer", example: 0, description: "Bumped on every change; the iCalendar SEQUENCE" },
+            attendanceMarkedAt: { type: "string", format: "date-time", nullable: true },
+          },
+        },
+
+        // Why a session cannot be scheduled as asked
+        ScheduleConflict: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["outside_availability", "trainer_busy", "batch_busy"] },
+            message: { type: "string", example: "The trainer already has a session 10:00-12:00 (B1004)" },
+            session: { type: "string", description: "Clashing session, for trainer_busy and batch_busy" },
+          },
+        },
+
+        // Attendance of one student in one session, with its correction history
+        AttendanceRecord: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            session: { type: "string" },
+            batch: { type: "string" },
+            student: { type: "string" },
+            status: { type: "string", enum: ["present", "absent", "late", "excused"] },
+            remarks: { type: "string" },
+            markedBy: { type: "string" },
+            markedAt: { type: "string", format: "date-time" },
+            history: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  status: { type: "string" },
+                  remarks: { type: "string" },
+                  reason: { type: "string" },
+                  changedBy: { type: "string" },
+                  changedAt: { type: "string", format: "date-time" },
+                },
+              },
+            },
+          },
+        },
+
+        // Attendance totals of a student
+        AttendanceSummary: {
+          type: "object",
+          properties: {
+            present: { type: "integer", example: 18 },
+            late: { type: "integer", example: 2 },
+            absent: { type: "integer", example: 4 },
+            excused: { type: "integer", example: 1 },
+            counted: { type: "integer", example: 24, description: "Sessions counted in the percentage (excused left out)" },
+            percentage: { type: "number", example: 83 },
+            threshold: { type: "number", example: 75 },
+          },
+        },
+
+        // Fee ledger entry
+        FeeTransaction: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            student: { type: "string" },
+            type: { type: "string", enum: ["payment", "refund", "discount", "scholarship"] },
+            amount: { type: "number", example: 2500 },
+            mode: { type: "string", enum: ["cash", "upi", "card", "bank_transfer", "cheque", "online"] },
+            reference: { type: "string", example: "UPI-4521887733" },
+            paidAt: { type: "string", format: "date-time" },
+            receivedBy: { type: "string" },
+            instalment: { type: "string" },
+            refundOf: { type: "string" },
+            reason: { type: "string" },
+            receiptNumber: { type: "string", example: "RCPT1001" },
+            paymentOrder: { type: "string", description: "Online payment order, for gateway payments" },
+            receiptFile: { $ref: "#/components/schemas/FeeDocumentFile" },
+          },
+        },
+
+        // Stored PDF of a receipt or invoice
+        FeeDocumentFile: {
+          type: "object",
+          nullable: true,
+          properties: {
+            url: { type: "string" },
+            storageType: { type: "string", enum: ["local", "cloudinary", "s3"] },
+            filename: { type: "string" },
+            size: { type: "number" },
+            generatedAt: { type: "string", format: "date-time" },
+          },
+        },
+
+        // Fee invoice; amounts include tax
+        Invoice: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            invoiceNumber: { type: "string", example: "INV1001" },
+            student: { type: "string" },
+            instalment: { type: "string" },
+            items: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  description: { type: "string", example: "Full Stack Development - Instalment 2" },
+                  amount: { type: "number", example: 25000 },
+                },
+              },
+            },
+            amount: { type: "number", example: 25000 },
+            taxableAmount: { type: "number", example: 21186.44 },
+            taxes: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", example: "CGST" },
+                  rate: { type: "number", example: 9 },
+                  amount: { type: "number", example: 1906.78 },
+                },
+              },
+            },
+            currency: { type: "string", example: "INR" },
+            issuedAt: { type: "string", format: "date-time" },
+            dueDate: { type: "string", format: "date-time" },
+            notes: { type: "string" },
+            file: { $ref: "#/components/schemas/FeeDocumentFile" },
+            createdBy: { type: "string" },
+          },
+        },
+
+        // Course completion certificate
+        Certificate: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            certificateNumber: { type: "string", example: "CERT-2026-00042-K7QD" },
+            student: { type: "string" },
+            course: { type: "string" },
+            studentName: { type: "string", example: "Asha Menon", description: "As printed, kept if the student is renamed later" },
+            studentId: { type: "string", example: "STD42" },
+            courseTitle: { type: "string", example: "Full Stack Development" },
+            duration: { type: "string", nullable: true, example: "6 months" },
+            completedAt: { type: "string", format: "date-time" },
+            issuedAt: { type: "string", format: "date-time" },
+            issuedBy: { type: "string", nullable: true, description: "Admin who issued it or marked the student completed" },
+            status: { type: "string", enum: ["issued", "revoked"] },
+            revokedAt: { type: "string", format: "date-time", nullable: true },
+            revokedBy: { type: "string", nullable: true },
+            revocationReason: { type: "string", nullable: true },
+            file: { $ref: "#/components/schemas/FeeDocumentFile" },
+          },
+        },
+
+        // Discussion thread of a course (batch null) or of one batch
+        ForumThread: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            course: { type: "string" },
+            batch: { type: "string", nullable: true },
+            title: { type: "string", example: "Why does my useEffect run twice?" },
+            body: { type: "string", description: "Left out of thread lists" },
+            author: { $ref: "#/components/schemas/ForumAuthor" },
+            attachments: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  url: { type: "string" },
+                  filename: { type: "string" },
+                  originalName: { type: "string" },
+                  mimeType: { type: "string" },
+                  size: { type: "number" },
+                  storageType: { type: "string" },
+                },
+              },
+            },
+            mentions: { type: "array", items: { $ref: "#/components/schemas/ForumAuthor" } },
+            acceptedAnswer: { type: "string", nullable: true, description: "Reply marked as the answer by a trainer or admin" },
+            acceptedBy: { type: "string", nullable: true },
+            isPinned: { type: "boolean" },
+            isLocked: { type: "boolean", description: "Only trainers and admins can still reply" },
+            isHidden: { type: "boolean", description: "Only trainers and admins still see it" },
+            hiddenReason: { type: "string", nullable: true },
+            moderatedBy: { type: "string", nullable: true },
+            replyCount: { type: "integer", example: 4 },
+            lastActivityAt: { type: "string", format: "date-time" },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+
+        // Reply in a forum thread; hidden replies only show _id, thread, replyTo, isHidden and createdAt to students
+        ForumReply: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            thread: { type: "string" },
+            replyTo: { type: "string", nullable: true, description: "Earlier reply this one answers" },
+            body: { type: "string" },
+            author: { $ref: "#/components/schemas/ForumAuthor" },
+            attachments: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  url: { type: "string" },
+                  filename: { type: "string" },
+                  originalName: { type: "string" },
+                  mimeType: { type: "string" },
+                  size: { type: "number" },
+                  storageType: { type: "string" },
+                },
+              },
+            },
+            mentions: { type: "array", items: { $ref: "#/components/schemas/ForumAuthor" } },
+            isHidden: { type: "boolean" },
+            hiddenReason: { type: "string", nullable: true },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+
+        // Author, mentioned user or member of a forum
+        ForumAuthor: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            name: { type: "string", example: "Asha Menon" },
+            role: { type: "string", enum: ["admin", "trainer", "student"] },
+            profileImage: { type: "string", nullable: true },
+          },
+        },
+
+        // In-app notification of one user
+        Notification: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            user: { type: "string" },
+            type: {
+              type: "string",
+              enum: ["assignment_created", "assignment_due", "submission_received", "submission_graded", "session_rescheduled", "session_cancelled", "fee_reminder", "forum_reply", "forum_mention", "forum_answer_accepted"],
+            },
+            title: { type: "string", example: "REST API design graded: 18/20" },
+            message: { type: "string", example: "Good use of status codes" },
+            data: { type: "object", description: "Ids of the records it is about, e.g. { assignment, submission }" },
+            readAt: { type: "string", format: "date-time", nullable: true },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+
+        // A queued templated email, kept as the delivery log
+        EmailNotification: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            template: { type: "string", enum: ["welcome", "fee_reminder", "assignment_due", "session_rescheduled", "session_cancelled"] },
+            to: { type: "string", format: "email", example: "asha@example.com" },
+            user: { type: "string", nullable: true, description: "Recipient, when known" },
+            subject: { type: "string", example: "Fee due on 15 Jan 2026: Asha Menon" },
+            text: { type: "string", description: "Only in the single-email response" },
+            html: { type: "string", description: "Only in the single-email response" },
+            status: { type: "string", enum: ["queued", "sending", "sent", "failed"] },
+            attempts: { type: "integer", example: 1 },
+            maxAttempts: { type: "integer", example: 5 },
+            nextAttemptAt: { type: "string", format: "date-time" },
+            sentAt: { type: "string", format: "date-time", nullable: true },
+            lastError: { type: "string", nullable: true },
+            log: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  at: { type: "string", format: "date-time" },
+                  transport: { type: "string", example: "smtp" },
+                  messageId: { type: "string" },
+                  error: { type: "string" },
+                },
+              },
+            },
+            createdBy: { type: "string", nullable: true },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+
+        // Assignment of a course, or of one batch when batch is set
+        Assignment: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            course: { type: "string" },
+            batch: { type: "string", nullable: true },
+            title: { type: "string", example: "REST API design" },
+            description: { type: "string" },
+            dueDate: { type: "string", format: "date-time" },
+            maxMarks: { type: "number", example: 20 },
+            allowedFileTypes: { type: "array", items: { type: "string" }, example: ["pdf", "zip"] },
+            allowLateSubmissions: { type: "boolean", example: true },
+            sequence: { type: "integer", example: 0, description: "Bumped on every change; the iCalendar SEQUENCE of the due date" },
+            createdBy: { type: "string" },
+          },
+        },
+
+        // A student's submission for an assignment
+        Submission: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            assignment: { type: "string" },
+            student: { type: "string" },
+            files: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  url: { type: "string" },
+                  filename: { type: "string" },
+                  originalName: { type: "string" },
+                  mimeType: { type: "string" },
+                  size: { type: "number" },
+                  storageType: { type: "string" },
+                },
+              },
+            },
+            comment: { type: "string" },
+            submittedAt: { type: "string", format: "date-time" },
+            isLate: { type: "boolean" },
+            attempts: { type: "integer", example: 1 },
+            status: { type: "string", enum: ["submitted", "graded"] },
+            marks: { type: "number", nullable: true },
+            feedback: { type: "string" },
+            gradedBy: { type: "string" },
+            gradedAt: { type: "string", format: "date-time" },
+          },
+        },
+
+        // Online payment order
+        PaymentOrder: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            student: { type: "string" },
+            amount: { type: "number", example: 2500 },
+            currency: { type: "string", example: "INR" },
+            provider: { type: "string", example: "razorpay" },
+            providerOrderId: { type: "string", example: "order_N8vD1u7x2KzQ9a" },
+            providerPaymentId: { type: "string", nullable: true },
+            instalment: { type: "string" },
+            status: { type: "string", enum: ["created", "paid", "failed", "expired"] },
+            failureReason: { type: "string", nullable: true },
+            feeTransaction: { type: "string", nullable: true, description: "Ledger entry created when the payment was captured" },
+            paidAt: { type: "string", format: "date-time", nullable: true },
+            expiresAt: { type: "string", format: "date-time" },
+          },
+        },
+
+        // Fee totals of a student
+        FeeSummary: {
+          type: "object",
+          properties: {
+            total: { type: "number", example: 5000 },
+            paid: { type: "number", example: 2500 },
+            concession: { type: "number", example: 500 },
+            pending: { type: "number", example: 2000 },
+          },
+        },
+
+        // Instalment with what is paid on it
+        Instalment: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            label: { type: "string", example: "Second instalment" },
+            amount: { type: "number", example: 2500 },
+            dueDate: { type: "string", format: "date-time" },
+            paid: { type: "number", example: 500 },
+            due: { type: "number", example: 2000 },
+            status: { type: "string", enum: ["paid", "partially_paid", "overdue", "upcoming"] },
+          },
+        },
+
         // Course Schema
         Course: {
           type: "object",
@@ -433,7 +1406,17 @@ const options = {
             token: {
               type: "string",
               example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
-              description: "JWT authentication token",
+              description: "JWT access token (short-lived)",
+            },
+            refreshToken: {
+              type: "string",
+              example: "64c3af23e897ad238cabc999.9f86d081884c7d659a2feaa0c55ad015...",
+              description: "Refresh token used with /auth/refresh",
+            },
+            expiresIn: {
+              type: "string",
+              example: "15m",
+              description: "Access token lifetime",
             },
             data: {
               type: "object",
@@ -460,10 +1443,70 @@ const options = {
         name: "Trainers",
         description: "Trainer management operations",
       },
+      {
+        name: "Parents",
+        description: "Parent portal and parent-student links",
+      },
+      {
+        name: "HR",
+        description: "HR (placement team) user management",
+      },
+      {
+        name: "Placement",
+        description: "Job openings, shortlists, interview rounds and placement status",
+      },
       {
         name: "Courses",
         description: "Course management operations",
       },
+      {
+        name: "Curriculum",
+        description: "Course modules and lessons",
+      },
+      {
+        name: "Quizzes",
+        description: "Module quizzes, auto-graded attempts and question analytics",
+      },
+      {
+        name: "Question Bank",
+        description: "Reusable course questions by topic and difficulty, with CSV/JSON import and export",
+      },
+      {
+        name: "Batches",
+        description: "Course batches, enrolment and rosters",
+      },
+      {
+        name: "Attendance",
+        description: "Class scheduling, timetables and attendance registers",
+      },
+      {
+        name: "Fees",
+        description: "Fee ledger, instalments and receipts",
+      },
+      {
+        name: "Assignments",
+        description: "Course and batch assignments, submissions and grading",
+      },
+      {
+        name: "Payments",
+        description: "Online fee payments and gateway webhooks",
+      },
+      {
+        name: "Certificates",
+        description: "Course completion certificates and their public verification",
+      },
+      {
+        name: "Calendar",
+        description: "iCalendar feeds and event downloads of sessions, exams and due dates",
+      },
+      {
+        name: "Forums",
+        description: "Course and batch discussion threads, replies and moderation",
+      },
+      {
+        name: "Notifications",
+        description: "In-app notification inbox and live stream, email delivery log and reminders",
+      },
       {
         name: "File Upload",
         description: "File upload and management operations",
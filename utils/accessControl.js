@@ -0,0 +1,78 @@
+/**
+ * Ownership rules deciding which students a user may see
+ * - admin: every student (admin privileges are checked separately by authorize.can)
+ * - hr: every student, for placement work
+ * - trainer: students whose assignedTrainer is the trainer
+ * - parent: students linked through Student.parent or Parent.studentIds
+ * - student: only themself
+ */
+class AccessControl {
+  /**
+   * Compare two ObjectIds/strings
+   * @param {*} a - Id or document
+   * @param {*} b - Id or document
+   * @returns {boolean} True if both refer to the same id
+   */
+  static sameId(a, b) {
+    if (!a || !b) return false;
+    return (a._id || a).toString() === (b._id || b).toString();
+  }
+
+  /**
+   * Check whether a user may access a student record
+   * @param {Object} user - Authenticated user
+   * @param {Object} student - Student document
+   * @returns {boolean} True if access is allowed
+   */
+  static canAccessStudent(user, student) {
+    switch (user.role) {
+      case 'admin':
+      case 'hr':
+        return true;
+      case 'trainer':
+        return this.sameId(student.assignedTrainer, user._id);
+      case 'parent':
+        return this.sameId(student.parent, user._id)
+          || (user.studentIds || []).some(id => this.sameId(id, student._id));
+      case 'student':
+        return this.sameId(student._id, user._id);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Mongo filter restricting a student query to the records a user may see
+   * @param {Object} user - Authenticated user
+   * @returns {Object|null} Filter, or null if the role has no access to students
+   */
+  static studentScopeFilter(user) {
+    switch (user.role) {
+      case 'admin':
+      case 'hr':
+        return {};
+      case 'trainer':
+        return { assignedTrainer: user._id };
+      case 'parent':
+        return { $or: [{ parent: user._id }, { _id: { $in: user.studentIds || [] } }] };
+      case 'student':
+        return { _id: user._id };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check whether a user may edit a course's curriculum
+   * Admins (privileges checked by authorize.can) and the course head
+   * @param {Object} user - Authenticated user
+   * @param {Object} course - Course document
+   * @returns {boolean} True if editing is allowed
+   */
+  static canEditCourse(user, course) {
+    if (user.role === 'admin') return true;
+    return user.role === 'trainer' && this.sameId(course.courseHead, user._id);
+  }
+}
+
+export default AccessControl;
@@ -0,0 +1,92 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing (quoted fields, doubled quotes, line breaks in quotes)
+ */
+class Csv {
+  /**
+   * Parse CSV text into rows of fields
+   * @param {string} text - CSV content
+   * @returns {Array<Array<string>>} Rows; blank lines are skipped
+   */
+  static parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a byte order mark left by spreadsheet exports
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * Parse CSV text with a header row into objects keyed by the (trimmed) header names
+   * @param {string} text - CSV content
+   * @returns {Array<Object>} Records
+   */
+  static parse(text) {
+    const [header, ...rows] = Csv.parseRows(text);
+    if (!header) return [];
+
+    const keys = header.map(key => key.trim());
+    return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, (row[index] ?? '').trim()])));
+  }
+
+  /**
+   * Quote a value when it contains a separator, quote or line break
+   * @param {*} value - Field value
+   * @returns {string} CSV field
+   */
+  static escape(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Write records as CSV
+   * @param {Array<string>} columns - Column names, in order
+   * @param {Array<Object>} records - Records keyed by column name
+   * @returns {string} CSV content
+   */
+  static stringify(columns, records) {
+    const lines = [columns, ...records.map(record => columns.map(column => record[column]))]
+      .map(fields => fields.map(Csv.escape).join(','));
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+export default Csv;
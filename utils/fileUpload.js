@@ -283,7 +283,7 @@ class FileUploadUtils {
   /**
    * Validate upload type configuration
    * @param {string} uploadType - Upload type
-   * @param {string} fieldName - Field name
+   * @param {string} [fieldName] - Field to check, for named uploads
    * @returns {Object} Upload type configuration
    */
   static validateUploadType(uploadType, fieldName) {
@@ -293,7 +293,7 @@ class FileUploadUtils {
       throw new AppError(`Invalid upload type: ${uploadType}`, 400);
     }
 
-    if (uploadType === 'named' && !config.fields[fieldName]) {
+    if (uploadType === 'named' && fieldName && !config.fields[fieldName]) {
       throw new AppError(`Invalid field name: ${fieldName}`, 400);
     }
 
@@ -0,0 +1,113 @@
+/**
+ * Minimal iCalendar (RFC 5545) writing: escaping, line folding and VEVENT/VCALENDAR blocks.
+ * Times are written in UTC so no VTIMEZONE is needed.
+ */
+class ICal {
+  /**
+   * Escape a TEXT value
+   * @param {*} value - Text
+   * @returns {string} Escaped text
+   */
+  static escape(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line into lines of at most 75 octets, without splitting characters
+   * @param {string} line - Content line
+   * @returns {string} Folded line (CRLF followed by a space between parts)
+   */
+  static fold(line) {
+    const parts = [];
+    let part = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      // continuation lines start with a space, which counts towards their 75 octets
+      if (octets + size > (parts.length ? 74 : 75)) {
+        parts.push(part);
+        part = '';
+        octets = 0;
+      }
+      part += char;
+      octets += size;
+    }
+    parts.push(part);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * UTC DATE-TIME value, e.g. 20250113T043000Z
+   * @param {Date} date - Date
+   * @returns {string} Value
+   */
+  static formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * DATE value of the UTC day, e.g. 20250113
+   * @param {Date} date - Date
+   * @returns {string} Value
+   */
+  static formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  /**
+   * VEVENT lines
+   * @param {Object} event - ({ uid, sequence, stamp, start, end, allDay, summary, description, location, url, status })
+   * @returns {Array<string>} Content lines
+   */
+  static event({ uid, sequence = 0, stamp, start, end, allDay = false, summary, description, location, url, status }) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTAMP:${ICal.formatDateTime(stamp || new Date())}`,
+      allDay ? `DTSTART;VALUE=DATE:${ICal.formatDate(start)}` : `DTSTART:${ICal.formatDateTime(start)}`
+    ];
+
+    if (end) lines.push(allDay ? `DTEND;VALUE=DATE:${ICal.formatDate(end)}` : `DTEND:${ICal.formatDateTime(end)}`);
+    if (stamp) lines.push(`LAST-MODIFIED:${ICal.formatDateTime(stamp)}`);
+    lines.push(`SUMMARY:${ICal.escape(summary)}`);
+    if (description) lines.push(`DESCRIPTION:${ICal.escape(description)}`);
+    if (location) lines.push(`LOCATION:${ICal.escape(location)}`);
+    if (url) lines.push(`URL:${url}`);
+    if (status) lines.push(`STATUS:${status}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+  }
+
+  /**
+   * A whole calendar
+   * @param {Object} calendar - ({ prodId, name, events: Array<Object> }); events as for ICal.event
+   * @returns {string} iCalendar text
+   */
+  static calendar({ prodId, name, events = [] }) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${prodId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...(name ? [`X-WR-CALNAME:${ICal.escape(name)}`] : []),
+      // how often subscribed clients should poll for changes
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H',
+      ...events.flatMap(event => ICal.event(event)),
+      'END:VCALENDAR'
+    ];
+
+    return `${lines.map(ICal.fold).join('\r\n')}\r\n`;
+  }
+}
+
+export default ICal;
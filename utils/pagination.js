@@ -0,0 +1,49 @@
+/**
+ * Page/limit handling for list endpoints (?page=2&limit=20)
+ */
+class Pagination {
+  /**
+   * Read page and limit from the query string
+   * @param {Object} query - req.query
+   * @param {Object} options - ({ defaultLimit, maxLimit })
+   * @returns {{page: number, limit: number, skip: number}} Pagination values
+   */
+  static fromQuery(query = {}, options = {}) {
+    const { defaultLimit = 20, maxLimit = 100 } = options;
+
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+
+    return { page, limit, skip: (page - 1) * limit };
+  }
+
+  /**
+   * Pagination block returned alongside list results
+   * @param {number} total - Total matching documents
+   * @param {Object} pagination - ({ page, limit })
+   * @returns {Object} Pagination metadata
+   */
+  static meta(total, { page, limit }) {
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    };
+  }
+
+  /**
+   * Escape user input before using it inside a $regex
+   * @param {string} value - Raw search text
+   * @returns {string} Regex-safe string
+   */
+  static escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+export default Pagination;
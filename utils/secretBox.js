@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+
+/**
+ * Symmetric encryption for secrets stored in the database (AES-256-GCM)
+ * Output format: <iv>.<authTag>.<ciphertext>, all base64
+ */
+const getKey = () => {
+  const keyMaterial = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+  if (!keyMaterial) {
+    throw new Error('MFA_ENCRYPTION_KEY or JWT_SECRET must be set to encrypt secrets');
+  }
+
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+export const encryptSecret = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+export const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+export default {
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP (RFC 6238) helpers used for two-factor authentication
+ */
+class TotpUtils {
+  /**
+   * Encode a buffer as base32 (no padding)
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} Base32 string
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode a base32 string
+   * @param {string} input - Base32 string (case and padding insensitive)
+   * @returns {Buffer} Decoded bytes
+   */
+  static base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        output.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(output);
+  }
+
+  /**
+   * Generate a random base32 secret
+   * @param {number} byteLength - Secret size in bytes
+   * @returns {string} Base32 secret
+   */
+  static generateSecret(byteLength = 20) {
+    return this.base32Encode(crypto.randomBytes(byteLength));
+  }
+
+  /**
+   * Compute the HOTP value for a counter
+   * @param {string} secret - Base32 secret
+   * @param {number} counter - Moving factor
+   * @param {number} digits - Code length
+   * @returns {string} Zero-padded code
+   */
+  static hotp(secret, counter, digits = 6) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+  }
+
+  /**
+   * Time step for a timestamp
+   * @param {number} timestamp - Milliseconds since epoch
+   * @param {number} period - Step length in seconds
+   * @returns {number} Time step
+   */
+  static timeStep(timestamp = Date.now(), period = 30) {
+    return Math.floor(timestamp / 1000 / period);
+  }
+
+  /**
+   * Generate the current TOTP code
+   * @param {string} secret - Base32 secret
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {string} Code
+   */
+  static generate(secret, timestamp = Date.now()) {
+    return this.hotp(secret, this.timeStep(timestamp));
+  }
+
+  /**
+   * Verify a TOTP code, allowing for clock drift
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code supplied by the user
+   * @param {Object} options - Options ({ window, timestamp })
+   * @returns {number|null} Matching time step, or null if invalid
+   */
+  static verify(secret, code, options = {}) {
+    const { window = 1, timestamp = Date.now() } = options;
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+
+    const currentStep = this.timeStep(timestamp);
+
+    for (let offset = -window; offset <= window; offset++) {
+      const candidate = this.hotp(secret, currentStep + offset);
+      if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+        return currentStep + offset;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build an otpauth:// URI for authenticator apps (rendered as a QR code by the client)
+   * @param {Object} params - ({ secret, accountName, issuer })
+   * @returns {string} otpauth URI
+   */
+  static buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const query = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+
+    return `otpauth://totp/${label}?${query.toString()}`;
+  }
+}
+
+export default TotpUtils;